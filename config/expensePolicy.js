@@ -0,0 +1,45 @@
+// Expense categories seeded for an organization that has not configured its own.
+// per_item_limit: maximum amount for a single line item (null for no limit)
+// monthly_limit: maximum an employee can claim per calendar month of the
+// expense date, across claims that have not been rejected or cancelled
+// aliases: comma-separated words the chatbot recognises for the category
+export const DEFAULT_EXPENSE_CATEGORIES = [
+  {
+    name: 'Travel',
+    code: 'TRAVEL',
+    aliases: 'flight, train, bus, cab, taxi, fuel, mileage',
+    per_item_limit: 25000,
+    monthly_limit: 50000,
+  },
+  {
+    name: 'Lodging',
+    code: 'LODGING',
+    aliases: 'hotel, stay, accommodation',
+    per_item_limit: 8000,
+    monthly_limit: 40000,
+  },
+  {
+    name: 'Meals',
+    code: 'MEALS',
+    aliases: 'food, meal, dinner, lunch',
+    per_item_limit: 1500,
+    monthly_limit: 10000,
+  },
+  {
+    name: 'Internet and Phone',
+    code: 'TELECOM',
+    aliases: 'internet, phone, mobile, broadband',
+    per_item_limit: 2000,
+    monthly_limit: 2000,
+  },
+  {
+    name: 'Other',
+    code: 'OTHER',
+    aliases: 'miscellaneous, misc',
+    per_item_limit: 5000,
+    monthly_limit: null,
+  },
+];
+
+// Claim statuses that still count against the monthly limits
+export const ACTIVE_CLAIM_STATUSES = ['pending_manager', 'pending_admin', 'approved', 'reimbursed'];
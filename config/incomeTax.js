@@ -0,0 +1,100 @@
+// Income tax rules for salaried residents, versioned by financial year
+// ('YYYY-YY', April to March). A year without its own entry uses the latest
+// earlier version, so add a new entry whenever the Finance Act changes them.
+//
+// slabs: taxable income bands with the rate (%) above the previous band's limit;
+//   senior_slabs and super_senior_slabs apply from age 60 and 80 when present
+// rebate: section 87A; with marginal_relief the tax never exceeds the income
+//   above the limit
+// surcharge: rate (%) on tax once taxable income is above the threshold
+// deductions: caps for Chapter VI-A deductions and exemptions the regime allows
+const OLD_REGIME = {
+  standard_deduction: 50000,
+  slabs: [
+    { upto: 250000, rate: 0 },
+    { upto: 500000, rate: 5 },
+    { upto: 1000000, rate: 20 },
+    { upto: null, rate: 30 },
+  ],
+  senior_slabs: [
+    { upto: 300000, rate: 0 },
+    { upto: 500000, rate: 5 },
+    { upto: 1000000, rate: 20 },
+    { upto: null, rate: 30 },
+  ],
+  super_senior_slabs: [
+    { upto: 500000, rate: 0 },
+    { upto: 1000000, rate: 20 },
+    { upto: null, rate: 30 },
+  ],
+  rebate: { income_limit: 500000, max: 12500, marginal_relief: false },
+  surcharge: [
+    { above: 5000000, rate: 10 },
+    { above: 10000000, rate: 15 },
+    { above: 20000000, rate: 25 },
+    { above: 50000000, rate: 37 },
+  ],
+  deductions: {
+    hra_exemption: true,
+    professional_tax: true,
+    section_80c: 150000,
+    section_80d_self: 25000,
+    section_80d_self_senior: 50000,
+    section_80d_parents: 25000,
+    section_80d_parents_senior: 50000,
+  },
+};
+
+const NEW_REGIME_SURCHARGE = [
+  { above: 5000000, rate: 10 },
+  { above: 10000000, rate: 15 },
+  { above: 20000000, rate: 25 },
+];
+
+export const INCOME_TAX_RULES = {
+  '2024-25': {
+    cess_rate: 4,
+    old: OLD_REGIME,
+    new: {
+      standard_deduction: 75000,
+      slabs: [
+        { upto: 300000, rate: 0 },
+        { upto: 700000, rate: 5 },
+        { upto: 1000000, rate: 10 },
+        { upto: 1200000, rate: 15 },
+        { upto: 1500000, rate: 20 },
+        { upto: null, rate: 30 },
+      ],
+      rebate: { income_limit: 700000, max: 25000, marginal_relief: true },
+      surcharge: NEW_REGIME_SURCHARGE,
+      deductions: {},
+    },
+  },
+  '2025-26': {
+    cess_rate: 4,
+    old: OLD_REGIME,
+    new: {
+      standard_deduction: 75000,
+      slabs: [
+        { upto: 400000, rate: 0 },
+        { upto: 800000, rate: 5 },
+        { upto: 1200000, rate: 10 },
+        { upto: 1600000, rate: 15 },
+        { upto: 2000000, rate: 20 },
+        { upto: 2400000, rate: 25 },
+        { upto: null, rate: 30 },
+      ],
+      rebate: { income_limit: 1200000, max: 60000, marginal_relief: true },
+      surcharge: NEW_REGIME_SURCHARGE,
+      deductions: {},
+    },
+  },
+};
+
+export const TAX_REGIMES = ['old', 'new'];
+
+// Regime applied when the employee has not chosen one (the statutory default)
+export const DEFAULT_TAX_REGIME = 'new';
+
+// Share of basic salary exempt as HRA, by city type
+export const HRA_BASIC_SHARE = { metro: 50, non_metro: 40 };
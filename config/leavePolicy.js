@@ -0,0 +1,57 @@
+// Leave types seeded for an organization that has not configured its own.
+// accrual_frequency: how often annual_quota is credited (monthly, quarterly,
+// annual, or none for types that are only granted manually)
+// carry_forward_cap: maximum unused days carried into the next year, the rest lapses
+// is_paid: false for leave that is deducted from salary as loss of pay
+export const DEFAULT_LEAVE_TYPES = [
+  {
+    name: 'Casual Leave',
+    code: 'CL',
+    aliases: 'casual',
+    annual_quota: 12,
+    accrual_frequency: 'monthly',
+    carry_forward_cap: 0,
+    max_consecutive_days: 3,
+    requires_document: false,
+    allow_negative: false,
+    is_paid: true,
+  },
+  {
+    name: 'Sick Leave',
+    code: 'SL',
+    aliases: 'sick, medical',
+    annual_quota: 8,
+    accrual_frequency: 'quarterly',
+    carry_forward_cap: 0,
+    max_consecutive_days: null,
+    requires_document: false,
+    allow_negative: false,
+    is_paid: true,
+  },
+  {
+    name: 'Earned Leave',
+    code: 'EL',
+    aliases: 'earned, annual, vacation, privilege',
+    annual_quota: 18,
+    accrual_frequency: 'monthly',
+    carry_forward_cap: 30,
+    max_consecutive_days: null,
+    requires_document: false,
+    allow_negative: false,
+    is_paid: true,
+  },
+  {
+    name: 'Leave Without Pay',
+    code: 'LWP',
+    aliases: 'lop, loss of pay, unpaid',
+    annual_quota: 0,
+    accrual_frequency: 'none',
+    carry_forward_cap: 0,
+    max_consecutive_days: null,
+    requires_document: false,
+    allow_negative: true,
+    is_paid: false,
+  },
+];
+
+export const ACCRUAL_FREQUENCIES = ['monthly', 'quarterly', 'annual', 'none'];
@@ -0,0 +1,24 @@
+// Password policy used when an organization has not configured its own, and
+// for the admin password chosen at organization registration.
+// min_length: minimum number of characters
+// require_*: at least one character of that kind (symbol: anything that is
+// not a letter or digit)
+// history_count: how many previous passwords (besides the current one) cannot be reused
+// expiry_days: employees must choose a new password this many days after the
+// last change (0 for never)
+export const DEFAULT_PASSWORD_POLICY = {
+  min_length: 8,
+  require_uppercase: true,
+  require_lowercase: true,
+  require_number: true,
+  require_symbol: false,
+  history_count: 3,
+  expiry_days: 0,
+};
+
+// Limits an organization can configure
+export const PASSWORD_POLICY_LIMITS = {
+  min_length: { min: 6, max: 128 },
+  history_count: { min: 0, max: 24 },
+  expiry_days: { min: 0, max: 365 },
+};
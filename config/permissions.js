@@ -0,0 +1,46 @@
+// Permissions checked by the authorize() and requirePermission() middleware.
+// view_team: employee directory and leave records
+// approve_leave: decide leave requests and see the team leave calendar
+// manage_employees: add, import, edit and deactivate employees, adjust leave balances
+// manage_policies: company policies, leave types, holidays, expense categories
+// view_payroll: salary structures, revisions, payroll runs, payslips and claims
+// manage_payroll: change salaries and structures, run payroll, decide claims
+// view_audit_log: search, export and verify the audit log
+export const PERMISSIONS = [
+  'view_team',
+  'approve_leave',
+  'manage_employees',
+  'manage_policies',
+  'view_payroll',
+  'manage_payroll',
+  'view_audit_log',
+];
+
+// Organization tokens hold every permission
+export const ROLE_PERMISSIONS = {
+  Employee: [],
+  Manager: ['view_team', 'approve_leave'],
+  Admin: PERMISSIONS,
+};
+
+// Roles whose permissions cover the whole organization; other roles only
+// reach the employees in their reporting tree
+export const ORGANIZATION_WIDE_ROLES = ['Admin'];
+
+// Roles an API key with employees:write may give the employees it adds. Admin
+// holds every permission, including the account-security ones keys are kept
+// from, so only a signed-in admin can hand it out.
+export const API_KEY_ASSIGNABLE_ROLES = ['Employee', 'Manager'];
+
+// Scopes an organization API key can carry, and the permission each grants.
+// Keys only reach the admin and payroll APIs guarded by authorize(), and never
+// the account-security settings: policies:write covers company, leave,
+// holiday and expense policy only.
+export const API_KEY_SCOPES = {
+  'employees:read': 'view_team',
+  'employees:write': 'manage_employees',
+  'policies:write': 'manage_policies',
+  'payroll:read': 'view_payroll',
+  'payroll:write': 'manage_payroll',
+  'audit:read': 'view_audit_log',
+};
@@ -0,0 +1,49 @@
+// Salary structure seeded for an organization that has not configured its own.
+// Earnings mirror the percentages the employee import used before structures
+// were configurable; BASIC and HRA can still be supplied per employee as
+// overrides. Statutory deductions follow config/statutoryRules.js.
+//
+// Component fields:
+// type: earning, deduction or employer_contribution (part of CTC, not paid out)
+// calculation: fixed (amount), percentage (percentage of base, optionally
+//   capped by base_ceiling), formula (see utils/formula.js), remainder (the
+//   earning that absorbs whatever is left of the monthly CTC) or statutory
+//   (a deduction computed by the named rule: PF, ESI, PT or LWF, using the
+//   employee's work state and recomputed for each payroll month)
+// cap: maximum monthly amount; applies_if: formula that must be non-zero for
+//   the component to apply; prorate: false for flat amounts such as
+//   professional tax that are not reduced for loss of pay
+export const DEFAULT_SALARY_STRUCTURE = {
+  name: 'Standard',
+  components: [
+    { code: 'BASIC', name: 'Basic Salary', type: 'earning', calculation: 'percentage', percentage: 50, base: 'CTC_MONTHLY' },
+    { code: 'HRA', name: 'House Rent Allowance', type: 'earning', calculation: 'percentage', percentage: 50, base: 'BASIC' },
+    { code: 'CONV', name: 'Conveyance Allowance', type: 'earning', calculation: 'percentage', percentage: 4, base: 'BASIC' },
+    { code: 'MED', name: 'Medical Allowance', type: 'earning', calculation: 'percentage', percentage: 3, base: 'BASIC' },
+    { code: 'PF', name: 'Provident Fund', type: 'deduction', calculation: 'statutory', rule: 'PF' },
+    { code: 'ESI', name: 'Employee State Insurance', type: 'deduction', calculation: 'statutory', rule: 'ESI' },
+    { code: 'PT', name: 'Professional Tax', type: 'deduction', calculation: 'statutory', rule: 'PT', prorate: false },
+    { code: 'LWF', name: 'Labour Welfare Fund', type: 'deduction', calculation: 'statutory', rule: 'LWF', prorate: false },
+  ],
+};
+
+export const COMPONENT_TYPES = ['earning', 'deduction', 'employer_contribution'];
+export const CALCULATION_TYPES = ['fixed', 'percentage', 'formula', 'remainder', 'statutory'];
+
+// Variables every formula can use besides earlier component codes
+export const STRUCTURE_VARIABLES = ['CTC', 'CTC_MONTHLY'];
+
+// Components stored in the dedicated PayrollData columns
+export const PAYROLL_DATA_COLUMNS = {
+  BASIC: 'base_salary',
+  HRA: 'hra',
+  CONV: 'conveyance_allowance',
+  MED: 'medical_allowance',
+  PF: 'pf_deduction',
+  ESI: 'esi_deduction',
+  PT: 'professional_tax',
+};
+
+// Reasons an admin can give for a salary revision; 'initial' and 'restructure'
+// revisions are recorded by the system
+export const REVISION_REASONS = ['appraisal', 'promotion', 'correction'];
@@ -0,0 +1,17 @@
+// Which ID token (or userinfo) claim fills each employee field. Organizations
+// can override any of them, e.g. { department: 'dept' } for a custom claim.
+// email is required; it is matched against User.email.
+export const DEFAULT_CLAIM_MAPPINGS = {
+  email: 'email',
+  first_name: 'given_name',
+  last_name: 'family_name',
+  department: 'department',
+  location: 'locality',
+};
+
+// Roles an employee can be given when provisioned on first sign-in. Admin is
+// never one: it must be granted by an existing admin.
+export const JIT_ROLES = ['Employee', 'Manager'];
+
+// ID token signatures must use one of these; symmetric and unsigned tokens are refused
+export const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
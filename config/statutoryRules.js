@@ -0,0 +1,148 @@
+// Statutory deductions applied to salary structure components with the
+// 'statutory' calculation. Amounts are monthly rupees; update the table when
+// a state notifies new rates.
+
+// Rules a statutory component can name
+export const STATUTORY_RULES = ['PF', 'ESI', 'PT', 'LWF'];
+
+// Employee provident fund: rate on PF wages (the listed earnings), which are
+// capped at the statutory wage ceiling
+export const PF_RULES = {
+  employee_rate: 12,
+  wage_ceiling: 15000,
+  wage_components: ['BASIC', 'DA'],
+};
+
+// Employee state insurance: rate on gross pay, for employees whose full
+// monthly gross does not exceed the wage limit
+export const ESI_RULES = {
+  employee_rate: 0.75,
+  wage_limit: 21000,
+};
+
+// Per-state rules, keyed by the code stored in User.work_state.
+// cities: locations that map to the state when work_state is not set
+// professional_tax: null where the state levies none
+//   slabs: amount for monthly gross up to 'upto' (null for no upper bound);
+//     'february' is the amount deducted in February instead
+//   half_yearly: slabs apply to six months' gross and are deducted only in
+//     deduction_months
+// labour_welfare_fund: null where not applicable; employee share deducted in
+//   the listed months (1-12), as a fixed amount or a rate of gross with a max
+export const STATE_RULES = {
+  MH: {
+    name: 'Maharashtra',
+    cities: ['mumbai', 'pune', 'nagpur', 'thane', 'navi mumbai', 'nashik'],
+    professional_tax: {
+      slabs: [
+        { upto: 7500, amount: 0 },
+        { upto: 10000, amount: 175 },
+        { upto: null, amount: 200, february: 300 },
+      ],
+    },
+    labour_welfare_fund: { employee: 25, months: [6, 12] },
+  },
+  KA: {
+    name: 'Karnataka',
+    cities: ['bengaluru', 'bangalore', 'mysuru', 'mysore', 'mangaluru', 'hubli'],
+    professional_tax: {
+      slabs: [
+        { upto: 24999, amount: 0 },
+        { upto: null, amount: 200, february: 300 },
+      ],
+    },
+    labour_welfare_fund: { employee: 50, months: [12] },
+  },
+  TN: {
+    name: 'Tamil Nadu',
+    cities: ['chennai', 'coimbatore', 'madurai', 'tiruchirappalli'],
+    professional_tax: {
+      half_yearly: true,
+      deduction_months: [9, 3],
+      slabs: [
+        { upto: 21000, amount: 0 },
+        { upto: 30000, amount: 180 },
+        { upto: 45000, amount: 425 },
+        { upto: 60000, amount: 930 },
+        { upto: 75000, amount: 1025 },
+        { upto: null, amount: 1250 },
+      ],
+    },
+    labour_welfare_fund: { employee: 20, months: [12] },
+  },
+  TG: {
+    name: 'Telangana',
+    cities: ['hyderabad', 'secunderabad', 'warangal'],
+    professional_tax: {
+      slabs: [
+        { upto: 15000, amount: 0 },
+        { upto: 20000, amount: 150 },
+        { upto: null, amount: 200 },
+      ],
+    },
+    labour_welfare_fund: { employee: 2, months: [12] },
+  },
+  AP: {
+    name: 'Andhra Pradesh',
+    cities: ['visakhapatnam', 'vijayawada', 'guntur', 'tirupati'],
+    professional_tax: {
+      slabs: [
+        { upto: 15000, amount: 0 },
+        { upto: 20000, amount: 150 },
+        { upto: null, amount: 200 },
+      ],
+    },
+    labour_welfare_fund: { employee: 30, months: [12] },
+  },
+  WB: {
+    name: 'West Bengal',
+    cities: ['kolkata', 'howrah', 'durgapur', 'siliguri'],
+    professional_tax: {
+      slabs: [
+        { upto: 10000, amount: 0 },
+        { upto: 15000, amount: 110 },
+        { upto: 25000, amount: 130 },
+        { upto: 40000, amount: 150 },
+        { upto: null, amount: 200 },
+      ],
+    },
+    labour_welfare_fund: { employee: 3, months: [6, 12] },
+  },
+  GJ: {
+    name: 'Gujarat',
+    cities: ['ahmedabad', 'surat', 'vadodara', 'rajkot', 'gandhinagar'],
+    professional_tax: {
+      slabs: [
+        { upto: 12000, amount: 0 },
+        { upto: null, amount: 200 },
+      ],
+    },
+    labour_welfare_fund: { employee: 6, months: [6, 12] },
+  },
+  DL: {
+    name: 'Delhi',
+    cities: ['delhi', 'new delhi'],
+    professional_tax: null,
+    labour_welfare_fund: { employee: 0.75, months: [6, 12] },
+  },
+  HR: {
+    name: 'Haryana',
+    cities: ['gurugram', 'gurgaon', 'faridabad'],
+    professional_tax: null,
+    labour_welfare_fund: { employee: { rate: 0.2, max: 34 }, months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] },
+  },
+  UP: {
+    name: 'Uttar Pradesh',
+    cities: ['noida', 'greater noida', 'lucknow', 'ghaziabad', 'kanpur'],
+    professional_tax: null,
+    labour_welfare_fund: null,
+  },
+  RJ: {
+    name: 'Rajasthan',
+    cities: ['jaipur', 'jodhpur', 'udaipur'],
+    professional_tax: null,
+    labour_welfare_fund: null,
+  },
+};
+
+export const STATE_CODES = Object.keys(STATE_RULES);
@@ -1,7 +1,15 @@
 import jwt from 'jsonwebtoken';
 import { User, Organization } from '../models/index.js';
+import authTokenService from '../services/authTokenService.js';
+import accessControlService from '../services/accessControlService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import passwordPolicyService from '../services/passwordPolicyService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import { ServiceError } from '../utils/errors.js';
 
-export const authenticateToken = async (req, res, next) => {
+// allowPasswordChange: let through employees who must change their password
+// first (temporary password or expired under the password policy)
+const verifyEmployeeToken = ({ allowPasswordChange }) => async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -25,7 +33,7 @@ export const authenticateToken = async (req, res, next) => {
       include: [{
         model: Organization,
         as: 'organization',
-        attributes: ['org_name', 'subscription_plan', 'is_active']
+        attributes: ['org_name', 'subscription_plan', 'is_active', 'require_admin_two_factor', 'password_policy']
       }]
     });
 
@@ -36,7 +44,26 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Logged-out and revoked sessions are cut off before their tokens expire
+    if (!(await authTokenService.isSessionActive(decoded, user.user_id))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has been revoked or has expired' 
+      });
+    }
+
+    // Single sign-on sessions never used the password, so it cannot hold them back
+    if (!allowPasswordChange && decoded.auth_method !== 'sso' && passwordPolicyService.mustChangePassword(user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You must change your password before continuing', 
+        password_reset_required: true 
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.actor = { type: 'employee', id: user.user_id };
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -47,7 +74,13 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
-export const authenticateOrganization = async (req, res, next) => {
+export const authenticateToken = verifyEmployeeToken({ allowPasswordChange: false });
+
+// Only for changing the password and signing out
+export const authenticateTokenForPasswordChange = verifyEmployeeToken({ allowPasswordChange: true });
+
+// allowApiKey: also accept an organization API key in place of a login token
+const verifyOrganizationToken = ({ allowApiKey }) => async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -59,6 +92,21 @@ export const authenticateOrganization = async (req, res, next) => {
       });
     }
 
+    if (apiKeyService.isApiKey(token)) {
+      if (!allowApiKey) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'API keys cannot be used for this action' 
+        });
+      }
+
+      const apiKey = await apiKeyService.authenticate(token, req.ip);
+      req.organization = apiKey.Organization;
+      req.apiKey = apiKey;
+      req.actor = { type: 'organization', id: apiKey.organization_id };
+      return next();
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
     if (decoded.type !== 'organization') {
@@ -82,13 +130,130 @@ export const authenticateOrganization = async (req, res, next) => {
       });
     }
 
+    if (!(await authTokenService.isSessionActive(decoded, organization.organization_id))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has been revoked or has expired' 
+      });
+    }
+
     req.organization = organization;
+    req.sessionId = decoded.sid;
+    req.actor = { type: 'organization', id: organization.organization_id };
     next();
   } catch (error) {
     console.error('Organization auth middleware error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
     return res.status(401).json({ 
       success: false, 
       message: 'Invalid token' 
     });
   }
 };
+
+export const authenticateOrganization = verifyOrganizationToken({ allowApiKey: true });
+
+// Signed-in organization admin only: account security and API key management
+export const authenticateOrganizationSession = verifyOrganizationToken({ allowApiKey: false });
+
+// Employee routes restricted by role; use after authenticateToken
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!accessControlService.hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'You do not have permission to perform this action' 
+    });
+  }
+  next();
+};
+
+// Admin APIs: the organization token or API key, or an employee login whose
+// role grants the permission. Sets req.organization for all of them, and
+// req.teamUserIds to the employee's reporting tree when their role is not
+// organization-wide. allowApiKey: false keeps account-security settings
+// (SSO, two-factor, password policy) out of reach of integration keys.
+export const authorize = (permission, { allowApiKey = true } = {}) => async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  const claims = token && !apiKeyService.isApiKey(token) ? jwt.decode(token) : null;
+
+  if (apiKeyService.isApiKey(token) || (claims && claims.type === 'organization')) {
+    const authenticate = allowApiKey ? authenticateOrganization : authenticateOrganizationSession;
+    return authenticate(req, res, () => {
+      // API keys reach only the permissions their scopes grant
+      if (req.apiKey && !apiKeyService.hasScopeFor(req.apiKey, permission)) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'API key does not have the required scope' 
+        });
+      }
+
+      req.teamUserIds = null;
+      next();
+    });
+  }
+
+  return authenticateToken(req, res, async () => {
+    try {
+      const user = req.user;
+
+      if (!accessControlService.hasPermission(user.role, permission)) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'You do not have permission to perform this action' 
+        });
+      }
+
+      req.organization = await Organization.findByPk(user.organization_id);
+      req.teamUserIds = accessControlService.isOrganizationWide(user.role)
+        ? null
+        : await accessControlService.getReportingTree(user);
+      next();
+    } catch (error) {
+      console.error('Authorization middleware error:', error);
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Internal server error' 
+      });
+    }
+  });
+};
+
+// Two-factor setup accepts a normal login, or the challenge token issued by a
+// login that is refused until two-factor authentication has been set up
+export const authenticateTwoFactorSetup = (subjectType) => async (req, res, next) => {
+  if (!req.body.challenge_token) {
+    return subjectType === 'employee'
+      ? authenticateToken(req, res, next)
+      : authenticateOrganizationSession(req, res, next);
+  }
+
+  try {
+    const { account, authMethod } = await twoFactorService.verifyChallenge(req.body.challenge_token, 'setup', subjectType);
+
+    if (subjectType === 'employee') {
+      req.user = account;
+    } else {
+      req.organization = account;
+    }
+    req.twoFactorChallenge = { authMethod };
+    next();
+  } catch (error) {
+    console.error('Two-factor setup auth error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+};
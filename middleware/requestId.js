@@ -0,0 +1,10 @@
+import crypto from 'crypto';
+
+// Tags every request with an id for the logs and the audit log. A caller's
+// X-Request-Id is kept when it looks sane, so ids can be traced across services.
+export const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && /^[\w.:-]{8,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
@@ -0,0 +1,32 @@
+import multer from 'multer';
+import path from 'path';
+
+// Shared multer configuration; every upload lands in uploads/ with a timestamp prefix
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, 'uploads/');
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${Date.now()}-${file.originalname}`);
+  }
+});
+
+const createUpload = (allowedTypes, errorMessage) => multer({ 
+  storage,
+  fileFilter: (req, file, cb) => {
+    const fileExt = path.extname(file.originalname).toLowerCase();
+    if (allowedTypes.includes(fileExt)) {
+      cb(null, true);
+    } else {
+      cb(new Error(errorMessage));
+    }
+  },
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
+
+export const excelUpload = createUpload(['.xlsx', '.xls'], 'Only Excel files are allowed');
+
+export const documentUpload = createUpload(
+  ['.pdf', '.jpg', '.jpeg', '.png'],
+  'Only PDF, JPG and PNG documents are allowed'
+);
@@ -28,6 +28,9 @@ const Organization = sequelize.define('Organization', {
     type: DataTypes.STRING(255),
     allowNull: false,
   },
+  password_changed_at: {
+    type: DataTypes.DATE,
+  },
   contact_phone: {
     type: DataTypes.STRING(20),
   },
@@ -38,6 +41,36 @@ const Organization = sequelize.define('Organization', {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
   },
+  // Approving leave warns when fewer than this percentage of a manager's
+  // direct reports would be available on any working day
+  min_team_availability: {
+    type: DataTypes.INTEGER,
+    defaultValue: 50,
+    validate: {
+      min: 0,
+      max: 100,
+    },
+  },
+  // Consecutive failed logins, cleared by a successful login or an unlock
+  failed_login_attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  last_failed_login_at: {
+    type: DataTypes.DATE,
+  },
+  locked_until: {
+    type: DataTypes.DATE,
+  },
+  // Employees with the Admin role must set up two-factor authentication
+  require_admin_two_factor: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  // Overrides of DEFAULT_PASSWORD_POLICY (config/passwordPolicy.js); null for the defaults
+  password_policy: {
+    type: DataTypes.JSON,
+  },
 }, {
   tableName: 'organizations',
   timestamps: true,
@@ -93,6 +126,11 @@ const User = sequelize.define('User', {
     type: DataTypes.DATEONLY,
     allowNull: false,
   },
+  // Last working day, set on deactivation; payroll pays up to it
+  date_of_exit: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+  },
   date_of_birth: {
     type: DataTypes.DATEONLY,
     allowNull: true,
@@ -103,6 +141,11 @@ const User = sequelize.define('User', {
   location: {
     type: DataTypes.STRING(100),
   },
+  // State code from config/statutoryRules.js; derived from location when not set
+  work_state: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+  },
   phone: {
     type: DataTypes.STRING(20),
   },
@@ -120,6 +163,21 @@ const User = sequelize.define('User', {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
   },
+  // Null until the first change; password expiry then counts from createdAt
+  password_changed_at: {
+    type: DataTypes.DATE,
+  },
+  // Consecutive failed logins, cleared by a successful login or an unlock
+  failed_login_attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  last_failed_login_at: {
+    type: DataTypes.DATE,
+  },
+  locked_until: {
+    type: DataTypes.DATE,
+  },
 }, {
   tableName: 'users',
   timestamps: true,
@@ -153,17 +211,17 @@ const LeaveBalance = sequelize.define('LeaveBalance', {
     allowNull: false,
   },
   total_allotted: {
-    type: DataTypes.INTEGER,
+    type: DataTypes.FLOAT,
     allowNull: false,
     defaultValue: 0,
   },
   leaves_taken: {
-    type: DataTypes.INTEGER,
+    type: DataTypes.FLOAT,
     allowNull: false,
     defaultValue: 0,
   },
   leaves_pending_approval: {
-    type: DataTypes.INTEGER,
+    type: DataTypes.FLOAT,
     allowNull: false,
     defaultValue: 0,
   },
@@ -176,9 +234,9 @@ const LeaveBalance = sequelize.define('LeaveBalance', {
   timestamps: true,
 });
 
-// Company Policy Model
-const CompanyPolicy = sequelize.define('CompanyPolicy', {
-  policy_id: {
+// Leave Type Model (per-organization leave configuration)
+const LeaveType = sequelize.define('LeaveType', {
+  leave_type_id: {
     type: DataTypes.INTEGER,
     primaryKey: true,
     autoIncrement: true,
@@ -191,35 +249,64 @@ const CompanyPolicy = sequelize.define('CompanyPolicy', {
       key: 'organization_id',
     },
   },
-  policy_title: {
-    type: DataTypes.STRING(255),
+  name: {
+    type: DataTypes.STRING(50),
     allowNull: false,
   },
-  policy_category: {
-    type: DataTypes.STRING(100),
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
   },
-  policy_content: {
+  aliases: {
     type: DataTypes.TEXT,
+  },
+  annual_quota: {
+    type: DataTypes.FLOAT,
     allowNull: false,
+    defaultValue: 0,
   },
-  last_reviewed: {
-    type: DataTypes.DATEONLY,
+  accrual_frequency: {
+    type: DataTypes.ENUM('monthly', 'quarterly', 'annual', 'none'),
+    allowNull: false,
+    defaultValue: 'annual',
   },
-  keywords: {
-    type: DataTypes.TEXT,
+  carry_forward_cap: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  max_consecutive_days: {
+    type: DataTypes.INTEGER,
+  },
+  requires_document: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  allow_negative: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  // Approved days of unpaid leave are deducted from salary as loss of pay
+  is_paid: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
   },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
   },
 }, {
-  tableName: 'company_policies',
+  tableName: 'leave_types',
   timestamps: true,
+  indexes: [
+    { unique: true, fields: ['organization_id', 'code'] },
+    { unique: true, fields: ['organization_id', 'name'] },
+  ],
 });
 
-// Payroll Data Model
-const PayrollData = sequelize.define('PayrollData', {
-  payroll_id: {
+// Leave Request Model
+const LeaveRequest = sequelize.define('LeaveRequest', {
+  request_id: {
     type: DataTypes.INTEGER,
     primaryKey: true,
     autoIncrement: true,
@@ -240,46 +327,154 @@ const PayrollData = sequelize.define('PayrollData', {
       key: 'user_id',
     },
   },
-  base_salary: {
-    type: DataTypes.DECIMAL(10, 2),
+  leave_type: {
+    type: DataTypes.STRING(50),
     allowNull: false,
   },
-  hra: {
-    type: DataTypes.DECIMAL(10, 2),
-    defaultValue: 0,
+  start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
   },
-  conveyance_allowance: {
-    type: DataTypes.DECIMAL(10, 2),
-    defaultValue: 0,
+  end_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
   },
-  medical_allowance: {
-    type: DataTypes.DECIMAL(10, 2),
-    defaultValue: 0,
+  is_half_day: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
   },
-  pf_deduction: {
-    type: DataTypes.DECIMAL(10, 2),
+  total_days: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+  },
+  reason: {
+    type: DataTypes.TEXT,
+  },
+  document_path: {
+    type: DataTypes.STRING(255),
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+    defaultValue: 'pending',
+    allowNull: false,
+  },
+  approver_id: {
+    type: DataTypes.STRING(50),
+    references: {
+      model: User,
+      key: 'user_id',
+    },
+  },
+  decision_comment: {
+    type: DataTypes.TEXT,
+  },
+  decided_at: {
+    type: DataTypes.DATE,
+  },
+  cancelled_at: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'leave_requests',
+  timestamps: true,
+  indexes: [
+    { fields: ['user_id', 'status'] },
+    { fields: ['organization_id', 'start_date'] },
+  ],
+});
+
+// Leave Ledger Model (append-only history behind every LeaveBalance change)
+const appendOnly = () => {
+  throw new Error('Leave ledger entries are append-only');
+};
+
+const LeaveLedgerEntry = sequelize.define('LeaveLedgerEntry', {
+  entry_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  user_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'user_id',
+    },
+  },
+  leave_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  entry_type: {
+    type: DataTypes.ENUM(
+      'opening', 'accrual', 'carry_forward', 'lapse', 'application', 'approval',
+      'rejection', 'cancellation', 'adjustment', 'encashment'
+    ),
+    allowNull: false,
+  },
+  allotted_change: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
     defaultValue: 0,
   },
-  esi_deduction: {
-    type: DataTypes.DECIMAL(10, 2),
+  taken_change: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
     defaultValue: 0,
   },
-  professional_tax: {
-    type: DataTypes.DECIMAL(10, 2),
+  pending_change: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
     defaultValue: 0,
   },
-  ctc: {
-    type: DataTypes.DECIMAL(10, 2),
+  balance_after: {
+    type: DataTypes.FLOAT,
+  },
+  period: {
+    type: DataTypes.STRING(20),
+  },
+  leave_request_id: {
+    type: DataTypes.INTEGER,
+  },
+  actor_type: {
+    type: DataTypes.ENUM('employee', 'manager', 'organization', 'system'),
     allowNull: false,
+    defaultValue: 'system',
+  },
+  actor_id: {
+    type: DataTypes.STRING(50),
+  },
+  description: {
+    type: DataTypes.TEXT,
   },
 }, {
-  tableName: 'payroll_data',
+  tableName: 'leave_ledger',
   timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['user_id', 'leave_type', 'entry_type', 'period'] },
+    { fields: ['organization_id', 'user_id', 'createdAt'] },
+  ],
+  hooks: {
+    beforeUpdate: appendOnly,
+    beforeBulkUpdate: appendOnly,
+    beforeDestroy: appendOnly,
+    beforeBulkDestroy: appendOnly,
+  },
 });
 
-// Chat Log Model (for analytics)
-const ChatLog = sequelize.define('ChatLog', {
-  log_id: {
+// Holiday Model (organization calendar, optionally per location)
+const Holiday = sequelize.define('Holiday', {
+  holiday_id: {
     type: DataTypes.INTEGER,
     primaryKey: true,
     autoIncrement: true,
@@ -287,48 +482,1395 @@ const ChatLog = sequelize.define('ChatLog', {
   organization_id: {
     type: DataTypes.STRING(50),
     allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
   },
-  user_id: {
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  holiday_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+  },
+  location: {
+    type: DataTypes.STRING(100),
+  },
+  is_optional: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  description: {
+    type: DataTypes.TEXT,
+  },
+}, {
+  tableName: 'holidays',
+  timestamps: true,
+  indexes: [
+    { fields: ['organization_id', 'holiday_date'] },
+  ],
+});
+
+// Company Policy Model
+const CompanyPolicy = sequelize.define('CompanyPolicy', {
+  policy_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
     type: DataTypes.STRING(50),
     allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
   },
-  query: {
+  policy_title: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  policy_category: {
+    type: DataTypes.STRING(100),
+  },
+  policy_content: {
     type: DataTypes.TEXT,
     allowNull: false,
   },
-  response: {
+  last_reviewed: {
+    type: DataTypes.DATEONLY,
+  },
+  keywords: {
     type: DataTypes.TEXT,
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+}, {
+  tableName: 'company_policies',
+  timestamps: true,
+});
+
+// Salary Structure Model (per-organization component template)
+const SalaryStructure = sequelize.define('SalaryStructure', {
+  structure_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
     allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
   },
-  intent: {
+  name: {
     type: DataTypes.STRING(100),
+    allowNull: false,
   },
-  confidence: {
-    type: DataTypes.DECIMAL(3, 2),
+  description: {
+    type: DataTypes.TEXT,
   },
-  response_source: {
-    type: DataTypes.ENUM('nlp', 'llm', 'fallback'),
+  // Ordered component definitions, see config/salaryStructure.js
+  components: {
+    type: DataTypes.JSON,
     allowNull: false,
   },
-  response_time_ms: {
-    type: DataTypes.INTEGER,
+  is_default: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
   },
 }, {
-  tableName: 'chat_logs',
+  tableName: 'salary_structures',
   timestamps: true,
+  indexes: [
+    { unique: true, fields: ['organization_id', 'name'] },
+  ],
 });
 
-// Define Associations
-Organization.hasMany(User, { foreignKey: 'organization_id', as: 'employees' });
-User.belongsTo(Organization, { foreignKey: 'organization_id', as: 'organization' });
-
-User.belongsTo(User, { foreignKey: 'manager_id', as: 'manager' });
-User.hasMany(User, { foreignKey: 'manager_id', as: 'subordinates' });
+// Salary Revision Model (append-only compensation history behind PayrollData)
+const salaryHistoryIsAppendOnly = () => {
+  throw new Error('Salary revisions are append-only; record a correction instead');
+};
 
-Organization.hasMany(LeaveBalance, { foreignKey: 'organization_id' });
-User.hasMany(LeaveBalance, { foreignKey: 'user_id', as: 'leaveBalances' });
-LeaveBalance.belongsTo(User, { foreignKey: 'user_id', as: 'employee' });
-LeaveBalance.belongsTo(Organization, { foreignKey: 'organization_id' });
+const SalaryRevision = sequelize.define('SalaryRevision', {
+  revision_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  user_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'user_id',
+    },
+  },
+  effective_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+  },
+  reason: {
+    type: DataTypes.ENUM('initial', 'appraisal', 'promotion', 'correction', 'restructure'),
+    allowNull: false,
+  },
+  structure_id: {
+    type: DataTypes.INTEGER,
+    references: {
+      model: SalaryStructure,
+      key: 'structure_id',
+    },
+  },
+  ctc: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+  },
+  // Monthly breakdown in the same shape as PayrollData.components
+  components: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+  component_overrides: {
+    type: DataTypes.JSON,
+  },
+  // Salary in effect on the effective date before this revision
+  previous_ctc: {
+    type: DataTypes.DECIMAL(12, 2),
+  },
+  previous_components: {
+    type: DataTypes.JSON,
+  },
+  approved_by: {
+    type: DataTypes.STRING(100),
+  },
+  actor_type: {
+    type: DataTypes.ENUM('organization', 'employee', 'system'),
+    allowNull: false,
+    defaultValue: 'system',
+  },
+  actor_id: {
+    type: DataTypes.STRING(50),
+  },
+  notes: {
+    type: DataTypes.TEXT,
+  },
+}, {
+  tableName: 'salary_revisions',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['user_id', 'effective_date'] },
+    { fields: ['organization_id', 'effective_date'] },
+  ],
+  hooks: {
+    beforeUpdate: salaryHistoryIsAppendOnly,
+    beforeBulkUpdate: salaryHistoryIsAppendOnly,
+    beforeDestroy: salaryHistoryIsAppendOnly,
+    beforeBulkDestroy: salaryHistoryIsAppendOnly,
+  },
+});
+
+// Payroll Data Model
+const PayrollData = sequelize.define('PayrollData', {
+  payroll_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  user_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'user_id',
+    },
+  },
+  base_salary: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+  },
+  hra: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+  },
+  conveyance_allowance: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+  },
+  medical_allowance: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+  },
+  pf_deduction: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+  },
+  esi_deduction: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+  },
+  professional_tax: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+  },
+  ctc: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+  },
+  structure_id: {
+    type: DataTypes.INTEGER,
+    references: {
+      model: SalaryStructure,
+      key: 'structure_id',
+    },
+  },
+  // Full monthly breakdown computed from the structure: [{ code, name, type, amount, prorate }]
+  components: {
+    type: DataTypes.JSON,
+  },
+  // Per-employee amounts that replace the structure's calculation, e.g. { BASIC: 30000 }
+  component_overrides: {
+    type: DataTypes.JSON,
+  },
+  // Revision this salary was derived from
+  revision_id: {
+    type: DataTypes.INTEGER,
+    references: {
+      model: SalaryRevision,
+      key: 'revision_id',
+    },
+  },
+}, {
+  tableName: 'payroll_data',
+  timestamps: true,
+});
+
+// Payroll Run Model (one per organization and month)
+const PayrollRun = sequelize.define('PayrollRun', {
+  run_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  // 'YYYY-MM'
+  period: {
+    type: DataTypes.STRING(7),
+    allowNull: false,
+  },
+  // draft: payslips can be recalculated; finalized: payslips are frozen and
+  // visible to employees; locked: salaries paid and the period is closed
+  status: {
+    type: DataTypes.ENUM('draft', 'finalized', 'locked'),
+    defaultValue: 'draft',
+    allowNull: false,
+  },
+  employee_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  total_gross: {
+    type: DataTypes.DECIMAL(14, 2),
+    defaultValue: 0,
+  },
+  total_deductions: {
+    type: DataTypes.DECIMAL(14, 2),
+    defaultValue: 0,
+  },
+  total_net: {
+    type: DataTypes.DECIMAL(14, 2),
+    defaultValue: 0,
+  },
+  calculated_at: {
+    type: DataTypes.DATE,
+  },
+  finalized_at: {
+    type: DataTypes.DATE,
+  },
+  locked_at: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'payroll_runs',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['organization_id', 'period'] },
+  ],
+});
+
+// Payslip Model (immutable once generated; a draft run replaces its payslips
+// wholesale when recalculated)
+const Payslip = sequelize.define('Payslip', {
+  payslip_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  run_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: PayrollRun,
+      key: 'run_id',
+    },
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  user_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'user_id',
+    },
+  },
+  period: {
+    type: DataTypes.STRING(7),
+    allowNull: false,
+  },
+  // Employee details as they were when the payslip was generated
+  employee_name: {
+    type: DataTypes.STRING(201),
+    allowNull: false,
+  },
+  employee_number: {
+    type: DataTypes.STRING(50),
+  },
+  department: {
+    type: DataTypes.STRING(100),
+  },
+  location: {
+    type: DataTypes.STRING(100),
+  },
+  work_state: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+  },
+  days_in_month: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  paid_days: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+  },
+  lop_days: {
+    type: DataTypes.FLOAT,
+    defaultValue: 0,
+  },
+  // [{ code, name, amount }]
+  earnings: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+  // [{ code, name, amount }]
+  deductions: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+  gross_earnings: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+  },
+  total_deductions: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+  },
+  arrears: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0,
+  },
+  // Approved expense claims paid with the salary: [{ claim_id, title, amount }].
+  // Non-taxable, so they are kept out of gross earnings but added to net pay.
+  reimbursements: {
+    type: DataTypes.JSON,
+  },
+  total_reimbursements: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0,
+  },
+  net_pay: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+  },
+}, {
+  tableName: 'payslips',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['run_id', 'user_id'] },
+    { fields: ['organization_id', 'user_id', 'period'] },
+  ],
+  hooks: {
+    beforeUpdate: () => {
+      throw new Error('Payslips are immutable');
+    },
+    beforeBulkUpdate: () => {
+      throw new Error('Payslips are immutable');
+    },
+  },
+});
+
+// Payroll Arrear Model (amounts owed for earlier months, paid out in a later run)
+const PayrollArrear = sequelize.define('PayrollArrear', {
+  arrear_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  user_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'user_id',
+    },
+  },
+  // Month whose run pays the arrear ('YYYY-MM')
+  payout_period: {
+    type: DataTypes.STRING(7),
+    allowNull: false,
+  },
+  // Month the arrear relates to, if any
+  source_period: {
+    type: DataTypes.STRING(7),
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+  },
+  reason: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+  },
+  // Set for arrears raised by a back-dated salary revision
+  revision_id: {
+    type: DataTypes.INTEGER,
+    references: {
+      model: SalaryRevision,
+      key: 'revision_id',
+    },
+  },
+}, {
+  tableName: 'payroll_arrears',
+  timestamps: true,
+  indexes: [
+    { fields: ['organization_id', 'payout_period'] },
+  ],
+});
+
+// Employee tax declarations for a financial year, used for TDS estimates
+const TaxDeclaration = sequelize.define('TaxDeclaration', {
+  declaration_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  user_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'user_id',
+    },
+  },
+  // 'YYYY-YY', e.g. '2025-26'
+  financial_year: {
+    type: DataTypes.STRING(7),
+    allowNull: false,
+  },
+  regime: {
+    type: DataTypes.ENUM('old', 'new'),
+    defaultValue: 'new',
+  },
+  section_80c: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0,
+  },
+  section_80d_self: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0,
+  },
+  section_80d_parents: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0,
+  },
+  parents_senior_citizen: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  // Rent paid for the whole financial year
+  annual_rent_paid: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0,
+  },
+  metro_city: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+}, {
+  tableName: 'tax_declarations',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['user_id', 'financial_year'] },
+  ],
+});
+
+// Expense Category Model (per-organization claim limits)
+const ExpenseCategory = sequelize.define('ExpenseCategory', {
+  category_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+  },
+  aliases: {
+    type: DataTypes.STRING(255),
+  },
+  per_item_limit: {
+    type: DataTypes.DECIMAL(12, 2),
+  },
+  monthly_limit: {
+    type: DataTypes.DECIMAL(12, 2),
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+}, {
+  tableName: 'expense_categories',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['organization_id', 'name'] },
+    { unique: true, fields: ['organization_id', 'code'] },
+  ],
+});
+
+// Expense Claim Model (manager then admin approval, paid through payroll)
+const ExpenseClaim = sequelize.define('ExpenseClaim', {
+  claim_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  user_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'user_id',
+    },
+  },
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+  },
+  total_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.ENUM('pending_manager', 'pending_admin', 'approved', 'reimbursed', 'rejected', 'cancelled'),
+    defaultValue: 'pending_manager',
+  },
+  manager_id: {
+    type: DataTypes.STRING(50),
+    references: {
+      model: User,
+      key: 'user_id',
+    },
+  },
+  manager_comment: {
+    type: DataTypes.TEXT,
+  },
+  manager_decided_at: {
+    type: DataTypes.DATE,
+  },
+  admin_comment: {
+    type: DataTypes.TEXT,
+  },
+  admin_decided_at: {
+    type: DataTypes.DATE,
+  },
+  // Payroll month the claim is paid in ('YYYY-MM'); set when a run picks it up
+  reimbursement_period: {
+    type: DataTypes.STRING(7),
+  },
+}, {
+  tableName: 'expense_claims',
+  timestamps: true,
+  indexes: [
+    { fields: ['organization_id', 'status'] },
+    { fields: ['user_id', 'status'] },
+  ],
+});
+
+const ExpenseClaimItem = sequelize.define('ExpenseClaimItem', {
+  item_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  claim_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: ExpenseClaim,
+      key: 'claim_id',
+    },
+  },
+  category_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: ExpenseCategory,
+      key: 'category_id',
+    },
+  },
+  expense_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+  },
+  description: {
+    type: DataTypes.STRING(500),
+  },
+  receipt_path: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+  },
+}, {
+  tableName: 'expense_claim_items',
+  timestamps: true,
+  updatedAt: false,
+});
+
+// Auth Session Model (one per login; its refresh tokens form a rotation family)
+const AuthSession = sequelize.define('AuthSession', {
+  session_id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+  },
+  subject_type: {
+    type: DataTypes.ENUM('employee', 'organization'),
+    allowNull: false,
+  },
+  // user_id for employees, organization_id for organization admins
+  subject_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  // Access tokens of a revoked session are rejected even before they expire
+  revoked_at: {
+    type: DataTypes.DATE,
+  },
+  revoked_reason: {
+    type: DataTypes.ENUM('logout', 'logout_all', 'refresh_token_reuse', 'password_changed', 'account_inactive'),
+  },
+  // sso sessions skip the password-change gate; the password was never used
+  auth_method: {
+    type: DataTypes.ENUM('password', 'sso'),
+    allowNull: false,
+    defaultValue: 'password',
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+  },
+  user_agent: {
+    type: DataTypes.STRING(255),
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'auth_sessions',
+  timestamps: true,
+  indexes: [
+    { fields: ['subject_type', 'subject_id'] },
+  ],
+});
+
+// Refresh Token Model (only a hash is stored; each token can be used once)
+const RefreshToken = sequelize.define('RefreshToken', {
+  token_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  session_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: AuthSession,
+      key: 'session_id',
+    },
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  // Set when the token is exchanged; presenting it again means it was stolen
+  used_at: {
+    type: DataTypes.DATE,
+  },
+  replaced_by_id: {
+    type: DataTypes.INTEGER,
+  },
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  updatedAt: false,
+});
+
+// Password Reset Token Model (only a hash is stored; single use, short-lived)
+const PasswordResetToken = sequelize.define('PasswordResetToken', {
+  token_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  subject_type: {
+    type: DataTypes.ENUM('employee', 'organization'),
+    allowNull: false,
+  },
+  // user_id for employees, organization_id for organization admins
+  subject_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  used_at: {
+    type: DataTypes.DATE,
+  },
+  requested_ip: {
+    type: DataTypes.STRING(45),
+  },
+}, {
+  tableName: 'password_reset_tokens',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['subject_type', 'subject_id'] },
+  ],
+});
+
+// Employee Invitation Model (activation link for a new employee; only a hash
+// of the signed token is stored, so resending or revoking retires old links)
+const EmployeeInvitation = sequelize.define('EmployeeInvitation', {
+  invitation_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  user_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'user_id',
+    },
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  send_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+  },
+  last_sent_at: {
+    type: DataTypes.DATE,
+  },
+  accepted_at: {
+    type: DataTypes.DATE,
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+  },
+  invited_by_type: {
+    type: DataTypes.ENUM('organization', 'employee', 'system'),
+    allowNull: false,
+    defaultValue: 'system',
+  },
+  invited_by_id: {
+    type: DataTypes.STRING(50),
+  },
+}, {
+  tableName: 'employee_invitations',
+  timestamps: true,
+  indexes: [
+    { fields: ['organization_id', 'accepted_at', 'revoked_at'] },
+  ],
+});
+
+// Password History Model (hashes of replaced passwords, for the reuse rule)
+const PasswordHistory = sequelize.define('PasswordHistory', {
+  history_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  subject_type: {
+    type: DataTypes.ENUM('employee', 'organization'),
+    allowNull: false,
+  },
+  // user_id for employees, organization_id for organization admins
+  subject_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  password_hash: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+}, {
+  tableName: 'password_history',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['subject_type', 'subject_id'] },
+  ],
+});
+
+// Audit Log Model (administrative and sensitive actions; each entry's hash
+// covers the previous one, so an edited or deleted entry breaks the chain)
+const AuditLog = sequelize.define('AuditLog', {
+  audit_id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  // Position in the organization's chain, starting at 1
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  actor_type: {
+    type: DataTypes.ENUM('organization', 'employee', 'api_key', 'system'),
+    allowNull: false,
+  },
+  actor_id: {
+    type: DataTypes.STRING(50),
+  },
+  // e.g. employee.update, policy.create, auth.login, payroll.view
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  entity_type: {
+    type: DataTypes.STRING(50),
+  },
+  entity_id: {
+    type: DataTypes.STRING(100),
+  },
+  // { field: { from, to } }
+  changes: {
+    type: DataTypes.JSON,
+  },
+  metadata: {
+    type: DataTypes.JSON,
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+  },
+  user_agent: {
+    type: DataTypes.STRING(255),
+  },
+  request_id: {
+    type: DataTypes.STRING(64),
+  },
+  previous_hash: {
+    type: DataTypes.STRING(64),
+  },
+  entry_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+}, {
+  tableName: 'audit_logs',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['organization_id', 'sequence'] },
+    { fields: ['organization_id', 'action', 'createdAt'] },
+    { fields: ['organization_id', 'entity_type', 'entity_id'] },
+    { fields: ['request_id'] },
+  ],
+});
+
+// Login Event Model (every login attempt, including unknown emails)
+const LoginEvent = sequelize.define('LoginEvent', {
+  event_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  subject_type: {
+    type: DataTypes.ENUM('employee', 'organization'),
+    allowNull: false,
+  },
+  // Null when the email did not match an account
+  subject_id: {
+    type: DataTypes.STRING(50),
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  outcome: {
+    // challenged: password accepted, waiting for the second factor
+    type: DataTypes.ENUM('success', 'failure', 'challenged'),
+    allowNull: false,
+  },
+  method: {
+    type: DataTypes.ENUM('password', 'sso'),
+    allowNull: false,
+    defaultValue: 'password',
+  },
+  failure_reason: {
+    type: DataTypes.ENUM('invalid_credentials', 'invalid_two_factor', 'inactive_account', 'throttled', 'locked', 'sso_rejected'),
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+  },
+  user_agent: {
+    type: DataTypes.STRING(255),
+  },
+}, {
+  tableName: 'login_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['subject_type', 'subject_id'] },
+    { fields: ['organization_id', 'createdAt'] },
+  ],
+});
+
+// SSO Configuration Model (one OpenID Connect identity provider per organization)
+const SsoConfiguration = sequelize.define('SsoConfiguration', {
+  config_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  issuer: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  client_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  // Never returned by the API
+  client_secret: {
+    type: DataTypes.STRING(512),
+  },
+  scopes: {
+    type: DataTypes.STRING(255),
+    defaultValue: 'openid email profile',
+  },
+  // Overrides of DEFAULT_CLAIM_MAPPINGS (config/sso.js)
+  claim_mappings: {
+    type: DataTypes.JSON,
+  },
+  // Create an employee on first sign-in when no account matches the email
+  jit_provisioning: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  // Comma-separated email domains allowed to be provisioned
+  jit_allowed_domains: {
+    type: DataTypes.TEXT,
+  },
+  // Never Admin; see JIT_ROLES in config/sso.js
+  jit_default_role: {
+    type: DataTypes.ENUM('Employee', 'Manager'),
+    defaultValue: 'Employee',
+  },
+  is_enabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+}, {
+  tableName: 'sso_configurations',
+  timestamps: true,
+});
+
+// SSO Login State Model (one per authorization request; holds the PKCE verifier
+// and nonce until the identity provider redirects back)
+const SsoLoginState = sequelize.define('SsoLoginState', {
+  state_hash: {
+    type: DataTypes.STRING(64),
+    primaryKey: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  code_verifier: {
+    type: DataTypes.STRING(128),
+    allowNull: false,
+  },
+  nonce: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  used_at: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'sso_login_states',
+  timestamps: true,
+  updatedAt: false,
+});
+
+// API Key Model (server-to-server access for an organization; only a hash of
+// the secret is stored)
+const ApiKey = sequelize.define('ApiKey', {
+  key_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: Organization,
+      key: 'organization_id',
+    },
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  // Public part of the key, used to look it up; shown in listings
+  key_prefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    unique: true,
+  },
+  key_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  // Scope names from API_KEY_SCOPES (config/permissions.js)
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+  // IPv4/IPv6 addresses or CIDR ranges; empty allows any address
+  allowed_ips: {
+    type: DataTypes.JSON,
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+  },
+  last_used_ip: {
+    type: DataTypes.STRING(45),
+  },
+  rotated_at: {
+    type: DataTypes.DATE,
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+  },
+  created_by_type: {
+    type: DataTypes.ENUM('organization', 'employee'),
+    allowNull: false,
+    defaultValue: 'organization',
+  },
+  created_by_id: {
+    type: DataTypes.STRING(50),
+  },
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  indexes: [
+    { fields: ['organization_id', 'revoked_at'] },
+  ],
+});
+
+// Two-Factor Credential Model (TOTP secret; pending until the first code is confirmed)
+const TwoFactorCredential = sequelize.define('TwoFactorCredential', {
+  credential_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  subject_type: {
+    type: DataTypes.ENUM('employee', 'organization'),
+    allowNull: false,
+  },
+  // user_id for employees, organization_id for organization admins
+  subject_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  // Base32, as shown to the authenticator app
+  secret: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  enabled_at: {
+    type: DataTypes.DATE,
+  },
+  // Time step of the last accepted code; a code is never accepted twice
+  last_used_step: {
+    type: DataTypes.BIGINT,
+  },
+}, {
+  tableName: 'two_factor_credentials',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['subject_type', 'subject_id'] },
+  ],
+});
+
+// Two-Factor Recovery Code Model (only a hash is stored; each code can be used once)
+const TwoFactorRecoveryCode = sequelize.define('TwoFactorRecoveryCode', {
+  code_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  credential_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: TwoFactorCredential,
+      key: 'credential_id',
+    },
+  },
+  code_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  used_at: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'two_factor_recovery_codes',
+  timestamps: true,
+  updatedAt: false,
+});
+
+// Chat Log Model (for analytics)
+const ChatLog = sequelize.define('ChatLog', {
+  log_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  organization_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  user_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  query: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  response: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  intent: {
+    type: DataTypes.STRING(100),
+  },
+  confidence: {
+    type: DataTypes.DECIMAL(3, 2),
+  },
+  response_source: {
+    type: DataTypes.ENUM('nlp', 'llm', 'fallback'),
+    allowNull: false,
+  },
+  response_time_ms: {
+    type: DataTypes.INTEGER,
+  },
+}, {
+  tableName: 'chat_logs',
+  timestamps: true,
+});
+
+// Define Associations
+Organization.hasMany(User, { foreignKey: 'organization_id', as: 'employees' });
+User.belongsTo(Organization, { foreignKey: 'organization_id', as: 'organization' });
+
+User.belongsTo(User, { foreignKey: 'manager_id', as: 'manager' });
+User.hasMany(User, { foreignKey: 'manager_id', as: 'subordinates' });
+
+Organization.hasMany(LeaveBalance, { foreignKey: 'organization_id' });
+User.hasMany(LeaveBalance, { foreignKey: 'user_id', as: 'leaveBalances' });
+LeaveBalance.belongsTo(User, { foreignKey: 'user_id', as: 'employee' });
+LeaveBalance.belongsTo(Organization, { foreignKey: 'organization_id' });
+
+Organization.hasMany(LeaveType, { foreignKey: 'organization_id', as: 'leaveTypes' });
+LeaveType.belongsTo(Organization, { foreignKey: 'organization_id' });
+
+Organization.hasMany(LeaveRequest, { foreignKey: 'organization_id' });
+User.hasMany(LeaveRequest, { foreignKey: 'user_id', as: 'leaveRequests' });
+LeaveRequest.belongsTo(User, { foreignKey: 'user_id', as: 'employee' });
+LeaveRequest.belongsTo(User, { foreignKey: 'approver_id', as: 'approver' });
+LeaveRequest.belongsTo(Organization, { foreignKey: 'organization_id' });
+
+User.hasMany(LeaveLedgerEntry, { foreignKey: 'user_id', as: 'leaveLedger' });
+LeaveLedgerEntry.belongsTo(User, { foreignKey: 'user_id', as: 'employee' });
+LeaveLedgerEntry.belongsTo(LeaveRequest, { foreignKey: 'leave_request_id', as: 'leaveRequest' });
+LeaveLedgerEntry.belongsTo(Organization, { foreignKey: 'organization_id' });
+
+Organization.hasMany(Holiday, { foreignKey: 'organization_id', as: 'holidays' });
+Holiday.belongsTo(Organization, { foreignKey: 'organization_id' });
 
 Organization.hasMany(CompanyPolicy, { foreignKey: 'organization_id', as: 'policies' });
 CompanyPolicy.belongsTo(Organization, { foreignKey: 'organization_id' });
@@ -338,12 +1880,94 @@ User.hasOne(PayrollData, { foreignKey: 'user_id', as: 'payroll' });
 PayrollData.belongsTo(User, { foreignKey: 'user_id', as: 'employee' });
 PayrollData.belongsTo(Organization, { foreignKey: 'organization_id' });
 
+Organization.hasMany(SalaryStructure, { foreignKey: 'organization_id', as: 'salaryStructures' });
+SalaryStructure.belongsTo(Organization, { foreignKey: 'organization_id' });
+SalaryStructure.hasMany(PayrollData, { foreignKey: 'structure_id', as: 'payrolls' });
+PayrollData.belongsTo(SalaryStructure, { foreignKey: 'structure_id', as: 'structure' });
+
+User.hasMany(SalaryRevision, { foreignKey: 'user_id', as: 'salaryRevisions' });
+SalaryRevision.belongsTo(User, { foreignKey: 'user_id', as: 'employee' });
+SalaryRevision.belongsTo(Organization, { foreignKey: 'organization_id' });
+SalaryRevision.belongsTo(SalaryStructure, { foreignKey: 'structure_id', as: 'structure' });
+SalaryRevision.hasMany(PayrollArrear, { foreignKey: 'revision_id', as: 'arrears' });
+
+Organization.hasMany(PayrollRun, { foreignKey: 'organization_id', as: 'payrollRuns' });
+PayrollRun.belongsTo(Organization, { foreignKey: 'organization_id' });
+PayrollRun.hasMany(Payslip, { foreignKey: 'run_id', as: 'payslips' });
+Payslip.belongsTo(PayrollRun, { foreignKey: 'run_id', as: 'run' });
+User.hasMany(Payslip, { foreignKey: 'user_id', as: 'payslips' });
+Payslip.belongsTo(User, { foreignKey: 'user_id', as: 'employee' });
+
+User.hasMany(PayrollArrear, { foreignKey: 'user_id', as: 'arrears' });
+PayrollArrear.belongsTo(User, { foreignKey: 'user_id', as: 'employee' });
+PayrollArrear.belongsTo(Organization, { foreignKey: 'organization_id' });
+
+Organization.hasMany(ExpenseCategory, { foreignKey: 'organization_id', as: 'expenseCategories' });
+ExpenseCategory.belongsTo(Organization, { foreignKey: 'organization_id' });
+User.hasMany(ExpenseClaim, { foreignKey: 'user_id', as: 'expenseClaims' });
+ExpenseClaim.belongsTo(User, { foreignKey: 'user_id', as: 'employee' });
+ExpenseClaim.belongsTo(User, { foreignKey: 'manager_id', as: 'manager' });
+ExpenseClaim.belongsTo(Organization, { foreignKey: 'organization_id' });
+ExpenseClaim.hasMany(ExpenseClaimItem, { foreignKey: 'claim_id', as: 'items' });
+ExpenseClaimItem.belongsTo(ExpenseClaim, { foreignKey: 'claim_id', as: 'claim' });
+ExpenseClaimItem.belongsTo(ExpenseCategory, { foreignKey: 'category_id', as: 'category' });
+
+User.hasMany(TaxDeclaration, { foreignKey: 'user_id', as: 'taxDeclarations' });
+TaxDeclaration.belongsTo(User, { foreignKey: 'user_id', as: 'employee' });
+TaxDeclaration.belongsTo(Organization, { foreignKey: 'organization_id' });
+
+AuthSession.belongsTo(Organization, { foreignKey: 'organization_id' });
+AuthSession.hasMany(RefreshToken, { foreignKey: 'session_id', as: 'refreshTokens' });
+RefreshToken.belongsTo(AuthSession, { foreignKey: 'session_id', as: 'session' });
+
+Organization.hasOne(SsoConfiguration, { foreignKey: 'organization_id', as: 'ssoConfiguration' });
+SsoConfiguration.belongsTo(Organization, { foreignKey: 'organization_id' });
+
+Organization.hasMany(ApiKey, { foreignKey: 'organization_id', as: 'apiKeys' });
+ApiKey.belongsTo(Organization, { foreignKey: 'organization_id' });
+
+Organization.hasMany(AuditLog, { foreignKey: 'organization_id', as: 'auditLogs' });
+AuditLog.belongsTo(Organization, { foreignKey: 'organization_id' });
+
+Organization.hasMany(EmployeeInvitation, { foreignKey: 'organization_id', as: 'invitations' });
+EmployeeInvitation.belongsTo(Organization, { foreignKey: 'organization_id' });
+User.hasMany(EmployeeInvitation, { foreignKey: 'user_id', as: 'invitations' });
+EmployeeInvitation.belongsTo(User, { foreignKey: 'user_id', as: 'employee' });
+
+TwoFactorCredential.hasMany(TwoFactorRecoveryCode, { foreignKey: 'credential_id', as: 'recoveryCodes' });
+TwoFactorRecoveryCode.belongsTo(TwoFactorCredential, { foreignKey: 'credential_id', as: 'credential' });
+
 export {
   Organization,
   User,
   LeaveBalance,
+  LeaveType,
+  LeaveRequest,
+  LeaveLedgerEntry,
+  Holiday,
   CompanyPolicy,
+  SalaryStructure,
+  SalaryRevision,
   PayrollData,
+  PayrollRun,
+  Payslip,
+  PayrollArrear,
+  TaxDeclaration,
+  ExpenseCategory,
+  ExpenseClaim,
+  ExpenseClaimItem,
+  AuthSession,
+  RefreshToken,
+  PasswordResetToken,
+  EmployeeInvitation,
+  PasswordHistory,
+  LoginEvent,
+  AuditLog,
+  TwoFactorCredential,
+  TwoFactorRecoveryCode,
+  SsoConfiguration,
+  SsoLoginState,
+  ApiKey,
   ChatLog,
   sequelize
 };
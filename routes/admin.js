@@ -1,32 +1,78 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import { authenticateOrganization } from '../middleware/auth.js';
-import { User, Organization, CompanyPolicy, PayrollData } from '../models/index.js';
+import fs from 'fs';
+import path from 'path';
+import { Op } from 'sequelize';
+import { body, query, validationResult } from 'express-validator';
+import { authorize } from '../middleware/auth.js';
+import { User, Organization, CompanyPolicy, PayrollData, sequelize } from '../models/index.js';
+import leaveService from '../services/leaveService.js';
+import leaveAccrualService from '../services/leaveAccrualService.js';
+import leaveLedgerService from '../services/leaveLedgerService.js';
+import leaveTypeService from '../services/leaveTypeService.js';
+import holidayService from '../services/holidayService.js';
+import excelService from '../services/excelService.js';
+import salaryStructureService from '../services/salaryStructureService.js';
+import salaryRevisionService from '../services/salaryRevisionService.js';
+import expenseService from '../services/expenseService.js';
+import accessControlService from '../services/accessControlService.js';
+import loginProtectionService from '../services/loginProtectionService.js';
+import passwordPolicyService from '../services/passwordPolicyService.js';
+import invitationService from '../services/invitationService.js';
+import ssoService from '../services/ssoService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import auditService from '../services/auditService.js';
+import { excelUpload } from '../middleware/upload.js';
+import { ACCRUAL_FREQUENCIES } from '../config/leavePolicy.js';
+import { REVISION_REASONS } from '../config/salaryStructure.js';
+import { STATE_CODES } from '../config/statutoryRules.js';
+import { PASSWORD_POLICY_LIMITS } from '../config/passwordPolicy.js';
+import { JIT_ROLES } from '../config/sso.js';
+import { ServiceError } from '../utils/errors.js';
+import { toDateOnly, today } from '../utils/dateUtils.js';
 
 const router = express.Router();
 
+// Fields PUT /employees/:userId accepts
+const EMPLOYEE_UPDATE_FIELDS = [
+  'first_name', 'last_name', 'email', 'role', 'manager_id', 'department', 'location', 'work_state'
+];
+
 // Get All Employees
-router.get('/employees', authenticateOrganization, async (req, res) => {
+router.get('/employees', authorize('view_team'), async (req, res) => {
   try {
     const organization = req.organization;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
 
+    const where = { organization_id: organization.organization_id };
+    // Managers only see their reporting tree
+    if (req.teamUserIds) {
+      where.user_id = { [Op.in]: req.teamUserIds };
+    }
+
+    const include = [
+      {
+        model: User,
+        as: 'manager',
+        attributes: ['first_name', 'last_name', 'email']
+      }
+    ];
+    // Salaries are only shown to callers who can view payroll
+    const canViewPayroll = req.apiKey
+      ? apiKeyService.hasScopeFor(req.apiKey, 'view_payroll')
+      : !req.user || accessControlService.hasPermission(req.user.role, 'view_payroll');
+    if (canViewPayroll) {
+      include.push({
+        model: PayrollData,
+        as: 'payroll',
+        attributes: ['base_salary', 'ctc']
+      });
+    }
+
     const employees = await User.findAndCountAll({
-      where: { organization_id: organization.organization_id },
-      include: [
-        {
-          model: User,
-          as: 'manager',
-          attributes: ['first_name', 'last_name', 'email']
-        },
-        {
-          model: PayrollData,
-          as: 'payroll',
-          attributes: ['base_salary', 'ctc']
-        }
-      ],
+      where,
+      include,
       order: [['createdAt', 'DESC']],
       limit,
       offset
@@ -56,13 +102,15 @@ router.get('/employees', authenticateOrganization, async (req, res) => {
 });
 
 // Update Employee
-router.put('/employees/:userId', authenticateOrganization, [
+router.put('/employees/:userId', authorize('manage_employees'), [
   body('first_name').optional().notEmpty().trim(),
   body('last_name').optional().notEmpty().trim(),
   body('email').optional().isEmail().normalizeEmail(),
   body('role').optional().isIn(['Employee', 'Manager', 'Admin']),
   body('department').optional().notEmpty().trim(),
   body('location').optional().notEmpty().trim(),
+  body('work_state').optional({ values: 'null' }).isIn(STATE_CODES),
+  body('manager_id').optional({ values: 'null' }).isString().trim(),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -76,7 +124,13 @@ router.put('/employees/:userId', authenticateOrganization, [
 
     const organization = req.organization;
     const { userId } = req.params;
-    const updateData = req.body;
+
+    // Only these fields can be changed here; passwords, status and lockout
+    // fields have their own routes
+    const updateData = {};
+    for (const field of EMPLOYEE_UPDATE_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
 
     const user = await User.findOne({
       where: { 
@@ -92,7 +146,42 @@ router.put('/employees/:userId', authenticateOrganization, [
       });
     }
 
-    await user.update(updateData);
+    accessControlService.ensureCanAssignRole(auditService.fromRequest(req).actor, updateData.role, user);
+
+    if (updateData.manager_id) {
+      const manager = await User.findOne({
+        where: { user_id: updateData.manager_id, organization_id: organization.organization_id, is_active: true }
+      });
+      if (!manager || manager.user_id === user.user_id) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Manager must be another active employee of the organization' 
+        });
+      }
+    }
+
+    if (updateData.email && updateData.email !== user.email
+      && await User.count({ where: { email: updateData.email } })) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Email is already in use' 
+      });
+    }
+
+    const before = auditService.employeeSnapshot(user);
+    await sequelize.transaction(async (transaction) => {
+      await user.update(updateData, { transaction });
+
+      const changes = auditService.diff(before, auditService.employeeSnapshot(user));
+      if (changes) {
+        await auditService.record(organization.organization_id, {
+          action: 'employee.update',
+          entityType: 'employee',
+          entityId: user.user_id,
+          changes
+        }, auditService.fromRequest(req), transaction);
+      }
+    });
 
     res.json({
       success: true,
@@ -102,6 +191,12 @@ router.put('/employees/:userId', authenticateOrganization, [
 
   } catch (error) {
     console.error('Update employee error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
     res.status(500).json({ 
       success: false, 
       message: 'Internal server error' 
@@ -109,11 +204,23 @@ router.put('/employees/:userId', authenticateOrganization, [
   }
 });
 
-// Deactivate Employee
-router.patch('/employees/:userId/deactivate', authenticateOrganization, async (req, res) => {
+// Deactivate Employee (date_of_exit, the last working day, defaults to today)
+router.patch('/employees/:userId/deactivate', authorize('manage_employees'), [
+  body('date_of_exit').optional().isDate(),
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
     const organization = req.organization;
     const { userId } = req.params;
+    const dateOfExit = req.body.date_of_exit || toDateOnly(today());
 
     const user = await User.findOne({
       where: { 
@@ -129,7 +236,24 @@ router.patch('/employees/:userId/deactivate', authenticateOrganization, async (r
       });
     }
 
-    await user.update({ is_active: false });
+    if (dateOfExit < user.date_of_joining || dateOfExit > toDateOnly(today())) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Exit date must be between the joining date and today' 
+      });
+    }
+
+    const before = auditService.employeeSnapshot(user);
+    await sequelize.transaction(async (transaction) => {
+      await user.update({ is_active: false, date_of_exit: dateOfExit }, { transaction });
+
+      await auditService.record(organization.organization_id, {
+        action: 'employee.deactivate',
+        entityType: 'employee',
+        entityId: user.user_id,
+        changes: auditService.diff(before, auditService.employeeSnapshot(user))
+      }, auditService.fromRequest(req), transaction);
+    });
 
     res.json({
       success: true,
@@ -145,8 +269,335 @@ router.patch('/employees/:userId/deactivate', authenticateOrganization, async (r
   }
 });
 
+// Unlock Employee Login (clears failed attempts and any lockout)
+router.patch('/employees/:userId/unlock', authorize('manage_employees'), async (req, res) => {
+  try {
+    const user = await loginProtectionService.unlockEmployee(
+      req.organization.organization_id,
+      req.params.userId,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Employee account unlocked successfully',
+      data: {
+        user_id: user.user_id,
+        failed_login_attempts: user.failed_login_attempts,
+        locked_until: user.locked_until
+      }
+    });
+
+  } catch (error) {
+    console.error('Unlock employee error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get Login Events (employees and the organization admin account)
+router.get('/login-events', authorize('manage_employees'), [
+  query('user_id').optional().trim(),
+  query('email').optional().isEmail().normalizeEmail(),
+  query('outcome').optional().isIn(['success', 'failure', 'challenged']),
+  query('method').optional().isIn(['password', 'sso']),
+  query('from').optional().isDate(),
+  query('to').optional().isDate(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const events = await loginProtectionService.getOrganizationEvents(req.organization.organization_id, {
+      userId: req.query.user_id,
+      email: req.query.email,
+      outcome: req.query.outcome,
+      method: req.query.method,
+      from: req.query.from,
+      to: req.query.to,
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      message: 'Login events retrieved successfully',
+      data: events
+    });
+
+  } catch (error) {
+    console.error('Get login events error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Filters shared by the audit log search and export
+const auditLogValidators = () => [
+  query('action').optional().matches(/^[a-z_.]+$/),
+  query('actor_type').optional().isIn(['organization', 'employee', 'api_key', 'system']),
+  query('actor_id').optional().trim(),
+  query('entity_type').optional().trim(),
+  query('entity_id').optional().trim(),
+  query('request_id').optional().trim(),
+  query('from').optional().isDate(),
+  query('to').optional().isDate(),
+];
+
+const auditLogFilters = (query) => ({
+  action: query.action,
+  actorType: query.actor_type,
+  actorId: query.actor_id,
+  entityType: query.entity_type,
+  entityId: query.entity_id,
+  requestId: query.request_id,
+  from: query.from,
+  to: query.to
+});
+
+// Get Audit Logs (newest first; an action ending in a dot matches a prefix, e.g. employee.)
+router.get('/audit-logs', authorize('view_audit_log'), [
+  ...auditLogValidators(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const logs = await auditService.getLogs(req.organization.organization_id, {
+      ...auditLogFilters(req.query),
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      message: 'Audit logs retrieved successfully',
+      data: logs
+    });
+
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Export Audit Logs (XLSX, oldest first, same filters as the search)
+router.get('/audit-logs/export', authorize('view_audit_log'), auditLogValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const filters = auditLogFilters(req.query);
+    const { workbook, count, truncated } = await auditService.buildWorkbook(req.organization.organization_id, filters);
+
+    await auditService.record(req.organization.organization_id, {
+      action: 'audit.export',
+      entityType: 'organization',
+      entityId: req.organization.organization_id,
+      metadata: { filters, rows: count, truncated }
+    }, auditService.fromRequest(req));
+
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    await workbook.xlsx.write(res);
+    res.end();
+
+  } catch (error) {
+    console.error('Export audit logs error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Verify Audit Log Chain (detects edited, reordered or deleted entries)
+router.get('/audit-logs/verify', authorize('view_audit_log'), async (req, res) => {
+  try {
+    const result = await auditService.verifyChain(req.organization.organization_id);
+
+    res.json({
+      success: true,
+      message: result.valid ? 'Audit log chain is intact' : 'Audit log chain has been tampered with',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Verify audit logs error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get Employee Invitations
+router.get('/invitations', authorize('manage_employees'), [
+  query('status').optional().isIn(['pending', 'expired', 'accepted', 'revoked', 'all']),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const invitations = await invitationService.listInvitations(req.organization.organization_id, {
+      status: req.query.status,
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitations retrieved successfully',
+      data: invitations
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Invite Employee (for employees who have not activated their account yet)
+router.post('/employees/:userId/invitations', authorize('manage_employees'), async (req, res) => {
+  try {
+    const invitation = await invitationService.invite(
+      req.organization.organization_id,
+      req.params.userId,
+      req.actor
+    );
+
+    res.status(201).json({
+      success: true,
+      message: invitation.email_sent
+        ? 'Invitation sent successfully'
+        : 'Invitation created, but the email could not be sent',
+      data: invitationService.toResponse(invitation)
+    });
+
+  } catch (error) {
+    console.error('Invite employee error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Resend Invitation (new link and expiry; earlier links stop working)
+router.post('/invitations/:invitationId/resend', authorize('manage_employees'), async (req, res) => {
+  try {
+    const invitation = await invitationService.resend(
+      req.organization.organization_id,
+      req.params.invitationId
+    );
+
+    res.json({
+      success: true,
+      message: invitation.email_sent
+        ? 'Invitation resent successfully'
+        : 'Invitation renewed, but the email could not be sent',
+      data: invitationService.toResponse(invitation)
+    });
+
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Revoke Invitation
+router.patch('/invitations/:invitationId/revoke', authorize('manage_employees'), async (req, res) => {
+  try {
+    const invitation = await invitationService.revoke(
+      req.organization.organization_id,
+      req.params.invitationId
+    );
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: invitationService.toResponse(invitation)
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
 // Add Company Policy
-router.post('/policies', authenticateOrganization, [
+router.post('/policies', authorize('manage_policies'), [
   body('policy_title').notEmpty().trim(),
   body('policy_category').notEmpty().trim(),
   body('policy_content').notEmpty().trim(),
@@ -165,13 +616,24 @@ router.post('/policies', authenticateOrganization, [
     const organization = req.organization;
     const { policy_title, policy_category, policy_content, keywords } = req.body;
 
-    const policy = await CompanyPolicy.create({
-      organization_id: organization.organization_id,
-      policy_title,
-      policy_category,
-      policy_content,
-      keywords,
-      last_reviewed: new Date()
+    const policy = await sequelize.transaction(async (transaction) => {
+      const policy = await CompanyPolicy.create({
+        organization_id: organization.organization_id,
+        policy_title,
+        policy_category,
+        policy_content,
+        keywords,
+        last_reviewed: new Date()
+      }, { transaction });
+
+      await auditService.record(organization.organization_id, {
+        action: 'policy.create',
+        entityType: 'company_policy',
+        entityId: policy.policy_id,
+        changes: auditService.diff(null, { policy_title, policy_category, policy_content, keywords })
+      }, auditService.fromRequest(req), transaction);
+
+      return policy;
     });
 
     res.status(201).json({
@@ -190,7 +652,7 @@ router.post('/policies', authenticateOrganization, [
 });
 
 // Get All Policies
-router.get('/policies', authenticateOrganization, async (req, res) => {
+router.get('/policies', authorize('manage_policies'), async (req, res) => {
   try {
     const organization = req.organization;
 
@@ -214,4 +676,1485 @@ router.get('/policies', authenticateOrganization, async (req, res) => {
   }
 });
 
+// Leave type field validation shared by create and update
+const leaveTypeValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').notEmpty().trim().isLength({ max: 50 }),
+    field('code').notEmpty().trim().isLength({ max: 20 }),
+    body('aliases').optional().trim(),
+    field('annual_quota').isFloat({ min: 0 }).toFloat(),
+    field('accrual_frequency').isIn(ACCRUAL_FREQUENCIES),
+    body('carry_forward_cap').optional().isFloat({ min: 0 }).toFloat(),
+    body('max_consecutive_days').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('requires_document').optional().isBoolean().toBoolean(),
+    body('allow_negative').optional().isBoolean().toBoolean(),
+    body('is_paid').optional().isBoolean().toBoolean(),
+    body('is_active').optional().isBoolean().toBoolean(),
+  ];
+};
+
+const leaveTypeFields = [
+  'name', 'code', 'aliases', 'annual_quota', 'accrual_frequency', 'carry_forward_cap',
+  'max_consecutive_days', 'requires_document', 'allow_negative', 'is_paid', 'is_active'
+];
+
+const pickLeaveTypeFields = (source) => Object.fromEntries(
+  leaveTypeFields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Update Leave Settings
+router.patch('/leave-settings', authorize('manage_policies'), [
+  body('min_team_availability').isInt({ min: 0, max: 100 }).toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const organization = req.organization;
+    const before = auditService.snapshot(organization, ['min_team_availability']);
+    await sequelize.transaction(async (transaction) => {
+      await organization.update({ min_team_availability: req.body.min_team_availability }, { transaction });
+
+      await auditService.record(organization.organization_id, {
+        action: 'settings.leave.update',
+        entityType: 'organization',
+        entityId: organization.organization_id,
+        changes: auditService.diff(before, auditService.snapshot(organization, ['min_team_availability']))
+      }, auditService.fromRequest(req), transaction);
+    });
+
+    res.json({
+      success: true,
+      message: 'Leave settings updated successfully',
+      data: {
+        min_team_availability: organization.min_team_availability
+      }
+    });
+
+  } catch (error) {
+    console.error('Update leave settings error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Update Security Settings
+router.patch('/security-settings', authorize('manage_policies', { allowApiKey: false }), [
+  body('require_admin_two_factor').isBoolean().toBoolean(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    // Admin-role employees without two-factor authentication are asked to
+    // set it up at their next login
+    const organization = req.organization;
+    const before = auditService.snapshot(organization, ['require_admin_two_factor']);
+    await sequelize.transaction(async (transaction) => {
+      await organization.update({ require_admin_two_factor: req.body.require_admin_two_factor }, { transaction });
+
+      await auditService.record(organization.organization_id, {
+        action: 'settings.security.update',
+        entityType: 'organization',
+        entityId: organization.organization_id,
+        changes: auditService.diff(before, auditService.snapshot(organization, ['require_admin_two_factor']))
+      }, auditService.fromRequest(req), transaction);
+    });
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully',
+      data: {
+        require_admin_two_factor: organization.require_admin_two_factor
+      }
+    });
+
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get Password Policy
+router.get('/password-policy', authorize('manage_policies', { allowApiKey: false }), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Password policy retrieved successfully',
+      data: passwordPolicyService.getPolicy(req.organization)
+    });
+
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Update Password Policy (applies to the next password change; expiry applies immediately)
+router.patch('/password-policy', authorize('manage_policies', { allowApiKey: false }), [
+  body('min_length').optional().isInt(PASSWORD_POLICY_LIMITS.min_length).toInt(),
+  body('require_uppercase').optional().isBoolean().toBoolean(),
+  body('require_lowercase').optional().isBoolean().toBoolean(),
+  body('require_number').optional().isBoolean().toBoolean(),
+  body('require_symbol').optional().isBoolean().toBoolean(),
+  body('history_count').optional().isInt(PASSWORD_POLICY_LIMITS.history_count).toInt(),
+  body('expiry_days').optional().isInt(PASSWORD_POLICY_LIMITS.expiry_days).toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const policy = await passwordPolicyService.updatePolicy(req.organization, req.body, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'Password policy updated successfully',
+      data: policy
+    });
+
+  } catch (error) {
+    console.error('Update password policy error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get Single Sign-On Configuration
+router.get('/sso', authorize('manage_policies', { allowApiKey: false }), async (req, res) => {
+  try {
+    const config = await ssoService.getConfiguration(req.organization.organization_id);
+
+    res.json({
+      success: true,
+      message: 'SSO configuration retrieved successfully',
+      data: ssoService.toResponse(config)
+    });
+
+  } catch (error) {
+    console.error('Get SSO configuration error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Save Single Sign-On Configuration (the issuer's discovery document is checked first)
+router.put('/sso', authorize('manage_policies', { allowApiKey: false }), [
+  body('issuer').optional().isURL({ require_tld: false, require_protocol: true }),
+  body('client_id').optional().trim().notEmpty(),
+  body('client_secret').optional({ nullable: true }).isString(),
+  body('scopes').optional().matches(/(^|\s)openid(\s|$)/).withMessage('scopes must include openid'),
+  body('claim_mappings').optional().isObject(),
+  body('claim_mappings.*').optional().isString().notEmpty(),
+  body('jit_provisioning').optional().isBoolean().toBoolean(),
+  body('jit_allowed_domains').optional({ nullable: true }).isString(),
+  body('jit_default_role').optional().isIn(JIT_ROLES),
+  body('is_enabled').optional().isBoolean().toBoolean(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const config = await ssoService.saveConfiguration(
+      req.organization.organization_id,
+      req.body,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'SSO configuration saved successfully',
+      data: ssoService.toResponse(config)
+    });
+
+  } catch (error) {
+    console.error('Save SSO configuration error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Delete Single Sign-On Configuration (employees fall back to password login)
+router.delete('/sso', authorize('manage_policies', { allowApiKey: false }), async (req, res) => {
+  try {
+    await ssoService.deleteConfiguration(req.organization.organization_id, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'SSO configuration deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete SSO configuration error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get Leave Types
+router.get('/leave-types', authorize('manage_policies'), async (req, res) => {
+  try {
+    const leaveTypes = await leaveTypeService.getLeaveTypes(req.organization.organization_id, {
+      includeInactive: req.query.include_inactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: 'Leave types retrieved successfully',
+      data: leaveTypes
+    });
+
+  } catch (error) {
+    console.error('Get leave types error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Create Leave Type
+router.post('/leave-types', authorize('manage_policies'), leaveTypeValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const leaveType = await leaveTypeService.createLeaveType(
+      req.organization.organization_id,
+      pickLeaveTypeFields(req.body),
+      auditService.fromRequest(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave type created successfully',
+      data: leaveType
+    });
+
+  } catch (error) {
+    console.error('Create leave type error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Update Leave Type
+router.put('/leave-types/:leaveTypeId', authorize('manage_policies'), leaveTypeValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const leaveType = await leaveTypeService.updateLeaveType(
+      req.organization.organization_id,
+      req.params.leaveTypeId,
+      pickLeaveTypeFields(req.body),
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Leave type updated successfully',
+      data: leaveType
+    });
+
+  } catch (error) {
+    console.error('Update leave type error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'A leave type with this name or code already exists' 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Deactivate Leave Type
+router.delete('/leave-types/:leaveTypeId', authorize('manage_policies'), async (req, res) => {
+  try {
+    await leaveTypeService.deactivateLeaveType(
+      req.organization.organization_id,
+      req.params.leaveTypeId,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Leave type deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Deactivate leave type error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get Holidays
+router.get('/holidays', authorize('manage_policies'), async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+
+    const holidays = await holidayService.getHolidays(req.organization.organization_id, {
+      from: new Date(year, 0, 1),
+      to: new Date(year, 11, 31),
+      location: req.query.location,
+      allLocations: !req.query.location
+    });
+
+    res.json({
+      success: true,
+      message: 'Holidays retrieved successfully',
+      data: holidays
+    });
+
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Add Holiday
+router.post('/holidays', authorize('manage_policies'), [
+  body('name').notEmpty().trim().isLength({ max: 255 }),
+  body('holiday_date').isDate(),
+  body('location').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+  body('is_optional').optional().isBoolean().toBoolean(),
+  body('description').optional().trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { name, holiday_date, location, is_optional, description } = req.body;
+    const holiday = await holidayService.createHoliday(req.organization.organization_id, {
+      name,
+      holiday_date,
+      location,
+      is_optional,
+      description
+    }, auditService.fromRequest(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday created successfully',
+      data: holiday
+    });
+
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Import Holidays from Excel
+router.post('/holidays/import', authorize('manage_policies'), excelUpload.single('excelFile'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Excel file is required' 
+      });
+    }
+
+    const result = await excelService.processHolidayExcel(
+      req.file.path,
+      req.organization.organization_id,
+      auditService.fromRequest(req),
+      req.file.originalname
+    );
+
+    // Clean up uploaded file
+    fs.unlinkSync(req.file.path);
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Holiday import error:', error);
+
+    // Clean up uploaded file on error
+    if (req.file) {
+      try {
+        fs.unlinkSync(req.file.path);
+      } catch (cleanupError) {
+        console.error('File cleanup error:', cleanupError);
+      }
+    }
+
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to import holidays' 
+    });
+  }
+});
+
+// Update Holiday
+router.put('/holidays/:holidayId', authorize('manage_policies'), [
+  body('name').optional().notEmpty().trim().isLength({ max: 255 }),
+  body('holiday_date').optional().isDate(),
+  body('location').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+  body('is_optional').optional().isBoolean().toBoolean(),
+  body('description').optional().trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const updateData = {};
+    ['name', 'holiday_date', 'location', 'is_optional', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    const holiday = await holidayService.updateHoliday(
+      req.organization.organization_id,
+      req.params.holidayId,
+      updateData,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Holiday updated successfully',
+      data: holiday
+    });
+
+  } catch (error) {
+    console.error('Update holiday error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Delete Holiday
+router.delete('/holidays/:holidayId', authorize('manage_policies'), async (req, res) => {
+  try {
+    await holidayService.deleteHoliday(
+      req.organization.organization_id,
+      req.params.holidayId,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Holiday deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Run Leave Accrual for a Month
+router.post('/leave-accruals/run', authorize('manage_policies'), [
+  body('period').matches(/^\d{4}-\d{2}$/).withMessage('Period must be in YYYY-MM format'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const summary = await leaveAccrualService.runAccrual(
+      req.organization.organization_id,
+      req.body.period,
+      { actor: req.actor }
+    );
+
+    res.json({
+      success: true,
+      message: 'Leave accrual completed successfully',
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Leave accrual error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Run Year-End Carry Forward and Lapse
+router.post('/leave-accruals/year-end', authorize('manage_policies'), [
+  body('year').isInt({ min: 2000 }).toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const summary = await leaveAccrualService.runYearEnd(
+      req.organization.organization_id,
+      req.body.year,
+      { actor: req.actor }
+    );
+
+    res.json({
+      success: true,
+      message: 'Year-end leave processing completed successfully',
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Year-end leave processing error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get Leave Accrual History
+router.get('/leave-accruals', authorize('manage_policies'), async (req, res) => {
+  try {
+    const history = await leaveAccrualService.getHistory(req.organization.organization_id, {
+      userId: req.query.user_id,
+      period: req.query.period
+    });
+
+    res.json({
+      success: true,
+      message: 'Leave accrual history retrieved successfully',
+      data: history
+    });
+
+  } catch (error) {
+    console.error('Get leave accruals error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get Employee Leave Ledger
+router.get('/employees/:userId/leave-ledger', authorize('view_team'), async (req, res) => {
+  try {
+    const organizationId = req.organization.organization_id;
+    accessControlService.ensureCanAccessEmployee(req.teamUserIds, req.params.userId);
+    await leaveService.findEmployee(organizationId, req.params.userId);
+
+    const entries = await leaveLedgerService.getLedger(organizationId, {
+      userId: req.params.userId,
+      leaveType: req.query.leave_type,
+      entryTypes: req.query.entry_type ? String(req.query.entry_type).split(',') : undefined,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.json({
+      success: true,
+      message: 'Leave ledger retrieved successfully',
+      data: entries
+    });
+
+  } catch (error) {
+    console.error('Get leave ledger error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Adjust Employee Leave Balance
+router.post('/employees/:userId/leave-ledger/adjustments', authorize('manage_employees'), [
+  body('leave_type').notEmpty().trim(),
+  body('days').isFloat().toFloat(),
+  body('reason').notEmpty().trim().isLength({ max: 500 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { entry, balance } = await leaveService.adjustBalance(
+      req.organization.organization_id,
+      req.params.userId,
+      req.body.leave_type,
+      req.body.days,
+      req.body.reason,
+      req.actor,
+      auditService.fromRequest(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave balance adjusted successfully',
+      data: {
+        entry,
+        remaining_balance: leaveService.getRemainingDays(balance)
+      }
+    });
+
+  } catch (error) {
+    console.error('Adjust leave balance error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Encash Employee Leave
+router.post('/employees/:userId/leave-ledger/encashments', authorize('manage_employees'), [
+  body('leave_type').notEmpty().trim(),
+  body('days').isFloat({ gt: 0 }).toFloat(),
+  body('reason').optional().trim().isLength({ max: 500 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { entry, balance } = await leaveService.encashLeave(
+      req.organization.organization_id,
+      req.params.userId,
+      req.body.leave_type,
+      req.body.days,
+      req.body.reason,
+      req.actor,
+      auditService.fromRequest(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave encashed successfully',
+      data: {
+        entry,
+        remaining_balance: leaveService.getRemainingDays(balance)
+      }
+    });
+
+  } catch (error) {
+    console.error('Encash leave error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Rebuild Employee Leave Balances from the Ledger
+router.post('/employees/:userId/leave-balances/rebuild', authorize('manage_employees'), async (req, res) => {
+  try {
+    const organizationId = req.organization.organization_id;
+    await leaveService.findEmployee(organizationId, req.params.userId);
+
+    const balances = await leaveLedgerService.rebuildBalances(req.params.userId, organizationId);
+
+    res.json({
+      success: true,
+      message: 'Leave balances rebuilt from ledger',
+      data: balances
+    });
+
+  } catch (error) {
+    console.error('Rebuild leave balances error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Salary structure field validation shared by create and update
+const salaryStructureValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').notEmpty().trim().isLength({ max: 100 }),
+    body('description').optional({ values: 'null' }).trim(),
+    field('components').isArray({ min: 1 }),
+    body('is_default').optional().isBoolean().toBoolean(),
+  ];
+};
+
+const salaryStructureFields = ['name', 'description', 'components', 'is_default'];
+
+const pickSalaryStructureFields = (source) => Object.fromEntries(
+  salaryStructureFields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Get Salary Structures
+router.get('/salary-structures', authorize('view_payroll'), async (req, res) => {
+  try {
+    const structures = await salaryStructureService.getStructures(req.organization.organization_id, {
+      includeInactive: req.query.include_inactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: 'Salary structures retrieved successfully',
+      data: structures
+    });
+
+  } catch (error) {
+    console.error('Get salary structures error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Create Salary Structure
+router.post('/salary-structures', authorize('manage_payroll'), salaryStructureValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const structure = await salaryStructureService.createStructure(
+      req.organization.organization_id,
+      pickSalaryStructureFields(req.body),
+      auditService.fromRequest(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Salary structure created successfully',
+      data: structure
+    });
+
+  } catch (error) {
+    console.error('Create salary structure error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message, 
+        ...error.details 
+      });
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'A salary structure with this name already exists' 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Update Salary Structure (revises the salaries of employees on it)
+router.put('/salary-structures/:structureId', authorize('manage_payroll'), salaryStructureValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const result = await salaryRevisionService.updateStructure(
+      req.organization.organization_id,
+      req.params.structureId,
+      pickSalaryStructureFields(req.body),
+      req.actor,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: `Salary structure updated; ${result.employees_updated} employee salaries revised`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Update salary structure error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message, 
+        ...error.details 
+      });
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'A salary structure with this name already exists' 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Deactivate Salary Structure
+router.delete('/salary-structures/:structureId', authorize('manage_payroll'), async (req, res) => {
+  try {
+    await salaryStructureService.deactivateStructure(
+      req.organization.organization_id,
+      req.params.structureId,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Salary structure deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Deactivate salary structure error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Preview Salary Structure for a Sample CTC
+router.post('/salary-structures/:structureId/preview', authorize('view_payroll'), [
+  body('ctc').isFloat({ min: 0 }).toFloat(),
+  body('overrides').optional().isObject(),
+  body('work_state').optional().isIn(STATE_CODES),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const preview = await salaryStructureService.previewStructure(
+      req.organization.organization_id,
+      req.params.structureId,
+      req.body.ctc,
+      req.body.overrides,
+      req.body.work_state
+    );
+
+    res.json({
+      success: true,
+      message: 'Salary structure preview generated',
+      data: preview
+    });
+
+  } catch (error) {
+    console.error('Preview salary structure error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get Employee Salary Revisions
+router.get('/employees/:userId/salary-revisions', authorize('view_payroll'), async (req, res) => {
+  try {
+    const revisions = await salaryRevisionService.getHistory(
+      req.organization.organization_id,
+      req.params.userId
+    );
+
+    await auditService.record(req.organization.organization_id, {
+      action: 'payroll.salary_revisions.view',
+      entityType: 'employee',
+      entityId: req.params.userId
+    }, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'Salary revisions retrieved successfully',
+      data: revisions
+    });
+
+  } catch (error) {
+    console.error('Get salary revisions error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Revise Employee Salary (back-dated revisions raise arrears)
+router.post('/employees/:userId/salary-revisions', authorize('manage_payroll'), [
+  body('effective_date').isDate(),
+  body('reason').isIn(REVISION_REASONS),
+  body('approved_by').notEmpty().trim().isLength({ max: 100 }),
+  body('ctc').optional().isFloat({ min: 0 }).toFloat(),
+  body('structure_id').optional().isInt({ min: 1 }).toInt(),
+  body('base_salary').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('hra').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('notes').optional().trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { ctc, structure_id, base_salary, hra, effective_date, reason, approved_by, notes } = req.body;
+
+    // Sending either field replaces both overrides; omitted ones are cleared
+    const overrides = base_salary !== undefined || hra !== undefined
+      ? { BASIC: base_salary, HRA: hra }
+      : undefined;
+
+    const result = await salaryRevisionService.createRevision(
+      req.organization.organization_id,
+      req.params.userId,
+      { ctc, structure_id, overrides, effective_date, reason, approved_by, notes },
+      { actor: req.actor, context: auditService.fromRequest(req) }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: result.arrears.length
+        ? `Salary revised; arrears raised for ${result.arrears.length} month(s)`
+        : 'Salary revised successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Revise employee salary error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Expense category field validation shared by create and update
+const expenseCategoryValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').notEmpty().trim().isLength({ max: 50 }),
+    field('code').notEmpty().trim().isLength({ max: 20 }),
+    body('aliases').optional().trim(),
+    body('per_item_limit').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+    body('monthly_limit').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+    body('is_active').optional().isBoolean().toBoolean(),
+  ];
+};
+
+const expenseCategoryFields = ['name', 'code', 'aliases', 'per_item_limit', 'monthly_limit', 'is_active'];
+
+const pickExpenseCategoryFields = (source) => Object.fromEntries(
+  expenseCategoryFields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Get Expense Categories
+router.get('/expense-categories', authorize('manage_policies'), async (req, res) => {
+  try {
+    const categories = await expenseService.getCategories(req.organization.organization_id, {
+      includeInactive: req.query.include_inactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: 'Expense categories retrieved successfully',
+      data: categories
+    });
+
+  } catch (error) {
+    console.error('Get expense categories error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Create Expense Category
+router.post('/expense-categories', authorize('manage_policies'), expenseCategoryValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const category = await expenseService.createCategory(
+      req.organization.organization_id,
+      pickExpenseCategoryFields(req.body),
+      auditService.fromRequest(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense category created successfully',
+      data: category
+    });
+
+  } catch (error) {
+    console.error('Create expense category error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Update Expense Category
+router.put('/expense-categories/:categoryId', authorize('manage_policies'), expenseCategoryValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const category = await expenseService.updateCategory(
+      req.organization.organization_id,
+      req.params.categoryId,
+      pickExpenseCategoryFields(req.body),
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Expense category updated successfully',
+      data: category
+    });
+
+  } catch (error) {
+    console.error('Update expense category error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'An expense category with this name or code already exists' 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Deactivate Expense Category
+router.delete('/expense-categories/:categoryId', authorize('manage_policies'), async (req, res) => {
+  try {
+    await expenseService.deactivateCategory(
+      req.organization.organization_id,
+      req.params.categoryId,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Expense category deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Deactivate expense category error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get Expense Claims
+router.get('/expense-claims', authorize('view_payroll'), [
+  query('status').optional().isIn(['pending_manager', 'pending_admin', 'approved', 'reimbursed', 'rejected', 'cancelled']),
+  query('user_id').optional().isInt().toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const claims = await expenseService.getAdminClaims(req.organization.organization_id, {
+      status: req.query.status,
+      userId: req.query.user_id
+    });
+
+    res.json({
+      success: true,
+      message: 'Expense claims retrieved successfully',
+      data: claims
+    });
+
+  } catch (error) {
+    console.error('Get expense claims error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Approve Expense Claim (final step; paid with the next payroll run)
+router.patch('/expense-claims/:claimId/approve', authorize('manage_payroll'), [
+  body('comment').optional().trim().isLength({ max: 1000 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const claim = await expenseService.decideAsAdmin(
+      req.organization.organization_id,
+      req.params.claimId,
+      true,
+      req.body.comment,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Expense claim approved for reimbursement in the next payroll run',
+      data: claim
+    });
+
+  } catch (error) {
+    console.error('Approve expense claim error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Reject Expense Claim
+router.patch('/expense-claims/:claimId/reject', authorize('manage_payroll'), [
+  body('comment').optional().trim().isLength({ max: 1000 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const claim = await expenseService.decideAsAdmin(
+      req.organization.organization_id,
+      req.params.claimId,
+      false,
+      req.body.comment,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Expense claim rejected',
+      data: claim
+    });
+
+  } catch (error) {
+    console.error('Reject expense claim error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Download Expense Receipt
+router.get('/expense-claims/:claimId/items/:itemId/receipt', authorize('view_payroll'), async (req, res) => {
+  try {
+    const item = await expenseService.getReceipt(
+      req.organization.organization_id,
+      req.params.claimId,
+      req.params.itemId
+    );
+
+    res.download(path.resolve(item.receipt_path));
+
+  } catch (error) {
+    console.error('Download expense receipt error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
 export default router;
@@ -1,12 +1,85 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import { body, validationResult } from 'express-validator';
-import { User, Organization } from '../models/index.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { body, query, validationResult } from 'express-validator';
+import {
+  authenticateToken,
+  authenticateTokenForPasswordChange,
+  authenticateOrganizationSession,
+  authenticateTwoFactorSetup
+} from '../middleware/auth.js';
+import authTokenService from '../services/authTokenService.js';
+import passwordResetService from '../services/passwordResetService.js';
+import loginProtectionService from '../services/loginProtectionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import passwordPolicyService from '../services/passwordPolicyService.js';
+import invitationService from '../services/invitationService.js';
+import ssoService from '../services/ssoService.js';
+import { ServiceError } from '../utils/errors.js';
 
 const router = express.Router();
 
+const employeeProfile = (user) => ({
+  user_id: user.user_id,
+  name: `${user.first_name} ${user.last_name}`,
+  email: user.email,
+  role: user.role,
+  department: user.department,
+  organization: user.organization.org_name,
+  // Also true once the password has expired under the organization's policy
+  password_reset_required: passwordPolicyService.mustChangePassword(user)
+});
+
+const organizationProfile = (organization) => ({
+  organization_id: organization.organization_id,
+  org_name: organization.org_name,
+  subscription_plan: organization.subscription_plan,
+  admin_email: organization.admin_email
+});
+
+// Starts the session once every login step has passed
+const startSession = async (req, subjectType, account, authMethod = 'password') => {
+  const context = { ip: req.ip, userAgent: req.get('user-agent'), authMethod };
+
+  if (subjectType === 'employee') {
+    // Update last login
+    await account.update({ last_login: new Date() });
+
+    // Short-lived access token plus a refresh token for the new session
+    const tokens = await authTokenService.issueTokens({ type: 'employee', user: account }, context);
+    return { ...tokens, user: employeeProfile(account) };
+  }
+
+  const tokens = await authTokenService.issueTokens({ type: 'organization', organization: account }, context);
+  return { ...tokens, organization: organizationProfile(account) };
+};
+
+// Password accepted, but the login continues at /auth/2fa/verify (or at
+// two-factor setup when it is required and not set up yet)
+const sendChallenge = (res, challenge) => res.json({
+  success: true,
+  message: challenge.purpose === 'verify'
+    ? 'Two-factor authentication code required'
+    : 'Two-factor authentication must be set up before signing in',
+  data: {
+    two_factor_required: challenge.purpose === 'verify',
+    two_factor_setup_required: challenge.purpose === 'setup',
+    challenge_token: challenge.challenge_token,
+    expires_in: challenge.expires_in
+  }
+});
+
+// An authenticator code or, when the device is lost, a recovery code
+const secondFactorValidators = () => [
+  body('code').optional().trim().isLength({ min: 6, max: 6 }).isNumeric(),
+  body('recovery_code').optional().trim().notEmpty(),
+  body().custom(value => {
+    if (!value.code && !value.recovery_code) {
+      throw new Error('Either code or recovery_code is required');
+    }
+    return true;
+  }),
+];
+
 // Employee Login
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
@@ -23,67 +96,37 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const context = { ip: req.ip, userAgent: req.get('user-agent'), requestId: req.id };
 
-    // Find user
-    const user = await User.findOne({
-      where: { email, is_active: true },
-      include: [{
-        model: Organization,
-        as: 'organization',
-        attributes: ['org_name', 'subscription_plan', 'is_active']
-      }]
-    });
-
-    if (!user || !user.organization.is_active) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid credentials or inactive account' 
-      });
-    }
+    // Throttles repeated failures and records the attempt
+    const user = await loginProtectionService.authenticate('employee', email, password, context);
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
-    if (!isValidPassword) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid credentials' 
-      });
+    const challenge = await twoFactorService.createLoginChallenge('employee', user);
+    if (challenge) {
+      await loginProtectionService.recordEvent('employee', user, email, 'challenged', null, context);
+      return sendChallenge(res, challenge);
     }
 
-    // Update last login
-    await user.update({ last_login: new Date() });
-
-    // Generate JWT
-    const token = jwt.sign(
-      { 
-        user_id: user.user_id, 
-        organization_id: user.organization_id,
-        role: user.role,
-        type: 'employee'
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    await loginProtectionService.recordSuccess('employee', user, email, context);
 
     res.json({
       success: true,
       message: 'Login successful',
-      data: {
-        token,
-        user: {
-          user_id: user.user_id,
-          name: `${user.first_name} ${user.last_name}`,
-          email: user.email,
-          role: user.role,
-          department: user.department,
-          organization: user.organization.org_name,
-          password_reset_required: user.password_reset_required
-        }
-      }
+      data: await startSession(req, 'employee', user)
     });
 
   } catch (error) {
     console.error('Login error:', error);
+    if (error instanceof ServiceError) {
+      if (error.details) {
+        res.set('Retry-After', String(error.details.retry_after_seconds));
+      }
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message,
+        ...error.details
+      });
+    }
     res.status(500).json({ 
       success: false, 
       message: 'Internal server error' 
@@ -107,54 +150,337 @@ router.post('/organization/login', [
     }
 
     const { email, password } = req.body;
+    const context = { ip: req.ip, userAgent: req.get('user-agent'), requestId: req.id };
+
+    const organization = await loginProtectionService.authenticate('organization', email, password, context);
+
+    const challenge = await twoFactorService.createLoginChallenge('organization', organization);
+    if (challenge) {
+      await loginProtectionService.recordEvent('organization', organization, email, 'challenged', null, context);
+      return sendChallenge(res, challenge);
+    }
 
-    // Find organization
-    const organization = await Organization.findOne({
-      where: { admin_email: email, is_active: true }
+    await loginProtectionService.recordSuccess('organization', organization, email, context);
+
+    res.json({
+      success: true,
+      message: 'Organization login successful',
+      data: await startSession(req, 'organization', organization)
     });
 
-    if (!organization) {
-      return res.status(401).json({ 
+  } catch (error) {
+    console.error('Organization login error:', error);
+    if (error instanceof ServiceError) {
+      if (error.details) {
+        res.set('Retry-After', String(error.details.retry_after_seconds));
+      }
+      return res.status(error.statusCode).json({ 
         success: false, 
-        message: 'Invalid credentials' 
+        message: error.message,
+        ...error.details
       });
     }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, organization.admin_password);
-    if (!isValidPassword) {
-      return res.status(401).json({ 
+// Verify Two-Factor Code (second login step for employees and organizations)
+router.post('/2fa/verify', [
+  body('challenge_token').notEmpty().isString(),
+  ...secondFactorValidators(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'Invalid credentials' 
+        message: 'Validation failed', 
+        errors: errors.array() 
       });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { 
-        organization_id: organization.organization_id,
-        type: 'organization'
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
+    const { subjectType, account, authMethod } = await twoFactorService.completeLogin(
+      req.body.challenge_token,
+      { code: req.body.code, recovery_code: req.body.recovery_code },
+      { ip: req.ip, userAgent: req.get('user-agent'), requestId: req.id }
     );
 
     res.json({
       success: true,
-      message: 'Organization login successful',
-      data: {
-        token,
-        organization: {
-          organization_id: organization.organization_id,
-          org_name: organization.org_name,
-          subscription_plan: organization.subscription_plan,
-          admin_email: organization.admin_email
-        }
+      message: subjectType === 'employee' ? 'Login successful' : 'Organization login successful',
+      data: await startSession(req, subjectType, account, authMethod)
+    });
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    if (error instanceof ServiceError) {
+      if (error.details) {
+        res.set('Retry-After', String(error.details.retry_after_seconds));
       }
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message,
+        ...error.details
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Start Single Sign-On (employees; by organization_id or work email)
+router.get('/sso/login', [
+  query('organization_id').optional().isString(),
+  query('email').optional().isEmail().normalizeEmail(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    if (!req.query.organization_id && !req.query.email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'organization_id or email is required' 
+      });
+    }
+
+    const login = await ssoService.beginLogin({
+      organizationId: req.query.organization_id,
+      email: req.query.email
+    });
+
+    res.json({
+      success: true,
+      message: 'Redirect to the identity provider to sign in',
+      data: login
     });
 
   } catch (error) {
-    console.error('Organization login error:', error);
+    console.error('SSO login error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Single Sign-On Callback (the identity provider redirects here with a code;
+// continues at /auth/2fa/verify when two-factor authentication applies)
+router.get('/sso/callback', [
+  query('state').notEmpty().isString(),
+  query('code').optional().isString(),
+  query('error').optional().isString(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    if (req.query.error || !req.query.code) {
+      return res.status(401).json({ 
+        success: false, 
+        message: req.query.error_description || 'Sign-in was cancelled at the identity provider' 
+      });
+    }
+
+    const context = { ip: req.ip, userAgent: req.get('user-agent'), requestId: req.id, method: 'sso' };
+    const user = await ssoService.completeLogin({ code: req.query.code, state: req.query.state }, context);
+
+    // The same second factor as a password login; the identity provider's own
+    // MFA does not count towards the organization's two-factor policy
+    const challenge = await twoFactorService.createLoginChallenge('employee', user, 'sso');
+    if (challenge) {
+      await loginProtectionService.recordEvent('employee', user, user.email, 'challenged', null, context);
+      return sendChallenge(res, challenge);
+    }
+
+    await loginProtectionService.recordSuccess('employee', user, user.email, context);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await startSession(req, 'employee', user, 'sso')
+    });
+
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Refresh Access Token (employees and organizations; rotates the refresh token)
+router.post('/refresh', [
+  body('refresh_token').notEmpty().isString(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const tokens = await authTokenService.refresh(req.body.refresh_token, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Logout (ends the session the refresh token belongs to)
+router.post('/logout', [
+  body('refresh_token').notEmpty().isString(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    await authTokenService.revokeByRefreshToken(req.body.refresh_token);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Logout From All Devices
+router.post('/logout-all', authenticateTokenForPasswordChange, async (req, res) => {
+  try {
+    const count = await authTokenService.revokeAllSessions('employee', req.user.user_id);
+
+    res.json({
+      success: true,
+      message: `Logged out of ${count} session(s)`
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Organization Logout From All Devices
+router.post('/organization/logout-all', authenticateOrganizationSession, async (req, res) => {
+  try {
+    const count = await authTokenService.revokeAllSessions('organization', req.organization.organization_id);
+
+    res.json({
+      success: true,
+      message: `Logged out of ${count} session(s)`
+    });
+
+  } catch (error) {
+    console.error('Organization logout all error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get My Login History
+router.get('/login-history', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const history = await loginProtectionService.getEmployeeEvents(req.user, {
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      message: 'Login history retrieved successfully',
+      data: history
+    });
+
+  } catch (error) {
+    console.error('Get login history error:', error);
     res.status(500).json({ 
       success: false, 
       message: 'Internal server error' 
@@ -163,7 +489,7 @@ router.post('/organization/login', [
 });
 
 // Reset Password
-router.post('/reset-password', authenticateToken, [
+router.post('/reset-password', authenticateTokenForPasswordChange, [
   body('current_password').notEmpty().trim(),
   body('new_password').isLength({ min: 6 }).trim(),
 ], async (req, res) => {
@@ -189,13 +515,14 @@ router.post('/reset-password', authenticateToken, [
       });
     }
 
-    // Hash new password
-    const hashedPassword = await bcrypt.hash(new_password, 10);
+    // Checks the organization's password policy and reuse history
+    await passwordPolicyService.setPassword('employee', user, new_password, {
+      organization: user.organization
+    });
 
-    // Update password
-    await user.update({ 
-      password_hash: hashedPassword,
-      password_reset_required: false
+    // Sign out every other device
+    await authTokenService.revokeAllSessions('employee', user.user_id, 'password_changed', {
+      exceptSessionId: req.sessionId
     });
 
     res.json({
@@ -205,6 +532,567 @@ router.post('/reset-password', authenticateToken, [
 
   } catch (error) {
     console.error('Reset password error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message,
+        ...error.details
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get Invitation Details (for the account activation page)
+router.get('/activate', [
+  query('token').notEmpty().isString(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const details = await invitationService.getDetails(req.query.token);
+
+    res.json({
+      success: true,
+      message: 'Invitation is valid',
+      data: details
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Activate Account From Invitation (the employee chooses their password)
+router.post('/activate', [
+  body('token').notEmpty().isString(),
+  body('new_password').isLength({ min: 6 }).trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await invitationService.accept(req.body.token, req.body.new_password);
+
+    res.json({
+      success: true,
+      message: 'Account activated; please log in with your new password',
+      data: {
+        email: user.email
+      }
+    });
+
+  } catch (error) {
+    console.error('Activate account error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message,
+        ...error.details
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Forgot Password (emails a one-time reset link)
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    await passwordResetService.requestReset('employee', req.body.email, { ip: req.ip });
+
+    // Same answer whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Reset Password With Emailed Token
+router.post('/reset-password/confirm', [
+  body('token').notEmpty().isString(),
+  body('new_password').isLength({ min: 6 }).trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    await passwordResetService.resetPassword('employee', req.body.token, req.body.new_password);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset; please log in with your new password'
+    });
+
+  } catch (error) {
+    console.error('Reset password with token error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message,
+        ...error.details
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Organization Forgot Password
+router.post('/organization/forgot-password', [
+  body('email').isEmail().normalizeEmail(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    await passwordResetService.requestReset('organization', req.body.email, { ip: req.ip });
+
+    // Same answer whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Organization forgot password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Organization Reset Password With Emailed Token
+router.post('/organization/reset-password/confirm', [
+  body('token').notEmpty().isString(),
+  body('new_password').isLength({ min: 6 }).trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    await passwordResetService.resetPassword('organization', req.body.token, req.body.new_password);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset; please log in with your new password'
+    });
+
+  } catch (error) {
+    console.error('Organization reset password with token error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message,
+        ...error.details
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get Two-Factor Status
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus('employee', req.user);
+
+    res.json({
+      success: true,
+      message: 'Two-factor status retrieved successfully',
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Start Two-Factor Setup (returns the secret and a QR code for the authenticator app)
+router.post('/2fa/setup', authenticateTwoFactorSetup('employee'), async (req, res) => {
+  try {
+    const setup = await twoFactorService.beginSetup('employee', req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: setup
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Enable Two-Factor Authentication (recovery codes are only shown here)
+router.post('/2fa/enable', authenticateTwoFactorSetup('employee'), [
+  body('code').trim().isLength({ min: 6, max: 6 }).isNumeric(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.enable('employee', req.user, req.body.code);
+    const data = { recovery_codes: recoveryCodes };
+
+    // Setup that was demanded by a login completes that login
+    if (req.twoFactorChallenge) {
+      await loginProtectionService.recordSuccess(
+        'employee',
+        req.user,
+        twoFactorService.getEmail('employee', req.user),
+        { ip: req.ip, userAgent: req.get('user-agent'), requestId: req.id, method: req.twoFactorChallenge.authMethod }
+      );
+      Object.assign(data, await startSession(req, 'employee', req.user, req.twoFactorChallenge.authMethod));
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled; store the recovery codes somewhere safe',
+      data
+    });
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Disable Two-Factor Authentication
+router.post('/2fa/disable', authenticateToken, secondFactorValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    await twoFactorService.disable('employee', req.user, {
+      code: req.body.code,
+      recovery_code: req.body.recovery_code
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Regenerate Recovery Codes (the old codes stop working)
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').trim().isLength({ min: 6, max: 6 }).isNumeric(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes('employee', req.user, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the previous codes no longer work',
+      data: { recovery_codes: recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Get Organization Two-Factor Status
+router.get('/organization/2fa', authenticateOrganizationSession, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus('organization', req.organization);
+
+    res.json({
+      success: true,
+      message: 'Two-factor status retrieved successfully',
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Get organization two-factor status error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Start Organization Two-Factor Setup (returns the secret and a QR code for the authenticator app)
+router.post('/organization/2fa/setup', authenticateTwoFactorSetup('organization'), async (req, res) => {
+  try {
+    const setup = await twoFactorService.beginSetup('organization', req.organization);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: setup
+    });
+
+  } catch (error) {
+    console.error('Organization two-factor setup error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Enable Organization Two-Factor Authentication (recovery codes are only shown here)
+router.post('/organization/2fa/enable', authenticateTwoFactorSetup('organization'), [
+  body('code').trim().isLength({ min: 6, max: 6 }).isNumeric(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.enable('organization', req.organization, req.body.code);
+    const data = { recovery_codes: recoveryCodes };
+
+    // Setup that was demanded by a login completes that login
+    if (req.twoFactorChallenge) {
+      await loginProtectionService.recordSuccess(
+        'organization',
+        req.organization,
+        twoFactorService.getEmail('organization', req.organization),
+        { ip: req.ip, userAgent: req.get('user-agent'), requestId: req.id, method: req.twoFactorChallenge.authMethod }
+      );
+      Object.assign(data, await startSession(req, 'organization', req.organization, req.twoFactorChallenge.authMethod));
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled; store the recovery codes somewhere safe',
+      data
+    });
+
+  } catch (error) {
+    console.error('Enable organization two-factor error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Disable Organization Two-Factor Authentication
+router.post('/organization/2fa/disable', authenticateOrganizationSession, secondFactorValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    await twoFactorService.disable('organization', req.organization, {
+      code: req.body.code,
+      recovery_code: req.body.recovery_code
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable organization two-factor error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Regenerate Organization Recovery Codes (the old codes stop working)
+router.post('/organization/2fa/recovery-codes', authenticateOrganizationSession, [
+  body('code').trim().isLength({ min: 6, max: 6 }).isNumeric(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes('organization', req.organization, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the previous codes no longer work',
+      data: { recovery_codes: recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate organization recovery codes error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
     res.status(500).json({ 
       success: false, 
       message: 'Internal server error' 
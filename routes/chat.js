@@ -41,6 +41,8 @@ router.post('/', authenticateToken, [
         intent: response.intent,
         response_source: response.response_source,
         suggestions: response.suggestions,
+        requires_confirmation: response.requires_confirmation || false,
+        links: response.links,
         processing_info: {
           user_id: user.user_id,
           organization: user.organization.org_name,
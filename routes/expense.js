@@ -0,0 +1,356 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import fs from 'fs';
+import path from 'path';
+import { authenticateToken } from '../middleware/auth.js';
+import { documentUpload } from '../middleware/upload.js';
+import expenseService from '../services/expenseService.js';
+import auditService from '../services/auditService.js';
+import { ServiceError } from '../utils/errors.js';
+
+const router = express.Router();
+
+const claimStatuses = ['pending_manager', 'pending_admin', 'approved', 'reimbursed', 'rejected', 'cancelled'];
+
+const removeUploads = (files) => {
+  (files || []).forEach(file => {
+    try {
+      fs.unlinkSync(file.path);
+    } catch (cleanupError) {
+      console.error('File cleanup error:', cleanupError);
+    }
+  });
+};
+
+// Get Expense Categories
+router.get('/categories', authenticateToken, async (req, res) => {
+  try {
+    const categories = await expenseService.getCategories(req.user.organization_id);
+
+    res.json({
+      success: true,
+      message: 'Expense categories retrieved successfully',
+      data: categories
+    });
+
+  } catch (error) {
+    console.error('Get expense categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Submit Expense Claim (one receipt per line item, in the same order)
+router.post('/claims', authenticateToken, documentUpload.array('receipts', 20), [
+  body('title').notEmpty().trim().isLength({ max: 200 }),
+  body('items').custom(value => {
+    const items = JSON.parse(value);
+    if (!Array.isArray(items)) throw new Error('Items must be a JSON array');
+    return true;
+  }).withMessage('Items must be a JSON array of line items'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const claim = await expenseService.submitClaim(req.user, {
+      title: req.body.title,
+      items: JSON.parse(req.body.items)
+    }, (req.files || []).map(file => file.path));
+
+    res.status(201).json({
+      success: true,
+      message: claim.status === 'pending_manager'
+        ? 'Expense claim submitted for manager approval'
+        : 'Expense claim submitted for admin approval',
+      data: claim
+    });
+
+  } catch (error) {
+    console.error('Submit expense claim error:', error);
+
+    // Clean up uploaded receipts on error
+    removeUploads(req.files);
+
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details || {})
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get My Expense Claims
+router.get('/claims', authenticateToken, [
+  query('status').optional().isIn(claimStatuses),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const claims = await expenseService.getEmployeeClaims(req.user.user_id, req.user.organization_id, {
+      status: req.query.status
+    });
+
+    res.json({
+      success: true,
+      message: 'Expense claims retrieved successfully',
+      data: claims
+    });
+
+  } catch (error) {
+    console.error('Get expense claims error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get Expense Claims Awaiting My Approval (Manager)
+router.get('/approvals', authenticateToken, async (req, res) => {
+  try {
+    const claims = await expenseService.getManagerApprovals(req.user);
+
+    res.json({
+      success: true,
+      message: 'Pending expense approvals retrieved successfully',
+      data: claims
+    });
+
+  } catch (error) {
+    console.error('Get expense approvals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get My Expense Claim
+router.get('/claims/:claimId', authenticateToken, [
+  param('claimId').isInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const claim = await expenseService.getEmployeeClaim(
+      req.user.user_id,
+      req.user.organization_id,
+      req.params.claimId
+    );
+
+    res.json({
+      success: true,
+      message: 'Expense claim retrieved successfully',
+      data: claim
+    });
+
+  } catch (error) {
+    console.error('Get expense claim error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Cancel My Expense Claim
+router.patch('/claims/:claimId/cancel', authenticateToken, [
+  param('claimId').isInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const claim = await expenseService.cancelClaim(req.user, req.params.claimId);
+
+    res.json({
+      success: true,
+      message: 'Expense claim cancelled',
+      data: claim
+    });
+
+  } catch (error) {
+    console.error('Cancel expense claim error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Approve Expense Claim (Manager)
+router.patch('/claims/:claimId/approve', authenticateToken, [
+  param('claimId').isInt(),
+  body('comment').optional().trim().isLength({ max: 1000 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const claim = await expenseService.decideAsManager(
+      req.user,
+      req.params.claimId,
+      true,
+      req.body.comment,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Expense claim approved and sent for admin approval',
+      data: claim
+    });
+
+  } catch (error) {
+    console.error('Approve expense claim error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reject Expense Claim (Manager)
+router.patch('/claims/:claimId/reject', authenticateToken, [
+  param('claimId').isInt(),
+  body('comment').optional().trim().isLength({ max: 1000 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const claim = await expenseService.decideAsManager(
+      req.user,
+      req.params.claimId,
+      false,
+      req.body.comment,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Expense claim rejected',
+      data: claim
+    });
+
+  } catch (error) {
+    console.error('Reject expense claim error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download Receipt (claimant or their manager)
+router.get('/claims/:claimId/items/:itemId/receipt', authenticateToken, [
+  param('claimId').isInt(),
+  param('itemId').isInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await expenseService.getReceipt(
+      req.user.organization_id,
+      req.params.claimId,
+      req.params.itemId,
+      req.user
+    );
+
+    res.download(path.resolve(item.receipt_path));
+
+  } catch (error) {
+    console.error('Download receipt error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
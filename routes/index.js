@@ -3,6 +3,9 @@ import authRoutes from './auth.js';
 import chatRoutes from './chat.js';
 import organizationRoutes from './organization.js';
 import adminRoutes from './admin.js';
+import leaveRoutes from './leave.js';
+import payrollRoutes from './payroll.js';
+import expenseRoutes from './expense.js';
 
 const router = express.Router();
 
@@ -20,5 +23,8 @@ router.use('/auth', authRoutes);
 router.use('/chat', chatRoutes);
 router.use('/organization', organizationRoutes);
 router.use('/admin', adminRoutes);
+router.use('/leave', leaveRoutes);
+router.use('/payroll', payrollRoutes);
+router.use('/expenses', expenseRoutes);
 
 export default router;
@@ -0,0 +1,401 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import fs from 'fs';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { documentUpload } from '../middleware/upload.js';
+import { LeaveBalance } from '../models/index.js';
+import leaveService from '../services/leaveService.js';
+import leaveAccrualService from '../services/leaveAccrualService.js';
+import leaveLedgerService from '../services/leaveLedgerService.js';
+import holidayService from '../services/holidayService.js';
+import teamLeaveService from '../services/teamLeaveService.js';
+import { ServiceError } from '../utils/errors.js';
+import { addDays, startOfWeek, today } from '../utils/dateUtils.js';
+
+const router = express.Router();
+
+// Get My Leave Balances
+router.get('/balances', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    const balances = await LeaveBalance.findAll({
+      where: { user_id: user.user_id, organization_id: user.organization_id },
+      order: [['leave_type', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      message: 'Leave balances retrieved successfully',
+      data: balances.map(balance => ({
+        leave_type: balance.leave_type,
+        total_allotted: balance.total_allotted,
+        leaves_taken: balance.leaves_taken,
+        leaves_pending_approval: balance.leaves_pending_approval,
+        remaining: leaveService.getRemainingDays(balance)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get leave balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get My Holiday Calendar
+router.get('/holidays', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+
+    const holidays = await holidayService.getHolidays(user.organization_id, {
+      from: new Date(year, 0, 1),
+      to: new Date(year, 11, 31),
+      location: user.location
+    });
+
+    res.json({
+      success: true,
+      message: 'Holidays retrieved successfully',
+      data: holidays
+    });
+
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get My Leave Accrual History
+router.get('/accruals', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const history = await leaveAccrualService.getHistory(user.organization_id, {
+      userId: user.user_id
+    });
+
+    res.json({
+      success: true,
+      message: 'Leave accrual history retrieved successfully',
+      data: history
+    });
+
+  } catch (error) {
+    console.error('Get leave accruals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get My Leave Ledger
+router.get('/ledger', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const entries = await leaveLedgerService.getLedger(user.organization_id, {
+      userId: user.user_id,
+      leaveType: req.query.leave_type,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.json({
+      success: true,
+      message: 'Leave ledger retrieved successfully',
+      data: entries
+    });
+
+  } catch (error) {
+    console.error('Get leave ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Apply for Leave (optionally with a supporting document)
+router.post('/requests', authenticateToken, documentUpload.single('document'), [
+  body('leave_type').notEmpty().trim(),
+  body('start_date').isDate(),
+  body('end_date').optional().isDate(),
+  body('is_half_day').optional().isBoolean().toBoolean(),
+  body('reason').optional().trim().isLength({ max: 1000 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      if (req.file) fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { leaveRequest, balance } = await leaveService.applyLeave(req.user, {
+      ...req.body,
+      document_path: req.file ? req.file.path : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave request submitted for approval',
+      data: {
+        leave_request: leaveRequest,
+        remaining_balance: leaveService.getRemainingDays(balance)
+      }
+    });
+
+  } catch (error) {
+    console.error('Apply leave error:', error);
+
+    // Clean up uploaded document on error
+    if (req.file) {
+      try {
+        fs.unlinkSync(req.file.path);
+      } catch (cleanupError) {
+        console.error('File cleanup error:', cleanupError);
+      }
+    }
+
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get My Leave Requests
+router.get('/requests', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const requests = await leaveService.getEmployeeRequests(
+      user.user_id,
+      user.organization_id,
+      req.query.status
+    );
+
+    res.json({
+      success: true,
+      message: 'Leave requests retrieved successfully',
+      data: requests
+    });
+
+  } catch (error) {
+    console.error('Get leave requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Cancel My Leave Request
+router.patch('/requests/:requestId/cancel', authenticateToken, [
+  param('requestId').isInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { leaveRequest, balance } = await leaveService.cancelLeave(req.user, req.params.requestId);
+
+    res.json({
+      success: true,
+      message: 'Leave request cancelled successfully',
+      data: {
+        leave_request: leaveRequest,
+        remaining_balance: balance ? leaveService.getRemainingDays(balance) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel leave error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get Pending Approvals (Manager)
+router.get('/approvals', authenticateToken, requirePermission('approve_leave'), async (req, res) => {
+  try {
+    const requests = await leaveService.getPendingApprovals(req.user);
+
+    res.json({
+      success: true,
+      message: 'Pending approvals retrieved successfully',
+      data: requests
+    });
+
+  } catch (error) {
+    console.error('Get pending approvals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get Team Leave Calendar (Manager)
+router.get('/team/calendar', authenticateToken, requirePermission('approve_leave'), [
+  query('from').optional().isDate(),
+  query('to').optional().isDate(),
+  query('status').optional().isIn(['approved', 'pending']),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Defaults to the current week
+    const from = req.query.from || startOfWeek(today());
+    const to = req.query.to || addDays(startOfWeek(from), 6);
+
+    const calendar = await teamLeaveService.getTeamCalendar(req.user, from, to, {
+      statuses: req.query.status ? [req.query.status] : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Team leave calendar retrieved successfully',
+      data: calendar
+    });
+
+  } catch (error) {
+    console.error('Get team leave calendar error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Approve Leave Request (Manager)
+router.patch('/requests/:requestId/approve', authenticateToken, requirePermission('approve_leave'), [
+  param('requestId').isInt(),
+  body('comment').optional().trim().isLength({ max: 1000 }),
+  body('acknowledge_warnings').optional().isBoolean().toBoolean(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { leaveRequest, warnings } = await leaveService.approveLeave(
+      req.user,
+      req.params.requestId,
+      req.body.comment,
+      { acknowledgeWarnings: req.body.acknowledge_warnings }
+    );
+
+    res.json({
+      success: true,
+      message: 'Leave request approved',
+      data: leaveRequest,
+      warnings
+    });
+
+  } catch (error) {
+    console.error('Approve leave error:', error);
+    if (error instanceof ServiceError) {
+      // Staffing warnings are returned so the manager can re-approve with acknowledge_warnings
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details || {})
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reject Leave Request (Manager)
+router.patch('/requests/:requestId/reject', authenticateToken, requirePermission('approve_leave'), [
+  param('requestId').isInt(),
+  body('comment').optional().trim().isLength({ max: 1000 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { leaveRequest } = await leaveService.rejectLeave(
+      req.user,
+      req.params.requestId,
+      req.body.comment
+    );
+
+    res.json({
+      success: true,
+      message: 'Leave request rejected',
+      data: leaveRequest
+    });
+
+  } catch (error) {
+    console.error('Reject leave error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -1,38 +1,25 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
 import { body, validationResult } from 'express-validator';
-import { Organization } from '../models/index.js';
-import multer from 'multer';
-import path from 'path';
-import { authenticateOrganization } from '../middleware/auth.js';
+import { Organization, User, sequelize } from '../models/index.js';
+import { authorize, authenticateOrganizationSession } from '../middleware/auth.js';
+import { excelUpload } from '../middleware/upload.js';
 import excelService from '../services/excelService.js';
+import leaveTypeService from '../services/leaveTypeService.js';
+import leaveAccrualService from '../services/leaveAccrualService.js';
+import salaryRevisionService from '../services/salaryRevisionService.js';
+import passwordPolicyService from '../services/passwordPolicyService.js';
+import invitationService from '../services/invitationService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import accessControlService from '../services/accessControlService.js';
+import auditService from '../services/auditService.js';
+import { STATE_CODES } from '../config/statutoryRules.js';
+import { API_KEY_SCOPES } from '../config/permissions.js';
+import { toPeriod } from '../utils/dateUtils.js';
+import { ServiceError } from '../utils/errors.js';
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    cb(null, `${Date.now()}-${file.originalname}`);
-  }
-});
-
-const upload = multer({ 
-  storage,
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.xlsx', '.xls'];
-    const fileExt = path.extname(file.originalname).toLowerCase();
-    if (allowedTypes.includes(fileExt)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only Excel files are allowed'));
-    }
-  },
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
-});
-
 // Organization Registration
 router.post('/register', [
   body('org_name').notEmpty().trim().isLength({ min: 2, max: 255 }),
@@ -69,6 +56,9 @@ router.post('/register', [
     // Generate unique organization ID
     const organizationId = `ORG_${Date.now()}`;
 
+    // The organization starts with the default password policy
+    passwordPolicyService.assertValid(passwordPolicyService.getPolicy(null), admin_password);
+
     // Hash admin password
     const hashedPassword = await bcrypt.hash(admin_password, 10);
 
@@ -87,6 +77,7 @@ router.post('/register', [
       max_users: maxUsers,
       admin_email,
       admin_password: hashedPassword,
+      password_changed_at: new Date(),
       contact_phone,
       address
     });
@@ -105,6 +96,13 @@ router.post('/register', [
 
   } catch (error) {
     console.error('Organization registration error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message,
+        ...error.details
+      });
+    }
     if (error.name === 'SequelizeUniqueConstraintError') {
       return res.status(400).json({ 
         success: false, 
@@ -119,7 +117,7 @@ router.post('/register', [
 });
 
 // Upload and Process Employee Excel
-router.post('/upload-employees', authenticateOrganization, upload.single('excelFile'), async (req, res) => {
+router.post('/upload-employees', authorize('manage_employees'), excelUpload.single('excelFile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ 
@@ -133,7 +131,10 @@ router.post('/upload-employees', authenticateOrganization, upload.single('excelF
     // Process Excel file
     const result = await excelService.processEmployeeExcel(
       req.file.path, 
-      organization.organization_id
+      organization.organization_id,
+      req.actor,
+      auditService.fromRequest(req),
+      req.file.originalname
     );
 
     // Clean up uploaded file
@@ -162,6 +163,13 @@ router.post('/upload-employees', authenticateOrganization, upload.single('excelF
       }
     }
 
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+
     res.status(500).json({ 
       success: false, 
       message: error.message || 'Failed to process Excel file' 
@@ -170,7 +178,7 @@ router.post('/upload-employees', authenticateOrganization, upload.single('excelF
 });
 
 // Get Organization Statistics
-router.get('/statistics', authenticateOrganization, async (req, res) => {
+router.get('/statistics', authorize('manage_employees'), async (req, res) => {
   try {
     const { User, ChatLog } = await import('../models/index.js');
     const organization = req.organization;
@@ -249,15 +257,20 @@ router.get('/statistics', authenticateOrganization, async (req, res) => {
 });
 
 // Add New Employee Manually
-router.post('/add-employee', authenticateOrganization, [
+router.post('/add-employee', authorize('manage_employees'), [
   body('first_name').notEmpty().trim(),
   body('last_name').notEmpty().trim(),
   body('email').isEmail().normalizeEmail(),
   body('role').isIn(['Employee', 'Manager', 'Admin']),
   body('department').notEmpty().trim(),
   body('location').notEmpty().trim(),
+  body('work_state').optional().isIn(STATE_CODES),
   body('date_of_joining').isDate(),
   body('date_of_birth').isDate(),
+  body('ctc').optional().isFloat({ min: 0 }),
+  body('structure_id').optional().isInt({ min: 1 }),
+  body('base_salary').optional().isFloat({ min: 0 }),
+  body('hra').optional().isFloat({ min: 0 }),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -270,7 +283,10 @@ router.post('/add-employee', authenticateOrganization, [
     }
 
     const organization = req.organization;
-    const { first_name, last_name, email, role, department, location, date_of_joining, date_of_birth, manager_id } = req.body;
+    const { first_name, last_name, email, role, department, location, work_state, date_of_joining, date_of_birth, manager_id } = req.body;
+    const { ctc, structure_id, base_salary, hra } = req.body;
+
+    accessControlService.ensureCanAssignRole(auditService.fromRequest(req).actor, role);
 
     // Check user limit
     const currentUserCount = await User.count({
@@ -287,40 +303,81 @@ router.post('/add-employee', authenticateOrganization, [
     // Generate unique user ID
     const userId = `${organization.organization_id}_${Date.now()}`;
 
-    // Default password is date of birth
-    const defaultPassword = date_of_birth.replace(/-/g, '');
-    const hashedPassword = await bcrypt.hash(defaultPassword, 10);
-
-    // Create user
-    const user = await User.create({
-      user_id: userId,
-      organization_id: organization.organization_id,
-      first_name,
-      last_name,
-      email,
-      password_hash: hashedPassword,
-      role,
-      manager_id,
-      date_of_joining,
-      date_of_birth,
-      department,
-      location,
-      password_reset_required: true
+    // The employee chooses a password from the emailed invitation
+    const hashedPassword = await invitationService.unusablePasswordHash();
+
+    // The employee, leave balances, joining salary and audit entry are saved
+    // together, so a bad CTC or structure leaves nothing behind to retry over
+    const user = await sequelize.transaction(async (transaction) => {
+      const user = await User.create({
+        user_id: userId,
+        organization_id: organization.organization_id,
+        first_name,
+        last_name,
+        email,
+        password_hash: hashedPassword,
+        role,
+        manager_id,
+        date_of_joining,
+        date_of_birth,
+        department,
+        location,
+        work_state,
+        password_reset_required: true
+      }, { transaction });
+
+      await leaveTypeService.seedBalances(user.user_id, organization.organization_id, transaction);
+
+      // Salary details are optional; the joining salary is the first revision
+      if (ctc !== undefined) {
+        await salaryRevisionService.createRevision(organization.organization_id, user.user_id, {
+          ctc,
+          structure_id,
+          overrides: { BASIC: base_salary, HRA: hra },
+          effective_date: date_of_joining,
+          reason: 'initial'
+        }, { actor: req.actor, transaction, context: auditService.fromRequest(req) });
+      }
+
+      await auditService.record(organization.organization_id, {
+        action: 'employee.create',
+        entityType: 'employee',
+        entityId: user.user_id,
+        changes: auditService.diff(null, auditService.employeeSnapshot(user)),
+        metadata: { source: 'manual' }
+      }, auditService.fromRequest(req), transaction);
+
+      return user;
+    });
+
+    // Credit the current accrual period once the employee is committed
+    await leaveAccrualService.runAccrual(organization.organization_id, toPeriod(new Date()), {
+      userIds: [user.user_id]
     });
 
+    const invitation = await invitationService.invite(organization.organization_id, user.user_id, req.actor);
+
     res.status(201).json({
       success: true,
-      message: 'Employee added successfully',
+      message: invitation.email_sent
+        ? 'Employee added successfully; an activation link has been emailed'
+        : 'Employee added, but the invitation email could not be sent; resend it from pending invitations',
       data: {
         user_id: user.user_id,
         name: `${user.first_name} ${user.last_name}`,
         email: user.email,
-        default_password: defaultPassword
+        invitation: invitationService.toResponse(invitation)
       }
     });
 
   } catch (error) {
     console.error('Add employee error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
     if (error.name === 'SequelizeUniqueConstraintError') {
       return res.status(400).json({ 
         success: false, 
@@ -334,4 +391,150 @@ router.post('/add-employee', authenticateOrganization, [
   }
 });
 
+// Scope, IP allowlist and expiry fields shared by API key creation and rotation
+const apiKeyValidators = (isRotation) => [
+  isRotation
+    ? body('scopes').optional().isArray({ min: 1 })
+    : body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(Object.keys(API_KEY_SCOPES)),
+  body('allowed_ips').optional({ nullable: true }).isArray({ max: 50 }),
+  body('allowed_ips.*').isString().trim().notEmpty(),
+  body('expires_at').optional({ nullable: true }).isISO8601(),
+];
+
+// List API Keys
+router.get('/api-keys', authenticateOrganizationSession, async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.organization.organization_id, {
+      includeRevoked: req.query.include_revoked === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: 'API keys retrieved successfully',
+      data: apiKeys
+    });
+
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Create API Key (the key itself is only returned in this response)
+router.post('/api-keys', authenticateOrganizationSession, [
+  body('name').trim().notEmpty().isLength({ max: 100 }),
+  ...apiKeyValidators(false),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { apiKey, key } = await apiKeyService.createKey(
+      req.organization.organization_id,
+      req.body,
+      req.actor,
+      auditService.fromRequest(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store the key now; it will not be shown again.',
+      data: apiKeyService.toResponse(apiKey, key)
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Rotate API Key (new secret, same key; the old secret stops working immediately)
+router.post('/api-keys/:keyId/rotate', authenticateOrganizationSession, apiKeyValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { apiKey, key } = await apiKeyService.rotateKey(
+      req.organization.organization_id,
+      req.params.keyId,
+      req.body,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'API key rotated successfully. Store the new key now; it will not be shown again.',
+      data: apiKeyService.toResponse(apiKey, key)
+    });
+
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Revoke API Key
+router.patch('/api-keys/:keyId/revoke', authenticateOrganizationSession, async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(
+      req.organization.organization_id,
+      req.params.keyId,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKeyService.toResponse(apiKey)
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
 export default router;
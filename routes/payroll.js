@@ -0,0 +1,755 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import payrollService from '../services/payrollService.js';
+import payslipDocumentService from '../services/payslipDocumentService.js';
+import taxService from '../services/taxService.js';
+import compensationService from '../services/compensationService.js';
+import auditService from '../services/auditService.js';
+import { TAX_REGIMES } from '../config/incomeTax.js';
+import { STATE_CODES } from '../config/statutoryRules.js';
+import { ServiceError } from '../utils/errors.js';
+import { today } from '../utils/dateUtils.js';
+
+const router = express.Router();
+
+const periodValidator = (field) => field.matches(/^\d{4}-\d{2}$/).withMessage('Period must be in YYYY-MM format');
+const financialYearValidator = (field) => field.matches(/^\d{4}-\d{2}$/).withMessage('Financial year must look like 2025-26');
+
+// Streams the payslip as an XLSX workbook or a PDF
+const sendPayslipDocument = async (res, payslip, organizationName, format) => {
+  const fileName = payslipDocumentService.fileName(payslip, format);
+
+  if (format === 'xlsx') {
+    const workbook = payslipDocumentService.buildWorkbook(payslip, organizationName);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    await workbook.xlsx.write(res);
+    return res.end();
+  }
+
+  const pdf = await payslipDocumentService.renderPdf(payslip, organizationName);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(pdf);
+};
+
+// Create Payroll Run (calculates draft payslips)
+router.post('/runs', authorize('manage_payroll'), [
+  periodValidator(body('period')),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { run, payslips, skipped, warnings } = await payrollService.createRun(
+      req.organization.organization_id,
+      req.body.period,
+      auditService.fromRequest(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Draft payroll created for ${run.period}`,
+      data: { run, payslips, skipped, warnings }
+    });
+
+  } catch (error) {
+    console.error('Create payroll run error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get Payroll Runs
+router.get('/runs', authorize('view_payroll'), async (req, res) => {
+  try {
+    const runs = await payrollService.getRuns(req.organization.organization_id);
+
+    res.json({
+      success: true,
+      message: 'Payroll runs retrieved successfully',
+      data: runs
+    });
+
+  } catch (error) {
+    console.error('Get payroll runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get Payroll Run with Payslips
+router.get('/runs/:runId', authorize('view_payroll'), [
+  param('runId').isInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { run, payslips } = await payrollService.getRunPayslips(
+      req.organization.organization_id,
+      req.params.runId
+    );
+
+    await auditService.record(req.organization.organization_id, {
+      action: 'payroll.run.view',
+      entityType: 'payroll_run',
+      entityId: req.params.runId,
+      metadata: { payslips: payslips.length }
+    }, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'Payroll run retrieved successfully',
+      data: { run, payslips }
+    });
+
+  } catch (error) {
+    console.error('Get payroll run error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Recalculate Draft Payroll Run
+router.post('/runs/:runId/recalculate', authorize('manage_payroll'), [
+  param('runId').isInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { run, payslips, skipped, warnings } = await payrollService.calculateRun(
+      req.organization.organization_id,
+      req.params.runId,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Payroll run recalculated successfully',
+      data: { run, payslips, skipped, warnings }
+    });
+
+  } catch (error) {
+    console.error('Recalculate payroll run error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Finalize Payroll Run (publishes payslips to employees)
+router.post('/runs/:runId/finalize', authorize('manage_payroll'), [
+  param('runId').isInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const run = await payrollService.finalizeRun(
+      req.organization.organization_id,
+      req.params.runId,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Payroll run finalized successfully',
+      data: run
+    });
+
+  } catch (error) {
+    console.error('Finalize payroll run error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Lock Payroll Run
+router.post('/runs/:runId/lock', authorize('manage_payroll'), [
+  param('runId').isInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const run = await payrollService.lockRun(
+      req.organization.organization_id,
+      req.params.runId,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Payroll run locked successfully',
+      data: run
+    });
+
+  } catch (error) {
+    console.error('Lock payroll run error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete Draft Payroll Run
+router.delete('/runs/:runId', authorize('manage_payroll'), [
+  param('runId').isInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await payrollService.deleteRun(
+      req.organization.organization_id,
+      req.params.runId,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Payroll run deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete payroll run error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download an Employee's Payslip from a Run
+router.get('/runs/:runId/payslips/:userId/download', authorize('view_payroll'), [
+  param('runId').isInt(),
+  query('format').optional().isIn(['pdf', 'xlsx']),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payslip = await payrollService.getRunPayslip(
+      req.organization.organization_id,
+      req.params.runId,
+      req.params.userId
+    );
+
+    await auditService.record(req.organization.organization_id, {
+      action: 'payroll.payslip.download',
+      entityType: 'employee',
+      entityId: req.params.userId,
+      metadata: { run_id: req.params.runId, format: req.query.format || 'pdf' }
+    }, auditService.fromRequest(req));
+
+    await sendPayslipDocument(res, payslip, req.organization.org_name, req.query.format || 'pdf');
+
+  } catch (error) {
+    console.error('Download run payslip error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add Arrears for an Employee
+router.post('/arrears', authorize('manage_payroll'), [
+  body('user_id').notEmpty().trim(),
+  periodValidator(body('payout_period')),
+  periodValidator(body('source_period').optional()),
+  body('amount').isFloat().toFloat(),
+  body('reason').notEmpty().trim().isLength({ max: 500 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const arrear = await payrollService.addArrear(req.organization.organization_id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Arrear recorded successfully',
+      data: arrear
+    });
+
+  } catch (error) {
+    console.error('Add arrear error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get Arrears
+router.get('/arrears', authorize('view_payroll'), async (req, res) => {
+  try {
+    const arrears = await payrollService.listArrears(req.organization.organization_id, {
+      userId: req.query.user_id,
+      period: req.query.period
+    });
+
+    res.json({
+      success: true,
+      message: 'Arrears retrieved successfully',
+      data: arrears
+    });
+
+  } catch (error) {
+    console.error('Get arrears error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Simulate CTC Breakdown (offer letters and what-if questions)
+router.post('/ctc-simulator', authorize('view_payroll'), [
+  body('ctc').isFloat({ min: 0 }).toFloat(),
+  body('structure_id').optional().isInt({ min: 1 }).toInt(),
+  body('base_salary').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('hra').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('work_state').optional().isIn(STATE_CODES),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const simulation = await compensationService.simulate(req.organization.organization_id, req.body.ctc, {
+      structureId: req.body.structure_id,
+      overrides: { BASIC: req.body.base_salary, HRA: req.body.hra },
+      state: req.body.work_state
+    });
+
+    res.json({
+      success: true,
+      message: 'CTC breakdown calculated successfully',
+      data: simulation
+    });
+
+  } catch (error) {
+    console.error('CTC simulator error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get My Payslips
+router.get('/payslips', authenticateToken, async (req, res) => {
+  try {
+    const payslips = await payrollService.getEmployeePayslips(req.user.user_id, req.user.organization_id);
+
+    res.json({
+      success: true,
+      message: 'Payslips retrieved successfully',
+      data: payslips
+    });
+
+  } catch (error) {
+    console.error('Get payslips error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get My Payslip for a Month
+router.get('/payslips/:period', authenticateToken, [
+  periodValidator(param('period')),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payslip = await payrollService.getEmployeePayslip(
+      req.user.user_id,
+      req.user.organization_id,
+      req.params.period
+    );
+
+    // Recorded before the payslip is sent; a view that cannot be audited fails
+    await auditService.record(req.user.organization_id, {
+      action: 'payroll.payslip.view',
+      entityType: 'employee',
+      entityId: req.user.user_id,
+      metadata: { period: req.params.period }
+    }, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'Payslip retrieved successfully',
+      data: payslip
+    });
+
+  } catch (error) {
+    console.error('Get payslip error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download My Payslip for a Month
+router.get('/payslips/:period/download', authenticateToken, [
+  periodValidator(param('period')),
+  query('format').optional().isIn(['pdf', 'xlsx']),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payslip = await payrollService.getEmployeePayslip(
+      req.user.user_id,
+      req.user.organization_id,
+      req.params.period
+    );
+
+    await auditService.record(req.user.organization_id, {
+      action: 'payroll.payslip.download',
+      entityType: 'employee',
+      entityId: req.user.user_id,
+      metadata: { period: req.params.period, format: req.query.format || 'pdf' }
+    }, auditService.fromRequest(req));
+
+    await sendPayslipDocument(res, payslip, req.user.organization.org_name, req.query.format || 'pdf');
+
+  } catch (error) {
+    console.error('Download payslip error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Compare an Employee's Tax under Both Regimes
+router.get('/tax/employees/:userId/comparison', authorize('view_payroll'), [
+  financialYearValidator(query('financial_year').optional()),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comparison = await taxService.compareRegimes(
+      req.params.userId,
+      req.organization.organization_id,
+      { financialYear: req.query.financial_year }
+    );
+
+    await auditService.record(req.organization.organization_id, {
+      action: 'payroll.tax.view',
+      entityType: 'employee',
+      entityId: req.params.userId,
+      metadata: { financial_year: req.query.financial_year || null }
+    }, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'Tax comparison calculated successfully',
+      data: comparison
+    });
+
+  } catch (error) {
+    console.error('Employee tax comparison error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Compare My Tax under Old and New Regimes
+router.get('/tax/comparison', authenticateToken, [
+  financialYearValidator(query('financial_year').optional()),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comparison = await taxService.compareRegimes(
+      req.user.user_id,
+      req.user.organization_id,
+      { financialYear: req.query.financial_year }
+    );
+
+    res.json({
+      success: true,
+      message: 'Tax comparison calculated successfully',
+      data: comparison
+    });
+
+  } catch (error) {
+    console.error('Tax comparison error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get My Tax Declaration
+router.get('/tax/declaration', authenticateToken, [
+  financialYearValidator(query('financial_year').optional()),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const declaration = await taxService.getDeclaration(
+      req.user.user_id,
+      req.user.organization_id,
+      req.query.financial_year || taxService.financialYearFor(today())
+    );
+
+    res.json({
+      success: true,
+      message: 'Tax declaration retrieved successfully',
+      data: declaration
+    });
+
+  } catch (error) {
+    console.error('Get tax declaration error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Save My Tax Declaration
+router.put('/tax/declaration', authenticateToken, [
+  financialYearValidator(body('financial_year').optional()),
+  body('regime').optional().isIn(TAX_REGIMES),
+  body('section_80c').optional().isFloat({ min: 0 }).toFloat(),
+  body('section_80d_self').optional().isFloat({ min: 0 }).toFloat(),
+  body('section_80d_parents').optional().isFloat({ min: 0 }).toFloat(),
+  body('parents_senior_citizen').optional().isBoolean().toBoolean(),
+  body('annual_rent_paid').optional().isFloat({ min: 0 }).toFloat(),
+  body('metro_city').optional().isBoolean().toBoolean(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const declaration = await taxService.saveDeclaration(
+      req.user.user_id,
+      req.user.organization_id,
+      req.body.financial_year || taxService.financialYearFor(today()),
+      req.body
+    );
+
+    res.json({
+      success: true,
+      message: 'Tax declaration saved successfully',
+      data: declaration
+    });
+
+  } catch (error) {
+    console.error('Save tax declaration error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
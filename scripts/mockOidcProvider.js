@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+// A local OpenID Connect provider for trying single sign-on without a real
+// identity provider. Run it with `npm run mock:oidc`, then save
+// { issuer: http://localhost:4010, client_id: vipraco, client_secret: vipraco-secret }
+// through PUT /api/admin/sso. Any email can sign in; /authorize signs in the
+// login_hint straight away, or asks for an email when there is none.
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'vipraco';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'vipraco-secret';
+const KEY_ID = 'mock-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const profileFor = (email) => {
+  const [localPart] = email.split('@');
+  const [firstName, ...lastName] = localPart.split(/[._-]/);
+  const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+  return {
+    sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+    email,
+    email_verified: true,
+    given_name: capitalize(firstName),
+    family_name: lastName.length ? capitalize(lastName.join(' ')) : 'User',
+    name: [firstName, ...lastName].map(capitalize).join(' ')
+  };
+};
+
+const clientCredentials = (req) => {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+    return { id, secret };
+  }
+  return { id: req.body.client_id, secret: req.body.client_secret };
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+  const email = req.query.email || req.query.login_hint;
+
+  if (client_id !== CLIENT_ID || !redirect_uri || req.query.response_type !== 'code') {
+    return res.status(400).send('Invalid authorization request');
+  }
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('PKCE with S256 is required');
+  }
+
+  if (!email) {
+    const hidden = Object.entries(req.query)
+      .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+      .join('');
+    return res.send(`<form method="get">${hidden}<label>Email <input name="email" type="email" required></label> <button>Sign in</button></form>`);
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    email: String(email).toLowerCase(),
+    redirect_uri,
+    nonce,
+    code_challenge,
+    expires_at: Date.now() + 60 * 1000
+  });
+
+  const redirect = new URL(redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (state) redirect.searchParams.set('state', state);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const client = clientCredentials(req);
+  if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  // Codes are single use, like a real provider's
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+  if (!grant || grant.expires_at < Date.now() || grant.redirect_uri !== req.body.redirect_uri
+    || grant.code_challenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const profile = profileFor(grant.email);
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, profile);
+
+  const idToken = jwt.sign(
+    { ...profile, nonce: grant.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const profile = accessTokens.get((req.get('authorization') || '').replace(/^Bearer /, ''));
+  if (!profile) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(profile);
+});
+
+app.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC provider running at ${ISSUER} (client ${CLIENT_ID})`);
+});
@@ -11,6 +11,7 @@ import winston from 'winston';
 // Import configuration and routes
 import { initializeDatabase } from './config/database.js';
 import routes from './routes/index.js';
+import { requestId } from './middleware/requestId.js';
 import nlpService from './services/nlpService.js';
 
 // Load environment variables
@@ -82,7 +83,8 @@ app.use(cors({
     : ['http://localhost:3000', 'http://localhost:3001'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
 // Body Parser Middleware
@@ -90,8 +92,10 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request Logging
+app.use(requestId);
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`, {
+    requestId: req.id,
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     timestamp: new Date().toISOString()
@@ -0,0 +1,63 @@
+import { Op } from 'sequelize';
+import { User } from '../models/index.js';
+import { ROLE_PERMISSIONS, ORGANIZATION_WIDE_ROLES, API_KEY_ASSIGNABLE_ROLES } from '../config/permissions.js';
+import { ServiceError } from '../utils/errors.js';
+
+class AccessControlService {
+  hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+  }
+
+  isOrganizationWide(role) {
+    return ORGANIZATION_WIDE_ROLES.includes(role);
+  }
+
+  // Everyone reporting to the manager, directly or through other managers
+  async getReportingTree(manager) {
+    const tree = [];
+    let level = [manager.user_id];
+
+    while (level.length) {
+      const reports = await User.findAll({
+        where: {
+          organization_id: manager.organization_id,
+          manager_id: { [Op.in]: level },
+          user_id: { [Op.notIn]: [manager.user_id, ...tree] }
+        },
+        attributes: ['user_id']
+      });
+
+      level = reports.map(report => report.user_id);
+      tree.push(...level);
+    }
+
+    return tree;
+  }
+
+  // actor is the audit actor (auditService.fromRequest). API keys can add
+  // Employees and Managers but never change a role, and cannot edit an Admin,
+  // whose email would then receive the next invitation or password reset.
+  // employee is the existing employee, or null for a new one.
+  ensureCanAssignRole(actor, role, employee = null) {
+    if (!actor || actor.type !== 'api_key') return;
+
+    if (employee && employee.role === 'Admin') {
+      throw new ServiceError('API keys cannot change Admin employees', 403);
+    }
+    if (employee && role !== undefined && role !== employee.role) {
+      throw new ServiceError('API keys cannot change an employee\'s role', 403);
+    }
+    if (!employee && !API_KEY_ASSIGNABLE_ROLES.includes(role)) {
+      throw new ServiceError(`API keys can only add employees as ${API_KEY_ASSIGNABLE_ROLES.join(' or ')}`, 403);
+    }
+  }
+
+  // teamUserIds is null when the caller can reach the whole organization
+  ensureCanAccessEmployee(teamUserIds, userId) {
+    if (teamUserIds && !teamUserIds.includes(userId)) {
+      throw new ServiceError('This employee is not in your reporting tree', 403);
+    }
+  }
+}
+
+export default new AccessControlService();
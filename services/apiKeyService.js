@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import net from 'net';
+import { ApiKey, Organization, sequelize } from '../models/index.js';
+import auditService from './auditService.js';
+import { API_KEY_SCOPES } from '../config/permissions.js';
+import { ServiceError } from '../utils/errors.js';
+
+const KEY_PATTERN = /^vk_([0-9a-f]{12})_([0-9a-f]{64})$/;
+
+// Keys look like vk_<prefix>_<secret>. The prefix finds the row; only a hash
+// of the whole key is stored, so a key is shown once, when created or rotated.
+class ApiKeyService {
+  constructor() {
+    // last_used_at is written at most this often per key
+    this.touchIntervalMs = (parseInt(process.env.API_KEY_TOUCH_SECONDS) || 60) * 1000;
+  }
+
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith('vk_');
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  generateKey() {
+    const keyPrefix = crypto.randomBytes(6).toString('hex');
+    const key = `vk_${keyPrefix}_${crypto.randomBytes(32).toString('hex')}`;
+    return { key, keyPrefix, keyHash: this.hashKey(key) };
+  }
+
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are compared as IPv4
+  normalizeIp(ip) {
+    return String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  }
+
+  parseIpEntry(entry) {
+    const [address, bits] = String(entry).trim().split('/');
+    const family = net.isIP(address);
+    const maxBits = family === 4 ? 32 : 128;
+
+    if (!family || (bits !== undefined && !(/^\d+$/.test(bits) && Number(bits) <= maxBits))) {
+      throw new ServiceError(`Invalid IP address or range: ${entry}`);
+    }
+    return { address, prefix: bits === undefined ? null : Number(bits), type: family === 4 ? 'ipv4' : 'ipv6' };
+  }
+
+  normalizeAllowedIps(allowedIps) {
+    if (!allowedIps || !allowedIps.length) return null;
+    return allowedIps.map(entry => {
+      const { address, prefix } = this.parseIpEntry(entry);
+      return prefix === null ? address : `${address}/${prefix}`;
+    });
+  }
+
+  isIpAllowed(apiKey, ip) {
+    if (!apiKey.allowed_ips || !apiKey.allowed_ips.length) return true;
+
+    const address = this.normalizeIp(ip);
+    const family = net.isIP(address);
+    if (!family) return false;
+
+    const blockList = new net.BlockList();
+    for (const entry of apiKey.allowed_ips) {
+      const { address: allowed, prefix, type } = this.parseIpEntry(entry);
+      if (prefix === null) {
+        blockList.addAddress(allowed, type);
+      } else {
+        blockList.addSubnet(allowed, prefix, type);
+      }
+    }
+    return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  hasScopeFor(apiKey, permission) {
+    return apiKey.scopes.some(scope => API_KEY_SCOPES[scope] === permission);
+  }
+
+  getStatus(apiKey, now = new Date()) {
+    if (apiKey.revoked_at) return 'revoked';
+    if (apiKey.expires_at && apiKey.expires_at <= now) return 'expired';
+    return 'active';
+  }
+
+  // key is only passed when it was just created or rotated
+  toResponse(apiKey, key) {
+    const data = {
+      key_id: apiKey.key_id,
+      name: apiKey.name,
+      key_prefix: `vk_${apiKey.key_prefix}`,
+      scopes: apiKey.scopes,
+      allowed_ips: apiKey.allowed_ips || [],
+      status: this.getStatus(apiKey),
+      expires_at: apiKey.expires_at,
+      last_used_at: apiKey.last_used_at,
+      last_used_ip: apiKey.last_used_ip,
+      rotated_at: apiKey.rotated_at,
+      revoked_at: apiKey.revoked_at,
+      createdAt: apiKey.createdAt
+    };
+
+    if (key) data.key = key;
+    return data;
+  }
+
+  // For the audit log; never includes the key or its hash
+  snapshot(apiKey) {
+    return {
+      name: apiKey.name,
+      key_prefix: apiKey.key_prefix,
+      scopes: apiKey.scopes,
+      allowed_ips: apiKey.allowed_ips,
+      expires_at: apiKey.expires_at
+    };
+  }
+
+  assertFutureExpiry(expiresAt) {
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw new ServiceError('expires_at must be in the future');
+    }
+  }
+
+  // context is the audit context of the request (auditService.fromRequest)
+  async createKey(organizationId, { name, scopes, allowed_ips, expires_at }, actor, context = { actor }) {
+    this.assertFutureExpiry(expires_at);
+
+    const { key, keyPrefix, keyHash } = this.generateKey();
+    const allowedIps = this.normalizeAllowedIps(allowed_ips);
+
+    return sequelize.transaction(async (transaction) => {
+      const apiKey = await ApiKey.create({
+        organization_id: organizationId,
+        name,
+        key_prefix: keyPrefix,
+        key_hash: keyHash,
+        scopes: [...new Set(scopes)],
+        allowed_ips: allowedIps,
+        expires_at: expires_at || null,
+        created_by_type: actor.type,
+        created_by_id: actor.id
+      }, { transaction });
+
+      await auditService.record(organizationId, {
+        action: 'api_key.create',
+        entityType: 'api_key',
+        entityId: apiKey.key_id,
+        changes: auditService.diff(null, this.snapshot(apiKey))
+      }, context, transaction);
+
+      return { apiKey, key };
+    });
+  }
+
+  async listKeys(organizationId, { includeRevoked = false } = {}) {
+    const where = { organization_id: organizationId };
+    if (!includeRevoked) where.revoked_at = null;
+
+    const apiKeys = await ApiKey.findAll({ where, order: [['createdAt', 'DESC']] });
+    return apiKeys.map(apiKey => this.toResponse(apiKey));
+  }
+
+  async findKey(organizationId, keyId, transaction) {
+    const apiKey = await ApiKey.findOne({
+      where: { key_id: keyId, organization_id: organizationId },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    if (!apiKey) {
+      throw new ServiceError('API key not found', 404);
+    }
+    return apiKey;
+  }
+
+  // Issues a new secret for the same key; the old one stops working at once.
+  // Scopes, IP allowlist and expiry can be changed at the same time.
+  async rotateKey(organizationId, keyId, changes = {}, context = {}) {
+    this.assertFutureExpiry(changes.expires_at);
+
+    return sequelize.transaction(async (transaction) => {
+      const apiKey = await this.findKey(organizationId, keyId, transaction);
+      if (apiKey.revoked_at) {
+        throw new ServiceError('API key has been revoked', 409);
+      }
+
+      const previous = this.snapshot(apiKey);
+      const { key, keyPrefix, keyHash } = this.generateKey();
+      const fields = { key_prefix: keyPrefix, key_hash: keyHash, rotated_at: new Date() };
+
+      if (changes.scopes !== undefined) fields.scopes = [...new Set(changes.scopes)];
+      if (changes.allowed_ips !== undefined) fields.allowed_ips = this.normalizeAllowedIps(changes.allowed_ips);
+      if (changes.expires_at !== undefined) fields.expires_at = changes.expires_at;
+
+      await apiKey.update(fields, { transaction });
+
+      await auditService.record(organizationId, {
+        action: 'api_key.rotate',
+        entityType: 'api_key',
+        entityId: apiKey.key_id,
+        changes: auditService.diff(previous, this.snapshot(apiKey))
+      }, context, transaction);
+
+      return { apiKey, key };
+    });
+  }
+
+  async revokeKey(organizationId, keyId, context = {}) {
+    return sequelize.transaction(async (transaction) => {
+      const apiKey = await this.findKey(organizationId, keyId, transaction);
+      if (apiKey.revoked_at) {
+        throw new ServiceError('API key has already been revoked', 409);
+      }
+
+      await apiKey.update({ revoked_at: new Date() }, { transaction });
+
+      await auditService.record(organizationId, {
+        action: 'api_key.revoke',
+        entityType: 'api_key',
+        entityId: apiKey.key_id
+      }, context, transaction);
+
+      return apiKey;
+    });
+  }
+
+  // Resolves a presented key to its active organization, recording the use
+  async authenticate(key, ip) {
+    const invalid = new ServiceError('Invalid API key', 401);
+    const match = KEY_PATTERN.exec(key);
+    if (!match) throw invalid;
+
+    const apiKey = await ApiKey.findOne({
+      where: { key_prefix: match[1], revoked_at: null },
+      include: [{ model: Organization, where: { is_active: true } }]
+    });
+
+    if (!apiKey || !crypto.timingSafeEqual(Buffer.from(apiKey.key_hash), Buffer.from(this.hashKey(key)))) {
+      throw invalid;
+    }
+    if (this.getStatus(apiKey) === 'expired') {
+      throw new ServiceError('API key has expired', 401);
+    }
+    if (!this.isIpAllowed(apiKey, ip)) {
+      throw new ServiceError('API key is not allowed from this IP address', 403);
+    }
+
+    const now = new Date();
+    if (!apiKey.last_used_at || now - apiKey.last_used_at >= this.touchIntervalMs) {
+      await apiKey.update({ last_used_at: now, last_used_ip: this.normalizeIp(ip) });
+    }
+
+    return apiKey;
+  }
+}
+
+export default new ApiKeyService();
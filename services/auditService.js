@@ -0,0 +1,273 @@
+import crypto from 'crypto';
+import ExcelJS from 'exceljs';
+import { Op } from 'sequelize';
+import { AuditLog, Organization, sequelize } from '../models/index.js';
+
+// Values of these fields never reach the log; a change is still recorded
+const REDACTED_FIELDS = ['password_hash', 'admin_password', 'client_secret', 'key_hash', 'secret'];
+
+// Employee fields tracked on creation, update and deactivation
+const EMPLOYEE_FIELDS = [
+  'first_name', 'last_name', 'email', 'role', 'manager_id', 'department',
+  'location', 'work_state', 'date_of_joining', 'date_of_exit', 'is_active'
+];
+
+// Stable JSON with sorted keys. MySQL reorders the keys of JSON columns, so
+// hashes are taken over this form rather than the original object.
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// What reads back from a JSON column: dates as strings, undefined dropped
+const toStored = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+// Append-only, per-organization log of administrative and sensitive actions.
+// Every entry stores the hash of the one before it, so editing or deleting an
+// entry is caught by verifyChain().
+class AuditService {
+  constructor() {
+    this.exportMaxRows = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS) || 10000;
+  }
+
+  // Who made the request and from where. API keys act for the organization
+  // but are logged as themselves.
+  fromRequest(req) {
+    return {
+      actor: req.apiKey
+        ? { type: 'api_key', id: String(req.apiKey.key_id) }
+        : req.actor || { type: 'system', id: null },
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      requestId: req.id
+    };
+  }
+
+  snapshot(instance, fields) {
+    return Object.fromEntries(fields.map(field => [field, instance.get(field)]));
+  }
+
+  employeeSnapshot(user) {
+    return this.snapshot(user, EMPLOYEE_FIELDS);
+  }
+
+  // { field: { from, to } } for the fields that changed, or null
+  diff(before, after, fields = Object.keys({ ...before, ...after })) {
+    const changes = {};
+
+    for (const field of fields) {
+      const from = before ? toStored(before[field]) : null;
+      const to = after ? toStored(after[field]) : null;
+      if (canonicalJson(from) === canonicalJson(to)) continue;
+
+      changes[field] = REDACTED_FIELDS.includes(field)
+        ? { from: '[redacted]', to: '[redacted]' }
+        : { from, to };
+    }
+    return Object.keys(changes).length ? changes : null;
+  }
+
+  computeHash(entry) {
+    return crypto.createHash('sha256').update(canonicalJson([
+      entry.organization_id,
+      entry.sequence,
+      entry.actor_type,
+      entry.actor_id,
+      entry.action,
+      entry.entity_type,
+      entry.entity_id,
+      entry.changes,
+      entry.metadata,
+      entry.ip_address,
+      entry.user_agent,
+      entry.request_id,
+      entry.previous_hash,
+      new Date(entry.createdAt).toISOString()
+    ])).digest('hex');
+  }
+
+  // Appends to the organization's chain and throws if it cannot. Pass the
+  // transaction of the change being audited so that both commit or neither
+  // does. The organization row is locked so concurrent entries take turns for
+  // the next sequence number.
+  async record(organizationId, { action, entityType, entityId, changes, metadata }, context = {}, transaction) {
+    const write = async (transaction) => {
+      await Organization.findByPk(organizationId, {
+        attributes: ['organization_id'],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      const last = await AuditLog.findOne({
+        where: { organization_id: organizationId },
+        attributes: ['sequence', 'entry_hash'],
+        order: [['sequence', 'DESC']],
+        transaction
+      });
+
+      const actor = context.actor || { type: 'system', id: null };
+      const entry = {
+        organization_id: organizationId,
+        sequence: last ? last.sequence + 1 : 1,
+        actor_type: actor.type,
+        actor_id: actor.id === null || actor.id === undefined ? null : String(actor.id),
+        action,
+        entity_type: entityType || null,
+        entity_id: entityId === null || entityId === undefined ? null : String(entityId),
+        changes: toStored(changes),
+        metadata: toStored(metadata),
+        ip_address: context.ip || null,
+        user_agent: context.userAgent ? String(context.userAgent).slice(0, 255) : null,
+        request_id: context.requestId || null,
+        previous_hash: last ? last.entry_hash : null,
+        // DATETIME keeps whole seconds, so the hashed time must too
+        createdAt: new Date(Math.floor(Date.now() / 1000) * 1000)
+      };
+      entry.entry_hash = this.computeHash(entry);
+
+      return AuditLog.create(entry, { transaction });
+    };
+
+    return transaction ? await write(transaction) : await sequelize.transaction(write);
+  }
+
+  // A failed audit write never undoes the action it describes; it is logged instead
+  async log(organizationId, entry, context) {
+    try {
+      return await this.record(organizationId, entry, context);
+    } catch (error) {
+      console.error(`Audit log error for ${entry.action}:`, error);
+      return null;
+    }
+  }
+
+  // action filters by exact name, or by prefix when it ends with a dot (employee.)
+  buildWhere(organizationId, { action, actorType, actorId, entityType, entityId, requestId, from, to } = {}) {
+    const where = { organization_id: organizationId };
+
+    if (action) {
+      where.action = action.endsWith('.') ? { [Op.startsWith]: action } : action;
+    }
+    if (actorType) where.actor_type = actorType;
+    if (actorId) where.actor_id = actorId;
+    if (entityType) where.entity_type = entityType;
+    if (entityId) where.entity_id = entityId;
+    if (requestId) where.request_id = requestId;
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt[Op.gte] = new Date(`${from}T00:00:00`);
+      if (to) where.createdAt[Op.lte] = new Date(`${to}T23:59:59.999`);
+    }
+    return where;
+  }
+
+  async getLogs(organizationId, filters = {}) {
+    const { page = 1, limit = 50 } = filters;
+
+    const logs = await AuditLog.findAndCountAll({
+      where: this.buildWhere(organizationId, filters),
+      order: [['sequence', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      logs: logs.rows,
+      pagination: {
+        total: logs.count,
+        page,
+        limit,
+        pages: Math.ceil(logs.count / limit)
+      }
+    };
+  }
+
+  async buildWorkbook(organizationId, filters = {}) {
+    const logs = await AuditLog.findAll({
+      where: this.buildWhere(organizationId, filters),
+      order: [['sequence', 'ASC']],
+      limit: this.exportMaxRows
+    });
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Audit Log');
+
+    worksheet.columns = [
+      { header: 'Sequence', key: 'sequence', width: 10 },
+      { header: 'Time', key: 'createdAt', width: 22 },
+      { header: 'Action', key: 'action', width: 24 },
+      { header: 'Actor Type', key: 'actor_type', width: 14 },
+      { header: 'Actor', key: 'actor_id', width: 24 },
+      { header: 'Entity Type', key: 'entity_type', width: 16 },
+      { header: 'Entity', key: 'entity_id', width: 24 },
+      { header: 'Changes', key: 'changes', width: 50 },
+      { header: 'Details', key: 'metadata', width: 40 },
+      { header: 'IP Address', key: 'ip_address', width: 18 },
+      { header: 'Request ID', key: 'request_id', width: 38 },
+      { header: 'Entry Hash', key: 'entry_hash', width: 68 }
+    ];
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getColumn('createdAt').numFmt = 'yyyy-mm-dd hh:mm:ss';
+
+    logs.forEach(log => {
+      worksheet.addRow({
+        ...log.get({ plain: true }),
+        changes: log.changes ? JSON.stringify(log.changes) : '',
+        metadata: log.metadata ? JSON.stringify(log.metadata) : ''
+      });
+    });
+
+    return { workbook, count: logs.length, truncated: logs.length === this.exportMaxRows };
+  }
+
+  // Walks the chain from the first entry. Removing the newest entries leaves a
+  // valid shorter chain, so compare last_hash with one recorded earlier
+  // (an export, for instance) to rule that out.
+  async verifyChain(organizationId, batchSize = 500) {
+    let previousHash = null;
+    let expectedSequence = 1;
+
+    for (;;) {
+      const batch = await AuditLog.findAll({
+        where: { organization_id: organizationId, sequence: { [Op.gte]: expectedSequence } },
+        order: [['sequence', 'ASC']],
+        limit: batchSize
+      });
+
+      for (const log of batch) {
+        let reason = null;
+        if (log.sequence !== expectedSequence) {
+          reason = `Entry ${expectedSequence} is missing`;
+        } else if (log.previous_hash !== previousHash) {
+          reason = 'Previous hash does not match the preceding entry';
+        } else if (log.entry_hash !== this.computeHash(log.get({ plain: true }))) {
+          reason = 'Entry contents do not match its hash';
+        }
+
+        if (reason) {
+          return {
+            valid: false,
+            entries_checked: expectedSequence - 1,
+            first_invalid: { sequence: expectedSequence, audit_id: log.audit_id, reason }
+          };
+        }
+
+        previousHash = log.entry_hash;
+        expectedSequence += 1;
+      }
+
+      if (batch.length < batchSize) break;
+    }
+
+    return { valid: true, entries_checked: expectedSequence - 1, last_hash: previousHash };
+  }
+}
+
+export default new AuditService();
@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import {
+  User,
+  Organization,
+  AuthSession,
+  RefreshToken,
+  sequelize
+} from '../models/index.js';
+import { ServiceError } from '../utils/errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Short-lived access tokens tied to a server-side session, plus single-use
+// refresh tokens that rotate on every refresh
+class AuthTokenService {
+  constructor() {
+    this.accessTokenExpiresIn = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+    this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // subject: { type: 'employee', user } or { type: 'organization', organization }
+  accessClaims(subject) {
+    if (subject.type === 'employee') {
+      return {
+        user_id: subject.user.user_id,
+        organization_id: subject.user.organization_id,
+        role: subject.user.role,
+        type: 'employee'
+      };
+    }
+    return {
+      organization_id: subject.organization.organization_id,
+      type: 'organization'
+    };
+  }
+
+  signAccessToken(subject, session) {
+    return jwt.sign(
+      { ...this.accessClaims(subject), sid: session.session_id, auth_method: session.auth_method },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenExpiresIn, jwtid: crypto.randomUUID() }
+    );
+  }
+
+  async createRefreshToken(session, transaction) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const record = await RefreshToken.create({
+      session_id: session.session_id,
+      token_hash: this.hashToken(token),
+      // A refresh token never outlives its session
+      expires_at: new Date(Math.min(Date.now() + this.refreshTokenDays * DAY_MS, session.expires_at.getTime()))
+    }, { transaction });
+
+    return { token, record };
+  }
+
+  tokenResponse(subject, session, refreshToken) {
+    const accessToken = this.signAccessToken(subject, session);
+    return {
+      token: accessToken,
+      refresh_token: refreshToken,
+      token_type: 'Bearer',
+      expires_in: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+    };
+  }
+
+  // Starts a session at login; authMethod is 'sso' for identity provider sign-ins
+  async issueTokens(subject, { ip, userAgent, authMethod = 'password' } = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const isEmployee = subject.type === 'employee';
+      const session = await AuthSession.create({
+        subject_type: subject.type,
+        subject_id: isEmployee ? subject.user.user_id : subject.organization.organization_id,
+        organization_id: isEmployee ? subject.user.organization_id : subject.organization.organization_id,
+        expires_at: new Date(Date.now() + this.refreshTokenDays * DAY_MS),
+        auth_method: authMethod,
+        ip_address: ip,
+        user_agent: userAgent ? userAgent.slice(0, 255) : null,
+        last_used_at: new Date()
+      }, { transaction });
+
+      const { token } = await this.createRefreshToken(session, transaction);
+      return this.tokenResponse(subject, session, token);
+    });
+  }
+
+  async loadSubject(session, transaction) {
+    if (session.subject_type === 'employee') {
+      const user = await User.findOne({
+        where: { user_id: session.subject_id, is_active: true },
+        include: [{ model: Organization, as: 'organization', attributes: ['is_active'] }],
+        transaction
+      });
+      return user && user.organization.is_active ? { type: 'employee', user } : null;
+    }
+
+    const organization = await Organization.findOne({
+      where: { organization_id: session.subject_id, is_active: true },
+      transaction
+    });
+    return organization ? { type: 'organization', organization } : null;
+  }
+
+  // Exchanges a refresh token for a new access and refresh token. Presenting a
+  // token that was already exchanged revokes the whole session, since either
+  // the client or an attacker holds a stolen copy.
+  async refresh(refreshToken, { ip, userAgent } = {}) {
+    const outcome = await sequelize.transaction(async (transaction) => {
+      const record = await RefreshToken.findOne({
+        where: { token_hash: this.hashToken(refreshToken) },
+        include: [{ model: AuthSession, as: 'session' }],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!record || record.session.revoked_at) {
+        return { error: 'Invalid refresh token' };
+      }
+
+      const { session } = record;
+
+      if (record.used_at) {
+        await this.revokeSession(session, 'refresh_token_reuse', transaction);
+        return { error: 'Refresh token reuse detected; the session has been revoked' };
+      }
+      if (record.expires_at < new Date()) {
+        return { error: 'Refresh token expired' };
+      }
+
+      const subject = await this.loadSubject(session, transaction);
+      if (!subject) {
+        await this.revokeSession(session, 'account_inactive', transaction);
+        return { error: 'Invalid or inactive account' };
+      }
+
+      const next = await this.createRefreshToken(session, transaction);
+      await record.update({ used_at: new Date(), replaced_by_id: next.record.token_id }, { transaction });
+      await session.update({
+        last_used_at: new Date(),
+        ip_address: ip || session.ip_address,
+        user_agent: userAgent ? userAgent.slice(0, 255) : session.user_agent
+      }, { transaction });
+
+      return { tokens: this.tokenResponse(subject, session, next.token) };
+    });
+
+    // Thrown outside the transaction so a reuse revocation is committed
+    if (outcome.error) {
+      throw new ServiceError(outcome.error, 401);
+    }
+    return outcome.tokens;
+  }
+
+  async revokeSession(session, reason, transaction) {
+    if (session.revoked_at) return session;
+    return await session.update({ revoked_at: new Date(), revoked_reason: reason }, { transaction });
+  }
+
+  // Logs out the session the refresh token belongs to
+  async revokeByRefreshToken(refreshToken) {
+    const record = await RefreshToken.findOne({
+      where: { token_hash: this.hashToken(refreshToken) },
+      include: [{ model: AuthSession, as: 'session' }]
+    });
+
+    if (!record) {
+      throw new ServiceError('Invalid refresh token', 401);
+    }
+
+    await this.revokeSession(record.session, 'logout');
+  }
+
+  async revokeSessionById(sessionId, reason = 'logout') {
+    const session = await AuthSession.findByPk(sessionId);
+    if (session) await this.revokeSession(session, reason);
+  }
+
+  // Every session of the employee or organization admin, optionally keeping one
+  async revokeAllSessions(subjectType, subjectId, reason = 'logout_all', { exceptSessionId } = {}) {
+    const where = {
+      subject_type: subjectType,
+      subject_id: subjectId,
+      revoked_at: null
+    };
+    if (exceptSessionId) where.session_id = { [Op.ne]: exceptSessionId };
+
+    const [count] = await AuthSession.update(
+      { revoked_at: new Date(), revoked_reason: reason },
+      { where }
+    );
+    return count;
+  }
+
+  // Access tokens are only honoured while their session is live
+  async isSessionActive(decoded, subjectId) {
+    if (!decoded.sid) return false;
+
+    const session = await AuthSession.findByPk(decoded.sid);
+    return Boolean(session
+      && !session.revoked_at
+      && session.expires_at > new Date()
+      && session.subject_type === decoded.type
+      && session.subject_id === subjectId);
+  }
+}
+
+export default new AuthTokenService();
@@ -0,0 +1,97 @@
+import { PayrollData } from '../models/index.js';
+import payrollService from './payrollService.js';
+import salaryStructureService from './salaryStructureService.js';
+import taxService from './taxService.js';
+import { TAX_REGIMES } from '../config/incomeTax.js';
+import { today } from '../utils/dateUtils.js';
+
+// Single place that turns salary records into gross, deductions and net pay,
+// so the chat answers and the APIs agree on the numbers
+class CompensationService {
+  // Accepts a PayrollData instance or a raw payroll_data row
+  summarize(payrollData) {
+    const components = typeof payrollData.components === 'string'
+      ? JSON.parse(payrollData.components)
+      : payrollData.components;
+
+    const items = payrollService.getComponents({ ...this.toPlain(payrollData), components })
+      .map(item => ({ ...item, amount: parseFloat(item.amount || 0) }));
+    const byType = (type) => items.filter(item => item.type === type);
+    const total = (list) => list.reduce((sum, item) => sum + item.amount, 0);
+
+    const earnings = byType('earning');
+    const deductions = byType('deduction');
+    const gross = total(earnings);
+    const totalDeductions = total(deductions);
+
+    return {
+      ctc: parseFloat(payrollData.ctc || 0),
+      monthly: {
+        earnings,
+        deductions,
+        employer_contributions: byType('employer_contribution'),
+        gross,
+        total_deductions: totalDeductions,
+        net_pay: gross - totalDeductions
+      },
+      annual: {
+        gross: gross * 12,
+        total_deductions: totalDeductions * 12,
+        net_pay: (gross - totalDeductions) * 12
+      }
+    };
+  }
+
+  toPlain(record) {
+    return typeof record.get === 'function' ? record.get({ plain: true }) : record;
+  }
+
+  async getEmployeeCompensation(userId, organizationId) {
+    const payrollData = await PayrollData.findOne({
+      where: { user_id: userId, organization_id: organizationId }
+    });
+
+    return payrollData ? this.summarize(payrollData) : null;
+  }
+
+  // Full breakdown for a proposed CTC on one of the organization's structures
+  // in the given work state, with the income tax it would attract this
+  // financial year under each regime
+  async simulate(organizationId, ctc, { structureId, overrides, state } = {}) {
+    const breakdown = await salaryStructureService.previewStructure(organizationId, structureId, ctc, overrides, state);
+
+    const financialYear = taxService.financialYearFor(today());
+    const { version, rules } = taxService.getRules(financialYear);
+    const annualAmount = (code) => [...breakdown.annual.earnings, ...breakdown.annual.deductions]
+      .filter(item => item.code === code)
+      .reduce((sum, item) => sum + item.amount, 0);
+
+    const income = {
+      gross_salary: breakdown.annual.gross,
+      basic: annualAmount('BASIC'),
+      hra_received: annualAmount('HRA'),
+      professional_tax: annualAmount('PT')
+    };
+
+    // No investment declarations; the old regime estimate is therefore an upper bound
+    const tax = Object.fromEntries(TAX_REGIMES.map(regime => {
+      const result = taxService.computeRegime(regime, rules, income, {}, null);
+      return [regime, {
+        total_tax: result.total_tax,
+        monthly_tds: result.monthly_tds,
+        monthly_in_hand: breakdown.monthly.net_pay - result.monthly_tds
+      }];
+    }));
+
+    return {
+      ...breakdown,
+      tax_estimate: {
+        financial_year: financialYear,
+        rules_version: version,
+        ...tax
+      }
+    };
+  }
+}
+
+export default new CompensationService();
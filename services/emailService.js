@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+
+const TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates', 'email');
+
+// Each template has a .txt and a .html body in templates/email; {{name}}
+// placeholders are filled from the variables (HTML-escaped in the html body)
+const TEMPLATES = {
+  'password-reset': { subject: 'Reset your VipraCo password' },
+  'employee-invitation': { subject: '{{org_name}} has invited you to VipraCo' },
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+class EmailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  // SMTP_HOST points at a real relay or a local catch-all server (e.g. MailHog
+  // on port 1025). Without it messages are rendered but not sent.
+  getTransport() {
+    if (this.transport) return this.transport;
+
+    if (process.env.SMTP_HOST) {
+      this.transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined
+      });
+    } else {
+      this.transport = nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    return this.transport;
+  }
+
+  render(templateName, variables) {
+    const template = TEMPLATES[templateName];
+    if (!template) {
+      throw new Error(`Unknown email template: ${templateName}`);
+    }
+
+    const fill = (source, escape) => source.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+      const value = variables[key] === undefined || variables[key] === null ? '' : variables[key];
+      return escape ? escapeHtml(value) : String(value);
+    });
+    const read = (extension) => fs.readFileSync(path.join(TEMPLATE_DIR, `${templateName}.${extension}`), 'utf8');
+
+    return {
+      subject: fill(template.subject, false),
+      text: fill(read('txt'), false),
+      html: fill(read('html'), true)
+    };
+  }
+
+  async sendTemplate(templateName, to, variables = {}) {
+    const message = this.render(templateName, variables);
+    const info = await this.getTransport().sendMail({
+      from: process.env.MAIL_FROM || 'VipraCo <no-reply@vipraco.local>',
+      to,
+      ...message
+    });
+
+    if (!process.env.SMTP_HOST) {
+      // The body carries one-time links, so it is only logged outside production
+      console.log(`📧 Email not sent (SMTP_HOST not configured): ${templateName} to ${to}`
+        + (process.env.NODE_ENV !== 'production' ? `\n${message.text}` : ''));
+    }
+
+    return info;
+  }
+}
+
+export default new EmailService();
@@ -2,11 +2,17 @@ import ExcelJS from 'exceljs';
 import { 
   Organization, 
   User, 
-  LeaveBalance, 
-  PayrollData, 
   sequelize 
 } from '../models/index.js';
-import bcrypt from 'bcryptjs';
+import leaveAccrualService from './leaveAccrualService.js';
+import leaveTypeService from './leaveTypeService.js';
+import holidayService from './holidayService.js';
+import salaryRevisionService from './salaryRevisionService.js';
+import invitationService from './invitationService.js';
+import auditService from './auditService.js';
+import accessControlService from './accessControlService.js';
+import { STATE_RULES } from '../config/statutoryRules.js';
+import { toPeriod } from '../utils/dateUtils.js';
 
 class ExcelProcessingService {
   constructor() {
@@ -20,13 +26,19 @@ class ExcelProcessingService {
     };
   }
 
-  async processEmployeeExcel(filePath, organizationId) {
+  // context is the audit context of the request (auditService.fromRequest)
+  async processEmployeeExcel(filePath, organizationId, actor = { type: 'organization', id: organizationId }, context = { actor }, fileName = null) {
     console.log(`🚀 Starting Excel processing for organization: ${organizationId}`);
     
     try {
       // Step 1: Read Excel file with bulletproof parsing
       const employees = await this.readExcelFileRobust(filePath);
       console.log(`📊 Excel data extracted: ${employees.length} employees found`);
+
+      // The role column cannot give an API key more than it could add by hand
+      for (const employee of employees) {
+        accessControlService.ensureCanAssignRole(context.actor, employee.role);
+      }
       
       // Step 2: Get organization details
       const organization = await Organization.findByPk(organizationId);
@@ -46,7 +58,21 @@ class ExcelProcessingService {
       }
 
       // Step 4: Insert data with bulletproof insertion
-      const result = await this.bulletproofInsert(employees, organizationId);
+      const result = await this.bulletproofInsert(employees, organizationId, actor, context, fileName);
+
+      // Step 5: Credit the current accrual period (pro-rated from joining date)
+      if (result.length) {
+        await leaveAccrualService.runAccrual(organizationId, toPeriod(new Date()), {
+          userIds: result.map(emp => emp.user_id)
+        });
+      }
+
+      // Step 6: Email each new employee an activation link
+      const invitations = await invitationService.inviteAll(organizationId, result.map(emp => emp.user_id), actor);
+      for (const employee of result) {
+        const invitation = invitations.get(employee.user_id);
+        employee.invitation_sent = Boolean(invitation && invitation.email_sent);
+      }
 
       console.log(`✅ Successfully processed ${result.length} employees`);
       return {
@@ -61,6 +87,57 @@ class ExcelProcessingService {
     }
   }
 
+  async processHolidayExcel(filePath, organizationId, context = {}, fileName = null) {
+    console.log(`🚀 Starting holiday import for organization: ${organizationId}`);
+
+    try {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(filePath);
+
+      const worksheet = workbook.worksheets[0];
+      const holidays = [];
+      const invalidRows = [];
+
+      // Expected columns: name, date, location (blank = all locations), optional (yes/no), description
+      worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+
+        const name = this.safeString(row.getCell(1).value);
+        const holidayDate = this.safeDateString(row.getCell(2).value);
+
+        if (!name || !holidayDate) {
+          invalidRows.push(rowNumber);
+          return;
+        }
+
+        holidays.push({
+          name,
+          holiday_date: holidayDate,
+          location: this.safeString(row.getCell(3).value) || null,
+          is_optional: ['yes', 'y', 'true', '1', 'optional'].includes(this.safeString(row.getCell(4).value).toLowerCase()),
+          description: this.safeString(row.getCell(5).value) || null
+        });
+      });
+
+      console.log(`📊 Holiday data extracted: ${holidays.length} holidays found`);
+
+      const summary = await holidayService.importHolidays(organizationId, holidays, context, {
+        file_name: fileName,
+        invalid_rows: invalidRows
+      });
+
+      return {
+        success: true,
+        message: `Imported ${summary.created} holidays (${summary.skipped} already existed)`,
+        data: { ...summary, invalid_rows: invalidRows }
+      };
+
+    } catch (error) {
+      console.error('❌ Holiday import error:', error);
+      throw new Error(`Failed to import holidays: ${error.message}`);
+    }
+  }
+
   async readExcelFileRobust(filePath) {
     try {
       console.log(`📖 Reading Excel file: ${filePath}`);
@@ -105,7 +182,7 @@ class ExcelProcessingService {
 
   parseRowBulletproof(row, rowIndex) {
     try {
-      // Expected columns: first_name, last_name, email, role, department, location, date_of_joining, date_of_birth, base_salary, hra, ctc
+      // Expected columns: first_name, last_name, email, role, department, location, date_of_joining, date_of_birth, base_salary, hra, ctc, work_state
       
       const employee = {
         first_name: this.safeString(row[0]) || `Employee${rowIndex}`,
@@ -116,9 +193,12 @@ class ExcelProcessingService {
         location: this.safeString(row[5]) || 'Office',
         date_of_joining: this.safeDateString(row[6]) || '2023-01-01',
         date_of_birth: this.safeDateString(row[7]) || '1990-01-01',
-        base_salary: this.safeNumber(row[8]) || 50000,
-        hra: this.safeNumber(row[9]) || 25000,
-        ctc: this.safeNumber(row[10]) || 600000
+        // Optional; the salary structure derives them from CTC when blank
+        base_salary: this.safeNumber(row[8]) || null,
+        hra: this.safeNumber(row[9]) || null,
+        ctc: this.safeNumber(row[10]) || 600000,
+        // State code; blank to derive the state from location
+        work_state: this.normalizeWorkState(this.safeString(row[11]))
       };
 
       console.log(`📝 Parsed employee ${rowIndex}: ${employee.first_name} ${employee.last_name} - Email: ${employee.email}`);
@@ -257,11 +337,24 @@ class ExcelProcessingService {
     return this.roleMapping[normalizedRole] || 'Employee';
   }
 
-  async bulletproofInsert(employees, organizationId) {
+  // Accepts a state code or name; anything else is left for location to decide
+  normalizeWorkState(value) {
+    if (!value) return null;
+    const normalized = value.toLowerCase().trim();
+    const match = Object.entries(STATE_RULES).find(([code, rules]) =>
+      code.toLowerCase() === normalized || rules.name.toLowerCase() === normalized
+    );
+    return match ? match[0] : null;
+  }
+
+  // The new employees and their audit entries commit together; an audit
+  // failure rolls back the whole import rather than skipping the row
+  async bulletproofInsert(employees, organizationId, actor, context = { actor }, fileName = null) {
     console.log(`💾 Inserting ${employees.length} employees into database`);
     
     return await sequelize.transaction(async (transaction) => {
       const insertedEmployees = [];
+      const createdUsers = [];
       
       for (let i = 0; i < employees.length; i++) {
         const empData = employees[i];
@@ -271,9 +364,8 @@ class ExcelProcessingService {
           // Generate unique user_id
           const userId = `${organizationId}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
           
-          // Format date for password (DDMMYYYY)
-          const defaultPassword = this.formatDateForPassword(empData.date_of_birth) || '01011990';
-          const hashedPassword = await bcrypt.hash(defaultPassword, 10);
+          // Employees choose their own password from the invitation sent after the import
+          const hashedPassword = await invitationService.unusablePasswordHash();
           
           // Prepare bulletproof user data
           const userData = {
@@ -288,6 +380,7 @@ class ExcelProcessingService {
             date_of_birth: empData.date_of_birth,
             department: empData.department,
             location: empData.location,
+            work_state: empData.work_state,
             phone: null,
             employee_number: `EMP${String(i + 1).padStart(3, '0')}`,
             is_active: true,
@@ -304,58 +397,28 @@ class ExcelProcessingService {
 
           console.log(`✅ User created: ${user.user_id}`);
 
-          // Insert default leave balances
-          const defaultLeaves = [
-            { type: 'Casual Leave', allotted: 12, taken: 0, pending: 0 },
-            { type: 'Sick Leave', allotted: 8, taken: 0, pending: 0 },
-            { type: 'Earned Leave', allotted: 18, taken: 0, pending: 0 }
-          ];
-          
-          for (const leave of defaultLeaves) {
-            await LeaveBalance.create({
-              organization_id: organizationId,
-              user_id: userId,
-              leave_type: leave.type,
-              total_allotted: leave.allotted,
-              leaves_taken: leave.taken,
-              leaves_pending_approval: leave.pending
-            }, { 
-              transaction,
-              validate: false,
-              hooks: false
-            });
-          }
+          // Insert leave balances for the organization's leave types; quotas are credited by the accrual engine
+          await leaveTypeService.seedBalances(userId, organizationId, transaction);
 
           console.log(`📋 Leave balances created for: ${user.user_id}`);
 
-          // Insert payroll data
-          const payrollData = {
-            organization_id: organizationId,
-            user_id: userId,
-            base_salary: empData.base_salary,
-            hra: empData.hra,
-            conveyance_allowance: Math.round(empData.base_salary * 0.04), // 4% of base
-            medical_allowance: Math.round(empData.base_salary * 0.03), // 3% of base
-            pf_deduction: Math.round(empData.base_salary * 0.12), // 12% of base
-            esi_deduction: empData.base_salary <= 25000 ? Math.round(empData.base_salary * 0.0175) : 0,
-            professional_tax: empData.base_salary > 40000 ? 200 : 150,
-            ctc: empData.ctc
-          };
-          
-          await PayrollData.create(payrollData, { 
-            transaction,
-            validate: false,
-            hooks: false
-          });
+          // Insert the joining salary as the first revision; PayrollData is derived from it
+          await salaryRevisionService.createRevision(organizationId, userId, {
+            ctc: empData.ctc,
+            overrides: { BASIC: empData.base_salary, HRA: empData.hra },
+            effective_date: empData.date_of_joining,
+            reason: 'initial'
+          }, { actor, transaction });
 
           console.log(`💰 Payroll data created for: ${user.user_id}`);
 
+          createdUsers.push(user);
+
           insertedEmployees.push({
             user_id: userId,
             name: `${empData.first_name} ${empData.last_name}`,
             email: empData.email,
-            role: empData.role,
-            default_password: defaultPassword
+            role: empData.role
           });
 
         } catch (error) {
@@ -365,28 +428,32 @@ class ExcelProcessingService {
         }
       }
 
+      for (const user of createdUsers) {
+        await auditService.record(organizationId, {
+          action: 'employee.create',
+          entityType: 'employee',
+          entityId: user.user_id,
+          changes: auditService.diff(null, auditService.employeeSnapshot(user)),
+          metadata: { source: 'import' }
+        }, context, transaction);
+      }
+
+      await auditService.record(organizationId, {
+        action: 'employee.import',
+        entityType: 'organization',
+        entityId: organizationId,
+        metadata: {
+          file_name: fileName,
+          processed: insertedEmployees.length,
+          user_ids: insertedEmployees.map(employee => employee.user_id)
+        }
+      }, context, transaction);
+
       console.log(`✅ Successfully inserted ${insertedEmployees.length} employees`);
       return insertedEmployees;
     });
   }
 
-  formatDateForPassword(dateStr) {
-    if (!dateStr) return null;
-    
-    try {
-      const date = new Date(dateStr);
-      if (isNaN(date.getTime())) return null;
-      
-      const day = String(date.getDate()).padStart(2, '0');
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const year = date.getFullYear();
-      
-      return `${day}${month}${year}`; // DDMMYYYY format
-    } catch (error) {
-      return null;
-    }
-  }
-
   getMaxUsersForPlan(plan) {
     const limits = {
       'starter': 50,
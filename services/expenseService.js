@@ -0,0 +1,427 @@
+import { Op } from 'sequelize';
+import {
+  User,
+  ExpenseCategory,
+  ExpenseClaim,
+  ExpenseClaimItem,
+  sequelize
+} from '../models/index.js';
+import auditService from './auditService.js';
+import { DEFAULT_EXPENSE_CATEGORIES, ACTIVE_CLAIM_STATUSES } from '../config/expensePolicy.js';
+import { ServiceError } from '../utils/errors.js';
+import { parseDateOnly, toDateOnly, today } from '../utils/dateUtils.js';
+
+const claimIncludes = [{
+  model: ExpenseClaimItem,
+  as: 'items',
+  include: [{ model: ExpenseCategory, as: 'category', attributes: ['category_id', 'name', 'code'] }]
+}];
+
+// Category fields tracked in the audit log
+const CATEGORY_FIELDS = ['name', 'code', 'aliases', 'per_item_limit', 'monthly_limit', 'is_active'];
+
+// Claim fields tracked in the audit log when a claim is decided
+const DECISION_FIELDS = ['status', 'manager_id', 'manager_comment', 'admin_comment'];
+
+class ExpenseService {
+  // Organizations without any configuration get the default categories
+  async ensureCategories(organizationId, transaction) {
+    const count = await ExpenseCategory.count({
+      where: { organization_id: organizationId },
+      transaction
+    });
+
+    if (count === 0) {
+      await ExpenseCategory.bulkCreate(
+        DEFAULT_EXPENSE_CATEGORIES.map(category => ({ ...category, organization_id: organizationId })),
+        { transaction, ignoreDuplicates: true }
+      );
+    }
+  }
+
+  async getCategories(organizationId, { includeInactive = false, transaction } = {}) {
+    await this.ensureCategories(organizationId, transaction);
+
+    const where = { organization_id: organizationId };
+    if (!includeInactive) where.is_active = true;
+
+    return await ExpenseCategory.findAll({
+      where,
+      order: [['name', 'ASC']],
+      transaction
+    });
+  }
+
+  async createCategory(organizationId, data, context = {}) {
+    await this.ensureCategories(organizationId);
+
+    const existing = await ExpenseCategory.findOne({
+      where: {
+        organization_id: organizationId,
+        [Op.or]: [{ name: data.name }, { code: data.code }]
+      }
+    });
+
+    if (existing) {
+      throw new ServiceError('An expense category with this name or code already exists', 409);
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const category = await ExpenseCategory.create({ ...data, organization_id: organizationId }, { transaction });
+
+      await auditService.record(organizationId, {
+        action: 'expense_category.create',
+        entityType: 'expense_category',
+        entityId: category.category_id,
+        changes: auditService.diff(null, auditService.snapshot(category, CATEGORY_FIELDS))
+      }, context, transaction);
+
+      return category;
+    });
+  }
+
+  async findCategoryById(organizationId, categoryId, transaction) {
+    const category = await ExpenseCategory.findOne({
+      where: { category_id: categoryId, organization_id: organizationId },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    if (!category) {
+      throw new ServiceError('Expense category not found', 404);
+    }
+
+    return category;
+  }
+
+  async updateCategory(organizationId, categoryId, data, context = {}, action = 'expense_category.update') {
+    return await sequelize.transaction(async (transaction) => {
+      const category = await this.findCategoryById(organizationId, categoryId, transaction);
+      const before = auditService.snapshot(category, CATEGORY_FIELDS);
+      await category.update(data, { transaction });
+
+      const changes = auditService.diff(before, auditService.snapshot(category, CATEGORY_FIELDS));
+      if (changes) {
+        await auditService.record(organizationId, {
+          action,
+          entityType: 'expense_category',
+          entityId: category.category_id,
+          changes
+        }, context, transaction);
+      }
+
+      return category;
+    });
+  }
+
+  async deactivateCategory(organizationId, categoryId, context = {}) {
+    return await this.updateCategory(organizationId, categoryId, { is_active: false }, context, 'expense_category.deactivate');
+  }
+
+  getMatchTerms(category) {
+    const terms = [category.name.toLowerCase(), category.code.toLowerCase()];
+    (category.aliases || '').split(',').forEach(alias => {
+      if (alias.trim()) terms.push(alias.trim().toLowerCase());
+    });
+    return terms;
+  }
+
+  // Finds the category mentioned in free text, preferring the longest match
+  matchFromText(categories, text) {
+    const source = String(text || '').toLowerCase();
+    let best = null;
+    let bestLength = 0;
+
+    for (const category of categories) {
+      for (const term of this.getMatchTerms(category)) {
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (term.length > bestLength && new RegExp(`\\b${escaped}s?\\b`).test(source)) {
+          best = category;
+          bestLength = term.length;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  // Checks line items against the category limits, including what the
+  // employee has already claimed in the same month
+  async validateItems(employee, items, categories, transaction) {
+    const problems = [];
+    const byName = (value) => {
+      const normalized = String(value || '').toLowerCase().trim();
+      return categories.find(category =>
+        category.name.toLowerCase() === normalized || category.code.toLowerCase() === normalized
+      );
+    };
+
+    const resolved = items.map((item, index) => {
+      const label = `Item ${index + 1}`;
+      const category = byName(item.category);
+      const amount = parseFloat(item.amount);
+      const expenseDate = parseDateOnly(item.expense_date);
+
+      if (!category) problems.push(`${label}: unknown expense category "${item.category}"`);
+      if (!(amount > 0)) problems.push(`${label}: amount must be greater than zero`);
+      if (!expenseDate) problems.push(`${label}: expense_date must be a valid date`);
+      else if (expenseDate > today()) problems.push(`${label}: expense_date cannot be in the future`);
+
+      if (category && category.per_item_limit !== null && amount > parseFloat(category.per_item_limit)) {
+        problems.push(`${label}: ${category.name} is limited to ₹${parseFloat(category.per_item_limit).toLocaleString('en-IN')} per item`);
+      }
+
+      return { ...item, category, amount, expense_date: expenseDate && toDateOnly(expenseDate) };
+    });
+
+    if (problems.length) {
+      throw new ServiceError('Invalid expense claim', 400, { problems });
+    }
+
+    // Monthly limits per category and expense month
+    const totals = new Map();
+    for (const item of resolved) {
+      if (item.category.monthly_limit === null) continue;
+      const key = `${item.category.category_id}|${item.expense_date.slice(0, 7)}`;
+      totals.set(key, (totals.get(key) || 0) + item.amount);
+    }
+
+    const activeClaims = totals.size ? await ExpenseClaim.findAll({
+      where: { user_id: employee.user_id, status: { [Op.in]: ACTIVE_CLAIM_STATUSES } },
+      attributes: ['claim_id'],
+      transaction
+    }) : [];
+
+    for (const [key, amount] of totals) {
+      const [categoryId, month] = key.split('|');
+      const category = categories.find(item => String(item.category_id) === categoryId);
+      const claimed = activeClaims.length ? parseFloat(await ExpenseClaimItem.sum('amount', {
+        where: {
+          claim_id: { [Op.in]: activeClaims.map(claim => claim.claim_id) },
+          category_id: category.category_id,
+          expense_date: { [Op.like]: `${month}-%` }
+        },
+        transaction
+      }) || 0) : 0;
+
+      const limit = parseFloat(category.monthly_limit);
+      if (claimed + amount > limit) {
+        problems.push(
+          `${category.name} claims for ${month} would total ₹${(claimed + amount).toLocaleString('en-IN')}, `
+          + `above the monthly limit of ₹${limit.toLocaleString('en-IN')}`
+        );
+      }
+    }
+
+    if (problems.length) {
+      throw new ServiceError('Expense claim exceeds category limits', 400, { problems });
+    }
+
+    return resolved;
+  }
+
+  // Each line item carries its own receipt; receipts are matched to items by position
+  async submitClaim(employee, { title, items }, receiptPaths) {
+    if (!Array.isArray(items) || !items.length) {
+      throw new ServiceError('An expense claim needs at least one line item');
+    }
+    if (receiptPaths.length !== items.length) {
+      throw new ServiceError(`Upload one receipt per line item (${items.length} item(s), ${receiptPaths.length} receipt(s))`);
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const categories = await this.getCategories(employee.organization_id, { transaction });
+      const resolved = await this.validateItems(employee, items, categories, transaction);
+
+      const claim = await ExpenseClaim.create({
+        organization_id: employee.organization_id,
+        user_id: employee.user_id,
+        title,
+        total_amount: resolved.reduce((sum, item) => sum + item.amount, 0),
+        // Employees without a reporting manager go straight to the admin
+        status: employee.manager_id ? 'pending_manager' : 'pending_admin',
+        manager_id: employee.manager_id || null
+      }, { transaction });
+
+      await ExpenseClaimItem.bulkCreate(resolved.map((item, index) => ({
+        claim_id: claim.claim_id,
+        category_id: item.category.category_id,
+        expense_date: item.expense_date,
+        amount: item.amount,
+        description: item.description,
+        receipt_path: receiptPaths[index]
+      })), { transaction });
+
+      return await ExpenseClaim.findByPk(claim.claim_id, { include: claimIncludes, transaction });
+    });
+  }
+
+  async getEmployeeClaims(userId, organizationId, { status } = {}) {
+    const where = { user_id: userId, organization_id: organizationId };
+    if (status) where.status = status;
+
+    return await ExpenseClaim.findAll({
+      where,
+      include: claimIncludes,
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  async getEmployeeClaim(userId, organizationId, claimId) {
+    const claim = await ExpenseClaim.findOne({
+      where: { claim_id: claimId, user_id: userId, organization_id: organizationId },
+      include: claimIncludes
+    });
+
+    if (!claim) {
+      throw new ServiceError('Expense claim not found', 404);
+    }
+
+    return claim;
+  }
+
+  // Locks the claim so a cancellation cannot race a manager or admin decision
+  async cancelClaim(employee, claimId) {
+    return await sequelize.transaction(async (transaction) => {
+      const claim = await this.findClaim(employee.organization_id, claimId, transaction);
+
+      if (claim.user_id !== employee.user_id) {
+        throw new ServiceError('Expense claim not found', 404);
+      }
+      if (!['pending_manager', 'pending_admin'].includes(claim.status)) {
+        throw new ServiceError(`An expense claim that is ${claim.status.replace('_', ' ')} cannot be cancelled`, 409);
+      }
+
+      await claim.update({ status: 'cancelled' }, { transaction });
+      return await ExpenseClaim.findByPk(claim.claim_id, { include: claimIncludes, transaction });
+    });
+  }
+
+  async getManagerApprovals(manager) {
+    return await ExpenseClaim.findAll({
+      where: { organization_id: manager.organization_id, status: 'pending_manager' },
+      include: [
+        ...claimIncludes,
+        {
+          model: User,
+          as: 'employee',
+          where: { manager_id: manager.user_id },
+          attributes: ['user_id', 'first_name', 'last_name', 'email', 'department']
+        }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  async findClaim(organizationId, claimId, transaction) {
+    const claim = await ExpenseClaim.findOne({
+      where: { claim_id: claimId, organization_id: organizationId },
+      include: [{
+        model: User,
+        as: 'employee',
+        attributes: ['user_id', 'first_name', 'last_name', 'email', 'manager_id']
+      }],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    if (!claim) {
+      throw new ServiceError('Expense claim not found', 404);
+    }
+
+    return claim;
+  }
+
+  // Records expense_claim.approve or .reject in the decision's transaction
+  async recordDecision(claim, before, approved, step, context, transaction) {
+    await auditService.record(claim.organization_id, {
+      action: approved ? 'expense_claim.approve' : 'expense_claim.reject',
+      entityType: 'expense_claim',
+      entityId: claim.claim_id,
+      changes: auditService.diff(before, auditService.snapshot(claim, DECISION_FIELDS)),
+      metadata: { step, user_id: claim.user_id, total_amount: claim.total_amount }
+    }, context, transaction);
+  }
+
+  // First approval step; only the employee's reporting manager may decide.
+  // context is the audit context of the request (auditService.fromRequest).
+  async decideAsManager(manager, claimId, approved, comment, context = { actor: { type: 'employee', id: manager.user_id } }) {
+    return await sequelize.transaction(async (transaction) => {
+      const claim = await this.findClaim(manager.organization_id, claimId, transaction);
+
+      if (claim.employee.manager_id !== manager.user_id) {
+        throw new ServiceError('You are not the reporting manager for this employee', 403);
+      }
+      if (claim.status !== 'pending_manager') {
+        throw new ServiceError(`Expense claim is not awaiting manager approval (${claim.status.replace('_', ' ')})`, 409);
+      }
+
+      const before = auditService.snapshot(claim, DECISION_FIELDS);
+      await claim.update({
+        status: approved ? 'pending_admin' : 'rejected',
+        manager_id: manager.user_id,
+        manager_comment: comment,
+        manager_decided_at: new Date()
+      }, { transaction });
+
+      await this.recordDecision(claim, before, approved, 'manager', context, transaction);
+      return claim;
+    });
+  }
+
+  async getAdminClaims(organizationId, { status, userId } = {}) {
+    const where = { organization_id: organizationId };
+    if (status) where.status = status;
+    if (userId) where.user_id = userId;
+
+    return await ExpenseClaim.findAll({
+      where,
+      include: [
+        ...claimIncludes,
+        { model: User, as: 'employee', attributes: ['user_id', 'first_name', 'last_name', 'email', 'department'] }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  // Final approval step; approved claims are paid with the next payroll run
+  async decideAsAdmin(organizationId, claimId, approved, comment, context = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const claim = await this.findClaim(organizationId, claimId, transaction);
+
+      if (claim.status !== 'pending_admin') {
+        throw new ServiceError(`Expense claim is not awaiting admin approval (${claim.status.replace('_', ' ')})`, 409);
+      }
+
+      const before = auditService.snapshot(claim, DECISION_FIELDS);
+      await claim.update({
+        status: approved ? 'approved' : 'rejected',
+        admin_comment: comment,
+        admin_decided_at: new Date()
+      }, { transaction });
+
+      await this.recordDecision(claim, before, approved, 'admin', context, transaction);
+      return claim;
+    });
+  }
+
+  // Receipt of a line item, visible to the claimant, their manager and the admin
+  async getReceipt(organizationId, claimId, itemId, viewer = null) {
+    const claim = await this.findClaim(organizationId, claimId);
+
+    if (viewer && claim.user_id !== viewer.user_id && claim.employee.manager_id !== viewer.user_id) {
+      throw new ServiceError('You cannot view receipts for this claim', 403);
+    }
+
+    const item = await ExpenseClaimItem.findOne({
+      where: { item_id: itemId, claim_id: claim.claim_id }
+    });
+    if (!item) {
+      throw new ServiceError('Expense item not found', 404);
+    }
+
+    return item;
+  }
+}
+
+export default new ExpenseService();
@@ -0,0 +1,193 @@
+import { Op } from 'sequelize';
+import { Holiday, sequelize } from '../models/index.js';
+import auditService from './auditService.js';
+import { ServiceError } from '../utils/errors.js';
+import { parseDateOnly, toDateOnly, eachDay } from '../utils/dateUtils.js';
+
+// Holiday fields tracked in the audit log
+const HOLIDAY_FIELDS = ['name', 'holiday_date', 'location', 'is_optional', 'description'];
+
+class HolidayService {
+  constructor() {
+    // Sunday and Saturday
+    this.weekendDays = [0, 6];
+  }
+
+  isWeekend(date) {
+    return this.weekendDays.includes(parseDateOnly(date).getDay());
+  }
+
+  // Organization-wide holidays plus those scoped to the given location
+  locationFilter(location) {
+    return location
+      ? { [Op.or]: [{ location: null }, { location: '' }, { location }] }
+      : { [Op.or]: [{ location: null }, { location: '' }] };
+  }
+
+  async getHolidays(organizationId, { from, to, location, allLocations = false, includeOptional = true } = {}) {
+    const where = { organization_id: organizationId };
+
+    if (from || to) {
+      where.holiday_date = {};
+      if (from) where.holiday_date[Op.gte] = toDateOnly(parseDateOnly(from));
+      if (to) where.holiday_date[Op.lte] = toDateOnly(parseDateOnly(to));
+    }
+    if (!includeOptional) where.is_optional = false;
+    if (!allLocations) Object.assign(where, this.locationFilter(location));
+
+    return await Holiday.findAll({
+      where,
+      order: [['holiday_date', 'ASC'], ['name', 'ASC']]
+    });
+  }
+
+  // Set of 'YYYY-MM-DD' strings that are mandatory holidays for the location
+  async getHolidayDateSet(organizationId, location, from, to) {
+    const holidays = await this.getHolidays(organizationId, { from, to, location, includeOptional: false });
+    return new Set(holidays.map(holiday => holiday.holiday_date));
+  }
+
+  async countWorkingDays(organizationId, location, startDate, endDate) {
+    const holidayDates = await this.getHolidayDateSet(organizationId, location, startDate, endDate);
+
+    return eachDay(startDate, endDate)
+      .filter(day => !this.isWeekend(day) && !holidayDates.has(toDateOnly(day)))
+      .length;
+  }
+
+  async getNextHoliday(organizationId, location, fromDate) {
+    const [holiday] = await Holiday.findAll({
+      where: {
+        organization_id: organizationId,
+        holiday_date: { [Op.gte]: toDateOnly(parseDateOnly(fromDate)) },
+        ...this.locationFilter(location)
+      },
+      order: [['holiday_date', 'ASC']],
+      limit: 1
+    });
+
+    return holiday || null;
+  }
+
+  validateHoliday(data) {
+    if (data.holiday_date !== undefined && !parseDateOnly(data.holiday_date)) {
+      throw new ServiceError('Invalid holiday date');
+    }
+  }
+
+  // context is the audit context of the request (auditService.fromRequest)
+  async createHoliday(organizationId, data, context = {}) {
+    this.validateHoliday(data);
+
+    return await sequelize.transaction(async (transaction) => {
+      const holiday = await Holiday.create({
+        ...data,
+        location: data.location || null,
+        organization_id: organizationId
+      }, { transaction });
+
+      await auditService.record(organizationId, {
+        action: 'holiday.create',
+        entityType: 'holiday',
+        entityId: holiday.holiday_id,
+        changes: auditService.diff(null, auditService.snapshot(holiday, HOLIDAY_FIELDS))
+      }, context, transaction);
+
+      return holiday;
+    });
+  }
+
+  async findHoliday(organizationId, holidayId, transaction) {
+    const holiday = await Holiday.findOne({
+      where: { holiday_id: holidayId, organization_id: organizationId },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    if (!holiday) {
+      throw new ServiceError('Holiday not found', 404);
+    }
+
+    return holiday;
+  }
+
+  async updateHoliday(organizationId, holidayId, data, context = {}) {
+    this.validateHoliday(data);
+
+    return await sequelize.transaction(async (transaction) => {
+      const holiday = await this.findHoliday(organizationId, holidayId, transaction);
+      const before = auditService.snapshot(holiday, HOLIDAY_FIELDS);
+      await holiday.update(data, { transaction });
+
+      const changes = auditService.diff(before, auditService.snapshot(holiday, HOLIDAY_FIELDS));
+      if (changes) {
+        await auditService.record(organizationId, {
+          action: 'holiday.update',
+          entityType: 'holiday',
+          entityId: holiday.holiday_id,
+          changes
+        }, context, transaction);
+      }
+
+      return holiday;
+    });
+  }
+
+  async deleteHoliday(organizationId, holidayId, context = {}) {
+    await sequelize.transaction(async (transaction) => {
+      const holiday = await this.findHoliday(organizationId, holidayId, transaction);
+      const before = auditService.snapshot(holiday, HOLIDAY_FIELDS);
+      await holiday.destroy({ transaction });
+
+      await auditService.record(organizationId, {
+        action: 'holiday.delete',
+        entityType: 'holiday',
+        entityId: holiday.holiday_id,
+        changes: auditService.diff(before, null)
+      }, context, transaction);
+    });
+  }
+
+  // Inserts holidays that do not already exist for the same date, location
+  // and name. The whole file is imported, or none of it is.
+  async importHolidays(organizationId, holidays, context = {}, metadata = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const summary = { created: 0, skipped: 0 };
+      const holidayIds = [];
+
+      for (const data of holidays) {
+        const [holiday, created] = await Holiday.findOrCreate({
+          where: {
+            organization_id: organizationId,
+            holiday_date: data.holiday_date,
+            location: data.location || null,
+            name: data.name
+          },
+          defaults: {
+            is_optional: data.is_optional,
+            description: data.description
+          },
+          transaction
+        });
+
+        if (created) {
+          summary.created++;
+          holidayIds.push(holiday.holiday_id);
+        } else {
+          summary.skipped++;
+        }
+      }
+
+      await auditService.record(organizationId, {
+        action: 'holiday.import',
+        entityType: 'organization',
+        entityId: organizationId,
+        metadata: { ...metadata, ...summary, holiday_ids: holidayIds }
+      }, context, transaction);
+
+      return summary;
+    });
+  }
+}
+
+export default new HolidayService();
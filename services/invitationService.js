@@ -0,0 +1,300 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import {
+  User,
+  Organization,
+  EmployeeInvitation,
+  sequelize
+} from '../models/index.js';
+import emailService from './emailService.js';
+import passwordPolicyService from './passwordPolicyService.js';
+import { ServiceError } from '../utils/errors.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// New employees get an emailed activation link instead of a default password.
+// The link carries a signed token; only its hash is stored, so a resend or a
+// revoke makes every earlier link for the invitation useless.
+class InvitationService {
+  constructor() {
+    this.expiresInHours = parseInt(process.env.INVITATION_EXPIRES_HOURS) || 72;
+    this.activationUrl = process.env.INVITATION_URL || 'http://localhost:3000/activate';
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Stored for employees created by an import or an admin until they accept
+  // their invitation; nobody knows the password it was made from
+  async unusablePasswordHash() {
+    return bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+  }
+
+  signToken(userId) {
+    const token = jwt.sign(
+      { type: 'employee_invitation', user_id: userId, nonce: crypto.randomBytes(16).toString('hex') },
+      process.env.JWT_SECRET,
+      { expiresIn: `${this.expiresInHours}h` }
+    );
+    return { token, tokenHash: this.hashToken(token) };
+  }
+
+  getStatus(invitation, now = new Date()) {
+    if (invitation.accepted_at) return 'accepted';
+    if (invitation.revoked_at) return 'revoked';
+    if (invitation.expires_at <= now) return 'expired';
+    return 'pending';
+  }
+
+  toResponse(invitation) {
+    const data = {
+      invitation_id: invitation.invitation_id,
+      user_id: invitation.user_id,
+      status: this.getStatus(invitation),
+      expires_at: invitation.expires_at,
+      send_count: invitation.send_count,
+      last_sent_at: invitation.last_sent_at,
+      accepted_at: invitation.accepted_at,
+      revoked_at: invitation.revoked_at,
+      createdAt: invitation.createdAt
+    };
+
+    if (invitation.employee) {
+      data.employee = {
+        name: `${invitation.employee.first_name} ${invitation.employee.last_name}`,
+        email: invitation.employee.email
+      };
+    }
+    if (invitation.email_sent !== undefined) {
+      data.email_sent = invitation.email_sent;
+    }
+    return data;
+  }
+
+  // Delivery failures are logged and reported, the link can be resent later
+  async sendEmail(user, organization, token) {
+    const url = new URL(this.activationUrl);
+    url.searchParams.set('token', token);
+
+    try {
+      await emailService.sendTemplate('employee-invitation', user.email, {
+        name: user.first_name,
+        email: user.email,
+        org_name: organization.org_name,
+        activation_url: url.toString(),
+        expires_in_hours: this.expiresInHours
+      });
+      return true;
+    } catch (error) {
+      console.error('Invitation email error:', error);
+      return false;
+    }
+  }
+
+  // Replaces any open invitation for the employee and emails a new link
+  async invite(organizationId, userId, actor = { type: 'system', id: null }) {
+    const user = await User.findOne({
+      where: { user_id: userId, organization_id: organizationId, is_active: true },
+      include: [{ model: Organization, as: 'organization', attributes: ['org_name'] }]
+    });
+
+    if (!user) {
+      throw new ServiceError('Employee not found', 404);
+    }
+    if (!user.password_reset_required) {
+      throw new ServiceError('Employee has already activated their account', 409);
+    }
+
+    const { invitation, token } = await sequelize.transaction(async (transaction) => {
+      await EmployeeInvitation.update({ revoked_at: new Date() }, {
+        where: { user_id: userId, accepted_at: null, revoked_at: null },
+        transaction
+      });
+
+      const signed = this.signToken(userId);
+      const created = await EmployeeInvitation.create({
+        organization_id: organizationId,
+        user_id: userId,
+        token_hash: signed.tokenHash,
+        expires_at: new Date(Date.now() + this.expiresInHours * HOUR_MS),
+        last_sent_at: new Date(),
+        invited_by_type: actor.type,
+        invited_by_id: actor.id
+      }, { transaction });
+
+      return { invitation: created, token: signed.token };
+    });
+
+    invitation.email_sent = await this.sendEmail(user, user.organization, token);
+    return invitation;
+  }
+
+  // Invites every employee in the list; one failure does not stop the rest
+  async inviteAll(organizationId, userIds, actor) {
+    const invitations = new Map();
+
+    for (const userId of userIds) {
+      try {
+        invitations.set(userId, await this.invite(organizationId, userId, actor));
+      } catch (error) {
+        console.error(`Invitation error for ${userId}:`, error);
+      }
+    }
+    return invitations;
+  }
+
+  async findInvitation(organizationId, invitationId, transaction) {
+    const invitation = await EmployeeInvitation.findOne({
+      where: { invitation_id: invitationId, organization_id: organizationId },
+      include: [{ model: User, as: 'employee', attributes: ['user_id', 'first_name', 'last_name', 'email'] }],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    if (!invitation) {
+      throw new ServiceError('Invitation not found', 404);
+    }
+    return invitation;
+  }
+
+  // Emails a fresh link with a new expiry; earlier links stop working
+  async resend(organizationId, invitationId) {
+    const { invitation, token } = await sequelize.transaction(async (transaction) => {
+      const found = await this.findInvitation(organizationId, invitationId, transaction);
+
+      const status = this.getStatus(found);
+      if (status === 'accepted' || status === 'revoked') {
+        throw new ServiceError(`Invitation has already been ${status}`, 409);
+      }
+
+      const signed = this.signToken(found.user_id);
+      await found.update({
+        token_hash: signed.tokenHash,
+        expires_at: new Date(Date.now() + this.expiresInHours * HOUR_MS),
+        send_count: found.send_count + 1,
+        last_sent_at: new Date()
+      }, { transaction });
+
+      return { invitation: found, token: signed.token };
+    });
+
+    const organization = await Organization.findByPk(organizationId, { attributes: ['org_name'] });
+    invitation.email_sent = await this.sendEmail(invitation.employee, organization, token);
+    return invitation;
+  }
+
+  async revoke(organizationId, invitationId) {
+    return sequelize.transaction(async (transaction) => {
+      const invitation = await this.findInvitation(organizationId, invitationId, transaction);
+
+      const status = this.getStatus(invitation);
+      if (status === 'accepted' || status === 'revoked') {
+        throw new ServiceError(`Invitation has already been ${status}`, 409);
+      }
+
+      await invitation.update({ revoked_at: new Date() }, { transaction });
+      return invitation;
+    });
+  }
+
+  // status: pending (default), expired, accepted, revoked or all
+  async listInvitations(organizationId, { status = 'pending', page = 1, limit = 20 } = {}) {
+    const now = new Date();
+    const where = { organization_id: organizationId };
+
+    if (status === 'pending' || status === 'expired') {
+      where.accepted_at = null;
+      where.revoked_at = null;
+      where.expires_at = status === 'pending' ? { [Op.gt]: now } : { [Op.lte]: now };
+    } else if (status === 'accepted') {
+      where.accepted_at = { [Op.ne]: null };
+    } else if (status === 'revoked') {
+      where.revoked_at = { [Op.ne]: null };
+    }
+
+    const invitations = await EmployeeInvitation.findAndCountAll({
+      where,
+      include: [{ model: User, as: 'employee', attributes: ['user_id', 'first_name', 'last_name', 'email'] }],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      invitations: invitations.rows.map(invitation => this.toResponse(invitation)),
+      pagination: {
+        total: invitations.count,
+        page,
+        limit,
+        pages: Math.ceil(invitations.count / limit)
+      }
+    };
+  }
+
+  async findByToken(token, transaction) {
+    const invalid = new ServiceError('This activation link is invalid or has expired');
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw invalid;
+    }
+    if (decoded.type !== 'employee_invitation') throw invalid;
+
+    const invitation = await EmployeeInvitation.findOne({
+      where: {
+        user_id: decoded.user_id,
+        token_hash: this.hashToken(token),
+        accepted_at: null,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+    if (!invitation) throw invalid;
+
+    const user = await User.findOne({
+      where: { user_id: invitation.user_id, is_active: true },
+      include: [{ model: Organization, as: 'organization', attributes: ['org_name', 'is_active', 'password_policy'] }],
+      transaction
+    });
+    if (!user || !user.organization.is_active) throw invalid;
+
+    return { invitation, user };
+  }
+
+  // What the activation page shows before the employee picks a password
+  async getDetails(token) {
+    const { invitation, user } = await this.findByToken(token);
+
+    return {
+      name: `${user.first_name} ${user.last_name}`,
+      email: user.email,
+      organization: user.organization.org_name,
+      expires_at: invitation.expires_at,
+      password_policy: passwordPolicyService.getPolicy(user.organization)
+    };
+  }
+
+  // Sets the employee's own password; they sign in normally afterwards
+  async accept(token, password) {
+    return sequelize.transaction(async (transaction) => {
+      const { invitation, user } = await this.findByToken(token, transaction);
+
+      await passwordPolicyService.setPassword('employee', user, password, {
+        organization: user.organization,
+        transaction
+      });
+      await invitation.update({ accepted_at: new Date() }, { transaction });
+
+      return user;
+    });
+  }
+}
+
+export default new InvitationService();
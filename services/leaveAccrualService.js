@@ -0,0 +1,226 @@
+import {
+  User,
+  sequelize
+} from '../models/index.js';
+import leaveTypeService from './leaveTypeService.js';
+import leaveService from './leaveService.js';
+import leaveLedgerService from './leaveLedgerService.js';
+import { ServiceError } from '../utils/errors.js';
+import { parseDateOnly, toDateOnly, eachDay, today, parsePeriod } from '../utils/dateUtils.js';
+
+class LeaveAccrualService {
+  constructor() {
+    this.periodsPerYear = {
+      monthly: 12,
+      quarterly: 4,
+      annual: 1
+    };
+  }
+
+  // Leave types that are credited automatically
+  async getRules(organizationId) {
+    const leaveTypes = await leaveTypeService.getLeaveTypes(organizationId);
+    return leaveTypes.filter(type => type.accrual_frequency !== 'none' && type.annual_quota > 0);
+  }
+
+  parsePeriod(period) {
+    const parsed = parsePeriod(period);
+    if (!parsed) {
+      throw new ServiceError('Period must be in YYYY-MM format');
+    }
+    return parsed;
+  }
+
+  // The accrual window a rule falls into for the given calendar month
+  getAccrualWindow(frequency, year, month) {
+    if (frequency === 'monthly') {
+      return {
+        key: `${year}-${String(month + 1).padStart(2, '0')}`,
+        start: new Date(year, month, 1),
+        end: new Date(year, month + 1, 0)
+      };
+    }
+
+    if (frequency === 'quarterly') {
+      const quarter = Math.floor(month / 3);
+      return {
+        key: `${year}-Q${quarter + 1}`,
+        start: new Date(year, quarter * 3, 1),
+        end: new Date(year, quarter * 3 + 3, 0)
+      };
+    }
+
+    return {
+      key: `${year}`,
+      start: new Date(year, 0, 1),
+      end: new Date(year, 11, 31)
+    };
+  }
+
+  roundToHalfDay(days) {
+    return Math.round(days * 2) / 2;
+  }
+
+  calculateCredit(rule, window, dateOfJoining) {
+    const joined = parseDateOnly(dateOfJoining);
+    if (joined && joined > window.end) {
+      return { days: 0, proRated: false };
+    }
+
+    const fullCredit = rule.annual_quota / this.periodsPerYear[rule.accrual_frequency];
+    if (!joined || joined <= window.start) {
+      return { days: this.roundToHalfDay(fullCredit), proRated: false };
+    }
+
+    // Joined part-way through the window: credit only the days served
+    const servedDays = eachDay(joined, window.end).length;
+    const windowDays = eachDay(window.start, window.end).length;
+    return {
+      days: this.roundToHalfDay(fullCredit * servedDays / windowDays),
+      proRated: true
+    };
+  }
+
+  // Credits every accrual rule due in the given month. Safe to re-run: each
+  // employee, leave type and accrual window is credited at most once.
+  async runAccrual(organizationId, period, { userIds, actor } = {}) {
+    const { year, month } = this.parsePeriod(period);
+
+    const where = { organization_id: organizationId, is_active: true };
+    if (userIds) where.user_id = userIds;
+
+    const employees = await User.findAll({
+      where,
+      attributes: ['user_id', 'organization_id', 'date_of_joining']
+    });
+
+    const rules = await this.getRules(organizationId);
+    const summary = { period, employees: employees.length, credited: 0, skipped: 0, total_days: 0 };
+
+    for (const employee of employees) {
+      for (const rule of rules) {
+        const window = this.getAccrualWindow(rule.accrual_frequency, year, month);
+        const { days, proRated } = this.calculateCredit(rule, window, employee.date_of_joining);
+
+        if (days <= 0) {
+          summary.skipped++;
+          continue;
+        }
+
+        try {
+          const entry = await sequelize.transaction(async (transaction) => {
+            if (await leaveLedgerService.hasEntry(employee.user_id, rule.name, 'accrual', window.key, transaction)) {
+              return null;
+            }
+
+            const balance = await leaveService.lockBalance(employee.user_id, employee.organization_id, rule.name, transaction);
+            return await leaveLedgerService.record(balance, {
+              entryType: 'accrual',
+              allottedChange: days,
+              period: window.key,
+              actor,
+              description: `${rule.accrual_frequency.charAt(0).toUpperCase()}${rule.accrual_frequency.slice(1)} accrual of ${days} day(s) for ${window.key}`
+                + (proRated ? ` (pro-rated from joining date ${toDateOnly(parseDateOnly(employee.date_of_joining))})` : '')
+            }, transaction);
+          });
+
+          if (entry) {
+            summary.credited++;
+            summary.total_days += days;
+          } else {
+            summary.skipped++;
+          }
+        } catch (error) {
+          // A concurrent run already credited this window
+          if (error.name === 'SequelizeUniqueConstraintError') {
+            summary.skipped++;
+            continue;
+          }
+          throw error;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  // Carries unused days into the next year up to each rule's cap and lapses
+  // the rest. Taken days reset; pending requests keep their reservation.
+  async runYearEnd(organizationId, year, { actor } = {}) {
+    if (!Number.isInteger(year) || year > today().getFullYear()) {
+      throw new ServiceError('Year-end processing can only run for the current or a past year');
+    }
+
+    const employees = await User.findAll({
+      where: { organization_id: organizationId, is_active: true },
+      attributes: ['user_id', 'organization_id']
+    });
+
+    const leaveTypes = await leaveTypeService.getLeaveTypes(organizationId);
+    const period = `${year}`;
+    const summary = { year, employees: employees.length, carried_forward: 0, lapsed: 0, skipped: 0 };
+
+    for (const employee of employees) {
+      for (const rule of leaveTypes) {
+        try {
+          await sequelize.transaction(async (transaction) => {
+            if (await leaveLedgerService.hasEntry(employee.user_id, rule.name, 'carry_forward', period, transaction)) {
+              summary.skipped++;
+              return;
+            }
+
+            const balance = await leaveService.lockBalance(employee.user_id, employee.organization_id, rule.name, transaction);
+            const remaining = balance.total_allotted - balance.leaves_taken - balance.leaves_pending_approval;
+
+            // A negative balance is carried in full so it is recovered from next
+            // year's credits. Unpaid leave is not an entitlement and simply resets.
+            let carried = remaining < 0 ? remaining : Math.min(remaining, rule.carry_forward_cap);
+            if (!rule.is_paid) carried = 0;
+            const lapsed = Math.max(remaining - carried, 0);
+
+            if (lapsed > 0) {
+              await leaveLedgerService.record(balance, {
+                entryType: 'lapse',
+                allottedChange: -lapsed,
+                period,
+                actor,
+                description: `${lapsed} unused day(s) lapsed at the end of ${year} (carry forward limit ${rule.carry_forward_cap})`
+              }, transaction);
+              summary.lapsed += lapsed;
+            }
+
+            // Closing the year folds the days taken out of both counters, leaving
+            // the carried days plus pending reservations as next year's allotment
+            await leaveLedgerService.record(balance, {
+              entryType: 'carry_forward',
+              allottedChange: carried + balance.leaves_pending_approval - balance.total_allotted,
+              takenChange: -balance.leaves_taken,
+              period,
+              actor,
+              description: `${carried} day(s) carried forward from ${year} into ${year + 1}`
+            }, transaction);
+            summary.carried_forward += carried;
+          });
+        } catch (error) {
+          if (error.name === 'SequelizeUniqueConstraintError') {
+            summary.skipped++;
+            continue;
+          }
+          throw error;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  async getHistory(organizationId, { userId, period } = {}) {
+    return await leaveLedgerService.getLedger(organizationId, {
+      userId,
+      period,
+      entryTypes: ['accrual', 'carry_forward', 'lapse']
+    });
+  }
+}
+
+export default new LeaveAccrualService();
@@ -0,0 +1,185 @@
+import { Op } from 'sequelize';
+import {
+  LeaveBalance,
+  LeaveLedgerEntry,
+  sequelize
+} from '../models/index.js';
+import { ServiceError } from '../utils/errors.js';
+
+class LeaveLedgerService {
+  constructor() {
+    this.systemActor = { type: 'system', id: null };
+  }
+
+  // Balances that existed before the ledger get a single opening entry so that
+  // the ledger always sums to the stored counters
+  async ensureOpeningEntry(balance, transaction) {
+    const entries = await LeaveLedgerEntry.count({
+      where: { user_id: balance.user_id, leave_type: balance.leave_type },
+      transaction
+    });
+
+    if (entries > 0) return;
+    if (!balance.total_allotted && !balance.leaves_taken && !balance.leaves_pending_approval) return;
+
+    await LeaveLedgerEntry.create({
+      organization_id: balance.organization_id,
+      user_id: balance.user_id,
+      leave_type: balance.leave_type,
+      entry_type: 'opening',
+      allotted_change: balance.total_allotted,
+      taken_change: balance.leaves_taken,
+      pending_change: balance.leaves_pending_approval,
+      balance_after: balance.total_allotted - balance.leaves_taken - balance.leaves_pending_approval,
+      description: 'Opening balance'
+    }, { transaction });
+  }
+
+  // Appends an entry and applies it to the locked LeaveBalance row
+  async record(balance, {
+    entryType,
+    allottedChange = 0,
+    takenChange = 0,
+    pendingChange = 0,
+    leaveRequestId = null,
+    period = null,
+    actor = this.systemActor,
+    description
+  }, transaction) {
+    await this.ensureOpeningEntry(balance, transaction);
+
+    await balance.update({
+      total_allotted: balance.total_allotted + allottedChange,
+      leaves_taken: balance.leaves_taken + takenChange,
+      leaves_pending_approval: balance.leaves_pending_approval + pendingChange,
+      last_updated: new Date()
+    }, { transaction });
+
+    return await LeaveLedgerEntry.create({
+      organization_id: balance.organization_id,
+      user_id: balance.user_id,
+      leave_type: balance.leave_type,
+      entry_type: entryType,
+      allotted_change: allottedChange,
+      taken_change: takenChange,
+      pending_change: pendingChange,
+      balance_after: balance.total_allotted - balance.leaves_taken - balance.leaves_pending_approval,
+      period,
+      leave_request_id: leaveRequestId,
+      actor_type: actor.type,
+      actor_id: actor.id,
+      description
+    }, { transaction });
+  }
+
+  async hasEntry(userId, leaveType, entryType, period, transaction) {
+    const entry = await LeaveLedgerEntry.findOne({
+      where: { user_id: userId, leave_type: leaveType, entry_type: entryType, period },
+      transaction
+    });
+    return Boolean(entry);
+  }
+
+  // Balances as derived purely from the ledger
+  async deriveBalances(userId, organizationId) {
+    const rows = await LeaveLedgerEntry.findAll({
+      where: { user_id: userId, organization_id: organizationId },
+      attributes: [
+        'leave_type',
+        [sequelize.fn('SUM', sequelize.col('allotted_change')), 'total_allotted'],
+        [sequelize.fn('SUM', sequelize.col('taken_change')), 'leaves_taken'],
+        [sequelize.fn('SUM', sequelize.col('pending_change')), 'leaves_pending_approval']
+      ],
+      group: ['leave_type'],
+      raw: true
+    });
+
+    return rows.map(row => ({
+      leave_type: row.leave_type,
+      total_allotted: parseFloat(row.total_allotted || 0),
+      leaves_taken: parseFloat(row.leaves_taken || 0),
+      leaves_pending_approval: parseFloat(row.leaves_pending_approval || 0)
+    }));
+  }
+
+  // Rewrites the LeaveBalance projection from the ledger
+  async rebuildBalances(userId, organizationId) {
+    return await sequelize.transaction(async (transaction) => {
+      const balances = await LeaveBalance.findAll({
+        where: { user_id: userId, organization_id: organizationId },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      for (const balance of balances) {
+        await this.ensureOpeningEntry(balance, transaction);
+      }
+
+      const derived = await this.deriveBalances(userId, organizationId);
+      const results = [];
+
+      for (const totals of derived) {
+        const [balance] = await LeaveBalance.findOrCreate({
+          where: { user_id: userId, organization_id: organizationId, leave_type: totals.leave_type },
+          defaults: totals,
+          transaction
+        });
+        await balance.update({ ...totals, last_updated: new Date() }, { transaction });
+        results.push(balance);
+      }
+
+      return results;
+    });
+  }
+
+  async getLedger(organizationId, { userId, leaveType, entryTypes, period, from, to } = {}) {
+    const where = { organization_id: organizationId };
+    if (userId) where.user_id = userId;
+    if (leaveType) where.leave_type = leaveType;
+    if (entryTypes) where.entry_type = entryTypes;
+    if (period) where.period = period;
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt[Op.gte] = new Date(from);
+      if (to) where.createdAt[Op.lte] = new Date(to);
+    }
+
+    return await LeaveLedgerEntry.findAll({
+      where,
+      order: [['createdAt', 'DESC'], ['entry_id', 'DESC']]
+    });
+  }
+
+  // Manual credit (positive days) or debit (negative days) by an administrator
+  async adjust(balance, days, reason, actor, transaction) {
+    if (!days) {
+      throw new ServiceError('Adjustment days must be non-zero');
+    }
+
+    return await this.record(balance, {
+      entryType: 'adjustment',
+      allottedChange: days,
+      actor,
+      description: `Manual adjustment of ${days > 0 ? '+' : ''}${days} day(s): ${reason}`
+    }, transaction);
+  }
+
+  async encash(balance, days, reason, actor, transaction) {
+    const remaining = balance.total_allotted - balance.leaves_taken - balance.leaves_pending_approval;
+    if (days <= 0) {
+      throw new ServiceError('Encashment days must be positive');
+    }
+    if (days > remaining) {
+      throw new ServiceError(`Cannot encash ${days} day(s): only ${remaining} ${balance.leave_type} day(s) available`);
+    }
+
+    return await this.record(balance, {
+      entryType: 'encashment',
+      allottedChange: -days,
+      actor,
+      description: `Encashed ${days} day(s)${reason ? `: ${reason}` : ''}`
+    }, transaction);
+  }
+}
+
+export default new LeaveLedgerService();
@@ -0,0 +1,400 @@
+import { Op } from 'sequelize';
+import {
+  User,
+  LeaveBalance,
+  LeaveRequest,
+  sequelize
+} from '../models/index.js';
+import leaveTypeService from './leaveTypeService.js';
+import holidayService from './holidayService.js';
+import leaveLedgerService from './leaveLedgerService.js';
+import teamLeaveService from './teamLeaveService.js';
+import auditService from './auditService.js';
+import { ServiceError } from '../utils/errors.js';
+import { parseDateOnly, toDateOnly, today } from '../utils/dateUtils.js';
+
+class LeaveService {
+  getRemainingDays(balance) {
+    return balance.total_allotted - balance.leaves_taken - balance.leaves_pending_approval;
+  }
+
+  // Working days in the range for the employee, skipping weekends and holidays
+  async calculateLeaveDays(user, startDate, endDate, isHalfDay = false) {
+    const workingDays = await holidayService.countWorkingDays(
+      user.organization_id,
+      user.location,
+      startDate,
+      endDate
+    );
+
+    if (isHalfDay) return workingDays > 0 ? 0.5 : 0;
+    return workingDays;
+  }
+
+  // Fetches (creating if needed) and row-locks a balance for update
+  async lockBalance(userId, organizationId, leaveType, transaction) {
+    const [balance] = await LeaveBalance.findOrCreate({
+      where: {
+        user_id: userId,
+        organization_id: organizationId,
+        leave_type: leaveType
+      },
+      defaults: {
+        total_allotted: 0,
+        leaves_taken: 0,
+        leaves_pending_approval: 0
+      },
+      transaction
+    });
+
+    return await LeaveBalance.findByPk(balance.balance_id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+  }
+
+  async applyLeave(user, { leave_type, start_date, end_date, is_half_day = false, reason, document_path }) {
+    const startDate = parseDateOnly(start_date);
+    const endDate = parseDateOnly(end_date || start_date);
+
+    if (!startDate || !endDate) {
+      throw new ServiceError('Invalid start or end date');
+    }
+    if (endDate < startDate) {
+      throw new ServiceError('End date cannot be before start date');
+    }
+    if (is_half_day && toDateOnly(startDate) !== toDateOnly(endDate)) {
+      throw new ServiceError('Half-day leave must start and end on the same date');
+    }
+
+    const leaveType = await leaveTypeService.findLeaveType(user.organization_id, leave_type);
+    if (!leaveType) {
+      throw new ServiceError(`Leave type "${leave_type}" is not available for your organization`);
+    }
+
+    const totalDays = await this.calculateLeaveDays(user, startDate, endDate, is_half_day);
+
+    if (totalDays === 0) {
+      throw new ServiceError('The selected dates fall entirely on weekends or holidays');
+    }
+
+    if (leaveType.max_consecutive_days && totalDays > leaveType.max_consecutive_days) {
+      throw new ServiceError(
+        `${leaveType.name} cannot exceed ${leaveType.max_consecutive_days} consecutive day(s)`
+      );
+    }
+    if (leaveType.requires_document && !document_path) {
+      throw new ServiceError(`${leaveType.name} requires a supporting document`);
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      // The employee row serializes applications of every leave type, so two
+      // requests for the same dates cannot both pass the overlap check
+      await User.findByPk(user.user_id, {
+        attributes: ['user_id'],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const balance = await this.lockBalance(user.user_id, user.organization_id, leaveType.name, transaction);
+
+      const overlapping = await LeaveRequest.findOne({
+        where: {
+          user_id: user.user_id,
+          organization_id: user.organization_id,
+          status: { [Op.in]: ['pending', 'approved'] },
+          start_date: { [Op.lte]: toDateOnly(endDate) },
+          end_date: { [Op.gte]: toDateOnly(startDate) }
+        },
+        transaction
+      });
+
+      if (overlapping) {
+        throw new ServiceError(
+          `This request overlaps with your ${overlapping.status} ${overlapping.leave_type} request from ${overlapping.start_date} to ${overlapping.end_date}`,
+          409
+        );
+      }
+
+      const remaining = this.getRemainingDays(balance);
+      if (!leaveType.allow_negative && totalDays > remaining) {
+        throw new ServiceError(
+          `Insufficient ${balance.leave_type} balance: requested ${totalDays} day(s), available ${remaining}`
+        );
+      }
+
+      const leaveRequest = await LeaveRequest.create({
+        organization_id: user.organization_id,
+        user_id: user.user_id,
+        leave_type: balance.leave_type,
+        start_date: toDateOnly(startDate),
+        end_date: toDateOnly(endDate),
+        is_half_day,
+        total_days: totalDays,
+        reason,
+        document_path,
+        status: 'pending'
+      }, { transaction });
+
+      await leaveLedgerService.record(balance, {
+        entryType: 'application',
+        pendingChange: totalDays,
+        leaveRequestId: leaveRequest.request_id,
+        actor: { type: 'employee', id: user.user_id },
+        description: `Applied for ${totalDays} day(s) from ${leaveRequest.start_date} to ${leaveRequest.end_date}`
+      }, transaction);
+
+      return { leaveRequest, balance };
+    });
+  }
+
+  async cancelLeave(user, requestId) {
+    return await sequelize.transaction(async (transaction) => {
+      const leaveRequest = await LeaveRequest.findOne({
+        where: {
+          request_id: requestId,
+          user_id: user.user_id,
+          organization_id: user.organization_id
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!leaveRequest) {
+        throw new ServiceError('Leave request not found', 404);
+      }
+
+      if (leaveRequest.status === 'approved' && parseDateOnly(leaveRequest.start_date) <= today()) {
+        throw new ServiceError('Approved leave that has already started cannot be cancelled', 409);
+      }
+      if (!['pending', 'approved'].includes(leaveRequest.status)) {
+        throw new ServiceError(`Leave request is already ${leaveRequest.status}`, 409);
+      }
+
+      const balance = await this.lockBalance(user.user_id, user.organization_id, leaveRequest.leave_type, transaction);
+      const wasPending = leaveRequest.status === 'pending';
+
+      await leaveLedgerService.record(balance, {
+        entryType: 'cancellation',
+        pendingChange: wasPending ? -leaveRequest.total_days : 0,
+        takenChange: wasPending ? 0 : -leaveRequest.total_days,
+        leaveRequestId: leaveRequest.request_id,
+        actor: { type: 'employee', id: user.user_id },
+        description: `Cancelled ${leaveRequest.status} request for ${leaveRequest.total_days} day(s)`
+      }, transaction);
+
+      await leaveRequest.update({
+        status: 'cancelled',
+        cancelled_at: new Date()
+      }, { transaction });
+
+      return { leaveRequest, balance };
+    });
+  }
+
+  async findRequestForApprover(approver, requestId, transaction) {
+    const leaveRequest = await LeaveRequest.findOne({
+      where: {
+        request_id: requestId,
+        organization_id: approver.organization_id
+      },
+      include: [{
+        model: User,
+        as: 'employee',
+        attributes: ['user_id', 'first_name', 'last_name', 'email', 'manager_id']
+      }],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    if (!leaveRequest) {
+      throw new ServiceError('Leave request not found', 404);
+    }
+
+    // Only the employee's reporting manager may decide on the request
+    if (leaveRequest.employee.manager_id !== approver.user_id) {
+      throw new ServiceError('You are not the reporting manager for this employee', 403);
+    }
+
+    if (leaveRequest.status !== 'pending') {
+      throw new ServiceError(`Leave request is already ${leaveRequest.status}`, 409);
+    }
+
+    return leaveRequest;
+  }
+
+  // Approval is refused with the staffing warnings unless the manager has
+  // acknowledged them
+  async approveLeave(approver, requestId, comment, { acknowledgeWarnings = false } = {}) {
+    return await this.decideLeave(approver, requestId, 'approved', comment, { acknowledgeWarnings });
+  }
+
+  async rejectLeave(approver, requestId, comment) {
+    return await this.decideLeave(approver, requestId, 'rejected', comment);
+  }
+
+  async decideLeave(approver, requestId, status, comment, { acknowledgeWarnings = false } = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const leaveRequest = await this.findRequestForApprover(approver, requestId, transaction);
+
+      const warnings = status === 'approved'
+        ? await teamLeaveService.getAvailabilityWarnings(approver, leaveRequest, transaction)
+        : [];
+
+      if (warnings.length && !acknowledgeWarnings) {
+        throw new ServiceError(
+          `Approving this request leaves the team below minimum availability on ${warnings.length} day(s)`,
+          409,
+          { warnings }
+        );
+      }
+
+      const balance = await this.lockBalance(
+        leaveRequest.user_id,
+        leaveRequest.organization_id,
+        leaveRequest.leave_type,
+        transaction
+      );
+
+      const approved = status === 'approved';
+      await leaveLedgerService.record(balance, {
+        entryType: approved ? 'approval' : 'rejection',
+        pendingChange: -leaveRequest.total_days,
+        takenChange: approved ? leaveRequest.total_days : 0,
+        leaveRequestId: leaveRequest.request_id,
+        actor: { type: 'manager', id: approver.user_id },
+        description: `${approved ? 'Approved' : 'Rejected'} request for ${leaveRequest.total_days} day(s)${comment ? `: ${comment}` : ''}`
+      }, transaction);
+
+      await leaveRequest.update({
+        status,
+        approver_id: approver.user_id,
+        decision_comment: comment,
+        decided_at: new Date()
+      }, { transaction });
+
+      return { leaveRequest, balance, warnings };
+    });
+  }
+
+  async findEmployee(organizationId, userId) {
+    const employee = await User.findOne({
+      where: { user_id: userId, organization_id: organizationId }
+    });
+
+    if (!employee) {
+      throw new ServiceError('Employee not found', 404);
+    }
+
+    return employee;
+  }
+
+  // Records the ledger entry and its audit entry together. context is the
+  // audit context of the request; without one the change is logged under actor.
+  async adjustBalance(organizationId, userId, leaveTypeName, days, reason, actor, context = { actor }) {
+    await this.findEmployee(organizationId, userId);
+    const leaveType = await leaveTypeService.findLeaveType(organizationId, leaveTypeName);
+    if (!leaveType) {
+      throw new ServiceError(`Leave type "${leaveTypeName}" is not configured`);
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const balance = await this.lockBalance(userId, organizationId, leaveType.name, transaction);
+      const entry = await leaveLedgerService.adjust(balance, days, reason, actor, transaction);
+
+      await auditService.record(organizationId, {
+        action: 'leave.balance.adjust',
+        entityType: 'employee',
+        entityId: userId,
+        metadata: { leave_type: leaveType.name, days, reason, entry_id: entry.entry_id }
+      }, context, transaction);
+
+      return { entry, balance };
+    });
+  }
+
+  async encashLeave(organizationId, userId, leaveTypeName, days, reason, actor, context = { actor }) {
+    await this.findEmployee(organizationId, userId);
+    const leaveType = await leaveTypeService.findLeaveType(organizationId, leaveTypeName);
+    if (!leaveType) {
+      throw new ServiceError(`Leave type "${leaveTypeName}" is not configured`);
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const balance = await this.lockBalance(userId, organizationId, leaveType.name, transaction);
+      const entry = await leaveLedgerService.encash(balance, days, reason, actor, transaction);
+
+      await auditService.record(organizationId, {
+        action: 'leave.balance.encash',
+        entityType: 'employee',
+        entityId: userId,
+        metadata: { leave_type: leaveType.name, days, reason: reason || null, entry_id: entry.entry_id }
+      }, context, transaction);
+
+      return { entry, balance };
+    });
+  }
+
+  // Working days of approved leave falling inside the window, per leave type
+  async getDaysTaken(user, { leaveType, from, to }) {
+    const fromDate = parseDateOnly(from);
+    const toDate = parseDateOnly(to);
+
+    const where = {
+      user_id: user.user_id,
+      organization_id: user.organization_id,
+      status: 'approved',
+      start_date: { [Op.lte]: toDateOnly(toDate) },
+      end_date: { [Op.gte]: toDateOnly(fromDate) }
+    };
+    if (leaveType) where.leave_type = leaveType;
+
+    const requests = await LeaveRequest.findAll({ where, order: [['start_date', 'ASC']] });
+    const byType = {};
+
+    for (const request of requests) {
+      const start = parseDateOnly(request.start_date);
+      const end = parseDateOnly(request.end_date);
+      const days = await this.calculateLeaveDays(
+        user,
+        start < fromDate ? fromDate : start,
+        end > toDate ? toDate : end,
+        request.is_half_day
+      );
+      byType[request.leave_type] = (byType[request.leave_type] || 0) + days;
+    }
+
+    return {
+      total: Object.values(byType).reduce((sum, days) => sum + days, 0),
+      byType,
+      requests
+    };
+  }
+
+  async getEmployeeRequests(userId, organizationId, status) {
+    const where = { user_id: userId, organization_id: organizationId };
+    if (status) where.status = status;
+
+    return await LeaveRequest.findAll({
+      where,
+      order: [['start_date', 'DESC']]
+    });
+  }
+
+  async getPendingApprovals(manager) {
+    return await LeaveRequest.findAll({
+      where: {
+        organization_id: manager.organization_id,
+        status: 'pending'
+      },
+      include: [{
+        model: User,
+        as: 'employee',
+        where: { manager_id: manager.user_id },
+        attributes: ['user_id', 'first_name', 'last_name', 'email', 'department']
+      }],
+      order: [['start_date', 'ASC']]
+    });
+  }
+}
+
+export default new LeaveService();
@@ -0,0 +1,201 @@
+import { Op } from 'sequelize';
+import {
+  LeaveType,
+  LeaveBalance,
+  LeaveRequest,
+  LeaveLedgerEntry,
+  sequelize
+} from '../models/index.js';
+import auditService from './auditService.js';
+import { DEFAULT_LEAVE_TYPES } from '../config/leavePolicy.js';
+import { ServiceError } from '../utils/errors.js';
+
+// Leave type fields tracked in the audit log
+const LEAVE_TYPE_FIELDS = [
+  'name', 'code', 'aliases', 'annual_quota', 'accrual_frequency', 'carry_forward_cap',
+  'max_consecutive_days', 'requires_document', 'allow_negative', 'is_paid', 'is_active'
+];
+
+class LeaveTypeService {
+  // Organizations without any configuration get the default leave types
+  async ensureDefaults(organizationId, transaction) {
+    const count = await LeaveType.count({
+      where: { organization_id: organizationId },
+      transaction
+    });
+
+    if (count === 0) {
+      await LeaveType.bulkCreate(
+        DEFAULT_LEAVE_TYPES.map(type => ({ ...type, organization_id: organizationId })),
+        { transaction, ignoreDuplicates: true }
+      );
+    }
+  }
+
+  async getLeaveTypes(organizationId, { includeInactive = false, transaction } = {}) {
+    await this.ensureDefaults(organizationId, transaction);
+
+    const where = { organization_id: organizationId };
+    if (!includeInactive) where.is_active = true;
+
+    return await LeaveType.findAll({
+      where,
+      order: [['name', 'ASC']],
+      transaction
+    });
+  }
+
+  async findLeaveType(organizationId, nameOrCode, transaction) {
+    const leaveTypes = await this.getLeaveTypes(organizationId, { transaction });
+    const normalized = String(nameOrCode || '').toLowerCase().trim();
+
+    return leaveTypes.find(type =>
+      type.name.toLowerCase() === normalized || type.code.toLowerCase() === normalized
+    ) || null;
+  }
+
+  getMatchTerms(leaveType) {
+    const name = leaveType.name.toLowerCase();
+    const terms = [name, name.replace(/\s+leave$/, ''), leaveType.code.toLowerCase()];
+
+    (leaveType.aliases || '').split(',').forEach(alias => {
+      if (alias.trim()) terms.push(alias.trim().toLowerCase());
+    });
+
+    // "comp-off" should also match "comp off" and "compoff"
+    return [...new Set(terms.flatMap(term => [term, term.replace(/-/g, ' '), term.replace(/[-\s]/g, '')]))];
+  }
+
+  // Finds the configured leave type mentioned in free text, preferring the longest match
+  matchFromText(leaveTypes, text) {
+    const source = String(text || '').toLowerCase();
+    let best = null;
+    let bestLength = 0;
+
+    for (const leaveType of leaveTypes) {
+      for (const term of this.getMatchTerms(leaveType)) {
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (term.length > bestLength && new RegExp(`\\b${escaped}s?\\b`).test(source)) {
+          best = leaveType;
+          bestLength = term.length;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  async seedBalances(userId, organizationId, transaction) {
+    const leaveTypes = await this.getLeaveTypes(organizationId, { transaction });
+
+    for (const leaveType of leaveTypes) {
+      await LeaveBalance.findOrCreate({
+        where: {
+          user_id: userId,
+          organization_id: organizationId,
+          leave_type: leaveType.name
+        },
+        defaults: {
+          total_allotted: 0,
+          leaves_taken: 0,
+          leaves_pending_approval: 0
+        },
+        transaction
+      });
+    }
+
+    return leaveTypes;
+  }
+
+  // context is the audit context of the request (auditService.fromRequest)
+  async createLeaveType(organizationId, data, context = {}) {
+    await this.ensureDefaults(organizationId);
+
+    const existing = await LeaveType.findOne({
+      where: {
+        organization_id: organizationId,
+        [Op.or]: [{ name: data.name }, { code: data.code }]
+      }
+    });
+
+    if (existing) {
+      throw new ServiceError('A leave type with this name or code already exists', 409);
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const leaveType = await LeaveType.create({ ...data, organization_id: organizationId }, { transaction });
+
+      await auditService.record(organizationId, {
+        action: 'policy.leave_type.create',
+        entityType: 'leave_type',
+        entityId: leaveType.leave_type_id,
+        changes: auditService.diff(null, auditService.snapshot(leaveType, LEAVE_TYPE_FIELDS))
+      }, context, transaction);
+
+      return leaveType;
+    });
+  }
+
+  async findLeaveTypeById(organizationId, leaveTypeId, transaction) {
+    const leaveType = await LeaveType.findOne({
+      where: { leave_type_id: leaveTypeId, organization_id: organizationId },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!leaveType) {
+      throw new ServiceError('Leave type not found', 404);
+    }
+    return leaveType;
+  }
+
+  async updateLeaveType(organizationId, leaveTypeId, data, context = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const leaveType = await this.findLeaveTypeById(organizationId, leaveTypeId, transaction);
+      const before = auditService.snapshot(leaveType, LEAVE_TYPE_FIELDS);
+
+      const previousName = leaveType.name;
+      await leaveType.update(data, { transaction });
+
+      // Balances and requests reference the leave type by name
+      if (data.name && data.name !== previousName) {
+        const where = { organization_id: organizationId, leave_type: previousName };
+        await LeaveBalance.update({ leave_type: data.name }, { where, transaction });
+        await LeaveRequest.update({ leave_type: data.name }, { where, transaction });
+        // The ledger is append-only; a rename is the one rewrite it permits
+        await LeaveLedgerEntry.update({ leave_type: data.name }, { where, transaction, hooks: false });
+      }
+
+      const changes = auditService.diff(before, auditService.snapshot(leaveType, LEAVE_TYPE_FIELDS));
+      if (changes) {
+        await auditService.record(organizationId, {
+          action: 'policy.leave_type.update',
+          entityType: 'leave_type',
+          entityId: leaveType.leave_type_id,
+          changes
+        }, context, transaction);
+      }
+
+      return leaveType;
+    });
+  }
+
+  async deactivateLeaveType(organizationId, leaveTypeId, context = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const leaveType = await this.findLeaveTypeById(organizationId, leaveTypeId, transaction);
+      const before = auditService.snapshot(leaveType, LEAVE_TYPE_FIELDS);
+      await leaveType.update({ is_active: false }, { transaction });
+
+      await auditService.record(organizationId, {
+        action: 'policy.leave_type.deactivate',
+        entityType: 'leave_type',
+        entityId: leaveType.leave_type_id,
+        changes: auditService.diff(before, auditService.snapshot(leaveType, LEAVE_TYPE_FIELDS))
+      }, context, transaction);
+
+      return leaveType;
+    });
+  }
+}
+
+export default new LeaveTypeService();
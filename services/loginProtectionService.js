@@ -0,0 +1,297 @@
+import bcrypt from 'bcryptjs';
+import { Op } from 'sequelize';
+import {
+  User,
+  Organization,
+  LoginEvent,
+  sequelize
+} from '../models/index.js';
+import auditService from './auditService.js';
+import { ServiceError } from '../utils/errors.js';
+
+const LOCK_FIELDS = {
+  failed_login_attempts: 0,
+  last_failed_login_at: null,
+  locked_until: null
+};
+
+// Per-account brute-force protection for logins; wrong passwords and wrong
+// second-factor codes share one failure count. After a few
+// consecutive failures each further attempt must wait a doubling delay, and
+// reaching the limit locks the account for a while. Every attempt is recorded
+// as a LoginEvent.
+//
+// A lockout lifts by itself after LOGIN_LOCKOUT_MINUTES (locked_until). It is
+// lifted at once by a password reset through the emailed link, which works for
+// organization admins too (POST /auth/organization/forgot-password), or, for
+// employees, by an admin (PATCH /admin/employees/:userId/unlock).
+class LoginProtectionService {
+  constructor() {
+    this.freeAttempts = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+    this.baseDelaySeconds = parseInt(process.env.LOGIN_BASE_DELAY_SECONDS) || 2;
+    this.maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+    this.lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+  }
+
+  getModel(subjectType) {
+    return subjectType === 'employee' ? User : Organization;
+  }
+
+  getAccountId(subjectType, account) {
+    return subjectType === 'employee' ? account.user_id : account.organization_id;
+  }
+
+  // Seconds to wait after the given number of consecutive failures: 2, 4, 8...
+  delayFor(attempts) {
+    if (attempts < this.freeAttempts) return 0;
+    return this.baseDelaySeconds * 2 ** (attempts - this.freeAttempts);
+  }
+
+  // Seconds until the account accepts another attempt, 0 if it does now
+  retryAfter(account, now = new Date()) {
+    if (account.locked_until && account.locked_until > now) {
+      return Math.ceil((account.locked_until - now) / 1000);
+    }
+    if (!account.last_failed_login_at) return 0;
+
+    const allowedAt = account.last_failed_login_at.getTime() + this.delayFor(account.failed_login_attempts) * 1000;
+    return Math.max(0, Math.ceil((allowedAt - now.getTime()) / 1000));
+  }
+
+  isLocked(account, now = new Date()) {
+    return Boolean(account.locked_until && account.locked_until > now);
+  }
+
+  lockedError(seconds) {
+    return new ServiceError(
+      'Account is temporarily locked after too many failed login attempts. Try again later or reset your password',
+      423,
+      { retry_after_seconds: seconds }
+    );
+  }
+
+  async findAccount(subjectType, email) {
+    if (subjectType === 'employee') {
+      return User.findOne({
+        where: { email, is_active: true },
+        include: [{
+          model: Organization,
+          as: 'organization',
+          attributes: ['org_name', 'subscription_plan', 'is_active', 'require_admin_two_factor', 'password_policy']
+        }]
+      });
+    }
+    return Organization.findOne({ where: { admin_email: email, is_active: true } });
+  }
+
+  // Attempts against a known account also go to the organization's audit log
+  async recordEvent(subjectType, account, email, outcome, failureReason, context = {}) {
+    const { ip, userAgent, requestId, method = 'password' } = context;
+    const subjectId = account ? this.getAccountId(subjectType, account) : null;
+
+    const event = await LoginEvent.create({
+      subject_type: subjectType,
+      subject_id: subjectId,
+      organization_id: account ? account.organization_id : null,
+      email,
+      outcome,
+      method,
+      failure_reason: failureReason,
+      ip_address: ip,
+      user_agent: userAgent ? String(userAgent).slice(0, 255) : null
+    });
+
+    if (account && outcome !== 'challenged') {
+      await auditService.log(account.organization_id, {
+        action: outcome === 'success' ? 'auth.login' : 'auth.login_failed',
+        entityType: subjectType,
+        entityId: subjectId,
+        metadata: { email, method, failure_reason: failureReason }
+      }, { actor: { type: subjectType, id: subjectId }, ip, userAgent, requestId });
+    }
+    return event;
+  }
+
+  // Counts a failed attempt against the account row locked by attempt();
+  // returns the updated account state
+  async registerFailure(account, transaction) {
+    const now = new Date();
+    const attempts = account.failed_login_attempts + 1;
+
+    // Reaching the limit swaps the counter for a lockout; once it expires
+    // the account starts again with free attempts
+    if (attempts >= this.maxAttempts) {
+      return account.update({
+        failed_login_attempts: 0,
+        last_failed_login_at: now,
+        locked_until: new Date(now.getTime() + this.lockoutMinutes * 60 * 1000)
+      }, { transaction });
+    }
+
+    return account.update({
+      failed_login_attempts: attempts,
+      last_failed_login_at: now
+    }, { transaction });
+  }
+
+  // Checks a password or second-factor code; verify(transaction) resolves to
+  // whether it is right. The account row stays locked from the throttle check
+  // until any failure is counted, so parallel guesses take turns instead of
+  // all passing the check first. Throttled and locked accounts are refused
+  // before the credential is looked at, so guessing during a delay gains
+  // nothing. Events are recorded after commit, as the audit log locks the
+  // organization row.
+  async attempt(subjectType, account, email, verify, { failureReason, message, context = {} }) {
+    const Model = this.getModel(subjectType);
+    const accountId = this.getAccountId(subjectType, account);
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const current = await Model.findByPk(accountId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      const waitSeconds = this.retryAfter(current);
+      if (waitSeconds > 0) {
+        return { refused: this.isLocked(current) ? 'locked' : 'throttled', waitSeconds };
+      }
+      if (await verify(transaction)) return {};
+
+      return { failed: await this.registerFailure(current, transaction) };
+    });
+
+    if (result.refused) {
+      await this.recordEvent(subjectType, account, email, 'failure', result.refused, context);
+      if (result.refused === 'locked') throw this.lockedError(result.waitSeconds);
+      throw new ServiceError(
+        `Too many failed login attempts. Try again in ${result.waitSeconds} seconds`,
+        429,
+        { retry_after_seconds: result.waitSeconds }
+      );
+    }
+
+    if (result.failed) {
+      await this.recordEvent(subjectType, account, email, 'failure', failureReason, context);
+      if (this.isLocked(result.failed)) {
+        throw this.lockedError(this.retryAfter(result.failed));
+      }
+      throw new ServiceError(message, 401);
+    }
+  }
+
+  // Checks the password of an employee or organization admin login and
+  // returns the account. The failure count is only cleared by recordSuccess
+  // once the whole login (including any second factor) has completed.
+  async authenticate(subjectType, email, password, context = {}) {
+    const account = await this.findAccount(subjectType, email);
+
+    if (!account) {
+      await this.recordEvent(subjectType, null, email, 'failure', 'invalid_credentials', context);
+      throw new ServiceError(
+        subjectType === 'employee' ? 'Invalid credentials or inactive account' : 'Invalid credentials',
+        401
+      );
+    }
+
+    if (subjectType === 'employee' && !account.organization.is_active) {
+      await this.recordEvent(subjectType, account, email, 'failure', 'inactive_account', context);
+      throw new ServiceError('Invalid credentials or inactive account', 401);
+    }
+
+    const passwordHash = subjectType === 'employee' ? account.password_hash : account.admin_password;
+    await this.attempt(subjectType, account, email, () => bcrypt.compare(password, passwordHash), {
+      failureReason: 'invalid_credentials',
+      message: 'Invalid credentials',
+      context
+    });
+
+    return account;
+  }
+
+  // Clears the failure count in the database; the account passed in may have
+  // been loaded before the attempt's failures were counted
+  async recordSuccess(subjectType, account, email, context = {}) {
+    const Model = this.getModel(subjectType);
+    await Model.update(LOCK_FIELDS, {
+      where: {
+        [Model.primaryKeyAttribute]: this.getAccountId(subjectType, account),
+        [Op.or]: [
+          { failed_login_attempts: { [Op.gt]: 0 } },
+          { last_failed_login_at: { [Op.ne]: null } },
+          { locked_until: { [Op.ne]: null } }
+        ]
+      }
+    });
+    await this.recordEvent(subjectType, account, email, 'success', null, context);
+  }
+
+  // context is the audit context of the request (auditService.fromRequest)
+  async unlockEmployee(organizationId, userId, context = {}) {
+    return sequelize.transaction(async (transaction) => {
+      const user = await User.findOne({
+        where: { user_id: userId, organization_id: organizationId },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!user) {
+        throw new ServiceError('Employee not found', 404);
+      }
+
+      await user.update(LOCK_FIELDS, { transaction });
+
+      await auditService.record(organizationId, {
+        action: 'employee.unlock',
+        entityType: 'employee',
+        entityId: user.user_id
+      }, context, transaction);
+
+      return user;
+    });
+  }
+
+  // Newest first; filters: userId, email, outcome, from, to (YYYY-MM-DD)
+  async getEvents(where, { userId, email, outcome, method, from, to, page = 1, limit = 20 } = {}) {
+    const filters = { ...where };
+
+    if (userId) {
+      filters.subject_type = 'employee';
+      filters.subject_id = userId;
+    }
+    if (email) filters.email = email;
+    if (outcome) filters.outcome = outcome;
+    if (method) filters.method = method;
+    if (from || to) {
+      filters.createdAt = {};
+      if (from) filters.createdAt[Op.gte] = new Date(`${from}T00:00:00`);
+      if (to) filters.createdAt[Op.lte] = new Date(`${to}T23:59:59.999`);
+    }
+
+    const events = await LoginEvent.findAndCountAll({
+      where: filters,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      events: events.rows,
+      pagination: {
+        total: events.count,
+        page,
+        limit,
+        pages: Math.ceil(events.count / limit)
+      }
+    };
+  }
+
+  getEmployeeEvents(user, options) {
+    return this.getEvents({ subject_type: 'employee', subject_id: user.user_id }, options);
+  }
+
+  getOrganizationEvents(organizationId, options) {
+    return this.getEvents({ organization_id: organizationId }, options);
+  }
+}
+
+export default new LoginProtectionService();
@@ -7,12 +7,26 @@ import { Op, QueryTypes } from 'sequelize';
 import {
   User,
   LeaveBalance,
+  LeaveRequest,
   CompanyPolicy,
   PayrollData,
   Organization,
   ChatLog,
   sequelize
 } from '../models/index.js';
+import leaveService from './leaveService.js';
+import leaveTypeService from './leaveTypeService.js';
+import holidayService from './holidayService.js';
+import teamLeaveService from './teamLeaveService.js';
+import payrollService from './payrollService.js';
+import taxService from './taxService.js';
+import salaryRevisionService from './salaryRevisionService.js';
+import compensationService from './compensationService.js';
+import expenseService from './expenseService.js';
+import accessControlService from './accessControlService.js';
+import { extractDateRange, extractMonth } from '../utils/naturalDates.js';
+import { toDateOnly, formatDisplayDate, parseDateOnly, today, addDays, startOfWeek } from '../utils/dateUtils.js';
+import { ServiceError } from '../utils/errors.js';
 
 class EnhancedVipraNLPService {
   constructor() {
@@ -25,6 +39,13 @@ class EnhancedVipraNLPService {
     this.stemmer = natural.PorterStemmer;
     this.initialized = false;
     this.confidenceThreshold = 0.6; // Lower threshold for more LLM usage
+
+    // Actions awaiting an explicit yes/no from the user, keyed by org and user.
+    // Expired entries are swept every minute; past the cap the oldest go first.
+    this.pendingActions = new Map();
+    this.pendingActionTtlMs = 10 * 60 * 1000;
+    this.pendingActionLimit = parseInt(process.env.CHAT_PENDING_ACTION_LIMIT) || 10000;
+    setInterval(() => this.sweepPendingActions(), 60 * 1000).unref();
     
     // Initialize LLM client
     this.llmClient = ModelClient(
@@ -110,12 +131,29 @@ class EnhancedVipraNLPService {
       { text: 'EL balance', intent: 'leave.balance.earned' },
       { text: 'annual leave', intent: 'leave.balance.earned' },
       { text: 'vacation leave', intent: 'leave.balance.earned' },
+
+      // Any other configured leave type (maternity, comp-off, ...)
+      { text: 'maternity leave balance', intent: 'leave.balance.type' },
+      { text: 'how many paternity leaves do i have', intent: 'leave.balance.type' },
+      { text: 'comp off balance', intent: 'leave.balance.type' },
+      { text: 'bereavement leaves remaining', intent: 'leave.balance.type' },
+      { text: 'balance of optional holiday leave', intent: 'leave.balance.type' },
+      { text: 'my leave balance', intent: 'leave.balance.all' },
+      { text: 'all leave balances', intent: 'leave.balance.all' },
       
       // Leave taken
       { text: 'leaves taken this year', intent: 'leave.taken.all' },
       { text: 'casual leaves used', intent: 'leave.taken.casual' },
       { text: 'sick leaves consumed', intent: 'leave.taken.sick' },
       { text: 'leaves consumed', intent: 'leave.taken.all' },
+      { text: 'how many sick leaves did i take in march', intent: 'leave.taken.sick' },
+      { text: 'sick leave taken last month', intent: 'leave.taken.sick' },
+      { text: 'how many casual leaves have i taken', intent: 'leave.taken.casual' },
+      { text: 'casual leaves i took in january', intent: 'leave.taken.casual' },
+      { text: 'how many earned leaves did i use', intent: 'leave.taken.earned' },
+      { text: 'how many leaves did i take in june', intent: 'leave.taken.all' },
+      { text: 'how many days off have i taken', intent: 'leave.taken.all' },
+      { text: 'how many comp off did i take', intent: 'leave.taken.type' },
       
       // Pending leaves
       { text: 'pending leaves', intent: 'leave.pending' },
@@ -126,6 +164,30 @@ class EnhancedVipraNLPService {
       { text: 'leave summary', intent: 'leave.summary' },
       { text: 'all leave details', intent: 'leave.summary' },
       { text: 'leave status', intent: 'leave.summary' },
+
+      // Apply for leave
+      { text: 'apply for leave', intent: 'leave.apply' },
+      { text: 'apply leave', intent: 'leave.apply' },
+      { text: 'i want to take leave', intent: 'leave.apply' },
+      { text: 'request a leave', intent: 'leave.apply' },
+      { text: 'book leave', intent: 'leave.apply' },
+      { text: 'i need a day off', intent: 'leave.apply' },
+      { text: 'apply casual leave tomorrow', intent: 'leave.apply' },
+      { text: 'apply sick leave for today', intent: 'leave.apply' },
+      { text: 'take earned leave from monday to wednesday', intent: 'leave.apply' },
+      { text: 'i want leave next monday to wednesday', intent: 'leave.apply' },
+      { text: 'apply half day leave tomorrow', intent: 'leave.apply' },
+      { text: 'tomorrow half day sick leave', intent: 'leave.apply' },
+      { text: 'casual leave tomorrow', intent: 'leave.apply' },
+      { text: 'i need half day off today', intent: 'leave.apply' },
+      { text: 'i will be on leave on friday', intent: 'leave.apply' },
+
+      // Cancel leave
+      { text: 'cancel my leave', intent: 'leave.cancel' },
+      { text: 'cancel leave request', intent: 'leave.cancel' },
+      { text: 'withdraw my leave application', intent: 'leave.cancel' },
+      { text: 'cancel my leave on friday', intent: 'leave.cancel' },
+      { text: 'i do not need the leave anymore', intent: 'leave.cancel' },
     ];
 
     // Payroll - COMPREHENSIVE SALARY QUERIES
@@ -171,6 +233,44 @@ class EnhancedVipraNLPService {
       { text: 'salary structure', intent: 'payroll.breakdown' },
       { text: 'pay slip details', intent: 'payroll.breakdown' },
       { text: 'complete salary', intent: 'payroll.breakdown' },
+
+      // Month-specific payslip questions
+      { text: 'what was my salary in august', intent: 'payroll.payslip' },
+      { text: 'how much was i paid last month', intent: 'payroll.payslip' },
+      { text: 'my payslip for september', intent: 'payroll.payslip' },
+      { text: 'show my last payslip', intent: 'payroll.payslip' },
+      { text: 'net pay in july', intent: 'payroll.payslip' },
+      { text: 'salary credited in march', intent: 'payroll.payslip' },
+      { text: 'how many loss of pay days did i have', intent: 'payroll.lop' },
+      { text: 'lop days in june', intent: 'payroll.lop' },
+      { text: 'why was my salary cut last month', intent: 'payroll.lop' },
+      { text: 'salary deducted for unpaid leave', intent: 'payroll.lop' },
+      { text: 'download my payslip', intent: 'payroll.payslip.download' },
+      { text: 'send me my payslip for august', intent: 'payroll.payslip.download' },
+      { text: 'i need my salary slip as pdf', intent: 'payroll.payslip.download' },
+      { text: 'get payslip in excel', intent: 'payroll.payslip.download' },
+      { text: 'payslip download link', intent: 'payroll.payslip.download' },
+      { text: 'can i get a copy of last month payslip', intent: 'payroll.payslip.download' },
+      { text: 'did i get any arrears', intent: 'payroll.arrears' },
+      { text: 'arrears paid in october', intent: 'payroll.arrears' },
+
+      // Salary revisions
+      { text: 'when was my last increment', intent: 'payroll.increment' },
+      { text: 'when did i get my last raise', intent: 'payroll.increment' },
+      { text: 'last salary hike', intent: 'payroll.increment' },
+      { text: 'how much was my last hike', intent: 'payroll.increment' },
+      { text: 'my last appraisal increment', intent: 'payroll.increment' },
+      { text: 'when was my salary revised', intent: 'payroll.increment' },
+
+      // Income tax
+      { text: 'how much tax will i pay', intent: 'payroll.tax' },
+      { text: 'my income tax this year', intent: 'payroll.tax' },
+      { text: 'what is my tds', intent: 'payroll.tax' },
+      { text: 'monthly tds on my salary', intent: 'payroll.tax' },
+      { text: 'old vs new tax regime', intent: 'payroll.tax' },
+      { text: 'which tax regime is better for me', intent: 'payroll.tax' },
+      { text: 'estimate my tax liability', intent: 'payroll.tax' },
+      { text: 'how much income tax is deducted', intent: 'payroll.tax' },
     ];
 
     // Company Policy - Expanded
@@ -186,6 +286,52 @@ class EnhancedVipraNLPService {
       { text: 'safety rules', intent: 'policy.safety' },
       { text: 'hr policies', intent: 'policy.general' },
     ];
+    // Holiday calendar
+    const holidayQueries = [
+      { text: 'when is the next holiday', intent: 'holiday.next' },
+      { text: 'next holiday', intent: 'holiday.next' },
+      { text: 'upcoming holiday', intent: 'holiday.next' },
+      { text: 'when is our next day off', intent: 'holiday.next' },
+      { text: 'holidays in december', intent: 'holiday.month' },
+      { text: 'list of holidays this month', intent: 'holiday.month' },
+      { text: 'how many holidays in march', intent: 'holiday.month' },
+      { text: 'holidays next month', intent: 'holiday.month' },
+      { text: 'holiday list for april', intent: 'holiday.month' },
+      { text: 'is friday a holiday', intent: 'holiday.check' },
+      { text: 'is tomorrow a holiday', intent: 'holiday.check' },
+      { text: 'is 25th december a holiday', intent: 'holiday.check' },
+      { text: 'do we have a holiday on monday', intent: 'holiday.check' },
+      { text: 'is the office closed on friday', intent: 'holiday.check' },
+    ];
+
+    // Team leave (managers)
+    const teamQueries = [
+      { text: 'who in my team is on leave this week', intent: 'team.leave.calendar' },
+      { text: 'who is on leave today', intent: 'team.leave.calendar' },
+      { text: 'who is out tomorrow', intent: 'team.leave.calendar' },
+      { text: 'team leave calendar', intent: 'team.leave.calendar' },
+      { text: 'is anyone in my team on leave next week', intent: 'team.leave.calendar' },
+      { text: 'which of my reportees are on leave', intent: 'team.leave.calendar' },
+      { text: 'team availability this month', intent: 'team.leave.calendar' },
+      { text: "show my team's pending leaves", intent: 'team.leave.pending' },
+      { text: 'pending leave requests from my team', intent: 'team.leave.pending' },
+      { text: 'leave requests waiting for my approval', intent: 'team.leave.pending' },
+      { text: 'what leaves do i need to approve', intent: 'team.leave.pending' },
+      { text: 'team leaves awaiting my approval', intent: 'team.leave.pending' },
+    ];
+
+    // Expense claims
+    const expenseQueries = [
+      { text: 'what is the status of my travel claim', intent: 'expense.claim.status' },
+      { text: 'expense claim status', intent: 'expense.claim.status' },
+      { text: 'has my reimbursement been approved', intent: 'expense.claim.status' },
+      { text: 'is my expense claim approved', intent: 'expense.claim.status' },
+      { text: 'when will my hotel bill be reimbursed', intent: 'expense.claim.status' },
+      { text: 'did my manager approve my claim', intent: 'expense.claim.status' },
+      { text: 'where is my reimbursement', intent: 'expense.claim.status' },
+      { text: 'my pending expense claims', intent: 'expense.claim.status' },
+    ];
+
      const salaryQueries = [
     { text: 'what is my salary', intent: 'payroll.salary_general' },
     { text: 'my salary', intent: 'payroll.salary_general' },
@@ -197,7 +343,7 @@ class EnhancedVipraNLPService {
   ];
 
     // Add all queries to NLP manager
-    [...personalQueries,...salaryQueries ,...leaveQueries, ...payrollQueries, ...policyQueries].forEach(({ text, intent }) => {
+    [...personalQueries,...salaryQueries ,...leaveQueries, ...payrollQueries, ...policyQueries, ...holidayQueries, ...teamQueries, ...expenseQueries].forEach(({ text, intent }) => {
       this.manager.addDocument('en', text, intent);
     });
   }
@@ -226,21 +372,28 @@ class EnhancedVipraNLPService {
       }
 
       const processedQuery = this.preprocessQuery(query);
-      const nlpResult = await this.manager.process('en', processedQuery);
       
-      let response;
+      // A "yes"/"no" reply to a pending chat action is answered before intent detection
+      let response = await this.handlePendingConfirmation(processedQuery, userId, organizationId);
       
-      // Enhanced confidence check - use LLM for complex or low confidence queries
-      if (!nlpResult.intent || nlpResult.intent === 'None' || nlpResult.score < this.confidenceThreshold) {
-        // Use intelligent LLM fallback with database access
-        response = await this.handleIntelligentLLMFallback(query, userId, organizationId);
-        response.response_source = 'llm_database';
-      } else {
-        // Handle with enhanced NLP
-        response = await this.handleEnhancedIntent(nlpResult, userId, organizationId);
+      if (response) {
         response.response_source = 'nlp_enhanced';
-        response.confidence = nlpResult.score;
-        response.intent = nlpResult.intent;
+        response.confidence = 1;
+      } else {
+        const nlpResult = await this.manager.process('en', processedQuery);
+
+        // Enhanced confidence check - use LLM for complex or low confidence queries
+        if (!nlpResult.intent || nlpResult.intent === 'None' || nlpResult.score < this.confidenceThreshold) {
+          // Use intelligent LLM fallback with database access
+          response = await this.handleIntelligentLLMFallback(query, userId, organizationId);
+          response.response_source = 'llm_database';
+        } else {
+          // Handle with enhanced NLP
+          response = await this.handleEnhancedIntent(nlpResult, userId, organizationId);
+          response.response_source = 'nlp_enhanced';
+          response.confidence = nlpResult.score;
+          response.intent = nlpResult.intent;
+        }
       }
 
       // Log the interaction
@@ -274,16 +427,9 @@ class EnhancedVipraNLPService {
     const context = await this.getComprehensiveContext(userId, organizationId);
     
     // Calculate monthly values for quick reference
-    const monthlyGross = parseFloat(context.payroll?.base_salary || 0) + 
-                        parseFloat(context.payroll?.hra || 0) + 
-                        parseFloat(context.payroll?.conveyance_allowance || 0) + 
-                        parseFloat(context.payroll?.medical_allowance || 0);
-    
-    const totalDeductions = parseFloat(context.payroll?.pf_deduction || 0) + 
-                           parseFloat(context.payroll?.esi_deduction || 0) + 
-                           parseFloat(context.payroll?.professional_tax || 0);
-    
-    const monthlyNet = monthlyGross - totalDeductions;
+    const compensation = context.payroll ? compensationService.summarize(context.payroll) : null;
+    const monthlyGross = compensation ? compensation.monthly.gross : 0;
+    const monthlyNet = compensation ? compensation.monthly.net_pay : 0;
     
     const systemPrompt = `You are VipraCo, a concise HR chatbot. Give SHORT answers (max 2 sentences). You are a CHATBOT - be friendly but brief.
 
@@ -475,12 +621,10 @@ Brief response:`;
 
     // Simple formatting for salary data
     if (results[0].base_salary) {
-      const result = results[0];
-      const monthlyGross = parseFloat(result.base_salary) + parseFloat(result.hra || 0);
-      const monthlyNet = monthlyGross - parseFloat(result.pf_deduction || 0) - parseFloat(result.esi_deduction || 0) - parseFloat(result.professional_tax || 0);
+      const compensation = compensationService.summarize(results[0]);
       return {
         success: true,
-        answer: `Your monthly salary is ₹${monthlyNet.toLocaleString('en-IN')} and annual CTC is ₹${parseFloat(result.ctc).toLocaleString('en-IN')}.`,
+        answer: `Your monthly salary is ₹${compensation.monthly.net_pay.toLocaleString('en-IN')} and annual CTC is ₹${compensation.ctc.toLocaleString('en-IN')}.`,
         confidence: 0.7,
         data: results
       };
@@ -536,12 +680,22 @@ Brief response:`;
     try {
       if (intent.startsWith('personal.')) {
         return await this.handlePersonalInfoIntent(intent, userId, organizationId);
+      } else if (intent === 'leave.apply') {
+        return await this.handleLeaveApplyIntent(nlpResult, userId, organizationId);
+      } else if (intent === 'leave.cancel') {
+        return await this.handleLeaveCancelIntent(nlpResult, userId, organizationId);
+      } else if (intent.startsWith('team.')) {
+        return await this.handleTeamLeaveIntent(intent, userId, organizationId, nlpResult.utterance);
       } else if (intent.startsWith('leave.')) {
-        return await this.handleLeaveIntent(intent, userId, organizationId, entities);
+        return await this.handleLeaveIntent(intent, userId, organizationId, entities, nlpResult.utterance);
+      } else if (intent === 'policy.holidays' || intent.startsWith('holiday.')) {
+        return await this.handleHolidayIntent(intent, userId, organizationId, nlpResult.utterance);
       } else if (intent.startsWith('policy.')) {
         return await this.handlePolicyIntent(intent, userId, organizationId, entities);
       } else if (intent.startsWith('payroll.')) {
-        return await this.handleEnhancedPayrollIntent(intent, userId, organizationId);
+        return await this.handleEnhancedPayrollIntent(intent, userId, organizationId, nlpResult.utterance);
+      } else if (intent.startsWith('expense.')) {
+        return await this.handleExpenseIntent(userId, organizationId, nlpResult.utterance);
       }
 
       return this.handleUnknownQuery(nlpResult.utterance);
@@ -555,8 +709,21 @@ Brief response:`;
     }
   }
 
-async handleEnhancedPayrollIntent(intent, userId, organizationId) {
+async handleEnhancedPayrollIntent(intent, userId, organizationId, utterance) {
   try {
+    if (intent === 'payroll.tax') {
+      return await this.handleTaxIntent(userId, organizationId);
+    }
+    if (intent === 'payroll.increment') {
+      return await this.handleIncrementIntent(userId, organizationId);
+    }
+
+    // Questions about a particular month are answered from the published payslips
+    const month = intent !== 'payroll.ctc' ? extractMonth(utterance, today(), { prefer: 'past' }) : null;
+    if (month || ['payroll.payslip', 'payroll.payslip.download', 'payroll.lop', 'payroll.arrears'].includes(intent)) {
+      return await this.handlePayslipIntent(intent, userId, organizationId, month);
+    }
+
     const payrollData = await PayrollData.findOne({
       where: { user_id: userId, organization_id: organizationId }
     });
@@ -565,23 +732,16 @@ async handleEnhancedPayrollIntent(intent, userId, organizationId) {
       return { success: false, answer: "No payroll information found." };
     }
 
-    // Calculate derived values
-    const monthlyGross = parseFloat(payrollData.base_salary) + 
-                        parseFloat(payrollData.hra || 0) + 
-                        parseFloat(payrollData.conveyance_allowance || 0) + 
-                        parseFloat(payrollData.medical_allowance || 0);
-    
-    const totalDeductions = parseFloat(payrollData.pf_deduction || 0) + 
-                           parseFloat(payrollData.esi_deduction || 0) + 
-                           parseFloat(payrollData.professional_tax || 0);
-    
-    const monthlyNet = monthlyGross - totalDeductions;
+    const compensation = compensationService.summarize(payrollData);
+    const monthlyGross = compensation.monthly.gross;
+    const totalDeductions = compensation.monthly.total_deductions;
+    const monthlyNet = compensation.monthly.net_pay;
 
     let answer = "";
     
     switch (intent) {
       case 'payroll.base_salary':
-        answer = `Your base salary is ₹${payrollData.base_salary.toLocaleString('en-IN')}/month.`;
+        answer = `Your base salary is ₹${parseFloat(payrollData.base_salary).toLocaleString('en-IN')}/month.`;
         break;
         
       case 'payroll.monthly_total':
@@ -593,19 +753,19 @@ async handleEnhancedPayrollIntent(intent, userId, organizationId) {
         break;
         
       case 'payroll.ctc':
-        answer = `Your annual CTC is ₹${payrollData.ctc.toLocaleString('en-IN')}.`;
+        answer = `Your annual CTC is ₹${compensation.ctc.toLocaleString('en-IN')}.`;
         break;
         
       case 'payroll.salary_general':
-        answer = `Your monthly salary is ₹${monthlyNet.toLocaleString('en-IN')} (net) and annual CTC is ₹${payrollData.ctc.toLocaleString('en-IN')}.`;
+        answer = `Your monthly salary is ₹${monthlyNet.toLocaleString('en-IN')} (net) and annual CTC is ₹${compensation.ctc.toLocaleString('en-IN')}.`;
         break;
         
       case 'payroll.breakdown':
-        answer = `Monthly: ₹${monthlyNet.toLocaleString('en-IN')} net (₹${monthlyGross.toLocaleString('en-IN')} gross - ₹${totalDeductions.toLocaleString('en-IN')} deductions). Annual CTC: ₹${payrollData.ctc.toLocaleString('en-IN')}.`;
+        answer = `Monthly: ₹${monthlyNet.toLocaleString('en-IN')} net (₹${monthlyGross.toLocaleString('en-IN')} gross - ₹${totalDeductions.toLocaleString('en-IN')} deductions). Annual CTC: ₹${compensation.ctc.toLocaleString('en-IN')}.`;
         break;
         
       default:
-        answer = `Your monthly salary is ₹${monthlyNet.toLocaleString('en-IN')} and annual CTC is ₹${payrollData.ctc.toLocaleString('en-IN')}.`;
+        answer = `Your monthly salary is ₹${monthlyNet.toLocaleString('en-IN')} and annual CTC is ₹${compensation.ctc.toLocaleString('en-IN')}.`;
     }
 
     return { success: true, answer, data: payrollData };
@@ -615,6 +775,199 @@ async handleEnhancedPayrollIntent(intent, userId, organizationId) {
   }
 }
 
+  async handlePayslipIntent(intent, userId, organizationId, month) {
+    try {
+      const period = month ? `${month.year}-${String(month.month + 1).padStart(2, '0')}` : undefined;
+      const [payslip] = await payrollService.getEmployeePayslips(userId, organizationId, { period, limit: 1 });
+      const monthLabel = period
+        ? new Date(month.year, month.month, 1).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' })
+        : null;
+
+      if (!payslip) {
+        return {
+          success: false,
+          answer: monthLabel
+            ? `Your payslip for ${monthLabel} hasn't been published yet.`
+            : "You don't have any published payslips yet."
+        };
+      }
+
+      const label = monthLabel || parseDateOnly(`${payslip.period}-01`).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+      const rupees = (amount) => `₹${parseFloat(amount).toLocaleString('en-IN')}`;
+      const component = (items, code) => items.find(item => item.code === code);
+      const componentIntents = {
+        'payroll.base_salary': ['earnings', 'BASIC'],
+        'payroll.hra': ['earnings', 'HRA'],
+        'payroll.conveyance': ['earnings', 'CONV'],
+        'payroll.medical': ['earnings', 'MED'],
+        'payroll.pf': ['deductions', 'PF'],
+        'payroll.esi': ['deductions', 'ESI'],
+        'payroll.professional_tax': ['deductions', 'PT']
+      };
+
+      let answer = "";
+
+      if (componentIntents[intent]) {
+        const [group, code] = componentIntents[intent];
+        const item = component(payslip[group], code);
+        answer = item
+          ? `Your ${item.name} for ${label} was ${rupees(item.amount)}.`
+          : `Your ${label} payslip has no ${code} component.`;
+      } else {
+        switch (intent) {
+          case 'payroll.payslip.download':
+            const links = ['pdf', 'xlsx'].map(format => ({
+              label: `${label} payslip (${format.toUpperCase()})`,
+              format,
+              url: `/api/payroll/payslips/${payslip.period}/download?format=${format}`
+            }));
+            return {
+              success: true,
+              answer: `Here is your payslip for ${label}:\n${links.map(link => `• ${link.label}: ${link.url}`).join('\n')}`,
+              links,
+              data: payslip
+            };
+
+          case 'payroll.lop':
+            answer = payslip.lop_days > 0
+              ? `You had ${payslip.lop_days} loss of pay day(s) in ${label}, so you were paid for ${payslip.paid_days} of ${payslip.days_in_month} days.`
+              : `You had no loss of pay days in ${label}; you were paid for ${payslip.paid_days} of ${payslip.days_in_month} days.`;
+            break;
+
+          case 'payroll.arrears':
+            answer = parseFloat(payslip.arrears)
+              ? `Your ${label} payslip includes arrears of ${rupees(payslip.arrears)}.`
+              : `Your ${label} payslip has no arrears.`;
+            break;
+
+          case 'payroll.monthly_total':
+            answer = `Your gross earnings for ${label} were ${rupees(payslip.gross_earnings)}.`;
+            break;
+
+          case 'payroll.deductions':
+            answer = `Your deductions for ${label} totalled ${rupees(payslip.total_deductions)}: `
+              + payslip.deductions.map(item => `${item.name} ${rupees(item.amount)}`).join(', ') + '.';
+            break;
+
+          case 'payroll.breakdown':
+            answer = `Your ${label} payslip:\n`
+              + payslip.earnings.map(item => `\n• ${item.name}: ${rupees(item.amount)}`).join('')
+              + payslip.deductions.map(item => `\n• ${item.name}: -${rupees(item.amount)}`).join('')
+              + `\n\nNet pay: ${rupees(payslip.net_pay)}`;
+            break;
+
+          default:
+            answer = `Your net pay for ${label} was ${rupees(payslip.net_pay)} (${rupees(payslip.gross_earnings)} gross - ${rupees(payslip.total_deductions)} deductions).`;
+            if (payslip.lop_days > 0) answer += ` This reflects ${payslip.lop_days} loss of pay day(s).`;
+            if (parseFloat(payslip.arrears)) answer += ` It includes arrears of ${rupees(payslip.arrears)}.`;
+        }
+      }
+
+      return { success: true, answer, data: payslip };
+    } catch (error) {
+      console.error('Payslip intent error:', error);
+      return { success: false, answer: "Error retrieving your payslip." };
+    }
+  }
+
+  async handleIncrementIntent(userId, organizationId) {
+    try {
+      const increment = await salaryRevisionService.getLastIncrement(userId, organizationId);
+
+      if (!increment) {
+        return { success: true, answer: "I couldn't find a salary increment on record for you yet." };
+      }
+
+      const { revision } = increment;
+      const rupees = (amount) => `₹${parseFloat(amount).toLocaleString('en-IN')}`;
+      const reason = revision.reason === 'promotion' ? ' with your promotion' : revision.reason === 'appraisal' ? ' after your appraisal' : '';
+
+      return {
+        success: true,
+        answer: `Your last increment was effective ${formatDisplayDate(revision.effective_date)}${reason}: `
+          + `your CTC went from ${rupees(revision.previous_ctc)} to ${rupees(revision.ctc)} `
+          + `(+${rupees(increment.increase)}, ${increment.percentage}%).`,
+        data: increment
+      };
+    } catch (error) {
+      console.error('Increment intent error:', error);
+      return { success: false, answer: "Error retrieving your salary revisions." };
+    }
+  }
+
+  // Latest expense claim, narrowed to the category mentioned in the question
+  async handleExpenseIntent(userId, organizationId, utterance) {
+    try {
+      const categories = await expenseService.getCategories(organizationId, { includeInactive: true });
+      const category = expenseService.matchFromText(categories, utterance);
+      const claims = (await expenseService.getEmployeeClaims(userId, organizationId))
+        .filter(claim => !category || claim.items.some(item => item.category_id === category.category_id));
+
+      if (!claims.length) {
+        return {
+          success: true,
+          answer: category
+            ? `I couldn't find any ${category.name.toLowerCase()} expense claims from you.`
+            : "I couldn't find any expense claims from you."
+        };
+      }
+
+      const claim = claims[0];
+      const amount = `₹${parseFloat(claim.total_amount).toLocaleString('en-IN')}`;
+      const payrollMonth = (period) => parseDateOnly(`${period}-01`).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+      const statusText = {
+        pending_manager: 'is waiting for your manager\'s approval',
+        pending_admin: 'has been approved by your manager and is waiting for HR approval',
+        approved: claim.reimbursement_period
+          ? `is approved and will be reimbursed with the ${payrollMonth(claim.reimbursement_period)} payroll`
+          : 'is approved and will be reimbursed with the next payroll run',
+        reimbursed: `was reimbursed with the ${claim.reimbursement_period ? payrollMonth(claim.reimbursement_period) : 'last'} payroll`,
+        rejected: 'was rejected',
+        cancelled: 'was cancelled'
+      }[claim.status];
+
+      let answer = `Your expense claim "${claim.title}" for ${amount} ${statusText}.`;
+      const comment = claim.status === 'rejected' ? (claim.admin_comment || claim.manager_comment) : null;
+      if (comment) answer += ` Reason: ${comment}`;
+
+      const otherPending = claims.slice(1).filter(item => ['pending_manager', 'pending_admin'].includes(item.status)).length;
+      if (otherPending) answer += ` You have ${otherPending} other claim(s) awaiting approval.`;
+
+      return { success: true, answer, data: claim };
+    } catch (error) {
+      console.error('Expense intent error:', error);
+      return { success: false, answer: "Error retrieving your expense claims." };
+    }
+  }
+
+  async handleTaxIntent(userId, organizationId) {
+    try {
+      const comparison = await taxService.compareRegimes(userId, organizationId);
+      const rupees = (amount) => `₹${amount.toLocaleString('en-IN')}`;
+      const { regimes, chosen_regime: chosen, recommended_regime: recommended } = comparison;
+      const other = chosen === 'new' ? 'old' : 'new';
+
+      let answer = `For FY ${comparison.financial_year}, under the ${chosen} regime you'd pay about `
+        + `${rupees(regimes[chosen].total_tax)} in income tax (TDS of ${rupees(regimes[chosen].monthly_tds)}/month) `
+        + `on taxable income of ${rupees(regimes[chosen].taxable_income)}. `
+        + `Under the ${other} regime it would be ${rupees(regimes[other].total_tax)}.`;
+
+      if (recommended !== chosen && comparison.savings_with_recommended > 0) {
+        answer += ` Switching to the ${recommended} regime would save you ${rupees(comparison.savings_with_recommended)}.`;
+      }
+      if (comparison.income.projected_months) {
+        answer += ` This projects your current salary for ${comparison.income.projected_months} month(s) and uses your declared investments.`;
+      }
+
+      return { success: true, answer, data: comparison };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return { success: false, answer: error.message };
+      }
+      console.error('Tax intent error:', error);
+      return { success: false, answer: "Error estimating your income tax." };
+    }
+  }
 
   // Reuse existing methods with improvements
   async handlePersonalInfoIntent(intent, userId, organizationId) {
@@ -668,7 +1021,18 @@ async handleEnhancedPayrollIntent(intent, userId, organizationId) {
     }
   }
 
-  async handleLeaveIntent(intent, userId, organizationId, entities) {
+  async resolveLeaveType(organizationId, text, fallbackTerm) {
+    const leaveTypes = await leaveTypeService.getLeaveTypes(organizationId);
+    return leaveTypeService.matchFromText(leaveTypes, text)
+      || (fallbackTerm ? leaveTypeService.matchFromText(leaveTypes, fallbackTerm) : null);
+  }
+
+  // "Casual Leave" -> "casual leaves", "Comp-Off" -> "comp-off leaves"
+  leaveTypeLabel(leaveType) {
+    return `${leaveType.name.toLowerCase().replace(/\s+leave$/, '')} leaves`;
+  }
+
+  async handleLeaveIntent(intent, userId, organizationId, entities, utterance) {
     try {
       const leaveBalances = await LeaveBalance.findAll({
         where: { user_id: userId, organization_id: organizationId }
@@ -679,37 +1043,30 @@ async handleEnhancedPayrollIntent(intent, userId, organizationId) {
       }
 
       let answer = "";
+
+      // Balance questions for a single leave type resolve against the organization's configured types
+      if (intent.startsWith('leave.balance.') && intent !== 'leave.balance.all') {
+        const leaveType = await this.resolveLeaveType(organizationId, utterance, intent.split('.').pop());
+        const balance = leaveType && leaveBalances.find(l => l.leave_type === leaveType.name);
+
+        if (balance) {
+          const remaining = leaveService.getRemainingDays(balance);
+          answer = `You have ${remaining} ${this.leaveTypeLabel(leaveType)} remaining out of ${balance.total_allotted} allotted.`;
+        } else if (leaveType) {
+          answer = `No ${leaveType.name.toLowerCase()} information found.`;
+        } else {
+          const leaveTypes = await leaveTypeService.getLeaveTypes(organizationId);
+          answer = `Which leave type do you mean? Your organization offers: ${leaveTypes.map(t => t.name).join(', ')}.`;
+        }
+
+        return { success: Boolean(balance), answer, data: balance || leaveBalances };
+      }
+
+      if (intent.startsWith('leave.taken.')) {
+        return await this.handleLeaveTakenIntent(intent, userId, organizationId, utterance, leaveBalances);
+      }
+
       switch (intent) {
-        case 'leave.balance.casual':
-          const casualLeave = leaveBalances.find(l => l.leave_type === 'Casual Leave');
-          if (casualLeave) {
-            const remaining = casualLeave.total_allotted - casualLeave.leaves_taken - casualLeave.leaves_pending_approval;
-            answer = `You have ${remaining} casual leaves remaining out of ${casualLeave.total_allotted} allotted.`;
-          } else {
-            answer = "No casual leave information found.";
-          }
-          break;
-          
-        case 'leave.balance.sick':
-          const sickLeave = leaveBalances.find(l => l.leave_type === 'Sick Leave');
-          if (sickLeave) {
-            const remaining = sickLeave.total_allotted - sickLeave.leaves_taken - sickLeave.leaves_pending_approval;
-            answer = `You have ${remaining} sick leaves remaining out of ${sickLeave.total_allotted} allotted.`;
-          } else {
-            answer = "No sick leave information found.";
-          }
-          break;
-          
-        case 'leave.balance.earned':
-          const earnedLeave = leaveBalances.find(l => l.leave_type === 'Earned Leave');
-          if (earnedLeave) {
-            const remaining = earnedLeave.total_allotted - earnedLeave.leaves_taken - earnedLeave.leaves_pending_approval;
-            answer = `You have ${remaining} earned leaves remaining out of ${earnedLeave.total_allotted} allotted.`;
-          } else {
-            answer = "No earned leave information found.";
-          }
-          break;
-          
         case 'leave.pending':
           const pendingLeaves = leaveBalances.reduce((sum, leave) => sum + leave.leaves_pending_approval, 0);
           answer = `You have ${pendingLeaves} leaves pending approval.`;
@@ -735,6 +1092,480 @@ async handleEnhancedPayrollIntent(intent, userId, organizationId) {
     }
   }
 
+  // "How many sick leaves did I take in March": counts approved leave in the
+  // month, or the current leave year's taken days when no month is given
+  async handleLeaveTakenIntent(intent, userId, organizationId, utterance, leaveBalances) {
+    const leaveType = intent === 'leave.taken.all'
+      ? await this.resolveLeaveType(organizationId, utterance)
+      : await this.resolveLeaveType(organizationId, utterance, intent.split('.').pop());
+    const label = leaveType ? this.leaveTypeLabel(leaveType) : 'leaves';
+    const month = extractMonth(utterance, today(), { prefer: 'past' });
+
+    if (!month) {
+      const balances = leaveType
+        ? leaveBalances.filter(balance => balance.leave_type === leaveType.name)
+        : leaveBalances;
+      const taken = balances.reduce((sum, balance) => sum + balance.leaves_taken, 0);
+
+      let answer = `You have taken ${taken} ${label} this year.`;
+      if (!leaveType && taken > 0) {
+        answer += balances
+          .filter(balance => balance.leaves_taken > 0)
+          .map(balance => `\n• ${balance.leave_type}: ${balance.leaves_taken}`)
+          .join('');
+      }
+
+      return { success: true, answer, data: balances };
+    }
+
+    const user = await User.findOne({
+      where: { user_id: userId, organization_id: organizationId },
+      attributes: ['user_id', 'organization_id', 'location']
+    });
+    const from = new Date(month.year, month.month, 1);
+    const to = new Date(month.year, month.month + 1, 0);
+    const monthLabel = from.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+
+    const { total, byType, requests } = await leaveService.getDaysTaken(user, {
+      leaveType: leaveType ? leaveType.name : undefined,
+      from,
+      to
+    });
+
+    let answer = `You took ${total} ${label} in ${monthLabel}.`;
+    if (!leaveType && total > 0) {
+      answer += Object.entries(byType).map(([type, days]) => `\n• ${type}: ${days}`).join('');
+    }
+    if (from > today()) {
+      answer = `${monthLabel} hasn't started yet, so you haven't taken any ${label} in it.`;
+    }
+
+    return { success: true, answer, data: { from: toDateOnly(from), to: toDateOnly(to), total, by_type: byType, requests } };
+  }
+
+  getPendingActionKey(userId, organizationId) {
+    return `${organizationId}:${userId}`;
+  }
+
+  setPendingAction(userId, organizationId, type, payload) {
+    const key = this.getPendingActionKey(userId, organizationId);
+
+    // Re-inserted so the Map stays ordered oldest first
+    this.pendingActions.delete(key);
+    this.pendingActions.set(key, {
+      type,
+      payload,
+      expiresAt: Date.now() + this.pendingActionTtlMs
+    });
+
+    while (this.pendingActions.size > this.pendingActionLimit) {
+      this.pendingActions.delete(this.pendingActions.keys().next().value);
+    }
+  }
+
+  sweepPendingActions(now = Date.now()) {
+    for (const [key, pending] of this.pendingActions) {
+      if (pending.expiresAt < now) this.pendingActions.delete(key);
+    }
+  }
+
+  async handlePendingConfirmation(processedQuery, userId, organizationId) {
+    const key = this.getPendingActionKey(userId, organizationId);
+    const pending = this.pendingActions.get(key);
+
+    if (!pending) return null;
+
+    // Any reply other than an explicit yes/no abandons the pending action
+    this.pendingActions.delete(key);
+    if (pending.expiresAt < Date.now()) return null;
+
+    if (/^(yes|y|yeah|yep|yup|confirm|ok|okay|sure|submit( it)?|go ahead|proceed)( please)?[.!]*$/.test(processedQuery)) {
+      return await this.executePendingAction(pending, userId, organizationId);
+    }
+
+    if (/^(no|n|nope|cancel( it)?|stop|don't|do not|abort)( thanks| thank you)?[.!]*$/.test(processedQuery)) {
+      return {
+        success: true,
+        answer: "Okay, I haven't made any changes.",
+        intent: `${pending.type}.declined`
+      };
+    }
+
+    return null;
+  }
+
+  async executePendingAction(pending, userId, organizationId) {
+    const user = await User.findOne({
+      where: { user_id: userId, organization_id: organizationId, is_active: true }
+    });
+
+    // The account may have been deactivated since the confirmation was asked for
+    if (!user) {
+      return {
+        success: false,
+        intent: `${pending.type}.failed`,
+        answer: "You're not allowed to make leave changes. Please contact your HR team."
+      };
+    }
+
+    try {
+      if (pending.type === 'leave.apply') {
+        const { leaveRequest, balance } = await leaveService.applyLeave(user, pending.payload);
+        return {
+          success: true,
+          intent: 'leave.apply.confirmed',
+          answer: `Your ${leaveRequest.leave_type} request for ${leaveRequest.total_days} day(s) has been submitted for approval (request #${leaveRequest.request_id}). Your remaining ${balance.leave_type} balance is ${leaveService.getRemainingDays(balance)} day(s).`,
+          data: leaveRequest
+        };
+      }
+
+      if (pending.type === 'leave.cancel') {
+        const { leaveRequest, balance } = await leaveService.cancelLeave(user, pending.payload.request_id);
+        const balanceText = balance
+          ? ` Your remaining ${balance.leave_type} balance is ${leaveService.getRemainingDays(balance)} day(s).`
+          : '';
+        return {
+          success: true,
+          intent: 'leave.cancel.confirmed',
+          answer: `Your ${leaveRequest.leave_type} request #${leaveRequest.request_id} has been cancelled.${balanceText}`,
+          data: leaveRequest
+        };
+      }
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return {
+          success: false,
+          intent: `${pending.type}.failed`,
+          answer: `I couldn't complete that: ${error.message}`
+        };
+      }
+      throw error;
+    }
+
+    return null;
+  }
+
+  describeLeaveDates(startDate, endDate, isHalfDay) {
+    if (isHalfDay) return `a half day on ${formatDisplayDate(startDate)}`;
+    if (toDateOnly(parseDateOnly(startDate)) === toDateOnly(parseDateOnly(endDate))) return formatDisplayDate(startDate);
+    return `${formatDisplayDate(startDate)} to ${formatDisplayDate(endDate)}`;
+  }
+
+  async handleLeaveApplyIntent(nlpResult, userId, organizationId) {
+    try {
+      const leaveBalances = await LeaveBalance.findAll({
+        where: { user_id: userId, organization_id: organizationId }
+      });
+
+      if (!leaveBalances.length) {
+        return { success: false, answer: "No leave information found for your account." };
+      }
+
+      const leaveTypes = await leaveTypeService.getLeaveTypes(organizationId);
+      const matchedType = leaveTypeService.matchFromText(leaveTypes, nlpResult.utterance);
+      const leaveType = matchedType ? matchedType.name : null;
+      const { startDate, endDate, isHalfDay } = extractDateRange(nlpResult.utterance);
+
+      if (!leaveType) {
+        return {
+          success: false,
+          answer: `Which type of leave would you like to apply for? You can choose from ${leaveTypes.map(t => t.name).join(', ')}. For example: "Apply casual leave next Monday to Wednesday".`
+        };
+      }
+
+      if (matchedType.requires_document) {
+        return {
+          success: false,
+          answer: `${leaveType} requires a supporting document, so please apply for it from the leave portal where you can attach the document.`
+        };
+      }
+
+      if (!startDate) {
+        return {
+          success: false,
+          answer: `When would you like to take ${leaveType}? For example: "Apply ${leaveType.toLowerCase()} tomorrow" or "from next Monday to Wednesday".`
+        };
+      }
+
+      const balance = leaveBalances.find(l => l.leave_type === leaveType)
+        || { leave_type: leaveType, total_allotted: 0, leaves_taken: 0, leaves_pending_approval: 0 };
+
+      if (isHalfDay && toDateOnly(startDate) !== toDateOnly(endDate)) {
+        return { success: false, answer: "A half-day leave can only be taken on a single date." };
+      }
+
+      if (startDate < today()) {
+        return { success: false, answer: "Those dates are in the past. Please apply for upcoming dates." };
+      }
+
+      const user = await User.findOne({
+        where: { user_id: userId, organization_id: organizationId }
+      });
+      const totalDays = await leaveService.calculateLeaveDays(user, startDate, endDate, isHalfDay);
+      const remaining = leaveService.getRemainingDays(balance);
+
+      if (totalDays === 0) {
+        return { success: false, answer: "Those dates fall entirely on weekends or holidays, so no leave is needed." };
+      }
+
+      if (matchedType.max_consecutive_days && totalDays > matchedType.max_consecutive_days) {
+        return {
+          success: false,
+          answer: `${leaveType} can be taken for at most ${matchedType.max_consecutive_days} consecutive day(s).`
+        };
+      }
+
+      if (!matchedType.allow_negative && totalDays > remaining) {
+        return {
+          success: false,
+          answer: `You only have ${remaining} ${leaveType} day(s) remaining, but this request needs ${totalDays}.`
+        };
+      }
+
+      this.setPendingAction(userId, organizationId, 'leave.apply', {
+        leave_type: leaveType,
+        start_date: toDateOnly(startDate),
+        end_date: toDateOnly(endDate),
+        is_half_day: isHalfDay,
+        reason: 'Applied via chat assistant'
+      });
+
+      return {
+        success: true,
+        answer: `You're applying for ${totalDays} day(s) of ${leaveType}: ${this.describeLeaveDates(startDate, endDate, isHalfDay)}. You have ${remaining} day(s) remaining, which will become ${remaining - totalDays} after this request.\n\nReply "yes" to submit or "no" to cancel.`,
+        requires_confirmation: true
+      };
+    } catch (error) {
+      console.error('Leave apply intent error:', error);
+      return { success: false, answer: "Error preparing your leave request." };
+    }
+  }
+
+  async handleLeaveCancelIntent(nlpResult, userId, organizationId) {
+    try {
+      const { startDate } = extractDateRange(nlpResult.utterance);
+      const leaveType = await this.resolveLeaveType(organizationId, nlpResult.utterance);
+
+      const where = {
+        user_id: userId,
+        organization_id: organizationId,
+        [Op.or]: [
+          { status: 'pending' },
+          { status: 'approved', start_date: { [Op.gt]: toDateOnly(today()) } }
+        ]
+      };
+      if (startDate) {
+        where.start_date = { [Op.lte]: toDateOnly(startDate) };
+        where.end_date = { [Op.gte]: toDateOnly(startDate) };
+      }
+      if (leaveType) {
+        where.leave_type = leaveType.name;
+      }
+
+      const requests = await LeaveRequest.findAll({
+        where,
+        order: [['start_date', 'ASC']]
+      });
+
+      if (!requests.length) {
+        return { success: false, answer: "I couldn't find an upcoming leave request that can be cancelled." };
+      }
+
+      if (requests.length > 1) {
+        const list = requests
+          .map(r => `• #${r.request_id} ${r.leave_type}: ${this.describeLeaveDates(r.start_date, r.end_date, r.is_half_day)} (${r.status})`)
+          .join('\n');
+        return {
+          success: false,
+          answer: `You have more than one cancellable leave request:\n${list}\n\nPlease tell me the date, for example "cancel my leave on ${formatDisplayDate(requests[0].start_date)}".`,
+          data: requests
+        };
+      }
+
+      const leaveRequest = requests[0];
+      this.setPendingAction(userId, organizationId, 'leave.cancel', { request_id: leaveRequest.request_id });
+
+      return {
+        success: true,
+        answer: `You're cancelling your ${leaveRequest.status} ${leaveRequest.leave_type} request for ${this.describeLeaveDates(leaveRequest.start_date, leaveRequest.end_date, leaveRequest.is_half_day)} (${leaveRequest.total_days} day(s)).\n\nReply "yes" to confirm or "no" to keep it.`,
+        requires_confirmation: true,
+        data: leaveRequest
+      };
+    } catch (error) {
+      console.error('Leave cancel intent error:', error);
+      return { success: false, answer: "Error looking up your leave requests." };
+    }
+  }
+
+  // Date window for team questions: this/next week, a month, explicit dates,
+  // or the current week by default
+  resolveTeamWindow(utterance) {
+    const currentDate = today();
+    const week = /\b(this|next|coming)\s+week\b/i.exec(utterance);
+
+    if (week) {
+      const monday = addDays(startOfWeek(currentDate), week[1].toLowerCase() === 'this' ? 0 : 7);
+      return { from: monday, to: addDays(monday, 6) };
+    }
+
+    const { startDate, endDate } = extractDateRange(utterance, currentDate);
+    if (startDate) {
+      return { from: startDate, to: endDate || startDate };
+    }
+
+    const month = extractMonth(utterance, currentDate, { prefer: 'future' });
+    if (month) {
+      return { from: new Date(month.year, month.month, 1), to: new Date(month.year, month.month + 1, 0) };
+    }
+
+    return { from: startOfWeek(currentDate), to: addDays(startOfWeek(currentDate), 6) };
+  }
+
+  async handleTeamLeaveIntent(intent, userId, organizationId, utterance) {
+    try {
+      const manager = await User.findOne({
+        where: { user_id: userId, organization_id: organizationId, is_active: true },
+        attributes: ['user_id', 'organization_id', 'role']
+      });
+
+      // Same permission as the team leave routes, so chat cannot get round them
+      if (!manager || !accessControlService.hasPermission(manager.role, 'approve_leave')) {
+        return { success: false, answer: "Team leave information is only available to managers who approve leave." };
+      }
+
+      if (intent === 'team.leave.pending') {
+        const requests = await leaveService.getPendingApprovals(manager);
+        if (!requests.length) {
+          return { success: true, answer: "There are no leave requests from your team waiting for your approval.", data: [] };
+        }
+
+        const lines = requests.map(request =>
+          `• ${request.employee.first_name} ${request.employee.last_name}: ${request.leave_type}, ${this.describeLeaveDates(request.start_date, request.end_date, request.is_half_day)} (${request.total_days} day(s))`
+        );
+        return {
+          success: true,
+          answer: `${requests.length} leave request(s) from your team are awaiting your approval:\n${lines.join('\n')}`,
+          data: requests
+        };
+      }
+
+      const { from, to } = this.resolveTeamWindow(utterance);
+      const calendar = await teamLeaveService.getTeamCalendar(manager, from, to);
+
+      if (!calendar.team_size) {
+        return { success: true, answer: "You don't have anyone reporting to you.", data: calendar };
+      }
+
+      const period = toDateOnly(from) === toDateOnly(to)
+        ? formatDisplayDate(from)
+        : `${formatDisplayDate(from)} to ${formatDisplayDate(to)}`;
+      const busyDays = calendar.days.filter(day => day.on_leave.length);
+
+      if (!busyDays.length) {
+        return { success: true, answer: `Nobody in your team is on leave for ${period}.`, data: calendar };
+      }
+
+      const lines = busyDays.map(day => {
+        const people = day.on_leave
+          .map(entry => `${entry.name} (${entry.leave_type}${entry.is_half_day ? ', half day' : ''}${entry.status === 'pending' ? ', pending' : ''})`)
+          .join(', ');
+        return `• ${formatDisplayDate(day.date)}: ${people} — ${day.available}/${calendar.team_size} available`;
+      });
+
+      return {
+        success: true,
+        answer: `Team leave for ${period}:\n${lines.join('\n')}`,
+        data: calendar
+      };
+    } catch (error) {
+      console.error('Team leave intent error:', error);
+      if (error instanceof ServiceError) {
+        return { success: false, answer: error.message };
+      }
+      return { success: false, answer: "Error retrieving your team's leave." };
+    }
+  }
+
+  formatHolidayList(holidays) {
+    return holidays
+      .map(h => `• ${formatDisplayDate(h.holiday_date)}: ${h.name}${h.is_optional ? ' (optional)' : ''}`)
+      .join('\n');
+  }
+
+  async handleHolidayIntent(intent, userId, organizationId, utterance) {
+    try {
+      const user = await User.findOne({
+        where: { user_id: userId, organization_id: organizationId },
+        attributes: ['location']
+      });
+      const location = user ? user.location : null;
+      const currentDate = today();
+
+      let answer = "";
+      let holidays = [];
+
+      switch (intent) {
+        case 'holiday.next':
+          const nextHoliday = await holidayService.getNextHoliday(organizationId, location, currentDate);
+          if (nextHoliday) {
+            const daysAway = Math.round((parseDateOnly(nextHoliday.holiday_date) - currentDate) / (24 * 60 * 60 * 1000));
+            const when = daysAway === 0 ? 'today' : daysAway === 1 ? 'tomorrow' : `in ${daysAway} days`;
+            answer = `The next holiday is ${nextHoliday.name} on ${formatDisplayDate(nextHoliday.holiday_date)} (${when}).`;
+            holidays = [nextHoliday];
+          } else {
+            answer = "There are no upcoming holidays in your calendar.";
+          }
+          break;
+
+        case 'holiday.month':
+          const requested = extractMonth(utterance, currentDate, { prefer: 'future' })
+            || { year: currentDate.getFullYear(), month: currentDate.getMonth() };
+          const monthStart = new Date(requested.year, requested.month, 1);
+          const monthLabel = monthStart.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+          holidays = await holidayService.getHolidays(organizationId, {
+            from: monthStart,
+            to: new Date(requested.year, requested.month + 1, 0),
+            location
+          });
+          answer = holidays.length
+            ? `Holidays in ${monthLabel}:\n${this.formatHolidayList(holidays)}`
+            : `There are no holidays in ${monthLabel}.`;
+          break;
+
+        case 'holiday.check':
+          const { startDate } = extractDateRange(utterance, currentDate);
+          if (!startDate) {
+            answer = 'Which date would you like me to check? For example: "Is Friday a holiday?"';
+            break;
+          }
+          holidays = await holidayService.getHolidays(organizationId, { from: startDate, to: startDate, location });
+          if (holidays.length) {
+            answer = `Yes, ${formatDisplayDate(startDate)} is a holiday: ${holidays.map(h => `${h.name}${h.is_optional ? ' (optional)' : ''}`).join(', ')}.`;
+          } else if (holidayService.isWeekend(startDate)) {
+            answer = `${formatDisplayDate(startDate)} is not a holiday, but it falls on a weekend.`;
+          } else {
+            answer = `No, ${formatDisplayDate(startDate)} is a working day.`;
+          }
+          break;
+
+        default:
+          holidays = await holidayService.getHolidays(organizationId, {
+            from: currentDate,
+            to: new Date(currentDate.getFullYear(), 11, 31),
+            location
+          });
+          answer = holidays.length
+            ? `Upcoming holidays this year:\n${this.formatHolidayList(holidays)}`
+            : "There are no more holidays in your calendar this year.";
+      }
+
+      return { success: true, answer, data: holidays };
+    } catch (error) {
+      console.error('Holiday intent error:', error);
+      return { success: false, answer: "Error retrieving holiday information." };
+    }
+  }
+
   async handlePolicyIntent(intent, userId, organizationId, entities) {
     try {
       let whereClause = { organization_id: organizationId, is_active: true };
@@ -746,9 +1577,6 @@ async handleEnhancedPayrollIntent(intent, userId, organizationId) {
         case 'policy.travel':
           whereClause.keywords = { [Op.like]: '%travel%' };
           break;
-        case 'policy.holidays':
-          whereClause.keywords = { [Op.like]: '%holiday%' };
-          break;
         case 'policy.attendance':
           whereClause.keywords = { [Op.like]: '%attendance%' };
           break;
@@ -810,6 +1638,8 @@ async handleEnhancedPayrollIntent(intent, userId, organizationId) {
     const suggestions = [
       "Ask about your salary: 'What is my monthly salary?'",
       "Check leave balance: 'How many casual leaves do I have?'",
+      "Apply for leave: 'Apply casual leave next Monday to Wednesday'",
+      "See your team's leave: 'Who in my team is on leave this week?'",
       "Get personal info: 'What is my employee ID?'",
       "Check company policies: 'What is the work from home policy?'",
       "Ask about deductions: 'What are my total deductions?'"
@@ -0,0 +1,163 @@
+import bcrypt from 'bcryptjs';
+import { Op } from 'sequelize';
+import { PasswordHistory, sequelize } from '../models/index.js';
+import auditService from './auditService.js';
+import { DEFAULT_PASSWORD_POLICY } from '../config/passwordPolicy.js';
+import { ServiceError } from '../utils/errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PasswordPolicyService {
+  getPolicy(organization) {
+    return {
+      ...DEFAULT_PASSWORD_POLICY,
+      ...((organization && organization.password_policy) || {})
+    };
+  }
+
+  // context is the audit context of the request (auditService.fromRequest)
+  async updatePolicy(organization, changes, context = {}) {
+    const before = this.getPolicy(organization);
+    const policy = { ...before };
+
+    for (const key of Object.keys(DEFAULT_PASSWORD_POLICY)) {
+      if (changes[key] !== undefined) {
+        policy[key] = changes[key];
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await organization.update({ password_policy: policy }, { transaction });
+
+      await auditService.record(organization.organization_id, {
+        action: 'settings.password_policy.update',
+        entityType: 'organization',
+        entityId: organization.organization_id,
+        changes: auditService.diff(before, policy)
+      }, context, transaction);
+    });
+    return policy;
+  }
+
+  getViolations(policy, password) {
+    const violations = [];
+
+    if (password.length < policy.min_length) {
+      violations.push(`Password must be at least ${policy.min_length} characters long`);
+    }
+    if (policy.require_uppercase && !/[A-Z]/.test(password)) {
+      violations.push('Password must contain an uppercase letter');
+    }
+    if (policy.require_lowercase && !/[a-z]/.test(password)) {
+      violations.push('Password must contain a lowercase letter');
+    }
+    if (policy.require_number && !/[0-9]/.test(password)) {
+      violations.push('Password must contain a number');
+    }
+    if (policy.require_symbol && !/[^A-Za-z0-9]/.test(password)) {
+      violations.push('Password must contain a symbol');
+    }
+
+    return violations;
+  }
+
+  assertValid(policy, password) {
+    const violations = this.getViolations(policy, password);
+    if (violations.length) {
+      throw new ServiceError('Password does not meet the password policy', 400, { errors: violations });
+    }
+  }
+
+  // The current password can never be chosen again, nor can the last
+  // history_count passwords before it
+  async assertNotReused(subjectType, subjectId, currentHash, password, policy, transaction) {
+    const hashes = [currentHash];
+
+    if (policy.history_count > 0) {
+      const history = await PasswordHistory.findAll({
+        where: { subject_type: subjectType, subject_id: subjectId },
+        order: [['createdAt', 'DESC'], ['history_id', 'DESC']],
+        limit: policy.history_count,
+        transaction
+      });
+      hashes.push(...history.map(entry => entry.password_hash));
+    }
+
+    for (const hash of hashes) {
+      if (hash && await bcrypt.compare(password, hash)) {
+        throw new ServiceError(policy.history_count > 0
+          ? `Password cannot be the same as any of your last ${policy.history_count + 1} passwords`
+          : 'New password must be different from the current password');
+      }
+    }
+  }
+
+  // Keeps the replaced hash for the reuse rule, dropping entries the policy no longer needs
+  async recordHistory(subjectType, subjectId, previousHash, policy, transaction) {
+    const where = { subject_type: subjectType, subject_id: subjectId };
+
+    if (policy.history_count > 0) {
+      await PasswordHistory.create({ ...where, password_hash: previousHash }, { transaction });
+    }
+
+    const stale = await PasswordHistory.findAll({
+      where,
+      attributes: ['history_id'],
+      order: [['createdAt', 'DESC'], ['history_id', 'DESC']],
+      offset: policy.history_count,
+      // MySQL requires a limit alongside an offset
+      limit: 1000,
+      transaction
+    });
+
+    if (stale.length) {
+      await PasswordHistory.destroy({
+        where: { history_id: { [Op.in]: stale.map(entry => entry.history_id) } },
+        transaction
+      });
+    }
+  }
+
+  // Checks the new password against the organization's policy and stores it.
+  // account is a User (subjectType 'employee') or an Organization.
+  async setPassword(subjectType, account, password, { organization, transaction } = {}) {
+    const policy = this.getPolicy(organization);
+    const subjectId = subjectType === 'employee' ? account.user_id : account.organization_id;
+    const currentHash = subjectType === 'employee' ? account.password_hash : account.admin_password;
+
+    this.assertValid(policy, password);
+    await this.assertNotReused(subjectType, subjectId, currentHash, password, policy, transaction);
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    await this.recordHistory(subjectType, subjectId, currentHash, policy, transaction);
+
+    if (subjectType === 'employee') {
+      await account.update({
+        password_hash: passwordHash,
+        password_reset_required: false,
+        password_changed_at: new Date()
+      }, { transaction });
+    } else {
+      await account.update({
+        admin_password: passwordHash,
+        password_changed_at: new Date()
+      }, { transaction });
+    }
+  }
+
+  isExpired(policy, account, now = new Date()) {
+    if (!policy.expiry_days) return false;
+
+    const changedAt = account.password_changed_at || account.createdAt;
+    return now - changedAt > policy.expiry_days * DAY_MS;
+  }
+
+  // Employees with a temporary or expired password may only change it;
+  // user.organization must be loaded with password_policy
+  mustChangePassword(user) {
+    return Boolean(user.password_reset_required)
+      || this.isExpired(this.getPolicy(user.organization), user);
+  }
+}
+
+export default new PasswordPolicyService();
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import {
+  User,
+  Organization,
+  PasswordResetToken,
+  sequelize
+} from '../models/index.js';
+import emailService from './emailService.js';
+import authTokenService from './authTokenService.js';
+import passwordPolicyService from './passwordPolicyService.js';
+import { ServiceError } from '../utils/errors.js';
+
+class PasswordResetService {
+  constructor() {
+    this.expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+    this.resetUrl = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  async findSubjectByEmail(subjectType, email) {
+    if (subjectType === 'employee') {
+      const user = await User.findOne({
+        where: { email, is_active: true },
+        include: [{ model: Organization, as: 'organization', attributes: ['is_active'] }]
+      });
+      return user && user.organization.is_active
+        ? { id: user.user_id, name: user.first_name, email: user.email }
+        : null;
+    }
+
+    const organization = await Organization.findOne({
+      where: { admin_email: email, is_active: true }
+    });
+    return organization
+      ? { id: organization.organization_id, name: organization.org_name, email: organization.admin_email }
+      : null;
+  }
+
+  // Emails a one-time reset link. Unknown addresses are ignored silently so
+  // the endpoint does not reveal which emails have accounts.
+  async requestReset(subjectType, email, { ip } = {}) {
+    const subject = await this.findSubjectByEmail(subjectType, email);
+    if (!subject) return;
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await sequelize.transaction(async (transaction) => {
+      // Only the latest link works
+      await PasswordResetToken.update({ used_at: new Date() }, {
+        where: { subject_type: subjectType, subject_id: subject.id, used_at: null },
+        transaction
+      });
+
+      await PasswordResetToken.create({
+        subject_type: subjectType,
+        subject_id: subject.id,
+        token_hash: this.hashToken(token),
+        expires_at: new Date(Date.now() + this.expiresInMinutes * 60 * 1000),
+        requested_ip: ip
+      }, { transaction });
+    });
+
+    const url = new URL(this.resetUrl);
+    url.searchParams.set('token', token);
+    url.searchParams.set('type', subjectType);
+
+    // A delivery failure is logged rather than returned, which would reveal the account exists
+    try {
+      await emailService.sendTemplate('password-reset', subject.email, {
+        name: subject.name,
+        email: subject.email,
+        reset_url: url.toString(),
+        expires_in_minutes: this.expiresInMinutes
+      });
+    } catch (error) {
+      console.error('Password reset email error:', error);
+    }
+  }
+
+  // Sets the new password, spends the token and signs out every session
+  async resetPassword(subjectType, token, newPassword) {
+    const subjectId = await sequelize.transaction(async (transaction) => {
+      const record = await PasswordResetToken.findOne({
+        where: {
+          token_hash: this.hashToken(token),
+          subject_type: subjectType,
+          used_at: null,
+          expires_at: { [Op.gt]: new Date() }
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!record) {
+        throw new ServiceError('This password reset link is invalid or has expired');
+      }
+
+      const account = subjectType === 'employee'
+        ? await User.findOne({
+          where: { user_id: record.subject_id, is_active: true },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        })
+        : await Organization.findOne({
+          where: { organization_id: record.subject_id, is_active: true },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+      if (!account) {
+        throw new ServiceError('This password reset link is invalid or has expired');
+      }
+
+      // A password the policy rejects leaves the link usable for another try
+      const organization = subjectType === 'employee'
+        ? await Organization.findByPk(account.organization_id, { transaction })
+        : account;
+      await passwordPolicyService.setPassword(subjectType, account, newPassword, { organization, transaction });
+
+      // Proving control of the mailbox also lifts a login lockout
+      await account.update({
+        failed_login_attempts: 0,
+        last_failed_login_at: null,
+        locked_until: null
+      }, { transaction });
+
+      await record.update({ used_at: new Date() }, { transaction });
+      return record.subject_id;
+    });
+
+    await authTokenService.revokeAllSessions(subjectType, subjectId, 'password_changed');
+  }
+}
+
+export default new PasswordResetService();
@@ -0,0 +1,613 @@
+import { Op } from 'sequelize';
+import {
+  User,
+  PayrollData,
+  SalaryRevision,
+  PayrollRun,
+  Payslip,
+  PayrollArrear,
+  ExpenseClaim,
+  sequelize
+} from '../models/index.js';
+import leaveService from './leaveService.js';
+import leaveTypeService from './leaveTypeService.js';
+import statutoryService from './statutoryService.js';
+import auditService from './auditService.js';
+import { ServiceError } from '../utils/errors.js';
+import { PAYROLL_DATA_COLUMNS } from '../config/salaryStructure.js';
+import { PF_RULES } from '../config/statutoryRules.js';
+import { parseDateOnly, parsePeriod, eachDay, today, toPeriod, toDateOnly } from '../utils/dateUtils.js';
+
+class PayrollService {
+  constructor() {
+    // Runs whose payslips employees can see
+    this.publishedStatuses = ['finalized', 'locked'];
+  }
+
+  roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  getPeriodBounds(period) {
+    const parsed = parsePeriod(period);
+    if (!parsed) {
+      throw new ServiceError('Period must be in YYYY-MM format');
+    }
+
+    const start = new Date(parsed.year, parsed.month, 1);
+    const end = new Date(parsed.year, parsed.month + 1, 0);
+    return { start, end, daysInMonth: end.getDate() };
+  }
+
+  async getUnpaidLeaveTypes(organizationId) {
+    const leaveTypes = await leaveTypeService.getLeaveTypes(organizationId, { includeInactive: true });
+    return leaveTypes.filter(type => !type.is_paid).map(type => type.name);
+  }
+
+  // Working days of approved unpaid leave in the month
+  async getLopDays(employee, start, end, unpaidLeaveTypes) {
+    if (!unpaidLeaveTypes.length) return 0;
+
+    const { total } = await leaveService.getDaysTaken(employee, { leaveType: unpaidLeaveTypes, from: start, to: end });
+    return total;
+  }
+
+  async getArrears(organizationId, userId, period, transaction) {
+    return await PayrollArrear.findAll({
+      where: { organization_id: organizationId, user_id: userId, payout_period: period },
+      order: [['createdAt', 'ASC']],
+      transaction
+    });
+  }
+
+  // Approved expense claims not yet paid in another run
+  async getReimbursableClaims(organizationId, userId, transaction) {
+    return await ExpenseClaim.findAll({
+      where: {
+        organization_id: organizationId,
+        user_id: userId,
+        status: 'approved',
+        reimbursement_period: null
+      },
+      order: [['admin_decided_at', 'ASC']],
+      transaction
+    });
+  }
+
+  // Monthly salary components. Salaries set up from a structure carry their
+  // full breakdown; older records only have the fixed columns, whose
+  // deductions are recomputed from the statutory rules.
+  getComponents(payrollData) {
+    return payrollData.components || [
+      { code: 'BASIC', name: 'Basic Salary', type: 'earning', amount: payrollData.base_salary },
+      { code: 'HRA', name: 'House Rent Allowance', type: 'earning', amount: payrollData.hra },
+      { code: 'CONV', name: 'Conveyance Allowance', type: 'earning', amount: payrollData.conveyance_allowance },
+      { code: 'MED', name: 'Medical Allowance', type: 'earning', amount: payrollData.medical_allowance },
+      { code: 'PF', name: 'Provident Fund', type: 'deduction', amount: payrollData.pf_deduction, statutory: 'PF' },
+      { code: 'ESI', name: 'Employee State Insurance', type: 'deduction', amount: payrollData.esi_deduction, statutory: 'ESI' },
+      { code: 'PT', name: 'Professional Tax', type: 'deduction', amount: payrollData.professional_tax, prorate: false, statutory: 'PT' },
+    ];
+  }
+
+  async getSalaryHistory(userId, transaction) {
+    return await SalaryRevision.findAll({
+      where: { user_id: userId },
+      order: [['effective_date', 'ASC'], ['revision_id', 'ASC']],
+      transaction
+    });
+  }
+
+  // Salary in effect on a date. Before the first revision the employee was on
+  // that revision's previous salary, or on the first salary if there was none.
+  salaryOn(history, date) {
+    if (!history.length) return null;
+
+    const day = toDateOnly(date);
+    const current = [...history].reverse().find(revision => revision.effective_date <= day);
+    if (current) return current;
+
+    const [first] = history;
+    return first.previous_components
+      ? { ctc: first.previous_ctc, components: first.previous_components }
+      : first;
+  }
+
+  // Salary for a payroll month, blending components by calendar days when a
+  // revision takes effect part-way through. Without any revisions the
+  // employee's PayrollData is used as it stands.
+  getSalaryForPeriod(history, period, payrollData) {
+    if (!history.length) return payrollData || null;
+
+    const { start, end, daysInMonth } = this.getPeriodBounds(period);
+    const daysBySalary = new Map();
+    for (const day of eachDay(start, end)) {
+      const salary = this.salaryOn(history, day);
+      daysBySalary.set(salary, (daysBySalary.get(salary) || 0) + 1);
+    }
+
+    const latest = this.salaryOn(history, end);
+    if (daysBySalary.size === 1) return latest;
+
+    const components = new Map();
+    for (const [salary, days] of daysBySalary) {
+      for (const item of this.getComponents(salary)) {
+        const blended = components.get(item.code) || { ...item, amount: 0 };
+        blended.amount += parseFloat(item.amount || 0) * days / daysInMonth;
+        components.set(item.code, blended);
+      }
+    }
+
+    // Flat amounts are not split; the month pays the one in force at its end
+    for (const item of this.getComponents(latest)) {
+      if (item.prorate === false) components.set(item.code, { ...item });
+    }
+
+    return {
+      ctc: latest.ctc,
+      components: [...components.values()].map(item => ({ ...item, amount: this.roundAmount(item.amount) }))
+    };
+  }
+
+  // Points PayrollData at the revision in effect today
+  async syncPayrollData(employee, history, transaction) {
+    const salary = this.salaryOn(history, today());
+    if (!salary) return null;
+
+    const fields = Object.fromEntries(Object.values(PAYROLL_DATA_COLUMNS).map(column => [column, 0]));
+    for (const item of salary.components) {
+      if (PAYROLL_DATA_COLUMNS[item.code]) fields[PAYROLL_DATA_COLUMNS[item.code]] = item.amount;
+    }
+    Object.assign(fields, {
+      ctc: salary.ctc,
+      structure_id: salary.structure_id || null,
+      components: salary.components,
+      component_overrides: salary.component_overrides || null,
+      revision_id: salary.revision_id || null
+    });
+
+    const payrollData = await PayrollData.findOne({
+      where: { user_id: employee.user_id, organization_id: employee.organization_id },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (payrollData) {
+      if (payrollData.revision_id !== fields.revision_id) {
+        await payrollData.update(fields, { transaction });
+      }
+      return payrollData;
+    }
+
+    return await PayrollData.create({
+      ...fields,
+      organization_id: employee.organization_id,
+      user_id: employee.user_id
+    }, { transaction });
+  }
+
+  // Month whose run pays arrears raised now: the open draft run, otherwise the
+  // month after the latest published run
+  async getNextPayoutPeriod(organizationId, transaction) {
+    const latest = await PayrollRun.findOne({
+      where: { organization_id: organizationId },
+      order: [['period', 'DESC']],
+      transaction
+    });
+
+    if (!latest) return toPeriod(today());
+    if (latest.status === 'draft') return latest.period;
+
+    const { year, month } = parsePeriod(latest.period);
+    return toPeriod(new Date(year, month + 1, 1));
+  }
+
+  // Pro-rates the monthly salary for days not employed and loss of pay.
+  // Returns null if the employee had not joined by the end of the month or had
+  // left before it started.
+  // Statutory deductions are worked out from the earnings actually paid, under
+  // the rules of the employee's work state for that month.
+  // Reimbursements are paid on top of net pay and are not part of gross earnings.
+  calculatePayslip(employee, payrollData, period, { lopDays = 0, arrears = 0, reimbursements = [] } = {}) {
+    const { start, end, daysInMonth } = this.getPeriodBounds(period);
+    const joined = parseDateOnly(employee.date_of_joining);
+    const exited = parseDateOnly(employee.date_of_exit);
+
+    if ((joined && joined > end) || (exited && exited < start)) return null;
+
+    const employedDays = eachDay(
+      joined && joined > start ? joined : start,
+      exited && exited < end ? exited : end
+    ).length;
+    const paidDays = Math.max(employedDays - lopDays, 0);
+    const factor = paidDays / daysInMonth;
+    const prorate = (amount) => this.roundAmount(parseFloat(amount || 0) * factor);
+
+    // Flat components are due in full whenever any salary is paid
+    const amountFor = (item) => (item.prorate === false
+      ? (paidDays > 0 ? this.roundAmount(item.amount) : 0)
+      : prorate(item.amount));
+
+    const components = this.getComponents(payrollData);
+
+    const earnings = components
+      .filter(item => item.type === 'earning')
+      .map(item => ({ code: item.code, name: item.name, amount: amountFor(item) }))
+      .filter((item, index) => index === 0 || item.amount > 0);
+
+    const state = statutoryService.resolveState(employee);
+    const sumOf = (items) => items.reduce((sum, item) => sum + parseFloat(item.amount || 0), 0);
+    const wages = {
+      gross: sumOf(earnings),
+      pf_wages: sumOf(earnings.filter(item => PF_RULES.wage_components.includes(item.code))),
+      standard_gross: sumOf(components.filter(item => item.type === 'earning'))
+    };
+    const month = parsePeriod(period).month + 1;
+
+    if (arrears) {
+      earnings.push({ code: 'ARREARS', name: 'Arrears', amount: this.roundAmount(arrears) });
+    }
+
+    const deductions = components
+      .filter(item => item.type === 'deduction')
+      .map(item => ({
+        code: item.code,
+        name: item.name,
+        amount: item.statutory
+          ? this.roundAmount(statutoryService.calculate(item.statutory, state, wages, month))
+          : amountFor(item)
+      }))
+      .filter(item => item.amount > 0);
+
+    const grossEarnings = this.roundAmount(earnings.reduce((sum, item) => sum + item.amount, 0));
+    const totalDeductions = this.roundAmount(deductions.reduce((sum, item) => sum + item.amount, 0));
+    const totalReimbursements = this.roundAmount(reimbursements.reduce((sum, item) => sum + parseFloat(item.amount), 0));
+
+    return {
+      period,
+      employee_name: `${employee.first_name} ${employee.last_name}`,
+      employee_number: employee.employee_number,
+      department: employee.department,
+      location: employee.location,
+      work_state: state,
+      days_in_month: daysInMonth,
+      paid_days: paidDays,
+      lop_days: lopDays,
+      earnings,
+      deductions,
+      gross_earnings: grossEarnings,
+      total_deductions: totalDeductions,
+      arrears: this.roundAmount(arrears),
+      reimbursements,
+      total_reimbursements: totalReimbursements,
+      net_pay: this.roundAmount(grossEarnings - totalDeductions + totalReimbursements)
+    };
+  }
+
+  async findRun(organizationId, runId, transaction) {
+    const run = await PayrollRun.findOne({
+      where: { run_id: runId, organization_id: organizationId },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    if (!run) {
+      throw new ServiceError('Payroll run not found', 404);
+    }
+
+    return run;
+  }
+
+  // Run totals as recorded in the audit log
+  runSummary(run) {
+    return auditService.snapshot(run, ['period', 'status', 'employee_count', 'total_gross', 'total_deductions', 'total_net']);
+  }
+
+  async createRun(organizationId, period, context = {}) {
+    this.getPeriodBounds(period);
+    if (period > toPeriod(today())) {
+      throw new ServiceError('Payroll cannot be run for a future month');
+    }
+
+    // The run is only kept if it calculates, so a failure leaves nothing to delete before retrying
+    return await sequelize.transaction(async (transaction) => {
+      const existing = await PayrollRun.findOne({
+        where: { organization_id: organizationId, period },
+        transaction
+      });
+
+      if (existing) {
+        throw new ServiceError(`A payroll run for ${period} already exists (${existing.status})`, 409);
+      }
+
+      const run = await PayrollRun.create({ organization_id: organizationId, period }, { transaction });
+      return await this.calculateRun(organizationId, run.run_id, context, transaction);
+    });
+  }
+
+  // Regenerates every payslip of a draft run from current salary, leave and
+  // arrears data, in the caller's transaction when one is passed
+  async calculateRun(organizationId, runId, context = {}, transaction) {
+    const calculate = async (transaction) => {
+      const run = await this.findRun(organizationId, runId, transaction);
+
+      if (run.status !== 'draft') {
+        throw new ServiceError(`A ${run.status} payroll run cannot be recalculated`, 409);
+      }
+
+      const { start, end } = this.getPeriodBounds(run.period);
+      // Employees who left during the month are paid up to their exit date
+      const employees = await User.findAll({
+        where: {
+          organization_id: organizationId,
+          [Op.or]: [{ is_active: true }, { date_of_exit: { [Op.gte]: toDateOnly(start) } }]
+        },
+        include: [{ model: PayrollData, as: 'payroll' }],
+        order: [['first_name', 'ASC'], ['last_name', 'ASC']],
+        transaction
+      });
+
+      await Payslip.destroy({ where: { run_id: run.run_id }, transaction });
+      // Claims picked up by an earlier calculation of this run are assigned again below
+      await ExpenseClaim.update({ reimbursement_period: null }, {
+        where: { organization_id: organizationId, status: 'approved', reimbursement_period: run.period },
+        transaction
+      });
+
+      const unpaidLeaveTypes = await this.getUnpaidLeaveTypes(organizationId);
+      const payslips = [];
+      const skipped = [];
+      const warnings = [];
+
+      for (const employee of employees) {
+        // Future-dated revisions take over PayrollData once they are in effect
+        const history = await this.getSalaryHistory(employee.user_id, transaction);
+        await this.syncPayrollData(employee, history, transaction);
+
+        const salary = this.getSalaryForPeriod(history, run.period, employee.payroll);
+        if (!salary) {
+          skipped.push({ user_id: employee.user_id, reason: 'No salary details on record' });
+          continue;
+        }
+
+        const arrears = await this.getArrears(organizationId, employee.user_id, run.period, transaction);
+        const claims = await this.getReimbursableClaims(organizationId, employee.user_id, transaction);
+        const calculated = this.calculatePayslip(employee, salary, run.period, {
+          lopDays: await this.getLopDays(employee, start, end, unpaidLeaveTypes),
+          arrears: arrears.reduce((sum, arrear) => sum + parseFloat(arrear.amount), 0),
+          reimbursements: claims.map(claim => ({
+            claim_id: claim.claim_id,
+            title: claim.title,
+            amount: parseFloat(claim.total_amount)
+          }))
+        });
+
+        if (!calculated) {
+          skipped.push({
+            user_id: employee.user_id,
+            reason: employee.date_of_exit && parseDateOnly(employee.date_of_exit) < start
+              ? 'Left before the payroll month'
+              : 'Joined after the payroll month'
+          });
+          continue;
+        }
+
+        if (!calculated.work_state && this.getComponents(salary).some(item => statutoryService.isStateRule(item.statutory))) {
+          warnings.push({
+            user_id: employee.user_id,
+            reason: 'Work state unknown; professional tax and labour welfare fund were not deducted'
+          });
+        }
+
+        payslips.push(await Payslip.create({
+          ...calculated,
+          run_id: run.run_id,
+          organization_id: organizationId,
+          user_id: employee.user_id
+        }, { transaction }));
+
+        if (claims.length) {
+          await ExpenseClaim.update({ reimbursement_period: run.period }, {
+            where: { claim_id: { [Op.in]: claims.map(claim => claim.claim_id) } },
+            transaction
+          });
+        }
+      }
+
+      await run.update({
+        employee_count: payslips.length,
+        total_gross: this.roundAmount(payslips.reduce((sum, p) => sum + parseFloat(p.gross_earnings), 0)),
+        total_deductions: this.roundAmount(payslips.reduce((sum, p) => sum + parseFloat(p.total_deductions), 0)),
+        total_net: this.roundAmount(payslips.reduce((sum, p) => sum + parseFloat(p.net_pay), 0)),
+        calculated_at: new Date()
+      }, { transaction });
+
+      await auditService.record(organizationId, {
+        action: 'payroll.run.calculate',
+        entityType: 'payroll_run',
+        entityId: run.run_id,
+        metadata: { ...this.runSummary(run), skipped: skipped.length, warnings: warnings.length }
+      }, context, transaction);
+
+      return { run, payslips, skipped, warnings };
+    };
+
+    return transaction ? await calculate(transaction) : await sequelize.transaction(calculate);
+  }
+
+  async finalizeRun(organizationId, runId, context = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const run = await this.findRun(organizationId, runId, transaction);
+
+      if (run.status !== 'draft') {
+        throw new ServiceError(`Payroll run is already ${run.status}`, 409);
+      }
+      if (!run.employee_count) {
+        throw new ServiceError('Payroll run has no payslips to finalize');
+      }
+
+      await run.update({ status: 'finalized', finalized_at: new Date() }, { transaction });
+      const [reimbursed] = await ExpenseClaim.update({ status: 'reimbursed' }, {
+        where: { organization_id: organizationId, status: 'approved', reimbursement_period: run.period },
+        transaction
+      });
+
+      await auditService.record(organizationId, {
+        action: 'payroll.run.finalize',
+        entityType: 'payroll_run',
+        entityId: run.run_id,
+        changes: auditService.diff({ status: 'draft' }, { status: run.status }),
+        metadata: { ...this.runSummary(run), claims_reimbursed: reimbursed }
+      }, context, transaction);
+
+      return run;
+    });
+  }
+
+  async lockRun(organizationId, runId, context = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const run = await this.findRun(organizationId, runId, transaction);
+
+      if (run.status !== 'finalized') {
+        throw new ServiceError(
+          run.status === 'locked' ? 'Payroll run is already locked' : 'Only a finalized payroll run can be locked',
+          409
+        );
+      }
+
+      await run.update({ status: 'locked', locked_at: new Date() }, { transaction });
+
+      await auditService.record(organizationId, {
+        action: 'payroll.run.lock',
+        entityType: 'payroll_run',
+        entityId: run.run_id,
+        changes: auditService.diff({ status: 'finalized' }, { status: run.status }),
+        metadata: this.runSummary(run)
+      }, context, transaction);
+
+      return run;
+    });
+  }
+
+  async deleteRun(organizationId, runId, context = {}) {
+    await sequelize.transaction(async (transaction) => {
+      const run = await this.findRun(organizationId, runId, transaction);
+
+      if (run.status !== 'draft') {
+        throw new ServiceError(`A ${run.status} payroll run cannot be deleted`, 409);
+      }
+
+      await Payslip.destroy({ where: { run_id: run.run_id }, transaction });
+      await ExpenseClaim.update({ reimbursement_period: null }, {
+        where: { organization_id: organizationId, status: 'approved', reimbursement_period: run.period },
+        transaction
+      });
+      await run.destroy({ transaction });
+
+      await auditService.record(organizationId, {
+        action: 'payroll.run.delete',
+        entityType: 'payroll_run',
+        entityId: run.run_id,
+        metadata: this.runSummary(run)
+      }, context, transaction);
+    });
+  }
+
+  async getRuns(organizationId) {
+    return await PayrollRun.findAll({
+      where: { organization_id: organizationId },
+      order: [['period', 'DESC']]
+    });
+  }
+
+  async getRunPayslips(organizationId, runId) {
+    const run = await this.findRun(organizationId, runId);
+    const payslips = await Payslip.findAll({
+      where: { run_id: run.run_id },
+      order: [['employee_name', 'ASC']]
+    });
+    return { run, payslips };
+  }
+
+  async getRunPayslip(organizationId, runId, userId) {
+    const run = await this.findRun(organizationId, runId);
+    const payslip = await Payslip.findOne({
+      where: { run_id: run.run_id, user_id: userId }
+    });
+
+    if (!payslip) {
+      throw new ServiceError('Payslip not found for this employee', 404);
+    }
+
+    return payslip;
+  }
+
+  async addArrear(organizationId, { user_id, payout_period, source_period, amount, reason }) {
+    this.getPeriodBounds(payout_period);
+    if (source_period) this.getPeriodBounds(source_period);
+
+    const employee = await User.findOne({
+      where: { user_id, organization_id: organizationId }
+    });
+    if (!employee) {
+      throw new ServiceError('Employee not found', 404);
+    }
+
+    const run = await PayrollRun.findOne({
+      where: { organization_id: organizationId, period: payout_period }
+    });
+    if (run && run.status !== 'draft') {
+      throw new ServiceError(`The ${payout_period} payroll run is already ${run.status}; pay the arrear in a later month`, 409);
+    }
+
+    return await PayrollArrear.create({
+      organization_id: organizationId,
+      user_id,
+      payout_period,
+      source_period,
+      amount,
+      reason
+    });
+  }
+
+  async listArrears(organizationId, { userId, period } = {}) {
+    const where = { organization_id: organizationId };
+    if (userId) where.user_id = userId;
+    if (period) where.payout_period = period;
+
+    return await PayrollArrear.findAll({
+      where,
+      order: [['payout_period', 'DESC'], ['createdAt', 'DESC']]
+    });
+  }
+
+  // Payslips from finalized or locked runs only
+  async getEmployeePayslips(userId, organizationId, { period, limit } = {}) {
+    const where = { user_id: userId, organization_id: organizationId };
+    if (period) where.period = period;
+
+    return await Payslip.findAll({
+      where,
+      include: [{
+        model: PayrollRun,
+        as: 'run',
+        where: { status: { [Op.in]: this.publishedStatuses } },
+        attributes: ['status']
+      }],
+      order: [['period', 'DESC']],
+      limit
+    });
+  }
+
+  async getEmployeePayslip(userId, organizationId, period) {
+    this.getPeriodBounds(period);
+    const [payslip] = await this.getEmployeePayslips(userId, organizationId, { period });
+
+    if (!payslip) {
+      throw new ServiceError(`No payslip has been published for ${period}`, 404);
+    }
+
+    return payslip;
+  }
+}
+
+export default new PayrollService();
@@ -0,0 +1,198 @@
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { amountInWords } from '../utils/numberToWords.js';
+
+class PayslipDocumentService {
+  formatAmount(amount) {
+    return parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  periodLabel(period) {
+    const [year, month] = period.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+  }
+
+  fileName(payslip, format) {
+    return `payslip-${payslip.period}-${payslip.employee_number || payslip.user_id}.${format}`;
+  }
+
+  // Everything both renderers print, with earnings and deductions paired row by row
+  getDocumentData(payslip, organizationName) {
+    const rowCount = Math.max(payslip.earnings.length, payslip.deductions.length);
+    const rows = Array.from({ length: rowCount }, (_, index) => ({
+      earning: payslip.earnings[index] || null,
+      deduction: payslip.deductions[index] || null
+    }));
+
+    return {
+      title: `Payslip for ${this.periodLabel(payslip.period)}`,
+      organizationName,
+      details: [
+        ['Employee Name', payslip.employee_name],
+        ['Employee ID', payslip.employee_number || payslip.user_id],
+        ['Department', payslip.department || '-'],
+        ['Location', payslip.location || '-'],
+        ['Days in Month', String(payslip.days_in_month)],
+        ['Paid Days', String(payslip.paid_days)],
+        ['LOP Days', String(payslip.lop_days)]
+      ],
+      rows,
+      grossEarnings: payslip.gross_earnings,
+      totalDeductions: payslip.total_deductions,
+      reimbursements: payslip.reimbursements || [],
+      totalReimbursements: payslip.total_reimbursements || 0,
+      netPay: payslip.net_pay,
+      netPayInWords: amountInWords(payslip.net_pay)
+    };
+  }
+
+  buildWorkbook(payslip, organizationName) {
+    const data = this.getDocumentData(payslip, organizationName);
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Payslip');
+
+    worksheet.columns = [
+      { key: 'earning', width: 30 },
+      { key: 'earningAmount', width: 16 },
+      { key: 'deduction', width: 30 },
+      { key: 'deductionAmount', width: 16 }
+    ];
+
+    worksheet.mergeCells('A1:D1');
+    worksheet.getCell('A1').value = data.organizationName;
+    worksheet.getCell('A1').font = { bold: true, size: 14 };
+    worksheet.getCell('A1').alignment = { horizontal: 'center' };
+
+    worksheet.mergeCells('A2:D2');
+    worksheet.getCell('A2').value = data.title;
+    worksheet.getCell('A2').font = { bold: true };
+    worksheet.getCell('A2').alignment = { horizontal: 'center' };
+
+    worksheet.addRow([]);
+    data.details.forEach(([label, value]) => {
+      const row = worksheet.addRow([label, value]);
+      row.getCell(1).font = { bold: true };
+    });
+    worksheet.addRow([]);
+
+    const header = worksheet.addRow(['Earnings', 'Amount (₹)', 'Deductions', 'Amount (₹)']);
+    header.font = { bold: true };
+    header.eachCell(cell => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE7E6E6' } };
+      cell.border = { bottom: { style: 'thin' } };
+    });
+
+    data.rows.forEach(({ earning, deduction }) => {
+      worksheet.addRow([
+        earning ? earning.name : '',
+        earning ? parseFloat(earning.amount) : null,
+        deduction ? deduction.name : '',
+        deduction ? parseFloat(deduction.amount) : null
+      ]);
+    });
+
+    const totals = worksheet.addRow([
+      'Gross Earnings', parseFloat(data.grossEarnings),
+      'Total Deductions', parseFloat(data.totalDeductions)
+    ]);
+    totals.font = { bold: true };
+    totals.eachCell(cell => {
+      cell.border = { top: { style: 'thin' } };
+    });
+
+    worksheet.getColumn(2).numFmt = '#,##,##0.00';
+    worksheet.getColumn(4).numFmt = '#,##,##0.00';
+
+    if (data.reimbursements.length) {
+      worksheet.addRow([]);
+      const reimbursementHeader = worksheet.addRow(['Reimbursements (non-taxable)', 'Amount (₹)']);
+      reimbursementHeader.font = { bold: true };
+      data.reimbursements.forEach(item => worksheet.addRow([item.title, parseFloat(item.amount)]));
+      worksheet.addRow(['Total Reimbursements', parseFloat(data.totalReimbursements)]).font = { bold: true };
+    }
+
+    worksheet.addRow([]);
+    const net = worksheet.addRow(['Net Pay', parseFloat(data.netPay)]);
+    net.font = { bold: true };
+    const words = worksheet.addRow([data.netPayInWords]);
+    worksheet.mergeCells(`A${words.number}:D${words.number}`);
+    words.getCell(1).font = { italic: true };
+
+    return workbook;
+  }
+
+  renderPdf(payslip, organizationName) {
+    const data = this.getDocumentData(payslip, organizationName);
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = doc.page.margins.left;
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+      const columns = [left, left + width * 0.32, left + width * 0.5, left + width * 0.82];
+      const amountWidth = width * 0.18;
+
+      doc.font('Helvetica-Bold').fontSize(16).text(data.organizationName, { align: 'center' });
+      doc.fontSize(12).text(data.title, { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(10);
+      data.details.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.font('Helvetica-Bold').text(label, left, y, { width: width * 0.3 });
+        doc.font('Helvetica').text(value, left + width * 0.3, y);
+      });
+      doc.moveDown();
+
+      // pdfkit's standard fonts have no rupee glyph, so amounts are labelled INR
+      const drawRow = (cells, { bold = false, line = false } = {}) => {
+        const y = doc.y;
+        if (line) doc.moveTo(left, y - 2).lineTo(left + width, y - 2).stroke();
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        doc.text(cells[0], columns[0], y, { width: width * 0.3 });
+        doc.text(cells[1], columns[1], y, { width: amountWidth - 10, align: 'right' });
+        doc.text(cells[2], columns[2], y, { width: width * 0.3 });
+        doc.text(cells[3], columns[3], y, { width: amountWidth, align: 'right' });
+        doc.x = left;
+        doc.moveDown(0.5);
+      };
+
+      drawRow(['Earnings', 'Amount (INR)', 'Deductions', 'Amount (INR)'], { bold: true, line: true });
+      data.rows.forEach(({ earning, deduction }) => {
+        drawRow([
+          earning ? earning.name : '',
+          earning ? this.formatAmount(earning.amount) : '',
+          deduction ? deduction.name : '',
+          deduction ? this.formatAmount(deduction.amount) : ''
+        ], { line: false });
+      });
+      drawRow([
+        'Gross Earnings', this.formatAmount(data.grossEarnings),
+        'Total Deductions', this.formatAmount(data.totalDeductions)
+      ], { bold: true, line: true });
+
+      if (data.reimbursements.length) {
+        doc.moveDown();
+        drawRow(['Reimbursements (non-taxable)', 'Amount (INR)', '', ''], { bold: true, line: true });
+        data.reimbursements.forEach(item => drawRow([item.title, this.formatAmount(item.amount), '', '']));
+        drawRow(['Total Reimbursements', this.formatAmount(data.totalReimbursements), '', ''], { bold: true, line: true });
+      }
+
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(12).text(`Net Pay: INR ${this.formatAmount(data.netPay)}`, left);
+      doc.font('Helvetica-Oblique').fontSize(10).text(data.netPayInWords, left);
+
+      doc.moveDown(2);
+      doc.font('Helvetica').fontSize(8).fillColor('grey')
+        .text('This is a system-generated payslip and does not require a signature.', left, doc.y, { align: 'center', width });
+
+      doc.end();
+    });
+  }
+}
+
+export default new PayslipDocumentService();
@@ -0,0 +1,229 @@
+import {
+  User,
+  PayrollData,
+  PayrollArrear,
+  SalaryRevision,
+  SalaryStructure,
+  sequelize
+} from '../models/index.js';
+import payrollService from './payrollService.js';
+import salaryStructureService from './salaryStructureService.js';
+import statutoryService from './statutoryService.js';
+import auditService from './auditService.js';
+import { ServiceError } from '../utils/errors.js';
+import { formatDisplayDate, parseDateOnly, toDateOnly, today } from '../utils/dateUtils.js';
+
+class SalaryRevisionService {
+  constructor() {
+    this.systemActor = { type: 'system', id: null };
+  }
+
+  async findEmployee(organizationId, userId, transaction) {
+    const employee = await User.findOne({
+      where: { user_id: userId, organization_id: organizationId },
+      transaction
+    });
+    if (!employee) {
+      throw new ServiceError('Employee not found', 404);
+    }
+    return employee;
+  }
+
+  // Records a revision, raises arrears for published months it changes and
+  // re-derives PayrollData. Unspecified CTC, structure and overrides carry
+  // over from the salary in effect on the effective date. context is the audit
+  // context of the request; without one the revision is logged under actor.
+  async createRevision(organizationId, userId, {
+    ctc,
+    structure_id,
+    overrides,
+    effective_date,
+    reason,
+    approved_by,
+    notes
+  }, { actor = this.systemActor, transaction, context = { actor } } = {}) {
+    const record = async (transaction) => {
+      const employee = await this.findEmployee(organizationId, userId, transaction);
+      const history = await payrollService.getSalaryHistory(userId, transaction);
+      const payrollData = await PayrollData.findOne({
+        where: { user_id: userId, organization_id: organizationId },
+        transaction
+      });
+
+      const previous = history.length ? payrollService.salaryOn(history, parseDateOnly(effective_date)) : payrollData;
+      const annualCtc = ctc !== undefined ? ctc : previous && previous.ctc;
+      if (!annualCtc) {
+        throw new ServiceError('CTC is required for an employee without salary details');
+      }
+
+      const fields = await salaryStructureService.buildPayrollData(organizationId, annualCtc, {
+        structureId: structure_id || (previous && previous.structure_id),
+        overrides: overrides !== undefined ? overrides : (previous && previous.component_overrides) || {},
+        state: statutoryService.resolveState(employee),
+        transaction
+      });
+
+      const revision = await SalaryRevision.create({
+        organization_id: organizationId,
+        user_id: userId,
+        effective_date,
+        reason,
+        structure_id: fields.structure_id,
+        ctc: fields.ctc,
+        components: fields.components,
+        component_overrides: fields.component_overrides,
+        previous_ctc: previous ? previous.ctc : null,
+        previous_components: previous ? payrollService.getComponents(previous) : null,
+        approved_by,
+        actor_type: actor.type,
+        actor_id: actor.id,
+        notes
+      }, { transaction });
+
+      const arrears = await this.raiseArrears(employee, revision, history, payrollData, transaction);
+      const payroll = await payrollService.syncPayrollData(
+        employee,
+        await payrollService.getSalaryHistory(userId, transaction),
+        transaction
+      );
+
+      await auditService.record(organizationId, {
+        action: 'salary.revise',
+        entityType: 'employee',
+        entityId: userId,
+        changes: auditService.diff(
+          previous ? { ctc: parseFloat(previous.ctc), structure_id: previous.structure_id } : null,
+          { ctc: parseFloat(revision.ctc), structure_id: revision.structure_id }
+        ),
+        metadata: {
+          revision_id: revision.revision_id,
+          effective_date,
+          reason,
+          approved_by: approved_by || null,
+          arrears: arrears.length
+        }
+      }, context, transaction);
+
+      return { revision, arrears, payroll };
+    };
+
+    return transaction ? await record(transaction) : await sequelize.transaction(record);
+  }
+
+  // Arrears for published payslips the revision would have changed, paid in
+  // the next payroll run. Each revision only accounts for its own difference,
+  // so earlier revisions' arrears are not paid twice.
+  async raiseArrears(employee, revision, historyBefore, payrollDataBefore, transaction) {
+    const effectivePeriod = revision.effective_date.slice(0, 7);
+    const payslips = (await payrollService.getEmployeePayslips(employee.user_id, employee.organization_id))
+      .filter(payslip => payslip.period >= effectivePeriod)
+      .reverse();
+
+    if (!payslips.length) return [];
+
+    const historyAfter = await payrollService.getSalaryHistory(employee.user_id, transaction);
+    const payoutPeriod = await payrollService.getNextPayoutPeriod(employee.organization_id, transaction);
+    const grossFor = (salary, payslip) => {
+      const calculated = salary && payrollService.calculatePayslip(employee, salary, payslip.period, {
+        lopDays: payslip.lop_days
+      });
+      return calculated ? calculated.gross_earnings : null;
+    };
+
+    const arrears = [];
+    for (const payslip of payslips) {
+      const before = grossFor(payrollService.getSalaryForPeriod(historyBefore, payslip.period, payrollDataBefore), payslip);
+      const after = grossFor(payrollService.getSalaryForPeriod(historyAfter, payslip.period, null), payslip);
+      if (before === null || after === null) continue;
+
+      const amount = payrollService.roundAmount(after - before);
+      if (!amount) continue;
+
+      arrears.push(await PayrollArrear.create({
+        organization_id: employee.organization_id,
+        user_id: employee.user_id,
+        payout_period: payoutPeriod,
+        source_period: payslip.period,
+        amount,
+        reason: `Salary revision (${revision.reason}) effective ${formatDisplayDate(revision.effective_date)}`,
+        revision_id: revision.revision_id
+      }, { transaction }));
+    }
+
+    return arrears;
+  }
+
+  // Updates a salary structure and records a restructure revision, effective
+  // today, for every employee whose breakdown changes
+  async updateStructure(organizationId, structureId, data, actor, context = { actor }) {
+    return await sequelize.transaction(async (transaction) => {
+      const structure = await salaryStructureService.updateStructure(
+        organizationId,
+        structureId,
+        data,
+        transaction,
+        context
+      );
+
+      const payrolls = await PayrollData.findAll({
+        where: { organization_id: organizationId, structure_id: structure.structure_id },
+        include: [{ model: User, as: 'employee' }],
+        transaction
+      });
+
+      let revised = 0;
+      for (const payroll of payrolls) {
+        const fields = salaryStructureService.toPayrollData(
+          structure,
+          payroll.ctc,
+          payroll.component_overrides || {},
+          statutoryService.resolveState(payroll.employee)
+        );
+        if (JSON.stringify(fields.components) === JSON.stringify(payroll.components)) continue;
+
+        await this.createRevision(organizationId, payroll.user_id, {
+          effective_date: toDateOnly(today()),
+          reason: 'restructure',
+          notes: `Salary structure "${structure.name}" updated`
+        }, { actor, transaction, context });
+        revised++;
+      }
+
+      return { structure, employees_updated: revised };
+    });
+  }
+
+  async getHistory(organizationId, userId) {
+    await this.findEmployee(organizationId, userId);
+
+    return await SalaryRevision.findAll({
+      where: { user_id: userId, organization_id: organizationId },
+      include: [
+        { model: SalaryStructure, as: 'structure', attributes: ['structure_id', 'name'] },
+        { model: PayrollArrear, as: 'arrears' }
+      ],
+      order: [['effective_date', 'DESC'], ['revision_id', 'DESC']]
+    });
+  }
+
+  // Latest revision already in effect that raised the CTC
+  async getLastIncrement(userId, organizationId) {
+    const history = await payrollService.getSalaryHistory(userId);
+    const day = toDateOnly(today());
+
+    const revision = [...history].reverse().find(item => item.effective_date <= day
+      && item.previous_ctc !== null
+      && parseFloat(item.ctc) > parseFloat(item.previous_ctc));
+
+    if (!revision || revision.organization_id !== organizationId) return null;
+
+    const increase = parseFloat(revision.ctc) - parseFloat(revision.previous_ctc);
+    return {
+      revision,
+      increase,
+      percentage: Math.round(increase / parseFloat(revision.previous_ctc) * 1000) / 10
+    };
+  }
+}
+
+export default new SalaryRevisionService();
@@ -0,0 +1,409 @@
+import {
+  SalaryStructure,
+  PayrollData,
+  sequelize
+} from '../models/index.js';
+import {
+  DEFAULT_SALARY_STRUCTURE,
+  COMPONENT_TYPES,
+  CALCULATION_TYPES,
+  STRUCTURE_VARIABLES,
+  PAYROLL_DATA_COLUMNS
+} from '../config/salaryStructure.js';
+import { STATUTORY_RULES, PF_RULES } from '../config/statutoryRules.js';
+import statutoryService from './statutoryService.js';
+import auditService from './auditService.js';
+import { evaluateFormula, getFormulaVariables, FormulaError } from '../utils/formula.js';
+import { ServiceError } from '../utils/errors.js';
+
+// Structure fields tracked in the audit log
+const STRUCTURE_FIELDS = ['name', 'description', 'components', 'is_default', 'is_active'];
+
+class SalaryStructureService {
+  // Organizations without any structure get the default one
+  async ensureDefault(organizationId, transaction) {
+    const count = await SalaryStructure.count({
+      where: { organization_id: organizationId },
+      transaction
+    });
+
+    if (count === 0) {
+      await SalaryStructure.create({
+        ...DEFAULT_SALARY_STRUCTURE,
+        organization_id: organizationId,
+        is_default: true
+      }, { transaction });
+    }
+  }
+
+  async getStructures(organizationId, { includeInactive = false } = {}) {
+    await this.ensureDefault(organizationId);
+
+    const where = { organization_id: organizationId };
+    if (!includeInactive) where.is_active = true;
+
+    return await SalaryStructure.findAll({
+      where,
+      order: [['is_default', 'DESC'], ['name', 'ASC']]
+    });
+  }
+
+  async findStructure(organizationId, structureId, transaction) {
+    await this.ensureDefault(organizationId, transaction);
+
+    const where = { organization_id: organizationId, is_active: true };
+    if (structureId) {
+      where.structure_id = structureId;
+    } else {
+      where.is_default = true;
+    }
+
+    const structure = await SalaryStructure.findOne({ where, transaction });
+    if (!structure) {
+      throw new ServiceError(structureId ? 'Salary structure not found' : 'No default salary structure configured', 404);
+    }
+
+    return structure;
+  }
+
+  // Components are evaluated earnings first, then employer contributions, then
+  // the remainder earning, then deductions (which may also use GROSS)
+  orderComponents(components) {
+    const stage = (component) => {
+      if (component.type === 'earning') return component.calculation === 'remainder' ? 2 : 0;
+      return component.type === 'employer_contribution' ? 1 : 3;
+    };
+    return components
+      .map((component, index) => ({ component, index }))
+      .sort((a, b) => stage(a.component) - stage(b.component) || a.index - b.index)
+      .map(({ component }) => component);
+  }
+
+  validateComponents(components) {
+    if (!Array.isArray(components) || !components.length) {
+      throw new ServiceError('A salary structure needs at least one component');
+    }
+
+    const problems = [];
+    const codes = new Set();
+
+    components.forEach((component, index) => {
+      const label = component.code || `component ${index + 1}`;
+
+      if (!/^[A-Z][A-Z0-9_]*$/.test(component.code || '')) {
+        problems.push(`${label}: code must be upper-case letters, digits or underscores`);
+      } else if (codes.has(component.code) || [...STRUCTURE_VARIABLES, 'GROSS'].includes(component.code)) {
+        problems.push(`${label}: code is duplicated or reserved`);
+      }
+      codes.add(component.code);
+
+      if (!component.name) problems.push(`${label}: name is required`);
+      if (!COMPONENT_TYPES.includes(component.type)) {
+        problems.push(`${label}: type must be one of ${COMPONENT_TYPES.join(', ')}`);
+      }
+      if (!CALCULATION_TYPES.includes(component.calculation)) {
+        problems.push(`${label}: calculation must be one of ${CALCULATION_TYPES.join(', ')}`);
+      }
+      if (component.calculation === 'fixed' && !(Number(component.amount) >= 0)) {
+        problems.push(`${label}: fixed components need a non-negative amount`);
+      }
+      if (component.calculation === 'percentage' && (!(Number(component.percentage) >= 0) || !component.base)) {
+        problems.push(`${label}: percentage components need a percentage and a base`);
+      }
+      if (component.calculation === 'formula' && !component.formula) {
+        problems.push(`${label}: formula components need a formula`);
+      }
+      if (component.calculation === 'remainder' && component.type !== 'earning') {
+        problems.push(`${label}: only an earning can take the remainder`);
+      }
+      if (component.calculation === 'statutory' && component.type !== 'deduction') {
+        problems.push(`${label}: only a deduction can be statutory`);
+      }
+      if (component.calculation === 'statutory' && !STATUTORY_RULES.includes(component.rule)) {
+        problems.push(`${label}: statutory components need a rule (${STATUTORY_RULES.join(', ')})`);
+      }
+      if (component.cap !== undefined && component.cap !== null && !(Number(component.cap) >= 0)) {
+        problems.push(`${label}: cap must be a non-negative amount`);
+      }
+    });
+
+    if (components.filter(component => component.calculation === 'remainder').length > 1) {
+      problems.push('Only one component can take the remainder');
+    }
+
+    // Every reference must be to something already computed at that point
+    const available = new Set(STRUCTURE_VARIABLES);
+    for (const component of this.orderComponents(components)) {
+      if (component.type === 'deduction') available.add('GROSS');
+
+      const expressions = [
+        component.calculation === 'formula' ? component.formula : null,
+        component.calculation === 'percentage' ? component.base : null,
+        component.applies_if
+      ].filter(Boolean);
+
+      for (const expression of expressions) {
+        try {
+          getFormulaVariables(expression)
+            .filter(name => !available.has(name))
+            .forEach(name => problems.push(`${component.code}: "${name}" is not available when this component is calculated`));
+        } catch (error) {
+          if (!(error instanceof FormulaError)) throw error;
+          problems.push(`${component.code}: ${error.message}`);
+        }
+      }
+
+      available.add(component.code);
+    }
+
+    if (problems.length) {
+      throw new ServiceError('Invalid salary structure', 400, { problems });
+    }
+  }
+
+  // Monthly and annual amounts for every component of the structure at the
+  // given CTC. Statutory deductions use the rules of the work state; their
+  // monthly amount is an ordinary month's and the annual amount includes
+  // February adjustments and deductions made only in some months.
+  computeBreakdown(components, ctc, { overrides = {}, state = null } = {}) {
+    const annualCtc = parseFloat(ctc) || 0;
+    const variables = { CTC: annualCtc, CTC_MONTHLY: annualCtc / 12 };
+    const results = new Map();
+    const annualAmounts = new Map();
+
+    for (const component of this.orderComponents(components)) {
+      if (component.type === 'deduction' && variables.GROSS === undefined) {
+        variables.GROSS = [...results.values()]
+          .filter(item => item.type === 'earning')
+          .reduce((sum, item) => sum + item.amount, 0);
+      }
+
+      let amount = 0;
+      const overridden = component.type === 'earning'
+        && component.calculation !== 'remainder'
+        && overrides[component.code] !== undefined
+        && overrides[component.code] !== null;
+
+      if (overridden) {
+        amount = parseFloat(overrides[component.code]) || 0;
+      } else if (!component.applies_if || evaluateFormula(component.applies_if, variables)) {
+        switch (component.calculation) {
+          case 'fixed':
+            amount = parseFloat(component.amount) || 0;
+            break;
+          case 'percentage': {
+            let base = evaluateFormula(component.base, variables);
+            if (component.base_ceiling) base = Math.min(base, parseFloat(component.base_ceiling));
+            amount = base * parseFloat(component.percentage) / 100;
+            break;
+          }
+          case 'formula':
+            amount = evaluateFormula(component.formula, variables);
+            break;
+          case 'remainder': {
+            const allocated = [...results.values()]
+              .filter(item => item.type !== 'deduction')
+              .reduce((sum, item) => sum + item.amount, 0);
+            amount = Math.max(variables.CTC_MONTHLY - allocated, 0);
+            break;
+          }
+          case 'statutory': {
+            const wages = {
+              gross: variables.GROSS,
+              pf_wages: PF_RULES.wage_components.reduce((sum, code) => sum + (variables[code] || 0), 0)
+            };
+            amount = statutoryService.calculate(component.rule, state, wages);
+            annualAmounts.set(component.code, statutoryService.annualAmount(component.rule, state, wages));
+            break;
+          }
+        }
+
+        if (component.cap !== undefined && component.cap !== null) {
+          amount = Math.min(amount, parseFloat(component.cap));
+        }
+      }
+
+      amount = Math.max(Math.round(amount), 0);
+      variables[component.code] = amount;
+      results.set(component.code, {
+        code: component.code,
+        name: component.name,
+        type: component.type,
+        amount,
+        prorate: component.prorate !== false,
+        ...(component.calculation === 'statutory' ? { statutory: component.rule } : {})
+      });
+    }
+
+    // Keep the structure's own ordering in the output
+    const items = components.map(component => results.get(component.code));
+    const sum = (type) => items.filter(item => item.type === type).reduce((total, item) => total + item.amount, 0);
+    const gross = sum('earning');
+    const deductions = sum('deduction');
+    const employerContributions = sum('employer_contribution');
+
+    const monthly = {
+      earnings: items.filter(item => item.type === 'earning'),
+      deductions: items.filter(item => item.type === 'deduction'),
+      employer_contributions: items.filter(item => item.type === 'employer_contribution'),
+      gross,
+      total_deductions: deductions,
+      net_pay: gross - deductions,
+      cost_to_company: gross + employerContributions
+    };
+
+    const annualize = (list) => list.map(item => ({
+      ...item,
+      amount: annualAmounts.has(item.code) ? Math.round(annualAmounts.get(item.code)) : item.amount * 12
+    }));
+    const annualDeductions = annualize(monthly.deductions);
+    const annualTotalDeductions = annualDeductions.reduce((total, item) => total + item.amount, 0);
+
+    return {
+      ctc: annualCtc,
+      state,
+      monthly,
+      annual: {
+        earnings: annualize(monthly.earnings),
+        deductions: annualDeductions,
+        employer_contributions: annualize(monthly.employer_contributions),
+        gross: gross * 12,
+        total_deductions: annualTotalDeductions,
+        net_pay: gross * 12 - annualTotalDeductions,
+        cost_to_company: (gross + employerContributions) * 12
+      },
+      // CTC the structure does not account for (positive) or over-allocates (negative)
+      unallocated_ctc: annualCtc - (gross + employerContributions) * 12
+    };
+  }
+
+  // PayrollData fields for an employee on the structure
+  toPayrollData(structure, ctc, overrides = {}, state = null) {
+    const breakdown = this.computeBreakdown(structure.components, ctc, { overrides, state });
+    const items = [
+      ...breakdown.monthly.earnings,
+      ...breakdown.monthly.deductions,
+      ...breakdown.monthly.employer_contributions
+    ];
+
+    const fields = Object.fromEntries(Object.values(PAYROLL_DATA_COLUMNS).map(column => [column, 0]));
+    for (const item of items) {
+      if (PAYROLL_DATA_COLUMNS[item.code]) fields[PAYROLL_DATA_COLUMNS[item.code]] = item.amount;
+    }
+
+    const cleanOverrides = Object.fromEntries(
+      Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null)
+    );
+
+    return {
+      ...fields,
+      ctc: breakdown.ctc,
+      structure_id: structure.structure_id,
+      components: items,
+      component_overrides: Object.keys(cleanOverrides).length ? cleanOverrides : null
+    };
+  }
+
+  async buildPayrollData(organizationId, ctc, { structureId, overrides, state, transaction } = {}) {
+    const structure = await this.findStructure(organizationId, structureId, transaction);
+    return this.toPayrollData(structure, ctc, overrides, state);
+  }
+
+  async createStructure(organizationId, data, context = {}) {
+    this.validateComponents(data.components);
+    await this.ensureDefault(organizationId);
+
+    return await sequelize.transaction(async (transaction) => {
+      if (data.is_default) {
+        await SalaryStructure.update(
+          { is_default: false },
+          { where: { organization_id: organizationId }, transaction }
+        );
+      }
+
+      const structure = await SalaryStructure.create({ ...data, organization_id: organizationId }, { transaction });
+
+      await auditService.record(organizationId, {
+        action: 'salary_structure.create',
+        entityType: 'salary_structure',
+        entityId: structure.structure_id,
+        changes: auditService.diff(null, auditService.snapshot(structure, STRUCTURE_FIELDS))
+      }, context, transaction);
+
+      return structure;
+    });
+  }
+
+  // Runs inside the caller's transaction; salaryRevisionService re-derives the
+  // salaries of the employees on the structure
+  async updateStructure(organizationId, structureId, data, transaction, context = {}) {
+    if (data.components !== undefined) this.validateComponents(data.components);
+
+    const structure = await this.findStructure(organizationId, structureId, transaction);
+    const before = auditService.snapshot(structure, STRUCTURE_FIELDS);
+
+    if (data.is_default === false && structure.is_default) {
+      throw new ServiceError('Mark another structure as default instead', 409);
+    }
+    if (data.is_default) {
+      await SalaryStructure.update(
+        { is_default: false },
+        { where: { organization_id: organizationId }, transaction }
+      );
+    }
+
+    await structure.update(data, { transaction });
+
+    const changes = auditService.diff(before, auditService.snapshot(structure, STRUCTURE_FIELDS));
+    if (changes) {
+      await auditService.record(organizationId, {
+        action: 'salary_structure.update',
+        entityType: 'salary_structure',
+        entityId: structure.structure_id,
+        changes
+      }, context, transaction);
+    }
+
+    return structure;
+  }
+
+  async deactivateStructure(organizationId, structureId, context = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const structure = await this.findStructure(organizationId, structureId, transaction);
+
+      if (structure.is_default) {
+        throw new ServiceError('The default salary structure cannot be deactivated', 409);
+      }
+
+      const assigned = await PayrollData.count({
+        where: { organization_id: organizationId, structure_id: structure.structure_id },
+        transaction
+      });
+      if (assigned) {
+        throw new ServiceError(`${assigned} employee(s) are still on this salary structure`, 409);
+      }
+
+      await structure.update({ is_active: false }, { transaction });
+
+      await auditService.record(organizationId, {
+        action: 'salary_structure.deactivate',
+        entityType: 'salary_structure',
+        entityId: structure.structure_id,
+        changes: auditService.diff({ is_active: true }, { is_active: false })
+      }, context, transaction);
+
+      return structure;
+    });
+  }
+
+  async previewStructure(organizationId, structureId, ctc, overrides = {}, state = null) {
+    const structure = await this.findStructure(organizationId, structureId);
+    return {
+      structure_id: structure.structure_id,
+      name: structure.name,
+      ...this.computeBreakdown(structure.components, ctc, { overrides, state })
+    };
+  }
+}
+
+export default new SalaryStructureService();
@@ -0,0 +1,470 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import {
+  User,
+  Organization,
+  SsoConfiguration,
+  SsoLoginState,
+  sequelize
+} from '../models/index.js';
+import invitationService from './invitationService.js';
+import leaveTypeService from './leaveTypeService.js';
+import leaveAccrualService from './leaveAccrualService.js';
+import loginProtectionService from './loginProtectionService.js';
+import auditService from './auditService.js';
+import { DEFAULT_CLAIM_MAPPINGS, ID_TOKEN_ALGORITHMS, JIT_ROLES } from '../config/sso.js';
+import { toPeriod } from '../utils/dateUtils.js';
+import { ServiceError } from '../utils/errors.js';
+
+const CACHE_MS = 60 * 60 * 1000;
+
+// Settable through PUT /admin/sso, besides the issuer
+const CONFIG_FIELDS = [
+  'client_id', 'client_secret', 'scopes', 'claim_mappings', 'jit_provisioning',
+  'jit_allowed_domains', 'jit_default_role', 'is_enabled'
+];
+
+const base64Url = (buffer) => buffer.toString('base64url');
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// OpenID Connect sign-in for employees: authorization code flow with PKCE.
+// The identity provider's email claim is matched to User.email within the
+// organization, and the session is the same one /auth/login starts.
+class SsoService {
+  constructor() {
+    this.redirectUri = process.env.SSO_REDIRECT_URI || 'http://localhost:3000/api/auth/sso/callback';
+    this.stateExpiresMinutes = parseInt(process.env.SSO_STATE_EXPIRES_MINUTES) || 10;
+    this.discoveryCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  hashState(state) {
+    return crypto.createHash('sha256').update(state).digest('hex');
+  }
+
+  async fetchJson(url, options = {}) {
+    let response;
+    try {
+      response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+    } catch (error) {
+      console.error('Identity provider request error:', error);
+      throw new ServiceError('The identity provider could not be reached', 502);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      console.error(`Identity provider returned ${response.status} for ${url}:`, body);
+      throw new ServiceError(body.error_description || 'The identity provider rejected the request', 502);
+    }
+    return body;
+  }
+
+  async getDiscovery(issuer) {
+    const cached = this.discoveryCache.get(issuer);
+    if (cached && Date.now() - cached.fetchedAt < CACHE_MS) return cached.document;
+
+    const document = await this.fetchJson(`${trimSlash(issuer)}/.well-known/openid-configuration`);
+    if (trimSlash(document.issuer || '') !== trimSlash(issuer)) {
+      throw new ServiceError('The identity provider reported a different issuer', 502);
+    }
+
+    this.discoveryCache.set(issuer, { document, fetchedAt: Date.now() });
+    return document;
+  }
+
+  // Keys are cached per JWKS URL and refetched once when a token names an unknown key
+  async getSigningKey(discovery, kid) {
+    const findKey = (keys) => keys.find(key => !kid || key.kid === kid);
+
+    const cached = this.jwksCache.get(discovery.jwks_uri);
+    let jwk = cached && Date.now() - cached.fetchedAt < CACHE_MS ? findKey(cached.keys) : null;
+
+    if (!jwk) {
+      const { keys = [] } = await this.fetchJson(discovery.jwks_uri);
+      this.jwksCache.set(discovery.jwks_uri, { keys, fetchedAt: Date.now() });
+      jwk = findKey(keys);
+    }
+
+    if (!jwk) {
+      throw new ServiceError('The identity provider signed the token with an unknown key', 401);
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  getClaimMappings(config) {
+    return { ...DEFAULT_CLAIM_MAPPINGS, ...(config.claim_mappings || {}) };
+  }
+
+  toResponse(config) {
+    return {
+      issuer: config.issuer,
+      client_id: config.client_id,
+      has_client_secret: Boolean(config.client_secret),
+      scopes: config.scopes,
+      claim_mappings: this.getClaimMappings(config),
+      jit_provisioning: config.jit_provisioning,
+      jit_allowed_domains: config.jit_allowed_domains,
+      jit_default_role: config.jit_default_role,
+      is_enabled: config.is_enabled,
+      redirect_uri: this.redirectUri,
+      updatedAt: config.updatedAt
+    };
+  }
+
+  async findConfiguration(organizationId, transaction) {
+    return SsoConfiguration.findOne({
+      where: { organization_id: organizationId },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+  }
+
+  async getConfiguration(organizationId, transaction) {
+    const config = await this.findConfiguration(organizationId, transaction);
+    if (!config) {
+      throw new ServiceError('Single sign-on is not configured', 404);
+    }
+    return config;
+  }
+
+  // Checks the issuer's discovery document before saving, so a typo fails here
+  // rather than at the first employee sign-in. context is the audit context of
+  // the request (auditService.fromRequest).
+  async saveConfiguration(organizationId, data, context = {}) {
+    const existing = await this.findConfiguration(organizationId);
+    const issuer = data.issuer !== undefined ? trimSlash(data.issuer) : existing && existing.issuer;
+
+    if (!issuer || !(data.client_id || (existing && existing.client_id))) {
+      throw new ServiceError('issuer and client_id are required');
+    }
+
+    const discovery = await this.getDiscovery(issuer);
+    if (!discovery.authorization_endpoint || !discovery.token_endpoint || !discovery.jwks_uri) {
+      throw new ServiceError('The identity provider discovery document is incomplete');
+    }
+
+    const fields = {};
+    for (const key of CONFIG_FIELDS) {
+      if (data[key] !== undefined) fields[key] = data[key];
+    }
+    fields.issuer = issuer;
+
+    if (fields.jit_default_role !== undefined && !JIT_ROLES.includes(fields.jit_default_role)) {
+      throw new ServiceError(`jit_default_role must be one of ${JIT_ROLES.join(', ')}`);
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const current = await this.findConfiguration(organizationId, transaction);
+      const before = this.snapshot(current);
+      const config = current
+        ? await current.update(fields, { transaction })
+        : await SsoConfiguration.create({ organization_id: organizationId, ...fields }, { transaction });
+
+      await auditService.record(organizationId, {
+        action: 'settings.sso.update',
+        entityType: 'organization',
+        entityId: organizationId,
+        changes: auditService.diff(before, this.snapshot(config))
+      }, context, transaction);
+
+      return config;
+    });
+  }
+
+  // For the audit log; the client secret is redacted there
+  snapshot(config) {
+    return config ? auditService.snapshot(config, ['issuer', ...CONFIG_FIELDS]) : null;
+  }
+
+  async deleteConfiguration(organizationId, context = {}) {
+    return sequelize.transaction(async (transaction) => {
+      const config = await this.getConfiguration(organizationId, transaction);
+      await config.destroy({ transaction });
+
+      await auditService.record(organizationId, {
+        action: 'settings.sso.delete',
+        entityType: 'organization',
+        entityId: organizationId,
+        changes: auditService.diff(this.snapshot(config), null)
+      }, context, transaction);
+
+      return config;
+    });
+  }
+
+  // The organization comes from organization_id, or from the employee's email
+  async resolveOrganizationId({ organizationId, email }) {
+    if (organizationId) return organizationId;
+
+    const user = await User.findOne({ where: { email, is_active: true }, attributes: ['organization_id'] });
+    if (user) return user.organization_id;
+
+    // New employees of an organization that provisions on first sign-in
+    const domain = email.split('@')[1];
+    const configs = await SsoConfiguration.findAll({
+      where: { jit_provisioning: true, is_enabled: true, jit_allowed_domains: { [Op.ne]: null } }
+    });
+    const match = configs.find(config => this.isDomainAllowed(config, domain));
+    return match ? match.organization_id : null;
+  }
+
+  isDomainAllowed(config, domain) {
+    return String(config.jit_allowed_domains || '')
+      .split(',')
+      .map(entry => entry.trim().toLowerCase())
+      .filter(Boolean)
+      .includes(String(domain).toLowerCase());
+  }
+
+  // Step one: where to send the browser. The state, nonce and PKCE verifier
+  // stay on the server until the callback.
+  async beginLogin(lookup) {
+    const organizationId = await this.resolveOrganizationId(lookup);
+    const config = organizationId
+      ? await SsoConfiguration.findOne({ where: { organization_id: organizationId, is_enabled: true } })
+      : null;
+
+    if (!config) {
+      throw new ServiceError('Single sign-on is not available for this organization', 404);
+    }
+
+    const discovery = await this.getDiscovery(config.issuer);
+    const state = base64Url(crypto.randomBytes(32));
+    const nonce = base64Url(crypto.randomBytes(24));
+    const codeVerifier = base64Url(crypto.randomBytes(48));
+
+    await SsoLoginState.create({
+      state_hash: this.hashState(state),
+      organization_id: config.organization_id,
+      code_verifier: codeVerifier,
+      nonce,
+      expires_at: new Date(Date.now() + this.stateExpiresMinutes * 60 * 1000)
+    });
+
+    const url = new URL(discovery.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', config.client_id);
+    url.searchParams.set('redirect_uri', this.redirectUri);
+    url.searchParams.set('scope', config.scopes || 'openid email profile');
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', base64Url(crypto.createHash('sha256').update(codeVerifier).digest()));
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (lookup.email) url.searchParams.set('login_hint', lookup.email);
+
+    return { authorization_url: url.toString(), expires_in: this.stateExpiresMinutes * 60 };
+  }
+
+  // Spends the state so a callback URL cannot be replayed
+  async consumeState(state) {
+    return sequelize.transaction(async (transaction) => {
+      const record = await SsoLoginState.findOne({
+        where: {
+          state_hash: this.hashState(state),
+          used_at: null,
+          expires_at: { [Op.gt]: new Date() }
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!record) {
+        throw new ServiceError('This sign-in request is invalid or has expired; please start again');
+      }
+
+      await record.update({ used_at: new Date() }, { transaction });
+      return record;
+    });
+  }
+
+  async exchangeCode(config, discovery, code, codeVerifier) {
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      code_verifier: codeVerifier,
+      client_id: config.client_id
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    // client_secret_basic is the OIDC default; fall back to the form body when
+    // the provider only supports client_secret_post
+    const methods = discovery.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (config.client_secret) {
+      if (methods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(config.client_id)}:${encodeURIComponent(config.client_secret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        params.set('client_secret', config.client_secret);
+      }
+    }
+
+    return this.fetchJson(discovery.token_endpoint, { method: 'POST', headers, body: params });
+  }
+
+  async verifyIdToken(idToken, config, discovery, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new ServiceError('The identity provider returned an invalid ID token', 401);
+    }
+
+    const key = await this.getSigningKey(discovery, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: [decoded.header.alg],
+        issuer: discovery.issuer,
+        audience: config.client_id
+      });
+    } catch (error) {
+      console.error('ID token verification error:', error);
+      throw new ServiceError('The identity provider returned an invalid ID token', 401);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new ServiceError('The identity provider returned an invalid ID token', 401);
+    }
+    return claims;
+  }
+
+  // ID token claims, topped up from the userinfo endpoint when a mapped claim is missing
+  async getClaims(config, discovery, tokens, nonce) {
+    if (!tokens.id_token) {
+      throw new ServiceError('The identity provider did not return an ID token', 502);
+    }
+
+    const claims = await this.verifyIdToken(tokens.id_token, config, discovery, nonce);
+    const mappings = this.getClaimMappings(config);
+    const missing = Object.values(mappings).some(claim => claims[claim] === undefined);
+
+    if (missing && discovery.userinfo_endpoint && tokens.access_token) {
+      const userinfo = await this.fetchJson(discovery.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+      });
+      if (userinfo.sub === claims.sub) {
+        return { ...userinfo, ...claims };
+      }
+    }
+    return claims;
+  }
+
+  // Creates the employee on first sign-in; they never get a usable password
+  async provisionUser(config, organization, email, claims, context = {}) {
+    const role = config.jit_default_role || 'Employee';
+    if (!JIT_ROLES.includes(role)) {
+      throw new ServiceError('Single sign-on cannot provision this role; ask your HR team to add you', 403);
+    }
+
+    const mappings = this.getClaimMappings(config);
+    const currentUserCount = await User.count({
+      where: { organization_id: organization.organization_id, is_active: true }
+    });
+
+    if (currentUserCount >= organization.max_users) {
+      throw new ServiceError(`User limit exceeded. Your ${organization.subscription_plan} plan allows maximum ${organization.max_users} users.`, 403);
+    }
+
+    const [fallbackFirst, ...fallbackLast] = String(claims.name || email.split('@')[0]).split(' ');
+    const passwordHash = await invitationService.unusablePasswordHash();
+
+    const user = await sequelize.transaction(async (transaction) => {
+      const user = await User.create({
+        user_id: `${organization.organization_id}_${Date.now()}`,
+        organization_id: organization.organization_id,
+        first_name: claims[mappings.first_name] || fallbackFirst,
+        last_name: claims[mappings.last_name] || fallbackLast.join(' ') || '-',
+        email,
+        password_hash: passwordHash,
+        role,
+        date_of_joining: new Date().toISOString().slice(0, 10),
+        department: claims[mappings.department] || 'General',
+        location: claims[mappings.location] || 'Office',
+        password_reset_required: true
+      }, { transaction });
+
+      await leaveTypeService.seedBalances(user.user_id, organization.organization_id, transaction);
+
+      await auditService.record(organization.organization_id, {
+        action: 'employee.create',
+        entityType: 'employee',
+        entityId: user.user_id,
+        changes: auditService.diff(null, auditService.employeeSnapshot(user)),
+        metadata: { source: 'sso' }
+      }, { ...context, actor: { type: 'system', id: null } }, transaction);
+
+      return user;
+    });
+
+    // Credit the current accrual period once the employee is committed
+    await leaveAccrualService.runAccrual(organization.organization_id, toPeriod(new Date()), {
+      userIds: [user.user_id]
+    });
+
+    return user;
+  }
+
+  async findEmployee(organizationId, email) {
+    return User.findOne({
+      where: { email, organization_id: organizationId },
+      include: [{
+        model: Organization,
+        as: 'organization',
+        attributes: ['org_name', 'subscription_plan', 'is_active', 'max_users', 'password_policy']
+      }]
+    });
+  }
+
+  // Step two: the identity provider redirected back with a code. Returns the
+  // employee; the caller records the login once any second factor is settled.
+  async completeLogin({ code, state }, context = {}) {
+    const loginState = await this.consumeState(state);
+    const config = await SsoConfiguration.findOne({
+      where: { organization_id: loginState.organization_id, is_enabled: true }
+    });
+    if (!config) {
+      throw new ServiceError('Single sign-on is not available for this organization', 404);
+    }
+
+    const discovery = await this.getDiscovery(config.issuer);
+    const tokens = await this.exchangeCode(config, discovery, code, loginState.code_verifier);
+    const claims = await this.getClaims(config, discovery, tokens, loginState.nonce);
+
+    const rawEmail = claims[this.getClaimMappings(config).email];
+    if (!rawEmail) {
+      throw new ServiceError('The identity provider did not return an email address', 403);
+    }
+    // A missing claim is treated as unverified
+    if (claims.email_verified !== true) {
+      throw new ServiceError('The identity provider has not verified this email address', 403);
+    }
+
+    const email = String(rawEmail).trim().toLowerCase();
+    const eventContext = { ...context, method: 'sso' };
+    let user = await this.findEmployee(config.organization_id, email);
+
+    if (!user) {
+      const organization = await Organization.findByPk(config.organization_id);
+      const domain = email.split('@')[1];
+
+      if (!config.jit_provisioning || !this.isDomainAllowed(config, domain)
+        || await User.count({ where: { email } })) {
+        await loginProtectionService.recordEvent('employee', null, email, 'failure', 'sso_rejected', eventContext);
+        throw new ServiceError('No VipraCo account matches this identity; ask your HR team to add you', 403);
+      }
+
+      await this.provisionUser(config, organization, email, claims, context);
+      user = await this.findEmployee(config.organization_id, email);
+    }
+
+    if (!user.is_active || !user.organization.is_active) {
+      await loginProtectionService.recordEvent('employee', user, email, 'failure', 'inactive_account', eventContext);
+      throw new ServiceError('Invalid credentials or inactive account', 401);
+    }
+
+    return user;
+  }
+}
+
+export default new SsoService();
@@ -0,0 +1,94 @@
+import {
+  PF_RULES,
+  ESI_RULES,
+  STATE_RULES
+} from '../config/statutoryRules.js';
+
+const MONTHS = Array.from({ length: 12 }, (_, index) => index + 1);
+
+class StatutoryService {
+  // State code from User.work_state, otherwise from a location naming the
+  // state or one of its cities; null when it cannot be determined
+  resolveState(employee) {
+    if (!employee) return null;
+
+    const workState = String(employee.work_state || '').toUpperCase();
+    if (STATE_RULES[workState]) return workState;
+
+    const location = String(employee.location || '').toLowerCase();
+    if (!location) return null;
+
+    const mentions = (term) => new RegExp(`\\b${term}\\b`).test(location);
+    const match = Object.entries(STATE_RULES).find(([code, rules]) =>
+      location.trim() === code.toLowerCase()
+      || mentions(rules.name.toLowerCase())
+      || rules.cities.some(mentions)
+    );
+
+    return match ? match[0] : null;
+  }
+
+  getStateName(state) {
+    return STATE_RULES[state] ? STATE_RULES[state].name : null;
+  }
+
+  slabAmount(slabs, wages, month) {
+    const slab = slabs.find(item => item.upto === null || wages <= item.upto);
+    if (!slab) return 0;
+    return month === 2 && slab.february !== undefined ? slab.february : slab.amount;
+  }
+
+  // Employee share of a statutory deduction for one month.
+  // wages: gross (paid this month), pf_wages (paid PF earnings) and
+  // standard_gross (full-month gross, for eligibility).
+  // month is 1-12; without one the amount for an ordinary month is returned.
+  calculate(rule, state, wages, month = null) {
+    const stateRules = STATE_RULES[state] || {};
+    const gross = Math.max(parseFloat(wages.gross) || 0, 0);
+
+    switch (rule) {
+      case 'PF':
+        return Math.round(Math.min(parseFloat(wages.pf_wages) || 0, PF_RULES.wage_ceiling) * PF_RULES.employee_rate / 100);
+
+      case 'ESI': {
+        const standardGross = wages.standard_gross !== undefined ? parseFloat(wages.standard_gross) : gross;
+        return standardGross <= ESI_RULES.wage_limit ? Math.ceil(gross * ESI_RULES.employee_rate / 100) : 0;
+      }
+
+      case 'PT': {
+        const pt = stateRules.professional_tax;
+        if (!pt || !gross) return 0;
+        if (pt.half_yearly) {
+          return month && pt.deduction_months.includes(month) ? this.slabAmount(pt.slabs, gross * 6, month) : 0;
+        }
+        return this.slabAmount(pt.slabs, gross, month);
+      }
+
+      case 'LWF': {
+        const lwf = stateRules.labour_welfare_fund;
+        if (!lwf || !gross) return 0;
+        const due = month ? lwf.months.includes(month) : lwf.months.length === 12;
+        if (!due) return 0;
+        return typeof lwf.employee === 'object'
+          ? Math.min(Math.round(gross * lwf.employee.rate / 100 * 100) / 100, lwf.employee.max)
+          : lwf.employee;
+      }
+
+      default:
+        return 0;
+    }
+  }
+
+  // Total over a year of identical months, including February adjustments
+  // and deductions made only in some months
+  annualAmount(rule, state, wages) {
+    return MONTHS.reduce((sum, month) => sum + this.calculate(rule, state, wages, month), 0);
+  }
+
+  // Rules that depend on where the employee works
+  isStateRule(rule) {
+    return rule === 'PT' || rule === 'LWF';
+  }
+}
+
+export default new StatutoryService();
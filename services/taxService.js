@@ -0,0 +1,295 @@
+import { User, PayrollData, TaxDeclaration } from '../models/index.js';
+import payrollService from './payrollService.js';
+import statutoryService from './statutoryService.js';
+import {
+  INCOME_TAX_RULES,
+  TAX_REGIMES,
+  DEFAULT_TAX_REGIME,
+  HRA_BASIC_SHARE
+} from '../config/incomeTax.js';
+import { ServiceError } from '../utils/errors.js';
+import { parseDateOnly, parsePeriod, toPeriod, today } from '../utils/dateUtils.js';
+
+const DECLARATION_FIELDS = [
+  'regime', 'section_80c', 'section_80d_self', 'section_80d_parents',
+  'parents_senior_citizen', 'annual_rent_paid', 'metro_city'
+];
+
+class TaxService {
+  // '2025-26' for any date from April 2025 to March 2026
+  financialYearFor(date) {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  parseFinancialYear(financialYear) {
+    const match = /^(\d{4})-(\d{2})$/.exec(financialYear || '');
+    if (!match || (Number(match[1]) + 1) % 100 !== Number(match[2])) {
+      throw new ServiceError('Financial year must look like 2025-26');
+    }
+    return Number(match[1]);
+  }
+
+  // Payroll periods April to March
+  getPeriods(financialYear) {
+    const startYear = this.parseFinancialYear(financialYear);
+    return Array.from({ length: 12 }, (_, index) => toPeriod(new Date(startYear, 3 + index, 1)));
+  }
+
+  // Latest rule version that applies to the financial year
+  getRules(financialYear) {
+    const startYear = this.parseFinancialYear(financialYear);
+    const version = Object.keys(INCOME_TAX_RULES)
+      .filter(year => Number(year.slice(0, 4)) <= startYear)
+      .sort()
+      .pop();
+
+    if (!version) {
+      throw new ServiceError(`No income tax rules configured for ${financialYear}`, 404);
+    }
+
+    return { version, rules: INCOME_TAX_RULES[version] };
+  }
+
+  async getDeclaration(userId, organizationId, financialYear) {
+    this.parseFinancialYear(financialYear);
+
+    const declaration = await TaxDeclaration.findOne({
+      where: { user_id: userId, organization_id: organizationId, financial_year: financialYear }
+    });
+
+    // Unsaved declarations read as the defaults
+    return declaration || TaxDeclaration.build({
+      user_id: userId,
+      organization_id: organizationId,
+      financial_year: financialYear
+    });
+  }
+
+  async saveDeclaration(userId, organizationId, financialYear, data) {
+    const declaration = await this.getDeclaration(userId, organizationId, financialYear);
+
+    if (data.regime !== undefined && !TAX_REGIMES.includes(data.regime)) {
+      throw new ServiceError(`Regime must be one of ${TAX_REGIMES.join(', ')}`);
+    }
+
+    DECLARATION_FIELDS
+      .filter(field => data[field] !== undefined)
+      .forEach(field => declaration.set(field, data[field]));
+
+    return await declaration.save();
+  }
+
+  // Salary for the year: published payslips where they exist, the current
+  // monthly salary for every other month the employee is employed
+  async getAnnualIncome(employee, payrollData, financialYear) {
+    const periods = this.getPeriods(financialYear);
+    const joinedPeriod = employee.date_of_joining
+      ? toPeriod(parseDateOnly(employee.date_of_joining))
+      : null;
+
+    const payslips = await payrollService.getEmployeePayslips(employee.user_id, employee.organization_id);
+    const payslipsByPeriod = new Map(
+      payslips.filter(payslip => periods.includes(payslip.period)).map(payslip => [payslip.period, payslip])
+    );
+
+    const amountOf = (items, code) => items
+      .filter(item => item.code === code)
+      .reduce((sum, item) => sum + parseFloat(item.amount || 0), 0);
+
+    const components = payrollData ? payrollService.getComponents(payrollData) : [];
+    const monthly = {
+      gross: components.filter(item => item.type === 'earning').reduce((sum, item) => sum + parseFloat(item.amount || 0), 0),
+      basic: amountOf(components, 'BASIC'),
+      hra: amountOf(components, 'HRA'),
+      professional_tax: amountOf(components, 'PT')
+    };
+
+    // Statutory professional tax varies by month in some states
+    const state = statutoryService.resolveState(employee);
+    const statutoryPt = components.find(item => item.code === 'PT' && item.statutory);
+    const professionalTaxFor = (period) => (statutoryPt
+      ? statutoryService.calculate(statutoryPt.statutory, state, { gross: monthly.gross }, parsePeriod(period).month + 1)
+      : monthly.professional_tax);
+
+    const income = { gross_salary: 0, basic: 0, hra_received: 0, professional_tax: 0, actual_months: 0, projected_months: 0 };
+
+    for (const period of periods) {
+      const payslip = payslipsByPeriod.get(period);
+
+      if (payslip) {
+        income.gross_salary += parseFloat(payslip.gross_earnings);
+        income.basic += amountOf(payslip.earnings, 'BASIC');
+        income.hra_received += amountOf(payslip.earnings, 'HRA');
+        income.professional_tax += amountOf(payslip.deductions, 'PT');
+        income.actual_months++;
+      } else if (payrollData && (!joinedPeriod || period >= joinedPeriod)) {
+        income.gross_salary += monthly.gross;
+        income.basic += monthly.basic;
+        income.hra_received += monthly.hra;
+        income.professional_tax += professionalTaxFor(period);
+        income.projected_months++;
+      }
+    }
+
+    return income;
+  }
+
+  // Age the employee reaches during the financial year
+  getAge(employee, financialYear) {
+    const dateOfBirth = parseDateOnly(employee.date_of_birth);
+    if (!dateOfBirth) return null;
+    const endYear = this.parseFinancialYear(financialYear) + 1;
+    return endYear - dateOfBirth.getFullYear() - (dateOfBirth.getMonth() >= 3 ? 1 : 0);
+  }
+
+  slabTax(slabs, taxableIncome) {
+    let tax = 0;
+    let lower = 0;
+
+    for (const slab of slabs) {
+      const upper = slab.upto === null ? Infinity : slab.upto;
+      if (taxableIncome > lower) {
+        tax += (Math.min(taxableIncome, upper) - lower) * slab.rate / 100;
+      }
+      lower = upper;
+    }
+
+    return tax;
+  }
+
+  // Tax before cess: slab tax less the 87A rebate, plus surcharge with marginal relief
+  taxBeforeCess(regime, slabs, taxableIncome) {
+    let tax = this.slabTax(slabs, taxableIncome);
+    let rebate = 0;
+
+    if (taxableIncome <= regime.rebate.income_limit) {
+      rebate = Math.min(tax, regime.rebate.max);
+    } else if (regime.rebate.marginal_relief) {
+      rebate = Math.max(tax - (taxableIncome - regime.rebate.income_limit), 0);
+    }
+    tax -= rebate;
+
+    const band = [...regime.surcharge].reverse().find(item => taxableIncome > item.above);
+    let surcharge = 0;
+    if (band) {
+      surcharge = tax * band.rate / 100;
+      // Surcharge may not exceed the income above the threshold it starts at
+      const atThreshold = this.taxBeforeCess(regime, slabs, band.above);
+      const excess = tax + surcharge - (atThreshold.tax + atThreshold.surcharge);
+      surcharge -= Math.max(excess - (taxableIncome - band.above), 0);
+    }
+
+    return { tax, rebate, surcharge };
+  }
+
+  computeRegime(regimeName, rules, income, declaration, age) {
+    const regime = rules[regimeName];
+    const caps = regime.deductions;
+    const exemptions = {};
+    const deductions = { standard_deduction: Math.min(regime.standard_deduction, income.gross_salary) };
+
+    if (caps.hra_exemption && income.hra_received > 0) {
+      const rentPaid = parseFloat(declaration.annual_rent_paid || 0);
+      const basicShare = declaration.metro_city ? HRA_BASIC_SHARE.metro : HRA_BASIC_SHARE.non_metro;
+      exemptions.hra = Math.max(Math.min(
+        income.hra_received,
+        rentPaid - income.basic * 0.1,
+        income.basic * basicShare / 100
+      ), 0);
+    }
+
+    if (caps.professional_tax) {
+      deductions.professional_tax = income.professional_tax;
+    }
+    if (caps.section_80c) {
+      deductions.section_80c = Math.min(parseFloat(declaration.section_80c || 0), caps.section_80c);
+    }
+    if (caps.section_80d_self) {
+      const selfCap = age >= 60 ? caps.section_80d_self_senior : caps.section_80d_self;
+      const parentsCap = declaration.parents_senior_citizen ? caps.section_80d_parents_senior : caps.section_80d_parents;
+      deductions.section_80d = Math.min(parseFloat(declaration.section_80d_self || 0), selfCap)
+        + Math.min(parseFloat(declaration.section_80d_parents || 0), parentsCap);
+    }
+
+    const totalExemptions = Object.values(exemptions).reduce((sum, value) => sum + value, 0);
+    const totalDeductions = Object.values(deductions).reduce((sum, value) => sum + value, 0);
+    // Taxable income is rounded to the nearest ten rupees (section 288A)
+    const taxableIncome = Math.round(Math.max(income.gross_salary - totalExemptions - totalDeductions, 0) / 10) * 10;
+
+    let slabs = regime.slabs;
+    if (age >= 80 && regime.super_senior_slabs) slabs = regime.super_senior_slabs;
+    else if (age >= 60 && regime.senior_slabs) slabs = regime.senior_slabs;
+
+    const { tax, rebate, surcharge } = this.taxBeforeCess(regime, slabs, taxableIncome);
+    const cess = (tax + surcharge) * rules.cess_rate / 100;
+    const totalTax = Math.round(tax + surcharge + cess);
+    const round = (values) => Object.fromEntries(Object.entries(values).map(([key, value]) => [key, Math.round(value)]));
+
+    return {
+      regime: regimeName,
+      gross_income: Math.round(income.gross_salary),
+      exemptions: round(exemptions),
+      deductions: round(deductions),
+      taxable_income: taxableIncome,
+      tax_on_income: Math.round(this.slabTax(slabs, taxableIncome)),
+      rebate: Math.round(rebate),
+      surcharge: Math.round(surcharge),
+      cess: Math.round(cess),
+      total_tax: totalTax,
+      monthly_tds: Math.round(totalTax / 12),
+      effective_rate: income.gross_salary > 0 ? Math.round(totalTax / income.gross_salary * 10000) / 100 : 0
+    };
+  }
+
+  // Annual tax and monthly TDS under both regimes for the financial year
+  async compareRegimes(userId, organizationId, { financialYear } = {}) {
+    const year = financialYear || this.financialYearFor(today());
+    const { version, rules } = this.getRules(year);
+
+    const employee = await User.findOne({
+      where: { user_id: userId, organization_id: organizationId }
+    });
+    if (!employee) {
+      throw new ServiceError('Employee not found', 404);
+    }
+
+    const payrollData = await PayrollData.findOne({
+      where: { user_id: userId, organization_id: organizationId }
+    });
+
+    const income = await this.getAnnualIncome(employee, payrollData, year);
+    if (!income.actual_months && !income.projected_months) {
+      throw new ServiceError('No salary information found for this financial year', 404);
+    }
+
+    const declaration = await this.getDeclaration(userId, organizationId, year);
+    const age = this.getAge(employee, year);
+    const regimes = Object.fromEntries(
+      TAX_REGIMES.map(name => [name, this.computeRegime(name, rules, income, declaration, age)])
+    );
+
+    const recommended = regimes.old.total_tax < regimes.new.total_tax ? 'old' : 'new';
+    const chosen = declaration.regime || DEFAULT_TAX_REGIME;
+
+    return {
+      financial_year: year,
+      rules_version: version,
+      income: {
+        gross_salary: Math.round(income.gross_salary),
+        basic: Math.round(income.basic),
+        hra_received: Math.round(income.hra_received),
+        professional_tax: Math.round(income.professional_tax),
+        actual_months: income.actual_months,
+        projected_months: income.projected_months
+      },
+      declaration: Object.fromEntries(DECLARATION_FIELDS.map(field => [field, declaration[field]])),
+      regimes,
+      chosen_regime: chosen,
+      recommended_regime: recommended,
+      savings_with_recommended: Math.abs(regimes.old.total_tax - regimes.new.total_tax)
+    };
+  }
+}
+
+export default new TaxService();
@@ -0,0 +1,178 @@
+import { Op } from 'sequelize';
+import {
+  Organization,
+  User,
+  LeaveRequest
+} from '../models/index.js';
+import holidayService from './holidayService.js';
+import { ServiceError } from '../utils/errors.js';
+import { parseDateOnly, toDateOnly, eachDay } from '../utils/dateUtils.js';
+
+class TeamLeaveService {
+  constructor() {
+    // Longest range a calendar can be requested for
+    this.maxCalendarDays = 92;
+    // Smaller teams get no staffing warnings: a manager with a single report
+    // would be warned about every day of every request
+    this.minTeamSizeForWarnings = 2;
+  }
+
+  async getSubordinates(manager, transaction) {
+    return await User.findAll({
+      where: {
+        organization_id: manager.organization_id,
+        manager_id: manager.user_id,
+        is_active: true
+      },
+      attributes: ['user_id', 'first_name', 'last_name', 'email', 'department', 'location'],
+      order: [['first_name', 'ASC'], ['last_name', 'ASC']],
+      transaction
+    });
+  }
+
+  async getTeamRequests(organizationId, userIds, from, to, statuses, transaction) {
+    return await LeaveRequest.findAll({
+      where: {
+        organization_id: organizationId,
+        user_id: userIds,
+        status: { [Op.in]: statuses },
+        start_date: { [Op.lte]: toDateOnly(to) },
+        end_date: { [Op.gte]: toDateOnly(from) }
+      },
+      order: [['start_date', 'ASC']],
+      transaction
+    });
+  }
+
+  // Holiday dates for every location represented in the team
+  async getHolidaySets(organizationId, members, from, to) {
+    const sets = new Map();
+    for (const location of new Set(members.map(member => member.location || null))) {
+      sets.set(location, await holidayService.getHolidayDateSet(organizationId, location, from, to));
+    }
+    return sets;
+  }
+
+  isWorkingDayFor(member, date, holidaySets) {
+    return !holidayService.isWeekend(date) && !holidaySets.get(member.location || null).has(toDateOnly(date));
+  }
+
+  // Day-by-day view of the manager's direct reports' approved and pending leave
+  async getTeamCalendar(manager, from, to, { statuses = ['approved', 'pending'] } = {}) {
+    const fromDate = parseDateOnly(from);
+    const toDate = parseDateOnly(to);
+
+    if (!fromDate || !toDate) {
+      throw new ServiceError('Invalid from or to date');
+    }
+    if (toDate < fromDate) {
+      throw new ServiceError('The to date cannot be before the from date');
+    }
+    if (eachDay(fromDate, toDate).length > this.maxCalendarDays) {
+      throw new ServiceError(`The calendar range cannot exceed ${this.maxCalendarDays} days`);
+    }
+
+    const members = await this.getSubordinates(manager);
+    const memberIds = members.map(member => member.user_id);
+    const requests = members.length
+      ? await this.getTeamRequests(manager.organization_id, memberIds, fromDate, toDate, statuses)
+      : [];
+    const holidaySets = await this.getHolidaySets(manager.organization_id, members, fromDate, toDate);
+    const membersById = new Map(members.map(member => [member.user_id, member]));
+
+    const days = eachDay(fromDate, toDate).map(day => {
+      const date = toDateOnly(day);
+      const onLeave = requests
+        .filter(request => request.start_date <= date && request.end_date >= date)
+        .filter(request => this.isWorkingDayFor(membersById.get(request.user_id), day, holidaySets))
+        .map(request => {
+          const member = membersById.get(request.user_id);
+          return {
+            request_id: request.request_id,
+            user_id: member.user_id,
+            name: `${member.first_name} ${member.last_name}`,
+            leave_type: request.leave_type,
+            status: request.status,
+            is_half_day: request.is_half_day
+          };
+        });
+
+      const approvedAway = new Set(onLeave.filter(entry => entry.status === 'approved').map(entry => entry.user_id));
+
+      return {
+        date,
+        is_weekend: holidayService.isWeekend(day),
+        on_leave: onLeave,
+        available: members.length - approvedAway.size
+      };
+    });
+
+    return {
+      from: toDateOnly(fromDate),
+      to: toDateOnly(toDate),
+      team_size: members.length,
+      days
+    };
+  }
+
+  // Working days on which approving the request would leave fewer team members
+  // available than the organization's minimum. Pending requests are not counted.
+  async getAvailabilityWarnings(manager, leaveRequest, transaction) {
+    const members = await this.getSubordinates(manager, transaction);
+    if (members.length < this.minTeamSizeForWarnings) return [];
+
+    const organization = await Organization.findByPk(manager.organization_id, {
+      attributes: ['min_team_availability'],
+      transaction
+    });
+    const threshold = organization ? organization.min_team_availability : 50;
+
+    const fromDate = parseDateOnly(leaveRequest.start_date);
+    const toDate = parseDateOnly(leaveRequest.end_date);
+    const applicant = members.find(member => member.user_id === leaveRequest.user_id)
+      || { location: null };
+
+    const others = members.filter(member => member.user_id !== leaveRequest.user_id);
+    const approved = others.length
+      ? await this.getTeamRequests(
+        manager.organization_id,
+        others.map(member => member.user_id),
+        fromDate,
+        toDate,
+        ['approved'],
+        transaction
+      )
+      : [];
+    const holidaySets = await this.getHolidaySets(manager.organization_id, [applicant, ...others], fromDate, toDate);
+    const othersById = new Map(others.map(member => [member.user_id, member]));
+
+    const warnings = [];
+    for (const day of eachDay(fromDate, toDate)) {
+      if (!this.isWorkingDayFor(applicant, day, holidaySets)) continue;
+
+      const date = toDateOnly(day);
+      const away = new Set(approved
+        .filter(request => request.start_date <= date && request.end_date >= date)
+        .filter(request => this.isWorkingDayFor(othersById.get(request.user_id), day, holidaySets))
+        .map(request => request.user_id));
+
+      const available = members.length - away.size - 1;
+      const availablePercent = Math.round(available / members.length * 100);
+
+      if (availablePercent < threshold) {
+        warnings.push({
+          date,
+          team_size: members.length,
+          available,
+          available_percent: availablePercent,
+          min_team_availability: threshold,
+          already_on_leave: away.size
+        });
+      }
+    }
+
+    return warnings;
+  }
+}
+
+export default new TeamLeaveService();
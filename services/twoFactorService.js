@@ -0,0 +1,366 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import {
+  User,
+  Organization,
+  TwoFactorCredential,
+  TwoFactorRecoveryCode,
+  sequelize
+} from '../models/index.js';
+import loginProtectionService from './loginProtectionService.js';
+import { ServiceError } from '../utils/errors.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Codes from the neighbouring steps are accepted to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+// Subscription plans whose organization admin account must use two-factor authentication
+const TWO_FACTOR_REQUIRED_PLANS = ['enterprise'];
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// TOTP (RFC 6238) for employees and organization admins. A password login
+// for an account with two-factor authentication gets a short-lived challenge
+// token instead of a session; /auth/2fa/verify exchanges it and a code (or a
+// recovery code) for the real tokens.
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'VipraCo';
+    this.challengeExpiresIn = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+  }
+
+  getEmail(subjectType, account) {
+    return subjectType === 'employee' ? account.email : account.admin_email;
+  }
+
+  // RFC 4226 HOTP over the 30-second time step
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+  }
+
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+  }
+
+  // The time step the code belongs to, or null. Steps up to last_used_step
+  // are skipped so an intercepted code cannot be replayed.
+  matchCode(credential, code) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(candidate)) return null;
+
+    const lastUsed = credential.last_used_step === null || credential.last_used_step === undefined
+      ? -1
+      : Number(credential.last_used_step);
+    const current = this.currentStep();
+
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      if (step <= lastUsed) continue;
+      const expected = this.generateCode(credential.secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^0-9a-z]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  // Shown to the user once; only hashes are kept
+  async replaceRecoveryCodes(credential, transaction) {
+    await TwoFactorRecoveryCode.destroy({
+      where: { credential_id: credential.credential_id },
+      transaction
+    });
+
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await TwoFactorRecoveryCode.bulkCreate(codes.map(code => ({
+      credential_id: credential.credential_id,
+      code_hash: this.hashRecoveryCode(code)
+    })), { transaction });
+
+    return codes;
+  }
+
+  isRequired(subjectType, account) {
+    if (subjectType === 'organization') {
+      return TWO_FACTOR_REQUIRED_PLANS.includes(account.subscription_plan);
+    }
+    return account.role === 'Admin' && Boolean(account.organization && account.organization.require_admin_two_factor);
+  }
+
+  async getCredential(subjectType, subjectId, transaction) {
+    return TwoFactorCredential.findOne({
+      where: { subject_type: subjectType, subject_id: subjectId },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+  }
+
+  async getStatus(subjectType, account) {
+    const credential = await this.getCredential(subjectType, loginProtectionService.getAccountId(subjectType, account));
+    const enabled = Boolean(credential && credential.enabled_at);
+
+    return {
+      enabled,
+      required: this.isRequired(subjectType, account),
+      enabled_at: enabled ? credential.enabled_at : null,
+      recovery_codes_remaining: enabled
+        ? await TwoFactorRecoveryCode.count({ where: { credential_id: credential.credential_id, used_at: null } })
+        : 0
+    };
+  }
+
+  // Called after the password is accepted. Returns null when the login can
+  // complete, otherwise a challenge: 'verify' asks for a code, 'setup' means
+  // two-factor authentication is required but has not been set up yet.
+  // authMethod is how the first factor was proven (password or sso); the
+  // session started after the second factor keeps it
+  async createLoginChallenge(subjectType, account, authMethod = 'password') {
+    const subjectId = loginProtectionService.getAccountId(subjectType, account);
+    const credential = await this.getCredential(subjectType, subjectId);
+
+    let purpose;
+    if (credential && credential.enabled_at) {
+      purpose = 'verify';
+    } else if (this.isRequired(subjectType, account)) {
+      purpose = 'setup';
+    } else {
+      return null;
+    }
+
+    const challengeToken = jwt.sign(
+      { type: 'two_factor_challenge', purpose, subject_type: subjectType, subject_id: subjectId, auth_method: authMethod },
+      process.env.JWT_SECRET,
+      { expiresIn: this.challengeExpiresIn }
+    );
+
+    return { purpose, challenge_token: challengeToken, expires_in: this.challengeExpiresIn };
+  }
+
+  async loadAccount(subjectType, subjectId) {
+    if (subjectType === 'employee') {
+      const user = await User.findOne({
+        where: { user_id: subjectId, is_active: true },
+        include: [{
+          model: Organization,
+          as: 'organization',
+          attributes: ['org_name', 'subscription_plan', 'is_active', 'require_admin_two_factor', 'password_policy']
+        }]
+      });
+      return user && user.organization.is_active ? user : null;
+    }
+    return Organization.findOne({ where: { organization_id: subjectId, is_active: true } });
+  }
+
+  async verifyChallenge(token, purpose, subjectType) {
+    const invalid = new ServiceError('Two-factor challenge is invalid or has expired', 401);
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw invalid;
+    }
+
+    if (decoded.type !== 'two_factor_challenge' || decoded.purpose !== purpose
+      || (subjectType && decoded.subject_type !== subjectType)) {
+      throw invalid;
+    }
+
+    const account = await this.loadAccount(decoded.subject_type, decoded.subject_id);
+    if (!account) throw invalid;
+
+    return { subjectType: decoded.subject_type, account, authMethod: decoded.auth_method || 'password' };
+  }
+
+  // Starts (or restarts) setup with a new secret; nothing changes for the
+  // login until enable() confirms a code from the authenticator app
+  async beginSetup(subjectType, account) {
+    const subjectId = loginProtectionService.getAccountId(subjectType, account);
+    const existing = await this.getCredential(subjectType, subjectId);
+
+    if (existing && existing.enabled_at) {
+      throw new ServiceError('Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    if (existing) {
+      await existing.update({ secret, last_used_step: null });
+    } else {
+      await TwoFactorCredential.create({ subject_type: subjectType, subject_id: subjectId, secret });
+    }
+
+    const label = `${this.issuer}:${this.getEmail(subjectType, account)}`;
+    const otpauthUrl = `otpauth://totp/${encodeURIComponent(label)}?secret=${secret}`
+      + `&issuer=${encodeURIComponent(this.issuer)}&algorithm=SHA1&digits=${CODE_DIGITS}&period=${STEP_SECONDS}`;
+
+    return {
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  // Confirms setup with a first code and returns the recovery codes
+  async enable(subjectType, account, code) {
+    const subjectId = loginProtectionService.getAccountId(subjectType, account);
+
+    return sequelize.transaction(async (transaction) => {
+      const credential = await this.getCredential(subjectType, subjectId, transaction);
+
+      if (!credential) {
+        throw new ServiceError('Start two-factor setup before enabling it');
+      }
+      if (credential.enabled_at) {
+        throw new ServiceError('Two-factor authentication is already enabled', 409);
+      }
+
+      const step = this.matchCode(credential, code);
+      if (step === null) {
+        throw new ServiceError('Invalid authentication code');
+      }
+
+      await credential.update({ enabled_at: new Date(), last_used_step: step }, { transaction });
+      return this.replaceRecoveryCodes(credential, transaction);
+    });
+  }
+
+  // Accepts an authenticator code or an unused recovery code
+  async verifyCredential(credential, { code, recovery_code: recoveryCode }, transaction) {
+    if (code) {
+      const step = this.matchCode(credential, code);
+      if (step === null) return false;
+      await credential.update({ last_used_step: step }, { transaction });
+      return true;
+    }
+
+    if (recoveryCode) {
+      const record = await TwoFactorRecoveryCode.findOne({
+        where: {
+          credential_id: credential.credential_id,
+          code_hash: this.hashRecoveryCode(recoveryCode),
+          used_at: null
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!record) return false;
+      await record.update({ used_at: new Date() }, { transaction });
+      return true;
+    }
+
+    return false;
+  }
+
+  async getEnabledCredential(subjectType, account, transaction) {
+    const credential = await this.getCredential(
+      subjectType,
+      loginProtectionService.getAccountId(subjectType, account),
+      transaction
+    );
+
+    if (!credential || !credential.enabled_at) {
+      throw new ServiceError('Two-factor authentication is not enabled');
+    }
+    return credential;
+  }
+
+  async disable(subjectType, account, factors) {
+    if (this.isRequired(subjectType, account)) {
+      throw new ServiceError('Two-factor authentication is required for this account', 403);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const credential = await this.getEnabledCredential(subjectType, account, transaction);
+
+      if (!(await this.verifyCredential(credential, factors, transaction))) {
+        throw new ServiceError('Invalid authentication code');
+      }
+
+      await TwoFactorRecoveryCode.destroy({
+        where: { credential_id: credential.credential_id },
+        transaction
+      });
+      await credential.destroy({ transaction });
+    });
+  }
+
+  // Invalidates the old recovery codes; needs a current authenticator code
+  async regenerateRecoveryCodes(subjectType, account, code) {
+    return sequelize.transaction(async (transaction) => {
+      const credential = await this.getEnabledCredential(subjectType, account, transaction);
+
+      if (!(await this.verifyCredential(credential, { code }, transaction))) {
+        throw new ServiceError('Invalid authentication code');
+      }
+
+      return this.replaceRecoveryCodes(credential, transaction);
+    });
+  }
+
+  // Second login step. Wrong codes count towards the same lockout as wrong
+  // passwords, so the challenge cannot be used to guess codes.
+  async completeLogin(challengeToken, factors, requestContext = {}) {
+    const { subjectType, account, authMethod } = await this.verifyChallenge(challengeToken, 'verify');
+    const email = this.getEmail(subjectType, account);
+    const context = { ...requestContext, method: authMethod };
+
+    await loginProtectionService.attempt(subjectType, account, email, async (transaction) => {
+      const credential = await this.getCredential(
+        subjectType,
+        loginProtectionService.getAccountId(subjectType, account),
+        transaction
+      );
+
+      if (!credential || !credential.enabled_at) {
+        throw new ServiceError('Two-factor challenge is invalid or has expired', 401);
+      }
+      return this.verifyCredential(credential, factors, transaction);
+    }, { failureReason: 'invalid_two_factor', message: 'Invalid authentication code', context });
+
+    await loginProtectionService.recordSuccess(subjectType, account, email, context);
+    return { subjectType, account, authMethod };
+  }
+}
+
+export default new TwoFactorService();
@@ -0,0 +1,76 @@
+import { jest } from '@jest/globals';
+import accessControlService from '../services/accessControlService.js';
+import excelService from '../services/excelService.js';
+import { ServiceError } from '../utils/errors.js';
+
+const apiKey = { type: 'api_key', id: '7' };
+const admin = { type: 'organization', id: 'org-1' };
+
+// The error the role check throws, or null
+const roleError = (...args) => {
+  try {
+    accessControlService.ensureCanAssignRole(...args);
+    return null;
+  } catch (error) {
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.statusCode).toBe(403);
+    return error.message;
+  }
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('hasPermission', () => {
+  test('grants each role its permissions', () => {
+    expect(accessControlService.hasPermission('Admin', 'manage_payroll')).toBe(true);
+    expect(accessControlService.hasPermission('Manager', 'approve_leave')).toBe(true);
+    expect(accessControlService.hasPermission('Manager', 'manage_employees')).toBe(false);
+    expect(accessControlService.hasPermission('Employee', 'view_team')).toBe(false);
+    expect(accessControlService.hasPermission('Unknown', 'view_team')).toBe(false);
+  });
+});
+
+describe('ensureCanAssignRole', () => {
+  test('lets API keys add Employees and Managers but not Admins', () => {
+    expect(roleError(apiKey, 'Employee')).toBeNull();
+    expect(roleError(apiKey, 'Manager')).toBeNull();
+    expect(roleError(apiKey, 'Admin')).toBe('API keys can only add employees as Employee or Manager');
+  });
+
+  test('stops API keys from changing a role', () => {
+    const employee = { role: 'Employee' };
+
+    expect(roleError(apiKey, 'Admin', employee)).toBe('API keys cannot change an employee\'s role');
+    expect(roleError(apiKey, 'Manager', employee)).toBe('API keys cannot change an employee\'s role');
+    expect(roleError(apiKey, 'Employee', employee)).toBeNull();
+    expect(roleError(apiKey, undefined, employee)).toBeNull();
+  });
+
+  test('stops API keys from editing an Admin', () => {
+    expect(roleError(apiKey, undefined, { role: 'Admin' })).toBe('API keys cannot change Admin employees');
+  });
+
+  test('leaves signed-in admins free to assign any role', () => {
+    expect(roleError(admin, 'Admin')).toBeNull();
+    expect(roleError(admin, 'Admin', { role: 'Employee' })).toBeNull();
+    expect(roleError({ type: 'employee', id: 'u1' }, 'Manager', { role: 'Admin' })).toBeNull();
+  });
+});
+
+describe('employee import through an API key', () => {
+  test('rejects a file with an Admin row before inserting anything', async () => {
+    jest.spyOn(excelService, 'readExcelFileRobust').mockResolvedValue([
+      { first_name: 'Asha', role: 'Employee' },
+      { first_name: 'Ravi', role: 'Admin' }
+    ]);
+    const insert = jest.spyOn(excelService, 'bulletproofInsert');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(excelService.processEmployeeExcel('upload.xlsx', 'org-1', admin, { actor: apiKey }))
+      .rejects.toThrow('API keys can only add employees as Employee or Manager');
+    expect(insert).not.toHaveBeenCalled();
+  });
+});
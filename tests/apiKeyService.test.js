@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+import apiKeyService from '../services/apiKeyService.js';
+import { ApiKey } from '../models/index.js';
+
+const keyWith = (fields = {}) => ({
+  key_id: 7,
+  scopes: ['employees:read'],
+  allowed_ips: null,
+  revoked_at: null,
+  expires_at: null,
+  last_used_at: null,
+  update: jest.fn(async function (values) {
+    return Object.assign(this, values);
+  }),
+  ...fields
+});
+
+// A freshly generated key stored as the row its prefix finds
+const storedKey = (fields = {}) => {
+  const { key, keyPrefix, keyHash } = apiKeyService.generateKey();
+  const apiKey = keyWith({ key_prefix: keyPrefix, key_hash: keyHash, ...fields });
+  jest.spyOn(ApiKey, 'findOne').mockResolvedValue(apiKey);
+  return { key, apiKey };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('hasScopeFor', () => {
+  test('grants only the permissions the scopes map to', () => {
+    const apiKey = keyWith({ scopes: ['employees:read', 'payroll:read'] });
+
+    expect(apiKeyService.hasScopeFor(apiKey, 'view_team')).toBe(true);
+    expect(apiKeyService.hasScopeFor(apiKey, 'view_payroll')).toBe(true);
+    expect(apiKeyService.hasScopeFor(apiKey, 'manage_employees')).toBe(false);
+    expect(apiKeyService.hasScopeFor(apiKey, 'manage_payroll')).toBe(false);
+    expect(apiKeyService.hasScopeFor(keyWith({ scopes: [] }), 'view_team')).toBe(false);
+  });
+});
+
+describe('isIpAllowed', () => {
+  test('allows any address without an allowlist', () => {
+    expect(apiKeyService.isIpAllowed(keyWith(), '203.0.113.9')).toBe(true);
+    expect(apiKeyService.isIpAllowed(keyWith({ allowed_ips: [] }), '203.0.113.9')).toBe(true);
+  });
+
+  test('matches single addresses and ranges', () => {
+    const apiKey = keyWith({ allowed_ips: ['203.0.113.9', '10.1.0.0/16', '2001:db8::/32'] });
+
+    expect(apiKeyService.isIpAllowed(apiKey, '203.0.113.9')).toBe(true);
+    expect(apiKeyService.isIpAllowed(apiKey, '203.0.113.10')).toBe(false);
+    expect(apiKeyService.isIpAllowed(apiKey, '10.1.255.4')).toBe(true);
+    expect(apiKeyService.isIpAllowed(apiKey, '10.2.0.1')).toBe(false);
+    expect(apiKeyService.isIpAllowed(apiKey, '2001:db8:5::1')).toBe(true);
+    expect(apiKeyService.isIpAllowed(apiKey, '2001:db9::1')).toBe(false);
+  });
+
+  test('compares IPv4-mapped IPv6 addresses as IPv4', () => {
+    expect(apiKeyService.isIpAllowed(keyWith({ allowed_ips: ['10.1.0.0/16'] }), '::ffff:10.1.2.3')).toBe(true);
+  });
+
+  test('refuses a missing or malformed address when an allowlist is set', () => {
+    const apiKey = keyWith({ allowed_ips: ['10.1.0.0/16'] });
+
+    expect(apiKeyService.isIpAllowed(apiKey, undefined)).toBe(false);
+    expect(apiKeyService.isIpAllowed(apiKey, 'not-an-ip')).toBe(false);
+  });
+});
+
+describe('normalizeAllowedIps', () => {
+  test('accepts addresses and ranges and rejects anything else', () => {
+    expect(apiKeyService.normalizeAllowedIps([' 10.0.0.1 ', '10.1.0.0/16'])).toEqual(['10.0.0.1', '10.1.0.0/16']);
+    expect(apiKeyService.normalizeAllowedIps([])).toBeNull();
+    expect(() => apiKeyService.normalizeAllowedIps(['10.0.0.0/33'])).toThrow('Invalid IP address or range: 10.0.0.0/33');
+    expect(() => apiKeyService.normalizeAllowedIps(['example.com'])).toThrow('Invalid IP address or range');
+  });
+});
+
+describe('getStatus', () => {
+  test('reports revoked before expired', () => {
+    const now = new Date('2025-06-02T10:00:00Z');
+    const past = new Date('2025-06-01T10:00:00Z');
+
+    expect(apiKeyService.getStatus(keyWith(), now)).toBe('active');
+    expect(apiKeyService.getStatus(keyWith({ expires_at: new Date('2025-06-03T10:00:00Z') }), now)).toBe('active');
+    expect(apiKeyService.getStatus(keyWith({ expires_at: past }), now)).toBe('expired');
+    expect(apiKeyService.getStatus(keyWith({ expires_at: past, revoked_at: past }), now)).toBe('revoked');
+  });
+});
+
+describe('authenticate', () => {
+  test('resolves a valid key and records where it was used', async () => {
+    const { key, apiKey } = storedKey({ allowed_ips: ['10.1.0.0/16'] });
+
+    await expect(apiKeyService.authenticate(key, '::ffff:10.1.2.3')).resolves.toBe(apiKey);
+    expect(ApiKey.findOne.mock.calls[0][0].where).toEqual({ key_prefix: apiKey.key_prefix, revoked_at: null });
+    expect(apiKey.update).toHaveBeenCalledWith({ last_used_at: expect.any(Date), last_used_ip: '10.1.2.3' });
+  });
+
+  test('refuses a key from outside its allowlist', async () => {
+    const { key, apiKey } = storedKey({ allowed_ips: ['10.1.0.0/16'] });
+
+    await expect(apiKeyService.authenticate(key, '203.0.113.9'))
+      .rejects.toMatchObject({ statusCode: 403, message: 'API key is not allowed from this IP address' });
+    expect(apiKey.update).not.toHaveBeenCalled();
+  });
+
+  test('refuses an expired key', async () => {
+    const { key } = storedKey({ expires_at: new Date(Date.now() - 1000) });
+
+    await expect(apiKeyService.authenticate(key, '10.1.2.3'))
+      .rejects.toMatchObject({ statusCode: 401, message: 'API key has expired' });
+  });
+
+  test('refuses a wrong secret, a malformed key and an unknown prefix alike', async () => {
+    const { key } = storedKey();
+    const wrongSecret = key.replace(/.$/, key.endsWith('0') ? '1' : '0');
+
+    await expect(apiKeyService.authenticate(wrongSecret, '10.1.2.3')).rejects.toMatchObject({ statusCode: 401, message: 'Invalid API key' });
+    await expect(apiKeyService.authenticate('vk_short', '10.1.2.3')).rejects.toMatchObject({ statusCode: 401, message: 'Invalid API key' });
+
+    ApiKey.findOne.mockResolvedValue(null);
+    await expect(apiKeyService.authenticate(key, '10.1.2.3')).rejects.toMatchObject({ statusCode: 401, message: 'Invalid API key' });
+  });
+
+  test('records use at most once per interval', async () => {
+    const { key, apiKey } = storedKey({ last_used_at: new Date(Date.now() - 5000) });
+
+    await apiKeyService.authenticate(key, '10.1.2.3');
+
+    expect(apiKey.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+import { jest } from '@jest/globals';
+import { Op } from 'sequelize';
+import auditService from '../services/auditService.js';
+import { AuditLog } from '../models/index.js';
+
+// A valid chain of plain entries, linked the way record() links them
+const buildChain = (length) => {
+  const entries = [];
+  for (let sequence = 1; sequence <= length; sequence++) {
+    const entry = {
+      audit_id: sequence * 10,
+      organization_id: 'org-1',
+      sequence,
+      actor_type: 'employee',
+      actor_id: '42',
+      action: 'employee.update',
+      entity_type: 'employee',
+      entity_id: String(100 + sequence),
+      changes: { department: { from: 'Sales', to: `Team ${sequence}` } },
+      metadata: null,
+      ip_address: '10.0.0.1',
+      user_agent: 'jest',
+      request_id: `req-${sequence}`,
+      previous_hash: sequence > 1 ? entries[sequence - 2].entry_hash : null,
+      createdAt: new Date(Date.UTC(2025, 3, 1, 9, 0, sequence))
+    };
+    entry.entry_hash = auditService.computeHash(entry);
+    entries.push(entry);
+  }
+  return entries;
+};
+
+// Serves the entries to verifyChain the way the batched query would
+const serve = (entries) => jest.spyOn(AuditLog, 'findAll').mockImplementation(async ({ where, limit }) => entries
+  .filter(entry => entry.sequence >= where.sequence[Op.gte])
+  .sort((a, b) => a.sequence - b.sequence)
+  .slice(0, limit)
+  .map(entry => ({ ...entry, get: () => ({ ...entry }) })));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('computeHash', () => {
+  test('does not depend on the key order of JSON columns', () => {
+    const [entry] = buildChain(1);
+    const reordered = { ...entry, changes: { department: { to: 'Team 1', from: 'Sales' } } };
+
+    expect(auditService.computeHash(reordered)).toBe(entry.entry_hash);
+  });
+
+  test('changes when any hashed field changes', () => {
+    const [entry] = buildChain(1);
+
+    expect(auditService.computeHash({ ...entry, actor_id: '43' })).not.toBe(entry.entry_hash);
+    expect(auditService.computeHash({ ...entry, createdAt: new Date(Date.UTC(2025, 3, 1, 9, 0, 2)) }))
+      .not.toBe(entry.entry_hash);
+  });
+});
+
+describe('verifyChain', () => {
+  test('accepts an intact chain across several batches', async () => {
+    const entries = buildChain(7);
+    const findAll = serve(entries);
+
+    await expect(auditService.verifyChain('org-1', 3)).resolves.toEqual({
+      valid: true,
+      entries_checked: 7,
+      last_hash: entries[6].entry_hash
+    });
+    expect(findAll).toHaveBeenCalledTimes(3);
+  });
+
+  test('accepts an empty log', async () => {
+    serve([]);
+
+    await expect(auditService.verifyChain('org-1')).resolves.toEqual({
+      valid: true,
+      entries_checked: 0,
+      last_hash: null
+    });
+  });
+
+  test('reports an entry whose contents were edited', async () => {
+    const entries = buildChain(5);
+    entries[2].changes = { department: { from: 'Sales', to: 'Finance' } };
+    serve(entries);
+
+    await expect(auditService.verifyChain('org-1')).resolves.toEqual({
+      valid: false,
+      entries_checked: 2,
+      first_invalid: { sequence: 3, audit_id: 30, reason: 'Entry contents do not match its hash' }
+    });
+  });
+
+  test('reports an edited entry even when its own hash was recomputed', async () => {
+    const entries = buildChain(5);
+    entries[1].action = 'employee.deactivate';
+    entries[1].entry_hash = auditService.computeHash(entries[1]);
+    serve(entries);
+
+    await expect(auditService.verifyChain('org-1')).resolves.toMatchObject({
+      valid: false,
+      entries_checked: 2,
+      first_invalid: { sequence: 3, reason: 'Previous hash does not match the preceding entry' }
+    });
+  });
+
+  test('reports a deleted entry', async () => {
+    const entries = buildChain(5);
+    entries.splice(3, 1);
+    serve(entries);
+
+    await expect(auditService.verifyChain('org-1')).resolves.toEqual({
+      valid: false,
+      entries_checked: 3,
+      first_invalid: { sequence: 4, audit_id: 50, reason: 'Entry 4 is missing' }
+    });
+  });
+
+  test('reports a broken link at a batch boundary', async () => {
+    const entries = buildChain(6);
+    entries[3].previous_hash = entries[1].entry_hash;
+    entries[3].entry_hash = auditService.computeHash(entries[3]);
+    serve(entries);
+
+    await expect(auditService.verifyChain('org-1', 3)).resolves.toMatchObject({
+      valid: false,
+      entries_checked: 3,
+      first_invalid: { sequence: 4, reason: 'Previous hash does not match the preceding entry' }
+    });
+  });
+});
+
+describe('diff', () => {
+  test('lists changed fields and redacts secrets', () => {
+    expect(auditService.diff(
+      { department: 'Sales', location: 'Pune', password_hash: 'a' },
+      { department: 'Finance', location: 'Pune', password_hash: 'b' }
+    )).toEqual({
+      department: { from: 'Sales', to: 'Finance' },
+      password_hash: { from: '[redacted]', to: '[redacted]' }
+    });
+    expect(auditService.diff({ location: 'Pune' }, { location: 'Pune' })).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import authTokenService from '../services/authTokenService.js';
+import { User, AuthSession, RefreshToken, sequelize } from '../models/index.js';
+import { ServiceError } from '../utils/errors.js';
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const withUpdate = (fields) => ({
+  update: jest.fn(async function (values) {
+    return Object.assign(this, values);
+  }),
+  ...fields
+});
+
+const sessionWith = (fields = {}) => withUpdate({
+  session_id: 's1',
+  subject_type: 'employee',
+  subject_id: 'e1',
+  organization_id: 'org-1',
+  auth_method: 'password',
+  expires_at: new Date(Date.now() + 20 * DAY_MS),
+  revoked_at: null,
+  ip_address: '10.0.0.1',
+  user_agent: 'curl',
+  ...fields
+});
+
+const tokenWith = (session, fields = {}) => withUpdate({
+  token_id: 1,
+  session,
+  used_at: null,
+  expires_at: new Date(Date.now() + DAY_MS),
+  ...fields
+});
+
+const employee = { user_id: 'e1', organization_id: 'org-1', role: 'Employee', organization: { is_active: true } };
+
+// Serves the record as the locked row for the presented refresh token
+const presented = (record) => {
+  jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(record);
+  return authTokenService.refresh('old-token', { ip: '10.0.0.2' });
+};
+
+beforeAll(() => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+});
+
+beforeEach(() => {
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+  jest.spyOn(RefreshToken, 'create').mockImplementation(async (values) => ({ token_id: 2, ...values }));
+  jest.spyOn(User, 'findOne').mockResolvedValue(employee);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refresh', () => {
+  test('rotates the refresh token and issues an access token for the session', async () => {
+    const session = sessionWith();
+    const record = tokenWith(session);
+
+    const tokens = await presented(record);
+
+    expect(RefreshToken.findOne.mock.calls[0][0]).toMatchObject({
+      where: { token_hash: authTokenService.hashToken('old-token') },
+      lock: 'UPDATE'
+    });
+    expect(tokens.refresh_token).not.toBe('old-token');
+    expect(RefreshToken.create.mock.calls[0][0].token_hash).toBe(authTokenService.hashToken(tokens.refresh_token));
+    expect(record.update).toHaveBeenCalledWith({ used_at: expect.any(Date), replaced_by_id: 2 }, { transaction });
+    expect(session.ip_address).toBe('10.0.0.2');
+    expect(jwt.verify(tokens.token, process.env.JWT_SECRET)).toMatchObject({
+      user_id: 'e1',
+      type: 'employee',
+      sid: 's1'
+    });
+  });
+
+  test('revokes the session when a used token is presented again', async () => {
+    const session = sessionWith();
+    const record = tokenWith(session, { used_at: new Date() });
+
+    await expect(presented(record)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Refresh token reuse detected; the session has been revoked'
+    });
+    expect(session.update).toHaveBeenCalledWith(
+      { revoked_at: expect.any(Date), revoked_reason: 'refresh_token_reuse' },
+      { transaction }
+    );
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  test('commits the reuse revocation before failing', async () => {
+    let committed = false;
+    sequelize.transaction.mockImplementation(async (callback) => {
+      const result = await callback(transaction);
+      committed = true;
+      return result;
+    });
+
+    await expect(presented(tokenWith(sessionWith(), { used_at: new Date() }))).rejects.toThrow(ServiceError);
+    expect(committed).toBe(true);
+  });
+
+  test('refuses tokens of revoked sessions, unknown tokens and expired tokens', async () => {
+    await expect(presented(tokenWith(sessionWith({ revoked_at: new Date() }))))
+      .rejects.toThrow('Invalid refresh token');
+    await expect(presented(null)).rejects.toThrow('Invalid refresh token');
+    await expect(presented(tokenWith(sessionWith(), { expires_at: new Date(Date.now() - 1000) })))
+      .rejects.toThrow('Refresh token expired');
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  test('ends the session of a deactivated employee', async () => {
+    const session = sessionWith();
+    User.findOne.mockResolvedValue(null);
+
+    await expect(presented(tokenWith(session))).rejects.toThrow('Invalid or inactive account');
+    expect(session.revoked_reason).toBe('account_inactive');
+  });
+
+  test('never lets a refresh token outlive its session', async () => {
+    const session = sessionWith({ expires_at: new Date(Date.now() + 2 * DAY_MS) });
+
+    await presented(tokenWith(session));
+
+    expect(RefreshToken.create.mock.calls[0][0].expires_at).toEqual(session.expires_at);
+  });
+});
+
+describe('isSessionActive', () => {
+  const decoded = { sid: 's1', type: 'employee' };
+
+  test('honours access tokens only while the session is live', async () => {
+    jest.spyOn(AuthSession, 'findByPk').mockResolvedValue(sessionWith());
+    await expect(authTokenService.isSessionActive(decoded, 'e1')).resolves.toBe(true);
+    await expect(authTokenService.isSessionActive(decoded, 'e2')).resolves.toBe(false);
+    await expect(authTokenService.isSessionActive({ type: 'employee' }, 'e1')).resolves.toBe(false);
+
+    AuthSession.findByPk.mockResolvedValue(sessionWith({ revoked_at: new Date() }));
+    await expect(authTokenService.isSessionActive(decoded, 'e1')).resolves.toBe(false);
+
+    AuthSession.findByPk.mockResolvedValue(sessionWith({ expires_at: new Date(Date.now() - 1000) }));
+    await expect(authTokenService.isSessionActive(decoded, 'e1')).resolves.toBe(false);
+  });
+});
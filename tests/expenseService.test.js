@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import expenseService from '../services/expenseService.js';
+import auditService from '../services/auditService.js';
+import { ExpenseClaim, sequelize } from '../models/index.js';
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+const employee = { user_id: 'e1', organization_id: 'org-1' };
+const manager = { user_id: 'm1', organization_id: 'org-1' };
+
+const claimWith = (fields = {}) => ({
+  claim_id: 4,
+  organization_id: 'org-1',
+  user_id: 'e1',
+  total_amount: 1200,
+  status: 'pending_manager',
+  manager_id: null,
+  manager_comment: null,
+  admin_comment: null,
+  employee: { user_id: 'e1', manager_id: 'm1' },
+  update: jest.fn(async function (values) {
+    return Object.assign(this, values);
+  }),
+  get(field) {
+    return this[field];
+  },
+  ...fields
+});
+
+// Serves the claim as the locked row and returns it
+const lockedClaim = (fields) => {
+  const claim = claimWith(fields);
+  jest.spyOn(ExpenseClaim, 'findOne').mockResolvedValue(claim);
+  return claim;
+};
+
+beforeEach(() => {
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+  jest.spyOn(auditService, 'record').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('cancelClaim', () => {
+  test('cancels a pending claim under a row lock', async () => {
+    const claim = lockedClaim({ status: 'pending_admin' });
+    jest.spyOn(ExpenseClaim, 'findByPk').mockResolvedValue(claim);
+
+    await expect(expenseService.cancelClaim(employee, 4)).resolves.toBe(claim);
+    expect(ExpenseClaim.findOne.mock.calls[0][0]).toMatchObject({
+      where: { claim_id: 4, organization_id: 'org-1' },
+      transaction,
+      lock: 'UPDATE'
+    });
+    expect(claim.update).toHaveBeenCalledWith({ status: 'cancelled' }, { transaction });
+  });
+
+  test('refuses a claim decided in the meantime', async () => {
+    const claim = lockedClaim({ status: 'approved' });
+
+    await expect(expenseService.cancelClaim(employee, 4))
+      .rejects.toMatchObject({ statusCode: 409, message: 'An expense claim that is approved cannot be cancelled' });
+    expect(claim.update).not.toHaveBeenCalled();
+  });
+
+  test('hides other employees\' claims', async () => {
+    const claim = lockedClaim({ user_id: 'e2' });
+
+    await expect(expenseService.cancelClaim(employee, 4)).rejects.toMatchObject({ statusCode: 404 });
+    expect(claim.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('decisions', () => {
+  test('the reporting manager passes a claim on to admin and it is audited', async () => {
+    const claim = lockedClaim();
+
+    await expenseService.decideAsManager(manager, 4, true, 'Fine');
+
+    expect(claim).toMatchObject({ status: 'pending_admin', manager_id: 'm1', manager_comment: 'Fine' });
+    expect(auditService.record).toHaveBeenCalledWith('org-1', {
+      action: 'expense_claim.approve',
+      entityType: 'expense_claim',
+      entityId: 4,
+      changes: {
+        status: { from: 'pending_manager', to: 'pending_admin' },
+        manager_id: { from: null, to: 'm1' },
+        manager_comment: { from: null, to: 'Fine' }
+      },
+      metadata: { step: 'manager', user_id: 'e1', total_amount: 1200 }
+    }, { actor: { type: 'employee', id: 'm1' } }, transaction);
+  });
+
+  test('only the reporting manager may decide', async () => {
+    const claim = lockedClaim({ employee: { user_id: 'e1', manager_id: 'm2' } });
+
+    await expect(expenseService.decideAsManager(manager, 4, true)).rejects.toMatchObject({ statusCode: 403 });
+    expect(claim.update).not.toHaveBeenCalled();
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+
+  test('an admin rejection is audited with the admin step', async () => {
+    const claim = lockedClaim({ status: 'pending_admin' });
+    const context = { actor: { type: 'organization', id: 'org-1' } };
+
+    await expenseService.decideAsAdmin('org-1', 4, false, 'No receipt', context);
+
+    expect(claim.status).toBe('rejected');
+    expect(auditService.record).toHaveBeenCalledWith('org-1', expect.objectContaining({
+      action: 'expense_claim.reject',
+      metadata: { step: 'admin', user_id: 'e1', total_amount: 1200 }
+    }), context, transaction);
+  });
+
+  test('a claim cancelled in the meantime cannot be decided', async () => {
+    lockedClaim({ status: 'cancelled' });
+
+    await expect(expenseService.decideAsAdmin('org-1', 4, true)).rejects.toMatchObject({ statusCode: 409 });
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+});
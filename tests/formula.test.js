@@ -0,0 +1,87 @@
+import { evaluateFormula, getFormulaVariables, FormulaError } from '../utils/formula.js';
+
+describe('evaluateFormula', () => {
+  test('follows arithmetic precedence', () => {
+    expect(evaluateFormula('2 + 3 * 4', {})).toBe(14);
+    expect(evaluateFormula('(2 + 3) * 4', {})).toBe(20);
+    expect(evaluateFormula('-2 + 10 % 4', {})).toBe(0);
+  });
+
+  test('reads variables', () => {
+    expect(evaluateFormula('min(BASIC, 15000) * 0.12', { BASIC: 20000 })).toBe(1800);
+    expect(evaluateFormula('min(BASIC, 15000) * 0.12', { BASIC: 10000 })).toBe(1200);
+  });
+
+  test('evaluates conditions to 1 or 0', () => {
+    expect(evaluateFormula('GROSS <= 21000', { GROSS: 21000 })).toBe(1);
+    expect(evaluateFormula('GROSS > 21000 || !GROSS', { GROSS: 0 })).toBe(1);
+    expect(evaluateFormula('if(GROSS <= 21000, GROSS * 0.0075, 0)', { GROSS: 20000 })).toBe(150);
+    expect(evaluateFormula('if(GROSS <= 21000, GROSS * 0.0075, 0)', { GROSS: 30000 })).toBe(0);
+  });
+
+  test('supports the rounding functions', () => {
+    expect(evaluateFormula('round(10.456, 2)', {})).toBe(10.46);
+    expect(evaluateFormula('floor(9.9) + ceil(0.1) + abs(-3)', {})).toBe(13);
+    expect(evaluateFormula('max(1, 7, 3)', {})).toBe(7);
+  });
+
+  test('treats division and modulo by zero as zero', () => {
+    expect(evaluateFormula('BASIC / 0', { BASIC: 100 })).toBe(0);
+    expect(evaluateFormula('BASIC % 0', { BASIC: 100 })).toBe(0);
+  });
+
+  test('treats non-numeric variable values as zero', () => {
+    expect(evaluateFormula('BASIC + 1', { BASIC: 'abc' })).toBe(1);
+  });
+
+  test('rejects unknown variables', () => {
+    expect(() => evaluateFormula('BASIC + HRA', { BASIC: 1 })).toThrow('Unknown variable "HRA"');
+  });
+
+  test('does not resolve variables from the prototype chain', () => {
+    expect(() => evaluateFormula('constructor', {})).toThrow(FormulaError);
+    expect(() => evaluateFormula('toString', {})).toThrow(FormulaError);
+  });
+
+  test('rejects functions outside the allowed list', () => {
+    expect(() => evaluateFormula('eval(1)', {})).toThrow('Unknown function "eval"');
+    expect(() => evaluateFormula('require(1)', {})).toThrow(FormulaError);
+    expect(() => evaluateFormula('constructor(1)', {})).toThrow(FormulaError);
+  });
+
+  test.each([
+    ['process.exit()'],
+    ['BASIC; process.exit()'],
+    ["'abc'"],
+    ['`${1}`'],
+    ['BASIC[0]'],
+    ['a = 1'],
+    ['() => 1'],
+    ['{}'],
+  ])('rejects JavaScript syntax: %s', (expression) => {
+    expect(() => evaluateFormula(expression, { BASIC: 1, a: 1 })).toThrow(FormulaError);
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => evaluateFormula('1 +', {})).toThrow('Formula ended unexpectedly');
+    expect(() => evaluateFormula('(1 + 2', {})).toThrow('Expected ")" in formula');
+    expect(() => evaluateFormula('1 2', {})).toThrow('Unexpected "2" in formula');
+    expect(() => evaluateFormula('if(1, 2)', {})).toThrow('Wrong number of arguments for if()');
+  });
+});
+
+describe('getFormulaVariables', () => {
+  test('lists each variable once', () => {
+    expect(getFormulaVariables('if(GROSS <= 21000, GROSS * 0.0075, 0) + min(BASIC, CTC_MONTHLY)'))
+      .toEqual(['GROSS', 'BASIC', 'CTC_MONTHLY']);
+  });
+
+  test('does not count function names as variables', () => {
+    expect(getFormulaVariables('round(max(1, 2))')).toEqual([]);
+  });
+
+  test('throws FormulaError for formulas that do not parse', () => {
+    expect(() => getFormulaVariables('BASIC +* 2')).toThrow(FormulaError);
+    expect(() => getFormulaVariables('BASIC & HRA')).toThrow('Unexpected character "&" in formula');
+  });
+});
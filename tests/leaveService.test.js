@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import { Op } from 'sequelize';
+import leaveService from '../services/leaveService.js';
+import leaveTypeService from '../services/leaveTypeService.js';
+import holidayService from '../services/holidayService.js';
+import leaveLedgerService from '../services/leaveLedgerService.js';
+import { User, LeaveRequest, sequelize } from '../models/index.js';
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+const user = { user_id: 'e1', organization_id: 'org-1', location: 'Pune' };
+const casualLeave = { name: 'Casual Leave', allow_negative: false, max_consecutive_days: 5, requires_document: false };
+// Monday to Wednesday
+const application = { leave_type: 'Casual Leave', start_date: '2025-06-02', end_date: '2025-06-04', reason: 'Family visit' };
+
+const balanceWith = (fields = {}) => ({
+  leave_type: 'Casual Leave',
+  total_allotted: 12,
+  leaves_taken: 4,
+  leaves_pending_approval: 2,
+  ...fields
+});
+
+// Sets up an application for workingDays against the balance, with an optional overlapping request
+const setup = ({ leaveType = casualLeave, workingDays = 3, balance = balanceWith(), overlapping = null } = {}) => {
+  jest.spyOn(leaveTypeService, 'findLeaveType').mockResolvedValue(leaveType);
+  jest.spyOn(holidayService, 'countWorkingDays').mockResolvedValue(workingDays);
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+  jest.spyOn(User, 'findByPk').mockResolvedValue({ user_id: user.user_id });
+  jest.spyOn(leaveService, 'lockBalance').mockResolvedValue(balance);
+  jest.spyOn(LeaveRequest, 'findOne').mockResolvedValue(overlapping);
+  jest.spyOn(LeaveRequest, 'create').mockImplementation(async (values) => ({ request_id: 21, ...values }));
+  jest.spyOn(leaveLedgerService, 'record').mockResolvedValue(null);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('applyLeave', () => {
+  test('files a pending request and holds the days against the balance', async () => {
+    const balance = balanceWith();
+    setup({ balance });
+
+    const { leaveRequest } = await leaveService.applyLeave(user, application);
+
+    expect(leaveRequest).toMatchObject({
+      request_id: 21,
+      leave_type: 'Casual Leave',
+      start_date: '2025-06-02',
+      end_date: '2025-06-04',
+      total_days: 3,
+      status: 'pending'
+    });
+    expect(User.findByPk).toHaveBeenCalledWith('e1', expect.objectContaining({ transaction, lock: 'UPDATE' }));
+    expect(leaveLedgerService.record).toHaveBeenCalledWith(balance, expect.objectContaining({
+      entryType: 'application',
+      pendingChange: 3,
+      leaveRequestId: 21
+    }), transaction);
+  });
+
+  test('looks for pending or approved requests touching the dates', async () => {
+    setup();
+
+    await leaveService.applyLeave(user, application);
+
+    expect(LeaveRequest.findOne.mock.calls[0][0].where).toEqual({
+      user_id: 'e1',
+      organization_id: 'org-1',
+      status: { [Op.in]: ['pending', 'approved'] },
+      start_date: { [Op.lte]: '2025-06-04' },
+      end_date: { [Op.gte]: '2025-06-02' }
+    });
+  });
+
+  test('refuses dates that overlap another request', async () => {
+    setup({
+      overlapping: { status: 'approved', leave_type: 'Sick Leave', start_date: '2025-06-04', end_date: '2025-06-05' }
+    });
+
+    await expect(leaveService.applyLeave(user, application)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'This request overlaps with your approved Sick Leave request from 2025-06-04 to 2025-06-05'
+    });
+    expect(LeaveRequest.create).not.toHaveBeenCalled();
+  });
+
+  test('counts pending days against the balance', async () => {
+    setup({ workingDays: 3, balance: balanceWith({ leaves_pending_approval: 6 }) });
+
+    await expect(leaveService.applyLeave(user, application)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Insufficient Casual Leave balance: requested 3 day(s), available 2'
+    });
+    expect(LeaveRequest.create).not.toHaveBeenCalled();
+  });
+
+  test('allows the exact remaining balance', async () => {
+    setup({ workingDays: 3, balance: balanceWith({ leaves_pending_approval: 5 }) });
+
+    await expect(leaveService.applyLeave(user, application)).resolves.toHaveProperty('leaveRequest.total_days', 3);
+  });
+
+  test('lets leave types that allow it go negative', async () => {
+    setup({ leaveType: { ...casualLeave, allow_negative: true }, balance: balanceWith({ total_allotted: 0 }) });
+
+    await expect(leaveService.applyLeave(user, application)).resolves.toHaveProperty('leaveRequest.status', 'pending');
+  });
+
+  test('counts a half day as half a day', async () => {
+    setup({ workingDays: 1 });
+
+    const { leaveRequest } = await leaveService.applyLeave(user, {
+      ...application,
+      end_date: '2025-06-02',
+      is_half_day: true
+    });
+
+    expect(leaveRequest.total_days).toBe(0.5);
+  });
+
+  test('rejects bad ranges before taking any lock', async () => {
+    setup({ workingDays: 0 });
+
+    await expect(leaveService.applyLeave(user, { ...application, end_date: '2025-06-01' }))
+      .rejects.toThrow('End date cannot be before start date');
+    await expect(leaveService.applyLeave(user, { ...application, is_half_day: true }))
+      .rejects.toThrow('Half-day leave must start and end on the same date');
+    await expect(leaveService.applyLeave(user, application))
+      .rejects.toThrow('The selected dates fall entirely on weekends or holidays');
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+
+  test('enforces the consecutive day limit', async () => {
+    setup({ workingDays: 6 });
+
+    await expect(leaveService.applyLeave(user, { ...application, end_date: '2025-06-09' }))
+      .rejects.toThrow('Casual Leave cannot exceed 5 consecutive day(s)');
+  });
+});
@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import loginProtectionService from '../services/loginProtectionService.js';
+import { User, sequelize } from '../models/index.js';
+
+const NOW = new Date('2025-06-02T10:00:00Z');
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const accountWith = (fields = {}) => ({
+  user_id: 'org-1_1',
+  organization_id: 'org-1',
+  failed_login_attempts: 0,
+  last_failed_login_at: null,
+  locked_until: null,
+  update: jest.fn(async function (values) {
+    return Object.assign(this, values);
+  }),
+  ...fields
+});
+
+const secondsAgo = (seconds) => new Date(NOW.getTime() - seconds * 1000);
+
+// Runs attempt() against the account as the locked row, with verify resolving to correct
+const attempt = (account, correct) => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(account);
+  const verify = jest.fn().mockResolvedValue(correct);
+  const result = loginProtectionService.attempt('employee', account, 'asha@example.com', verify, {
+    failureReason: 'invalid_credentials',
+    message: 'Invalid credentials'
+  });
+  return { result, verify };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+  jest.spyOn(loginProtectionService, 'recordEvent').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('delayFor', () => {
+  test('allows the free attempts, then doubles the wait', () => {
+    expect([0, 1, 2].map(attempts => loginProtectionService.delayFor(attempts))).toEqual([0, 0, 0]);
+    expect([3, 4, 5, 6].map(attempts => loginProtectionService.delayFor(attempts))).toEqual([2, 4, 8, 16]);
+  });
+});
+
+describe('retryAfter', () => {
+  test('is zero without recent failures', () => {
+    expect(loginProtectionService.retryAfter(accountWith(), NOW)).toBe(0);
+    expect(loginProtectionService.retryAfter(accountWith({
+      failed_login_attempts: 2,
+      last_failed_login_at: secondsAgo(1)
+    }), NOW)).toBe(0);
+  });
+
+  test('counts down the delay after the free attempts', () => {
+    const account = accountWith({ failed_login_attempts: 4, last_failed_login_at: secondsAgo(1) });
+
+    expect(loginProtectionService.retryAfter(account, NOW)).toBe(3);
+    expect(loginProtectionService.retryAfter(account, new Date(NOW.getTime() + 3000))).toBe(0);
+  });
+
+  test('waits out a lockout', () => {
+    const account = accountWith({ locked_until: new Date(NOW.getTime() + 90 * 1000) });
+
+    expect(loginProtectionService.retryAfter(account, NOW)).toBe(90);
+    expect(loginProtectionService.isLocked(account, NOW)).toBe(true);
+  });
+});
+
+describe('registerFailure', () => {
+  test('counts failures below the limit', async () => {
+    const account = await loginProtectionService.registerFailure(accountWith({ failed_login_attempts: 3 }), transaction);
+
+    expect(account.failed_login_attempts).toBe(4);
+    expect(account.last_failed_login_at).toEqual(NOW);
+    expect(account.locked_until).toBeNull();
+  });
+
+  test('locks the account when the limit is reached and resets the counter', async () => {
+    const account = await loginProtectionService.registerFailure(accountWith({ failed_login_attempts: 9 }), transaction);
+
+    expect(account.failed_login_attempts).toBe(0);
+    expect(account.locked_until).toEqual(new Date(NOW.getTime() + 15 * 60 * 1000));
+    expect(account.update).toHaveBeenCalledWith(expect.any(Object), { transaction });
+  });
+});
+
+describe('attempt', () => {
+  test('passes a correct credential without counting a failure', async () => {
+    const account = accountWith({ failed_login_attempts: 2, last_failed_login_at: secondsAgo(60) });
+    const { result, verify } = attempt(account, true);
+
+    await expect(result).resolves.toBeUndefined();
+    expect(verify).toHaveBeenCalledWith(transaction);
+    expect(account.update).not.toHaveBeenCalled();
+    expect(loginProtectionService.recordEvent).not.toHaveBeenCalled();
+  });
+
+  test('counts a wrong credential and records the failure', async () => {
+    const account = accountWith({ failed_login_attempts: 1 });
+    const { result } = attempt(account, false);
+
+    await expect(result).rejects.toMatchObject({ statusCode: 401, message: 'Invalid credentials' });
+    expect(account.failed_login_attempts).toBe(2);
+    expect(loginProtectionService.recordEvent)
+      .toHaveBeenCalledWith('employee', account, 'asha@example.com', 'failure', 'invalid_credentials', {});
+  });
+
+  test('locks the account on the failure that reaches the limit', async () => {
+    const account = accountWith({ failed_login_attempts: 9, last_failed_login_at: secondsAgo(600) });
+    const { result } = attempt(account, false);
+
+    await expect(result).rejects.toMatchObject({ statusCode: 423, details: { retry_after_seconds: 900 } });
+  });
+
+  test('refuses a throttled account without checking the credential', async () => {
+    const account = accountWith({ failed_login_attempts: 5, last_failed_login_at: secondsAgo(1) });
+    const { result, verify } = attempt(account, true);
+
+    await expect(result).rejects.toMatchObject({ statusCode: 429, details: { retry_after_seconds: 7 } });
+    expect(verify).not.toHaveBeenCalled();
+    expect(loginProtectionService.recordEvent)
+      .toHaveBeenCalledWith('employee', account, 'asha@example.com', 'failure', 'throttled', {});
+  });
+
+  test('refuses a locked account even with the right credential', async () => {
+    const account = accountWith({ locked_until: new Date(NOW.getTime() + 60 * 1000) });
+    const { result, verify } = attempt(account, true);
+
+    await expect(result).rejects.toMatchObject({ statusCode: 423, details: { retry_after_seconds: 60 } });
+    expect(verify).not.toHaveBeenCalled();
+  });
+
+  test('accepts attempts again once the lockout has passed', async () => {
+    const account = accountWith({
+      last_failed_login_at: secondsAgo(20 * 60),
+      locked_until: secondsAgo(5 * 60)
+    });
+    const { result } = attempt(account, true);
+
+    await expect(result).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import leaveService from '../services/leaveService.js';
+import { User } from '../models/index.js';
+
+// The language model client needs a credential to construct, though these tests never call it
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+const { default: nlpService } = await import('../services/nlpService.js');
+
+const payload = { leave_type: 'Casual Leave', start_date: '2025-06-02', end_date: '2025-06-03' };
+
+// The service trains its model in the background on import; let it finish first
+beforeAll(async () => {
+  while (!nlpService.initialized) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}, 30000);
+
+afterEach(() => {
+  nlpService.pendingActions.clear();
+  jest.restoreAllMocks();
+});
+
+describe('pending chat confirmations', () => {
+  test('confirming runs the stored action once', async () => {
+    const user = { user_id: 'u1', organization_id: 'org-1' };
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const applyLeave = jest.spyOn(leaveService, 'applyLeave').mockResolvedValue({
+      leaveRequest: { request_id: 5, leave_type: 'Casual Leave', total_days: 2 },
+      balance: { leave_type: 'Casual Leave' }
+    });
+    jest.spyOn(leaveService, 'getRemainingDays').mockReturnValue(4);
+
+    nlpService.setPendingAction('u1', 'org-1', 'leave.apply', payload);
+    const result = await nlpService.handlePendingConfirmation('yes', 'u1', 'org-1');
+
+    expect(applyLeave).toHaveBeenCalledWith(user, payload);
+    expect(result).toMatchObject({ success: true, intent: 'leave.apply.confirmed' });
+    await expect(nlpService.handlePendingConfirmation('yes', 'u1', 'org-1')).resolves.toBeNull();
+  });
+
+  test('declining changes nothing', async () => {
+    const applyLeave = jest.spyOn(leaveService, 'applyLeave');
+
+    nlpService.setPendingAction('u1', 'org-1', 'leave.apply', payload);
+
+    await expect(nlpService.handlePendingConfirmation('no thanks', 'u1', 'org-1'))
+      .resolves.toMatchObject({ success: true, intent: 'leave.apply.declined' });
+    expect(applyLeave).not.toHaveBeenCalled();
+  });
+
+  test('refuses a confirmation from an employee deactivated since it was asked', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const applyLeave = jest.spyOn(leaveService, 'applyLeave');
+    const cancelLeave = jest.spyOn(leaveService, 'cancelLeave');
+
+    nlpService.setPendingAction('u1', 'org-1', 'leave.apply', payload);
+    await expect(nlpService.handlePendingConfirmation('yes', 'u1', 'org-1'))
+      .resolves.toMatchObject({ success: false, intent: 'leave.apply.failed' });
+
+    nlpService.setPendingAction('u1', 'org-1', 'leave.cancel', { request_id: 5 });
+    await expect(nlpService.handlePendingConfirmation('confirm', 'u1', 'org-1'))
+      .resolves.toMatchObject({ success: false, intent: 'leave.cancel.failed' });
+
+    expect(applyLeave).not.toHaveBeenCalled();
+    expect(cancelLeave).not.toHaveBeenCalled();
+  });
+
+  test('ignores an expired confirmation', async () => {
+    const applyLeave = jest.spyOn(leaveService, 'applyLeave');
+
+    nlpService.setPendingAction('u1', 'org-1', 'leave.apply', payload);
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + nlpService.pendingActionTtlMs + 1000);
+
+    await expect(nlpService.handlePendingConfirmation('yes', 'u1', 'org-1')).resolves.toBeNull();
+    expect(applyLeave).not.toHaveBeenCalled();
+  });
+
+  test('sweeps expired confirmations', () => {
+    nlpService.setPendingAction('u1', 'org-1', 'leave.apply', payload);
+    nlpService.setPendingAction('u2', 'org-1', 'leave.apply', payload);
+    nlpService.pendingActions.get(nlpService.getPendingActionKey('u1', 'org-1')).expiresAt = Date.now() - 1;
+
+    nlpService.sweepPendingActions();
+
+    expect([...nlpService.pendingActions.keys()]).toEqual([nlpService.getPendingActionKey('u2', 'org-1')]);
+  });
+
+  test('evicts the oldest confirmations past the limit', () => {
+    const limit = nlpService.pendingActionLimit;
+    nlpService.pendingActionLimit = 2;
+
+    try {
+      nlpService.setPendingAction('u1', 'org-1', 'leave.apply', payload);
+      nlpService.setPendingAction('u2', 'org-1', 'leave.apply', payload);
+      // Asking again moves u1 to the newest position
+      nlpService.setPendingAction('u1', 'org-1', 'leave.cancel', { request_id: 5 });
+      nlpService.setPendingAction('u3', 'org-1', 'leave.apply', payload);
+
+      expect([...nlpService.pendingActions.keys()]).toEqual([
+        nlpService.getPendingActionKey('u1', 'org-1'),
+        nlpService.getPendingActionKey('u3', 'org-1')
+      ]);
+    } finally {
+      nlpService.pendingActionLimit = limit;
+    }
+  });
+});
@@ -0,0 +1,193 @@
+import { jest } from '@jest/globals';
+import { Op } from 'sequelize';
+import payrollService from '../services/payrollService.js';
+import auditService from '../services/auditService.js';
+import {
+  User,
+  PayrollRun,
+  Payslip,
+  ExpenseClaim,
+  sequelize
+} from '../models/index.js';
+import { ServiceError } from '../utils/errors.js';
+
+// June 2025 has 30 days
+const PERIOD = '2025-06';
+const salary = {
+  components: [
+    { code: 'BASIC', name: 'Basic Salary', type: 'earning', amount: 30000 },
+    { code: 'HRA', name: 'House Rent Allowance', type: 'earning', amount: 15000 },
+    { code: 'LOAN', name: 'Loan Recovery', type: 'deduction', amount: 3000 },
+    { code: 'CANTEEN', name: 'Canteen', type: 'deduction', amount: 600, prorate: false }
+  ]
+};
+
+const employeeWith = (fields = {}) => ({
+  user_id: 'u1',
+  first_name: 'Asha',
+  last_name: 'Rao',
+  location: 'Remote',
+  date_of_joining: '2024-01-15',
+  date_of_exit: null,
+  payroll: salary,
+  ...fields
+});
+
+const amounts = (items) => Object.fromEntries(items.map(item => [item.code, item.amount]));
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('calculatePayslip', () => {
+  test('pays a full month', () => {
+    const payslip = payrollService.calculatePayslip(employeeWith(), salary, PERIOD);
+
+    expect(payslip.paid_days).toBe(30);
+    expect(amounts(payslip.earnings)).toEqual({ BASIC: 30000, HRA: 15000 });
+    expect(amounts(payslip.deductions)).toEqual({ LOAN: 3000, CANTEEN: 600 });
+    expect(payslip.net_pay).toBe(41400);
+  });
+
+  test('pays an employee who leaves mid-month up to the exit date', () => {
+    const payslip = payrollService.calculatePayslip(employeeWith({ date_of_exit: '2025-06-15' }), salary, PERIOD);
+
+    expect(payslip.paid_days).toBe(15);
+    expect(amounts(payslip.earnings)).toEqual({ BASIC: 15000, HRA: 7500 });
+    // Flat components are not pro-rated
+    expect(amounts(payslip.deductions)).toEqual({ LOAN: 1500, CANTEEN: 600 });
+    expect(payslip.net_pay).toBe(20400);
+  });
+
+  test('pays a mid-month joiner from the joining date', () => {
+    const payslip = payrollService.calculatePayslip(employeeWith({ date_of_joining: '2025-06-21' }), salary, PERIOD);
+
+    expect(payslip.paid_days).toBe(10);
+    expect(payslip.gross_earnings).toBe(15000);
+  });
+
+  test('pays nobody outside their employment', () => {
+    expect(payrollService.calculatePayslip(employeeWith({ date_of_exit: '2025-05-31' }), salary, PERIOD)).toBeNull();
+    expect(payrollService.calculatePayslip(employeeWith({ date_of_joining: '2025-07-01' }), salary, PERIOD)).toBeNull();
+  });
+
+  test('deducts loss of pay days and adds arrears and reimbursements', () => {
+    const payslip = payrollService.calculatePayslip(employeeWith(), salary, PERIOD, {
+      lopDays: 3,
+      arrears: 2500,
+      reimbursements: [{ claim_id: 4, title: 'Travel', amount: 1200 }]
+    });
+
+    expect(payslip.paid_days).toBe(27);
+    expect(amounts(payslip.earnings)).toEqual({ BASIC: 27000, HRA: 13500, ARREARS: 2500 });
+    expect(payslip.gross_earnings).toBe(43000);
+    expect(payslip.total_deductions).toBe(3300);
+    expect(payslip.net_pay).toBe(43000 - 3300 + 1200);
+  });
+
+  test('stops flat components when nothing is paid', () => {
+    const payslip = payrollService.calculatePayslip(employeeWith(), salary, PERIOD, { lopDays: 30 });
+
+    expect(payslip.paid_days).toBe(0);
+    expect(payslip.deductions).toEqual([]);
+    expect(payslip.net_pay).toBe(0);
+  });
+});
+
+describe('calculateRun', () => {
+  const run = {
+    run_id: 9,
+    period: PERIOD,
+    status: 'draft',
+    update: jest.fn(async function (values) {
+      return Object.assign(this, values);
+    }),
+    get(field) {
+      return this[field];
+    }
+  };
+
+  const calculate = (employees) => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+    jest.spyOn(payrollService, 'findRun').mockResolvedValue(run);
+    jest.spyOn(User, 'findAll').mockResolvedValue(employees);
+    jest.spyOn(Payslip, 'destroy').mockResolvedValue(0);
+    jest.spyOn(Payslip, 'create').mockImplementation(async (values) => values);
+    jest.spyOn(ExpenseClaim, 'update').mockResolvedValue([0]);
+    jest.spyOn(payrollService, 'getUnpaidLeaveTypes').mockResolvedValue([]);
+    jest.spyOn(payrollService, 'getSalaryHistory').mockResolvedValue([]);
+    jest.spyOn(payrollService, 'syncPayrollData').mockResolvedValue(null);
+    jest.spyOn(payrollService, 'getArrears').mockResolvedValue([]);
+    jest.spyOn(payrollService, 'getReimbursableClaims').mockResolvedValue([]);
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+    return payrollService.calculateRun('org-1', 9, {});
+  };
+
+  test('includes leavers from the month and skips everyone outside it', async () => {
+    const result = await calculate([
+      employeeWith({ user_id: 'stayer' }),
+      employeeWith({ user_id: 'leaver', date_of_exit: '2025-06-15' }),
+      employeeWith({ user_id: 'left', date_of_exit: '2025-05-20' }),
+      employeeWith({ user_id: 'joiner', date_of_joining: '2025-07-01' }),
+      employeeWith({ user_id: 'unpaid', payroll: null })
+    ]);
+
+    expect(result.payslips.map(payslip => [payslip.user_id, payslip.paid_days])).toEqual([['stayer', 30], ['leaver', 15]]);
+    expect(result.skipped).toEqual([
+      { user_id: 'left', reason: 'Left before the payroll month' },
+      { user_id: 'joiner', reason: 'Joined after the payroll month' },
+      { user_id: 'unpaid', reason: 'No salary details on record' }
+    ]);
+    expect(run).toMatchObject({ employee_count: 2, total_gross: 67500, total_deductions: 5700, total_net: 61800 });
+    expect(auditService.record).toHaveBeenCalledWith('org-1', expect.objectContaining({ action: 'payroll.run.calculate' }), {}, transaction);
+  });
+
+  test('queries active employees and those who left during or after the month', async () => {
+    await calculate([]);
+
+    expect(User.findAll.mock.calls[0][0].where).toEqual({
+      organization_id: 'org-1',
+      [Op.or]: [{ is_active: true }, { date_of_exit: { [Op.gte]: '2025-06-01' } }]
+    });
+  });
+});
+
+describe('createRun', () => {
+  beforeEach(() => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+  });
+
+  test('creates and calculates the run in one transaction', async () => {
+    jest.spyOn(PayrollRun, 'findOne').mockResolvedValue(null);
+    jest.spyOn(PayrollRun, 'create').mockResolvedValue({ run_id: 12 });
+    const calculateRun = jest.spyOn(payrollService, 'calculateRun').mockResolvedValue({ run: { run_id: 12 } });
+
+    await payrollService.createRun('org-1', PERIOD, { requestId: 'r1' });
+
+    expect(sequelize.transaction).toHaveBeenCalledTimes(1);
+    expect(PayrollRun.create).toHaveBeenCalledWith({ organization_id: 'org-1', period: PERIOD }, { transaction });
+    expect(calculateRun).toHaveBeenCalledWith('org-1', 12, { requestId: 'r1' }, transaction);
+  });
+
+  test('fails the whole transaction when the calculation fails', async () => {
+    jest.spyOn(PayrollRun, 'findOne').mockResolvedValue(null);
+    jest.spyOn(PayrollRun, 'create').mockResolvedValue({ run_id: 12 });
+    jest.spyOn(payrollService, 'calculateRun').mockRejectedValue(new Error('Invalid salary structure'));
+
+    await expect(payrollService.createRun('org-1', PERIOD)).rejects.toThrow('Invalid salary structure');
+    expect(PayrollRun.create.mock.calls[0][1]).toEqual({ transaction });
+  });
+
+  test('refuses a second run for the period', async () => {
+    jest.spyOn(PayrollRun, 'findOne').mockResolvedValue({ status: 'finalized' });
+
+    await expect(payrollService.createRun('org-1', PERIOD)).rejects.toThrow(ServiceError);
+    await expect(payrollService.createRun('org-1', PERIOD))
+      .rejects.toThrow(`A payroll run for ${PERIOD} already exists (finalized)`);
+  });
+
+  test('refuses future months', async () => {
+    await expect(payrollService.createRun('org-1', '2999-01')).rejects.toThrow('Payroll cannot be run for a future month');
+  });
+});
@@ -0,0 +1,167 @@
+import salaryStructureService from '../services/salaryStructureService.js';
+import { DEFAULT_SALARY_STRUCTURE } from '../config/salaryStructure.js';
+import { ServiceError } from '../utils/errors.js';
+
+const amounts = (items) => Object.fromEntries(items.map(item => [item.code, item.amount]));
+
+// Problems reported for the components, or [] if they are valid
+const problemsFor = (components) => {
+  try {
+    salaryStructureService.validateComponents(components);
+    return [];
+  } catch (error) {
+    expect(error).toBeInstanceOf(ServiceError);
+    return error.details.problems;
+  }
+};
+
+describe('computeBreakdown', () => {
+  test('splits the default structure by percentage and applies PF on capped basic', () => {
+    const breakdown = salaryStructureService.computeBreakdown(DEFAULT_SALARY_STRUCTURE.components, 600000);
+
+    expect(amounts(breakdown.monthly.earnings)).toEqual({ BASIC: 25000, HRA: 12500, CONV: 1000, MED: 750 });
+    expect(amounts(breakdown.monthly.deductions)).toEqual({ PF: 1800, ESI: 0, PT: 0, LWF: 0 });
+    expect(breakdown.monthly.gross).toBe(39250);
+    expect(breakdown.monthly.net_pay).toBe(37450);
+    expect(breakdown.annual.gross).toBe(471000);
+    expect(breakdown.annual.total_deductions).toBe(21600);
+    expect(breakdown.unallocated_ctc).toBe(600000 - 39250 * 12);
+  });
+
+  test('charges ESI only up to the wage limit', () => {
+    const breakdown = salaryStructureService.computeBreakdown(DEFAULT_SALARY_STRUCTURE.components, 300000);
+
+    expect(breakdown.monthly.gross).toBe(19625);
+    expect(amounts(breakdown.monthly.deductions).ESI).toBe(Math.ceil(19625 * 0.0075));
+  });
+
+  test('gives the remainder earning whatever is left after employer contributions', () => {
+    const components = [
+      { code: 'BASIC', name: 'Basic', type: 'earning', calculation: 'percentage', percentage: 40, base: 'CTC_MONTHLY' },
+      { code: 'SPECIAL', name: 'Special Allowance', type: 'earning', calculation: 'remainder' },
+      { code: 'EPF', name: 'Employer PF', type: 'employer_contribution', calculation: 'formula', formula: 'min(BASIC, 15000) * 0.12' },
+    ];
+
+    const breakdown = salaryStructureService.computeBreakdown(components, 1200000);
+
+    expect(amounts(breakdown.monthly.earnings)).toEqual({ BASIC: 40000, SPECIAL: 58200 });
+    expect(amounts(breakdown.monthly.employer_contributions)).toEqual({ EPF: 1800 });
+    expect(breakdown.monthly.cost_to_company).toBe(100000);
+    expect(breakdown.unallocated_ctc).toBe(0);
+    // Output keeps the structure's order even though EPF is computed before SPECIAL
+    expect(breakdown.monthly.earnings.map(item => item.code)).toEqual(['BASIC', 'SPECIAL']);
+  });
+
+  test('uses earning overrides, and components computed from them follow', () => {
+    const breakdown = salaryStructureService.computeBreakdown(DEFAULT_SALARY_STRUCTURE.components, 600000, {
+      overrides: { BASIC: 30000, HRA: null }
+    });
+
+    expect(amounts(breakdown.monthly.earnings)).toMatchObject({ BASIC: 30000, HRA: 15000 });
+  });
+
+  test('applies caps, conditions and base ceilings', () => {
+    const components = [
+      { code: 'BASIC', name: 'Basic', type: 'earning', calculation: 'fixed', amount: 20000 },
+      { code: 'FOOD', name: 'Food', type: 'earning', calculation: 'fixed', amount: 5000, cap: 3000 },
+      { code: 'BONUS', name: 'Bonus', type: 'earning', calculation: 'fixed', amount: 1000, applies_if: 'CTC > 1000000' },
+      { code: 'NPS', name: 'NPS', type: 'deduction', calculation: 'percentage', percentage: 10, base: 'BASIC', base_ceiling: 15000 },
+      { code: 'WELFARE', name: 'Welfare', type: 'deduction', calculation: 'formula', formula: 'GROSS * 0.01' },
+    ];
+
+    const breakdown = salaryStructureService.computeBreakdown(components, 500000);
+
+    expect(amounts(breakdown.monthly.earnings)).toEqual({ BASIC: 20000, FOOD: 3000, BONUS: 0 });
+    expect(amounts(breakdown.monthly.deductions)).toEqual({ NPS: 1500, WELFARE: 230 });
+  });
+
+  test('never produces negative amounts', () => {
+    const components = [
+      { code: 'BASIC', name: 'Basic', type: 'earning', calculation: 'formula', formula: 'CTC_MONTHLY - 100000' },
+    ];
+
+    expect(amounts(salaryStructureService.computeBreakdown(components, 120000).monthly.earnings)).toEqual({ BASIC: 0 });
+  });
+});
+
+describe('validateComponents', () => {
+  test('accepts the default structure', () => {
+    expect(problemsFor(DEFAULT_SALARY_STRUCTURE.components)).toEqual([]);
+  });
+
+  test('rejects an empty structure', () => {
+    expect(() => salaryStructureService.validateComponents([])).toThrow('A salary structure needs at least one component');
+  });
+
+  test('rejects bad, duplicated and reserved codes', () => {
+    const problems = problemsFor([
+      { code: 'basic', name: 'Basic', type: 'earning', calculation: 'fixed', amount: 1 },
+      { code: 'HRA', name: 'HRA', type: 'earning', calculation: 'fixed', amount: 1 },
+      { code: 'HRA', name: 'HRA again', type: 'earning', calculation: 'fixed', amount: 1 },
+      { code: 'GROSS', name: 'Gross', type: 'earning', calculation: 'fixed', amount: 1 },
+      { code: 'CTC', name: 'CTC', type: 'earning', calculation: 'fixed', amount: 1 },
+    ]);
+
+    expect(problems).toEqual([
+      'basic: code must be upper-case letters, digits or underscores',
+      'HRA: code is duplicated or reserved',
+      'GROSS: code is duplicated or reserved',
+      'CTC: code is duplicated or reserved',
+    ]);
+  });
+
+  test('checks the fields each calculation needs', () => {
+    const problems = problemsFor([
+      { code: 'A', name: 'A', type: 'bonus', calculation: 'fixed', amount: -1 },
+      { code: 'B', name: 'B', type: 'earning', calculation: 'percentage', percentage: 10 },
+      { code: 'C', name: 'C', type: 'earning', calculation: 'formula' },
+      { code: 'D', name: 'D', type: 'deduction', calculation: 'remainder' },
+      { code: 'E', name: 'E', type: 'earning', calculation: 'statutory', rule: 'PF' },
+      { code: 'F', name: 'F', type: 'deduction', calculation: 'statutory', rule: 'GST' },
+      { code: 'G', type: 'earning', calculation: 'lookup', cap: -5 },
+    ]);
+
+    expect(problems).toEqual(expect.arrayContaining([
+      'A: type must be one of earning, deduction, employer_contribution',
+      'A: fixed components need a non-negative amount',
+      'B: percentage components need a percentage and a base',
+      'C: formula components need a formula',
+      'D: only an earning can take the remainder',
+      'E: only a deduction can be statutory',
+      expect.stringMatching(/^F: statutory components need a rule/),
+      'G: name is required',
+      expect.stringMatching(/^G: calculation must be one of/),
+      'G: cap must be a non-negative amount',
+    ]));
+  });
+
+  test('allows only one remainder earning', () => {
+    expect(problemsFor([
+      { code: 'A', name: 'A', type: 'earning', calculation: 'remainder' },
+      { code: 'B', name: 'B', type: 'earning', calculation: 'remainder' },
+    ])).toContain('Only one component can take the remainder');
+  });
+
+  test('rejects references to components not yet calculated', () => {
+    const problems = problemsFor([
+      { code: 'BASIC', name: 'Basic', type: 'earning', calculation: 'formula', formula: 'HRA * 2' },
+      { code: 'HRA', name: 'HRA', type: 'earning', calculation: 'formula', formula: 'GROSS * 0.1' },
+      { code: 'TAX', name: 'Tax', type: 'deduction', calculation: 'formula', formula: 'GROSS * 0.1 + BASIC' },
+    ]);
+
+    expect(problems).toEqual([
+      'BASIC: "HRA" is not available when this component is calculated',
+      'HRA: "GROSS" is not available when this component is calculated',
+    ]);
+  });
+
+  test('reports formulas that do not parse', () => {
+    expect(problemsFor([
+      { code: 'A', name: 'A', type: 'earning', calculation: 'formula', formula: 'process.exit()' },
+      { code: 'B', name: 'B', type: 'earning', calculation: 'fixed', amount: 1, applies_if: 'CTC >' },
+    ])).toEqual([
+      'A: Unexpected character "." in formula',
+      'B: Formula ended unexpectedly',
+    ]);
+  });
+});
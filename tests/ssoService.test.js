@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import ssoService from '../services/ssoService.js';
+import { SsoConfiguration, SsoLoginState, sequelize } from '../models/index.js';
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+const config = { organization_id: 'org-1', issuer: 'https://idp.example.com', client_id: 'vipraco', is_enabled: true };
+const discovery = {
+  issuer: 'https://idp.example.com',
+  authorization_endpoint: 'https://idp.example.com/authorize',
+  token_endpoint: 'https://idp.example.com/token',
+  jwks_uri: 'https://idp.example.com/jwks'
+};
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1' }] };
+
+const idToken = (claims = {}, key = privateKey) => jwt.sign(
+  {
+    sub: 'idp-1',
+    email: 'asha@example.com',
+    email_verified: true,
+    nonce: 'nonce-1',
+    iss: discovery.issuer,
+    aud: config.client_id,
+    ...claims
+  },
+  key,
+  { algorithm: 'ES256', keyid: 'k1', expiresIn: '5m' }
+);
+
+const stateWith = (fields = {}) => ({
+  organization_id: 'org-1',
+  code_verifier: 'verifier-1',
+  nonce: 'nonce-1',
+  used_at: null,
+  update: jest.fn(async function (values) {
+    return Object.assign(this, values);
+  }),
+  ...fields
+});
+
+beforeEach(() => {
+  ssoService.jwksCache.clear();
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+  jest.spyOn(ssoService, 'getDiscovery').mockResolvedValue(discovery);
+  jest.spyOn(ssoService, 'fetchJson').mockResolvedValue(jwks);
+  jest.spyOn(SsoConfiguration, 'findOne').mockResolvedValue(config);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('beginLogin', () => {
+  test('keeps the verifier and nonce on the server and sends only the S256 challenge', async () => {
+    jest.spyOn(SsoLoginState, 'create').mockImplementation(async (values) => values);
+
+    const { authorization_url } = await ssoService.beginLogin({ organizationId: 'org-1', email: 'asha@example.com' });
+    const params = new URL(authorization_url).searchParams;
+    const stored = SsoLoginState.create.mock.calls[0][0];
+
+    expect(stored.state_hash).toBe(ssoService.hashState(params.get('state')));
+    expect(stored).not.toHaveProperty('state');
+    expect(params.get('nonce')).toBe(stored.nonce);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('code_challenge'))
+      .toBe(crypto.createHash('sha256').update(stored.code_verifier).digest('base64url'));
+    expect(authorization_url).not.toContain(stored.code_verifier);
+    expect(stored.expires_at.getTime() - Date.now()).toBeLessThanOrEqual(10 * 60 * 1000);
+  });
+
+  test('refuses organizations without single sign-on', async () => {
+    SsoConfiguration.findOne.mockResolvedValue(null);
+
+    await expect(ssoService.beginLogin({ organizationId: 'org-2' })).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('consumeState', () => {
+  test('spends an unused, unexpired state under a row lock', async () => {
+    const record = stateWith();
+    jest.spyOn(SsoLoginState, 'findOne').mockResolvedValue(record);
+
+    await expect(ssoService.consumeState('state-1')).resolves.toBe(record);
+    expect(SsoLoginState.findOne.mock.calls[0][0]).toMatchObject({
+      where: { state_hash: ssoService.hashState('state-1'), used_at: null, expires_at: { [Op.gt]: expect.any(Date) } },
+      lock: 'UPDATE'
+    });
+    expect(record.update).toHaveBeenCalledWith({ used_at: expect.any(Date) }, { transaction });
+  });
+
+  test('refuses an unknown, used or expired state', async () => {
+    jest.spyOn(SsoLoginState, 'findOne').mockResolvedValue(null);
+
+    await expect(ssoService.consumeState('state-1'))
+      .rejects.toThrow('This sign-in request is invalid or has expired; please start again');
+  });
+});
+
+describe('completeLogin', () => {
+  test('sends the stored verifier with the code and checks the nonce', async () => {
+    jest.spyOn(ssoService, 'consumeState').mockResolvedValue(stateWith());
+    jest.spyOn(ssoService, 'exchangeCode').mockResolvedValue({ id_token: idToken({ nonce: 'nonce-2' }) });
+    const findEmployee = jest.spyOn(ssoService, 'findEmployee');
+
+    await expect(ssoService.completeLogin({ code: 'code-1', state: 'state-1' }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'The identity provider returned an invalid ID token' });
+    expect(ssoService.consumeState).toHaveBeenCalledWith('state-1');
+    expect(ssoService.exchangeCode).toHaveBeenCalledWith(config, discovery, 'code-1', 'verifier-1');
+    expect(findEmployee).not.toHaveBeenCalled();
+  });
+
+  test('stops at a spent state before contacting the identity provider', async () => {
+    jest.spyOn(SsoLoginState, 'findOne').mockResolvedValue(null);
+    const exchangeCode = jest.spyOn(ssoService, 'exchangeCode');
+
+    await expect(ssoService.completeLogin({ code: 'code-1', state: 'state-1' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(exchangeCode).not.toHaveBeenCalled();
+  });
+});
+
+describe('verifyIdToken', () => {
+  test('accepts a token signed by the provider for this client and login', async () => {
+    await expect(ssoService.verifyIdToken(idToken(), config, discovery, 'nonce-1'))
+      .resolves.toMatchObject({ sub: 'idp-1', email: 'asha@example.com' });
+  });
+
+  test('rejects a token for another login, another client or another signer', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const invalid = { statusCode: 401, message: 'The identity provider returned an invalid ID token' };
+
+    await expect(ssoService.verifyIdToken(idToken(), config, discovery, 'nonce-2')).rejects.toMatchObject(invalid);
+    await expect(ssoService.verifyIdToken(idToken({ aud: 'other-client' }), config, discovery, 'nonce-1'))
+      .rejects.toMatchObject(invalid);
+    await expect(ssoService.verifyIdToken(idToken({}, otherKey), config, discovery, 'nonce-1')).rejects.toMatchObject(invalid);
+  });
+
+  test('rejects unsigned and symmetric tokens', async () => {
+    const claims = { sub: 'idp-1', nonce: 'nonce-1', iss: discovery.issuer, aud: config.client_id };
+
+    await expect(ssoService.verifyIdToken(jwt.sign(claims, null, { algorithm: 'none' }), config, discovery, 'nonce-1'))
+      .rejects.toMatchObject({ statusCode: 401 });
+    await expect(ssoService.verifyIdToken(jwt.sign(claims, 'secret', { algorithm: 'HS256' }), config, discovery, 'nonce-1'))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+});
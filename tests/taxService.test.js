@@ -0,0 +1,146 @@
+import taxService from '../services/taxService.js';
+import { INCOME_TAX_RULES } from '../config/incomeTax.js';
+import { ServiceError } from '../utils/errors.js';
+
+const RULES_2024 = INCOME_TAX_RULES['2024-25'];
+const RULES_2025 = INCOME_TAX_RULES['2025-26'];
+
+// Tax after rebate and surcharge, before cess
+const netTax = (regime, taxableIncome, slabs = regime.slabs) => {
+  const { tax, surcharge } = taxService.taxBeforeCess(regime, slabs, taxableIncome);
+  return tax + surcharge;
+};
+
+describe('getRules', () => {
+  test('uses the latest version that started on or before the financial year', () => {
+    expect(taxService.getRules('2025-26').version).toBe('2025-26');
+    expect(taxService.getRules('2027-28').version).toBe('2025-26');
+  });
+
+  test('rejects years before the first version and malformed years', () => {
+    expect(() => taxService.getRules('2023-24')).toThrow(ServiceError);
+    expect(() => taxService.getRules('2025-27')).toThrow('Financial year must look like 2025-26');
+  });
+});
+
+describe('slabTax', () => {
+  test('taxes each band of the old regime at its own rate', () => {
+    expect(taxService.slabTax(RULES_2025.old.slabs, 250000)).toBe(0);
+    expect(taxService.slabTax(RULES_2025.old.slabs, 1000000)).toBe(112500);
+    expect(taxService.slabTax(RULES_2025.old.slabs, 1500000)).toBe(262500);
+  });
+
+  test('taxes each band of the new regime at its own rate', () => {
+    expect(taxService.slabTax(RULES_2024.new.slabs, 1000000)).toBe(50000);
+    expect(taxService.slabTax(RULES_2025.new.slabs, 1200000)).toBe(60000);
+    expect(taxService.slabTax(RULES_2025.new.slabs, 2500000)).toBe(330000);
+  });
+
+  test('uses the higher exemption limits for senior and super senior citizens', () => {
+    expect(taxService.slabTax(RULES_2025.old.senior_slabs, 800000)).toBe(70000);
+    expect(taxService.slabTax(RULES_2025.old.super_senior_slabs, 800000)).toBe(60000);
+  });
+});
+
+describe('taxBeforeCess', () => {
+  test('old regime rebate covers the tax up to the limit, without marginal relief', () => {
+    expect(taxService.taxBeforeCess(RULES_2025.old, RULES_2025.old.slabs, 500000))
+      .toEqual({ tax: 0, rebate: 12500, surcharge: 0 });
+    expect(netTax(RULES_2025.old, 500010)).toBe(12502);
+  });
+
+  test('new regime rebate covers the tax up to the limit', () => {
+    expect(netTax(RULES_2024.new, 700000)).toBe(0);
+    expect(netTax(RULES_2025.new, 1200000)).toBe(0);
+  });
+
+  test('marginal relief keeps the new regime tax within the income above the rebate limit', () => {
+    expect(netTax(RULES_2024.new, 710000)).toBe(10000);
+    expect(taxService.taxBeforeCess(RULES_2025.new, RULES_2025.new.slabs, 1210000))
+      .toEqual({ tax: 10000, rebate: 51500, surcharge: 0 });
+    // Past the point where relief runs out the full slab tax applies
+    expect(netTax(RULES_2025.new, 1300000)).toBe(75000);
+  });
+
+  test('adds surcharge only above its threshold', () => {
+    expect(taxService.taxBeforeCess(RULES_2025.old, RULES_2025.old.slabs, 5000000).surcharge).toBe(0);
+    expect(taxService.taxBeforeCess(RULES_2025.old, RULES_2025.old.slabs, 6000000).surcharge).toBe(161250);
+  });
+
+  test('limits surcharge to the income above the threshold', () => {
+    const result = taxService.taxBeforeCess(RULES_2025.old, RULES_2025.old.slabs, 5010000);
+
+    expect(result.tax).toBe(1315500);
+    expect(result.surcharge).toBe(7000);
+    expect(netTax(RULES_2025.old, 5010000) - netTax(RULES_2025.old, 5000000)).toBe(10000);
+  });
+});
+
+describe('computeRegime', () => {
+  const income = { gross_salary: 1000000, basic: 400000, hra_received: 200000, professional_tax: 2400 };
+  const declaration = {
+    annual_rent_paid: 240000,
+    metro_city: true,
+    section_80c: 200000,
+    section_80d_self: 30000,
+    section_80d_parents: 10000,
+    parents_senior_citizen: false
+  };
+
+  test('old regime applies HRA exemption and capped deductions before the slabs', () => {
+    const result = taxService.computeRegime('old', RULES_2025, income, declaration, 35);
+
+    expect(result.exemptions).toEqual({ hra: 200000 });
+    expect(result.deductions).toEqual({
+      standard_deduction: 50000,
+      professional_tax: 2400,
+      section_80c: 150000,
+      section_80d: 35000
+    });
+    expect(result.taxable_income).toBe(562600);
+    expect(result.tax_on_income).toBe(25020);
+    expect(result.rebate).toBe(0);
+    expect(result.cess).toBe(1001);
+    expect(result.total_tax).toBe(26021);
+    expect(result.monthly_tds).toBe(2168);
+    expect(result.effective_rate).toBe(2.6);
+  });
+
+  test('new regime allows only the standard deduction', () => {
+    const result = taxService.computeRegime('new', RULES_2025, income, declaration, 35);
+
+    expect(result.exemptions).toEqual({});
+    expect(result.deductions).toEqual({ standard_deduction: 75000 });
+    expect(result.taxable_income).toBe(925000);
+    expect(result.tax_on_income).toBe(32500);
+    expect(result.rebate).toBe(32500);
+    expect(result.total_tax).toBe(0);
+  });
+
+  test('adds cess on tax and surcharge and rounds taxable income to ten rupees', () => {
+    const result = taxService.computeRegime('new', RULES_2024, { ...income, gross_salary: 1575004 }, {}, 35);
+
+    expect(result.taxable_income).toBe(1500000);
+    expect(result.tax_on_income).toBe(140000);
+    expect(result.cess).toBe(5600);
+    expect(result.total_tax).toBe(145600);
+  });
+
+  test('picks the slabs for the employee age', () => {
+    const salary = { gross_salary: 850000, basic: 0, hra_received: 0, professional_tax: 0 };
+
+    expect(taxService.computeRegime('old', RULES_2025, salary, {}, 59).tax_on_income).toBe(72500);
+    expect(taxService.computeRegime('old', RULES_2025, salary, {}, 65).tax_on_income).toBe(70000);
+    expect(taxService.computeRegime('old', RULES_2025, salary, {}, 80).tax_on_income).toBe(60000);
+  });
+
+  test('allows the higher 80D caps for senior citizens', () => {
+    const result = taxService.computeRegime('old', RULES_2025, income, {
+      section_80d_self: 60000,
+      section_80d_parents: 60000,
+      parents_senior_citizen: true
+    }, 62);
+
+    expect(result.deductions.section_80d).toBe(100000);
+  });
+});
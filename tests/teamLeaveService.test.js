@@ -0,0 +1,60 @@
+import { jest } from '@jest/globals';
+import teamLeaveService from '../services/teamLeaveService.js';
+import holidayService from '../services/holidayService.js';
+import { Organization } from '../models/index.js';
+
+const manager = { user_id: 'm1', organization_id: 'org-1' };
+const member = (userId) => ({ user_id: userId, location: 'Pune' });
+// Monday to the following Monday
+const request = { user_id: 'e1', start_date: '2025-06-02', end_date: '2025-06-09' };
+
+const warningsFor = (members, approved = [], threshold = 50) => {
+  jest.spyOn(teamLeaveService, 'getSubordinates').mockResolvedValue(members);
+  jest.spyOn(teamLeaveService, 'getTeamRequests').mockResolvedValue(approved);
+  jest.spyOn(Organization, 'findByPk').mockResolvedValue({ min_team_availability: threshold });
+  jest.spyOn(holidayService, 'getHolidayDateSet').mockResolvedValue(new Set(['2025-06-04']));
+  return teamLeaveService.getAvailabilityWarnings(manager, request);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getAvailabilityWarnings', () => {
+  test('never warns a manager with a single report', async () => {
+    await expect(warningsFor([member('e1')])).resolves.toEqual([]);
+    expect(Organization.findByPk).not.toHaveBeenCalled();
+  });
+
+  test('does not warn when the rest of a small team is at work', async () => {
+    await expect(warningsFor([member('e1'), member('e2')])).resolves.toEqual([]);
+  });
+
+  test('warns on the working days others are already away', async () => {
+    const warnings = await warningsFor([member('e1'), member('e2')], [
+      { user_id: 'e2', start_date: '2025-06-03', end_date: '2025-06-08' }
+    ]);
+
+    // Wednesday is a holiday and the weekend is skipped
+    expect(warnings.map(warning => warning.date)).toEqual(['2025-06-03', '2025-06-05', '2025-06-06']);
+    expect(warnings[0]).toEqual({
+      date: '2025-06-03',
+      team_size: 2,
+      available: 0,
+      available_percent: 0,
+      min_team_availability: 50,
+      already_on_leave: 1
+    });
+  });
+
+  test('uses the organization threshold', async () => {
+    const members = ['e1', 'e2', 'e3', 'e4'].map(member);
+    const approved = [{ user_id: 'e2', start_date: '2025-06-09', end_date: '2025-06-09' }];
+
+    await expect(warningsFor(members, approved, 50)).resolves.toEqual([]);
+    jest.restoreAllMocks();
+
+    const warnings = await warningsFor(members, approved, 75);
+    expect(warnings.map(warning => [warning.date, warning.available_percent])).toEqual([['2025-06-09', 50]]);
+  });
+});
@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import twoFactorService from '../services/twoFactorService.js';
+import { TwoFactorRecoveryCode } from '../models/index.js';
+
+// RFC 6238 test secret: the ASCII bytes of "12345678901234567890"
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+// 1111111109 seconds falls in step 37037036
+const NOW = 1111111109 * 1000;
+const STEP = 37037036;
+
+const credentialWith = (fields = {}) => ({
+  credential_id: 1,
+  secret: SECRET,
+  last_used_step: null,
+  update: jest.fn(async function (values) {
+    Object.assign(this, values);
+  }),
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('generateCode', () => {
+  test('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(twoFactorService.generateCode(SECRET, 1)).toBe('287082');
+    expect(twoFactorService.generateCode(SECRET, STEP)).toBe('081804');
+    expect(twoFactorService.generateCode(SECRET, Math.floor(1234567890 / 30))).toBe('005924');
+  });
+});
+
+describe('matchCode', () => {
+  test('accepts the code for the current step', () => {
+    expect(twoFactorService.currentStep()).toBe(STEP);
+    expect(twoFactorService.matchCode(credentialWith(), '081804')).toBe(STEP);
+    expect(twoFactorService.matchCode(credentialWith(), '081 804')).toBe(STEP);
+  });
+
+  test('accepts codes one step either side for clock drift, but no further', () => {
+    const credential = credentialWith();
+    const code = (step) => twoFactorService.generateCode(SECRET, step);
+
+    expect(twoFactorService.matchCode(credential, code(STEP - 1))).toBe(STEP - 1);
+    expect(twoFactorService.matchCode(credential, code(STEP + 1))).toBe(STEP + 1);
+    expect(twoFactorService.matchCode(credential, code(STEP - 2))).toBeNull();
+    expect(twoFactorService.matchCode(credential, code(STEP + 2))).toBeNull();
+  });
+
+  test('rejects wrong and malformed codes', () => {
+    const credential = credentialWith();
+
+    expect(twoFactorService.matchCode(credential, '000000')).toBeNull();
+    expect(twoFactorService.matchCode(credential, '81804')).toBeNull();
+    expect(twoFactorService.matchCode(credential, '0818045')).toBeNull();
+    expect(twoFactorService.matchCode(credential, 'abcdef')).toBeNull();
+    expect(twoFactorService.matchCode(credential, undefined)).toBeNull();
+  });
+
+  test('skips steps up to the last one used', () => {
+    const code = twoFactorService.generateCode(SECRET, STEP - 1);
+
+    expect(twoFactorService.matchCode(credentialWith({ last_used_step: STEP - 1 }), code)).toBeNull();
+    expect(twoFactorService.matchCode(credentialWith({ last_used_step: STEP }), '081804')).toBeNull();
+    expect(twoFactorService.matchCode(credentialWith({ last_used_step: STEP - 2 }), code)).toBe(STEP - 1);
+  });
+});
+
+describe('verifyCredential', () => {
+  test('records the step of an accepted code and rejects it when replayed', async () => {
+    const credential = credentialWith();
+
+    await expect(twoFactorService.verifyCredential(credential, { code: '081804' })).resolves.toBe(true);
+    expect(credential.update).toHaveBeenCalledWith({ last_used_step: STEP }, { transaction: undefined });
+
+    await expect(twoFactorService.verifyCredential(credential, { code: '081804' })).resolves.toBe(false);
+    expect(credential.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects an earlier code once a later one has been used', async () => {
+    const credential = credentialWith();
+    const previous = twoFactorService.generateCode(SECRET, STEP - 1);
+
+    await expect(twoFactorService.verifyCredential(credential, { code: '081804' })).resolves.toBe(true);
+    await expect(twoFactorService.verifyCredential(credential, { code: previous })).resolves.toBe(false);
+  });
+
+  test('rejects a wrong code without touching the credential', async () => {
+    const credential = credentialWith();
+
+    await expect(twoFactorService.verifyCredential(credential, { code: '123456' })).resolves.toBe(false);
+    expect(credential.update).not.toHaveBeenCalled();
+  });
+
+  test('marks a recovery code used and rejects it once it is gone', async () => {
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+    const record = { update: jest.fn() };
+    const findOne = jest.spyOn(TwoFactorRecoveryCode, 'findOne')
+      .mockResolvedValueOnce(record)
+      .mockResolvedValueOnce(null);
+
+    await expect(twoFactorService.verifyCredential(credentialWith(), { recovery_code: 'ABCDE-12345' }, transaction))
+      .resolves.toBe(true);
+    expect(findOne.mock.calls[0][0].where).toEqual({
+      credential_id: 1,
+      code_hash: twoFactorService.hashRecoveryCode('abcde12345'),
+      used_at: null
+    });
+    expect(record.update).toHaveBeenCalledWith({ used_at: expect.any(Date) }, { transaction });
+
+    await expect(twoFactorService.verifyCredential(credentialWith(), { recovery_code: 'ABCDE-12345' }, transaction))
+      .resolves.toBe(false);
+  });
+
+  test('rejects a request with neither factor', async () => {
+    await expect(twoFactorService.verifyCredential(credentialWith(), {})).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,61 @@
+// Date helpers for DATEONLY columns. All dates are handled as local calendar
+// days so that 'YYYY-MM-DD' strings round-trip without timezone drift.
+
+export const toDateOnly = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+export const parseDateOnly = (value) => {
+  if (value instanceof Date) {
+    return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+export const addDays = (date, days) => {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+export const today = () => parseDateOnly(new Date());
+
+// Inclusive list of calendar days between two dates
+export const eachDay = (startDate, endDate) => {
+  const days = [];
+  const end = parseDateOnly(endDate);
+  for (let day = parseDateOnly(startDate); day <= end; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+export const formatDisplayDate = (value) => {
+  const date = parseDateOnly(value);
+  return date
+    ? date.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })
+    : '';
+};
+
+// 'YYYY-MM' period key for the month containing the date
+export const toPeriod = (date) => toDateOnly(date).slice(0, 7);
+
+// Monday of the week containing the date
+export const startOfWeek = (date) => {
+  const day = parseDateOnly(date);
+  return addDays(day, -((day.getDay() + 6) % 7));
+};
+
+// { year, month } (month 0-11) for a 'YYYY-MM' period, or null if malformed
+export const parsePeriod = (period) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(period || ''));
+  const month = match ? Number(match[2]) - 1 : -1;
+  if (!match || month < 0 || month > 11) return null;
+  return { year: Number(match[1]), month };
+};
@@ -0,0 +1,10 @@
+// Error raised by services for expected business-rule failures.
+// Routes translate it into a JSON response using statusCode.
+export class ServiceError extends Error {
+  constructor(message, statusCode = 400, details = undefined) {
+    super(message);
+    this.name = 'ServiceError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
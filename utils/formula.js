@@ -0,0 +1,189 @@
+// Small arithmetic expression language for salary structure formulas, e.g.
+//   "min(BASIC, 15000) * 0.12"   "if(GROSS <= 21000, GROSS * 0.0075, 0)"
+// Supports numbers, variables, + - * / %, comparisons, && || !, parentheses
+// and the functions below. Expressions are parsed, never passed to eval().
+
+const FUNCTIONS = {
+  min: { arity: [1, Infinity], fn: (...args) => Math.min(...args) },
+  max: { arity: [1, Infinity], fn: (...args) => Math.max(...args) },
+  round: { arity: [1, 2], fn: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits },
+  floor: { arity: [1, 1], fn: Math.floor },
+  ceil: { arity: [1, 1], fn: Math.ceil },
+  abs: { arity: [1, 1], fn: Math.abs },
+  if: { arity: [3, 3], fn: (condition, whenTrue, whenFalse) => (condition ? whenTrue : whenFalse) },
+};
+
+export class FormulaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormulaError';
+  }
+}
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|&&|\|\||[-+*/%(),<>!]))/y;
+
+const tokenize = (expression) => {
+  const tokens = [];
+  const source = String(expression);
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) break;
+
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new FormulaError(`Unexpected character "${source.slice(start).trim()[0]}" in formula`);
+    }
+
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+    else tokens.push({ type: 'op', value: match[3] });
+  }
+
+  return tokens;
+};
+
+// Recursive-descent parser producing a small AST
+const parse = (expression) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (...values) => peek() && peek().type === 'op' && values.includes(peek().value);
+  const expect = (value) => {
+    if (!isOp(value)) throw new FormulaError(`Expected "${value}" in formula`);
+    position++;
+  };
+
+  const binary = (next, operators) => () => {
+    let node = next();
+    while (isOp(...operators)) {
+      const operator = tokens[position++].value;
+      node = { type: 'binary', operator, left: node, right: next() };
+    }
+    return node;
+  };
+
+  const primary = () => {
+    const token = peek();
+    if (!token) throw new FormulaError('Formula ended unexpectedly');
+
+    if (token.type === 'number') {
+      position++;
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      position++;
+      if (!isOp('(')) return { type: 'variable', name: token.value };
+
+      const name = token.value.toLowerCase();
+      if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+        throw new FormulaError(`Unknown function "${token.value}"`);
+      }
+
+      position++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(logicalOr());
+        while (isOp(',')) {
+          position++;
+          args.push(logicalOr());
+        }
+      }
+      expect(')');
+
+      const [minArgs, maxArgs] = FUNCTIONS[name].arity;
+      if (args.length < minArgs || args.length > maxArgs) {
+        throw new FormulaError(`Wrong number of arguments for ${name}()`);
+      }
+      return { type: 'call', name, args };
+    }
+
+    if (isOp('(')) {
+      position++;
+      const node = logicalOr();
+      expect(')');
+      return node;
+    }
+
+    throw new FormulaError(`Unexpected "${token.value}" in formula`);
+  };
+
+  const unary = () => {
+    if (isOp('-', '!', '+')) {
+      const operator = tokens[position++].value;
+      return { type: 'unary', operator, operand: unary() };
+    }
+    return primary();
+  };
+
+  const multiplicative = binary(unary, ['*', '/', '%']);
+  const additive = binary(multiplicative, ['+', '-']);
+  const comparison = binary(additive, ['<', '<=', '>', '>=', '==', '!=']);
+  const logicalAnd = binary(comparison, ['&&']);
+  const logicalOr = binary(logicalAnd, ['||']);
+
+  const ast = logicalOr();
+  if (position < tokens.length) {
+    throw new FormulaError(`Unexpected "${tokens[position].value}" in formula`);
+  }
+  return ast;
+};
+
+const evaluateNode = (node, variables) => {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'variable':
+      if (!Object.prototype.hasOwnProperty.call(variables, node.name)) {
+        throw new FormulaError(`Unknown variable "${node.name}"`);
+      }
+      return Number(variables[node.name]) || 0;
+    case 'call':
+      return FUNCTIONS[node.name].fn(...node.args.map(arg => evaluateNode(arg, variables)));
+    case 'unary': {
+      const value = evaluateNode(node.operand, variables);
+      if (node.operator === '-') return -value;
+      if (node.operator === '!') return value ? 0 : 1;
+      return value;
+    }
+    case 'binary': {
+      const left = evaluateNode(node.left, variables);
+      const right = evaluateNode(node.right, variables);
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return right === 0 ? 0 : left / right;
+        case '%': return right === 0 ? 0 : left % right;
+        case '<': return left < right ? 1 : 0;
+        case '<=': return left <= right ? 1 : 0;
+        case '>': return left > right ? 1 : 0;
+        case '>=': return left >= right ? 1 : 0;
+        case '==': return left === right ? 1 : 0;
+        case '!=': return left !== right ? 1 : 0;
+        case '&&': return left && right ? 1 : 0;
+        case '||': return left || right ? 1 : 0;
+      }
+    }
+  }
+  throw new FormulaError('Invalid formula');
+};
+
+const collectVariables = (node, names = new Set()) => {
+  if (node.type === 'variable') names.add(node.name);
+  if (node.type === 'call') node.args.forEach(arg => collectVariables(arg, names));
+  if (node.type === 'unary') collectVariables(node.operand, names);
+  if (node.type === 'binary') {
+    collectVariables(node.left, names);
+    collectVariables(node.right, names);
+  }
+  return names;
+};
+
+export const evaluateFormula = (expression, variables) => evaluateNode(parse(expression), variables);
+
+// Variable names the formula refers to; throws FormulaError if it does not parse
+export const getFormulaVariables = (expression) => [...collectVariables(parse(expression))];
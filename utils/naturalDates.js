@@ -0,0 +1,141 @@
+import { addDays, parseDateOnly, today } from './dateUtils.js';
+
+// Natural-language date extraction for chat requests such as
+// "tomorrow half day", "next monday to wednesday" or "25 dec for 3 days".
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTHS = {
+  jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3,
+  may: 4, jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7, sep: 8, sept: 8,
+  september: 8, oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11
+};
+
+const WEEKDAY_PATTERN = '(?:sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|sday|rsday|urday)?';
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+
+const DATE_EXPRESSION = new RegExp('\\b(?:' + [
+  '(day after tomorrow)',
+  '(today|tomorrow)',
+  `(?:(next|this|coming)\\s+)?(${WEEKDAY_PATTERN})\\b`,
+  `(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+of)?\\s+(${MONTH_PATTERN})\\b(?:,?\\s+(\\d{4}))?`,
+  `(${MONTH_PATTERN})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`,
+  '(\\d{4})-(\\d{2})-(\\d{2})',
+  '(\\d{1,2})[/.](\\d{1,2})(?:[/.](\\d{2,4}))?'
+].join('|') + ')', 'gi');
+
+const RANGE_SEPARATOR = /^\s*(?:to|till|until|through|thru|-|–)\s*$/i;
+
+const weekdayIndex = (word) => WEEKDAYS.findIndex(day => day.startsWith(word.toLowerCase().slice(0, 3)));
+
+const startOfWeek = (date) => addDays(date, -((date.getDay() + 6) % 7));
+
+// Upcoming occurrence of a weekday strictly after the reference date
+const upcomingWeekday = (reference, dayIndex) => {
+  const offset = (dayIndex - reference.getDay() + 7) % 7 || 7;
+  return addDays(reference, offset);
+};
+
+const buildDate = (year, month, day) => {
+  const date = new Date(year, month, day);
+  return date.getMonth() === month && date.getDate() === day ? date : null;
+};
+
+// Dates without a year roll forward to the next occurrence on or after the anchor
+const withInferredYear = (month, day, year, anchor) => {
+  if (year) return buildDate(Number(year), month, day);
+  const candidate = buildDate(anchor.getFullYear(), month, day);
+  if (candidate && candidate < anchor) return buildDate(anchor.getFullYear() + 1, month, day);
+  return candidate;
+};
+
+const resolveMatch = (match, reference, anchor) => {
+  if (match[1]) return addDays(reference, 2);
+  if (match[2]) return match[2].toLowerCase() === 'today' ? reference : addDays(reference, 1);
+
+  if (match[4]) {
+    const dayIndex = weekdayIndex(match[4]);
+    if (dayIndex < 0) return null;
+    // An end weekday ("monday to wednesday") resolves relative to the start date
+    if (anchor > reference) {
+      return addDays(anchor, (dayIndex - anchor.getDay() + 7) % 7);
+    }
+    const upcoming = upcomingWeekday(reference, dayIndex);
+    if (match[3] && match[3].toLowerCase() === 'next'
+      && startOfWeek(upcoming).getTime() === startOfWeek(reference).getTime()) {
+      return addDays(upcoming, 7);
+    }
+    return upcoming;
+  }
+
+  if (match[5]) return withInferredYear(MONTHS[match[6].toLowerCase()], Number(match[5]), match[7], anchor);
+  if (match[8]) return withInferredYear(MONTHS[match[8].toLowerCase()], Number(match[9]), match[10], anchor);
+  if (match[11]) return buildDate(Number(match[11]), Number(match[12]) - 1, Number(match[13]));
+
+  if (match[14]) {
+    // Numeric dates are read day-first (dd/mm/yyyy) as used in India
+    let year = match[16];
+    if (year && year.length === 2) year = `20${year}`;
+    return withInferredYear(Number(match[15]) - 1, Number(match[14]), year, anchor);
+  }
+
+  return null;
+};
+
+export const extractDateRange = (text, referenceDate = today()) => {
+  const reference = parseDateOnly(referenceDate);
+  const source = String(text || '');
+  const matches = [...source.matchAll(DATE_EXPRESSION)];
+
+  const isHalfDay = /\bhalf[\s-]?day\b/i.test(source);
+
+  if (!matches.length) {
+    return { startDate: null, endDate: null, isHalfDay };
+  }
+
+  const startDate = resolveMatch(matches[0], reference, reference);
+  if (!startDate) {
+    return { startDate: null, endDate: null, isHalfDay };
+  }
+
+  let endDate = startDate;
+
+  const second = matches[1];
+  const between = second ? source.slice(matches[0].index + matches[0][0].length, second.index) : '';
+  if (second && RANGE_SEPARATOR.test(between)) {
+    endDate = resolveMatch(second, reference, startDate) || startDate;
+  } else {
+    const duration = /\bfor\s+(\d{1,2})\s+(?:working\s+)?days?\b/i.exec(source);
+    if (duration && Number(duration[1]) > 1) {
+      endDate = addDays(startDate, Number(duration[1]) - 1);
+    }
+  }
+
+  return { startDate, endDate, isHalfDay };
+};
+
+// Month mentioned in text ("in december", "march 2026", "this month", "last month").
+// prefer decides the year of a bare month name relative to the reference month:
+// 'future' picks the next occurrence, 'past' the most recent, 'current' this year.
+export const extractMonth = (text, referenceDate = today(), { prefer = 'current' } = {}) => {
+  const reference = parseDateOnly(referenceDate);
+  const source = String(text || '').toLowerCase();
+
+  const relative = /\b(this|next|last|previous)\s+month\b/.exec(source);
+  if (relative) {
+    const offset = { this: 0, next: 1, last: -1, previous: -1 }[relative[1]];
+    const date = new Date(reference.getFullYear(), reference.getMonth() + offset, 1);
+    return { year: date.getFullYear(), month: date.getMonth() };
+  }
+
+  const match = new RegExp(`\\b(${MONTH_PATTERN})\\b(?:,?\\s+(\\d{4}))?`).exec(source);
+  if (!match) return null;
+
+  const month = MONTHS[match[1]];
+  let year = match[2] ? Number(match[2]) : reference.getFullYear();
+
+  if (!match[2] && prefer === 'future' && month < reference.getMonth()) year++;
+  if (!match[2] && prefer === 'past' && month > reference.getMonth()) year--;
+
+  return { year, month };
+};
@@ -0,0 +1,56 @@
+// Amounts in words using the Indian numbering system (thousand, lakh, crore)
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+  'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (number) => {
+  if (number < 20) return ONES[number];
+  return `${TENS[Math.floor(number / 10)]}${number % 10 ? ` ${ONES[number % 10]}` : ''}`;
+};
+
+const belowThousand = (number) => {
+  const hundreds = Math.floor(number / 100);
+  const rest = number % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : '']
+    .filter(Boolean)
+    .join(' ');
+};
+
+export const numberToWords = (value) => {
+  let number = Math.floor(Math.abs(value));
+  if (number === 0) return 'Zero';
+
+  const parts = [];
+  const crores = Math.floor(number / 10000000);
+  number %= 10000000;
+
+  // Crores above 99 are themselves expressed in the Indian system
+  if (crores) parts.push(`${numberToWords(crores)} Crore`);
+
+  const lakhs = Math.floor(number / 100000);
+  number %= 100000;
+  if (lakhs) parts.push(`${belowHundred(lakhs)} Lakh`);
+
+  const thousands = Math.floor(number / 1000);
+  number %= 1000;
+  if (thousands) parts.push(`${belowHundred(thousands)} Thousand`);
+
+  if (number) parts.push(belowThousand(number));
+
+  return parts.join(' ');
+};
+
+// 12345.5 -> 'Rupees Twelve Thousand Three Hundred Forty Five and Fifty Paise Only'
+export const amountInWords = (amount) => {
+  const value = Math.round(Math.abs(parseFloat(amount || 0)) * 100);
+  const rupees = Math.floor(value / 100);
+  const paise = value % 100;
+
+  return `${parseFloat(amount) < 0 ? 'Minus ' : ''}Rupees ${numberToWords(rupees)}`
+    + (paise ? ` and ${belowHundred(paise)} Paise` : '')
+    + ' Only';
+};